@@ -81,6 +81,20 @@ export default [
 
         plugins: sharedPlugins,
     },
+    // Service Worker (Standalone, served from the site root by StarmusAssetLoader)
+    {
+        input: "src/js/sw/starmus-service-worker.js",
+
+        output: {
+            file: "assets/js/starmus-service-worker.min.js",
+            format: "iife",
+            sourcemap: false,
+        },
+
+        external: [],
+
+        plugins: sharedPlugins,
+    },
     // Consent Legal (Standalone)
     {
         input: "src/js/consent/starmus-legal.js",
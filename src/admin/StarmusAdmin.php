@@ -30,6 +30,13 @@ class StarmusAdmin
      */
     public const STARMUS_MENU_SLUG = 'starmus-admin';
 
+    /**
+     * Menu slug for the recordings bundle import page.
+     *
+     * @var string
+     */
+    public const STARMUS_IMPORT_SLUG = 'starmus-import';
+
     /**
      * Settings group identifier for WordPress options API.
      *
@@ -83,6 +90,7 @@ class StarmusAdmin
                 'tus_endpoint' => 'url',
                 'consent_message' => 'textarea',
                 'collect_ip_ua' => 'checkbox',
+                'offline_encryption' => 'select',
                 'delete_on_uninstall' => 'checkbox',
                 'edit_page_id' => 'slug_list_input',
                 'recorder_page_id' => 'slug_list_input',
@@ -127,6 +135,15 @@ class StarmusAdmin
                 self::STARMUS_MENU_SLUG,
                 $this->render_settings_page(...)
             );
+
+            add_submenu_page(
+                $parent_slug,
+                __('Import Recordings', 'starmus-audio-recorder'),
+                __('Import Recordings', 'starmus-audio-recorder'),
+                'upload_files',
+                self::STARMUS_IMPORT_SLUG,
+                $this->render_import_page(...)
+            );
         } catch (\Throwable $throwable) {
             error_log($throwable->getMessage());
         }
@@ -184,6 +201,44 @@ class StarmusAdmin
         }
     }
 
+    /**
+     * Render the recordings bundle import page.
+     *
+     * Bundles are `.starmus` files exported from the offline queue of a device that
+     * could not upload. They are read in the browser and added to this browser's
+     * offline queue, which uploads them through the normal REST endpoints; the
+     * scripts are enqueued by StarmusAssetLoader for this page only.
+     */
+    public function render_import_page(): void
+    {
+        if ( ! current_user_can('upload_files')) {
+            wp_die(__('You do not have sufficient permissions.', 'starmus-audio-recorder'));
+        }
+        ?>
+        <div class="wrap starmus-bundle-import" data-starmus-bundle-import>
+            <h1><?php esc_html_e('Import Recordings', 'starmus-audio-recorder'); ?></h1>
+            <p><?php esc_html_e('Choose a .starmus bundle exported from a recorder that could not upload. Its recordings are queued in this browser and uploaded from here; keep this page open until the queue is empty.', 'starmus-audio-recorder'); ?></p>
+
+            <div class="starmus-queue-import">
+                <label class="button button-primary" for="starmus_bundle_import_file">
+                    <?php esc_html_e('Choose Bundle', 'starmus-audio-recorder'); ?>
+                </label>
+                <input type="file" id="starmus_bundle_import_file" accept=".starmus" data-starmus-queue-import hidden>
+                <p class="starmus-queue-import-status" data-starmus-queue-import-status role="status"></p>
+                <p class="starmus-storage-usage" data-starmus-storage-usage hidden></p>
+            </div>
+
+            <div class="starmus-queue-panel" data-starmus-queue-panel style="display:none;">
+                <h2 class="starmus-queue-heading"><?php esc_html_e('Waiting to Upload', 'starmus-audio-recorder'); ?></h2>
+                <ul class="starmus-queue-list" data-starmus-queue-list></ul>
+                <button type="button" class="button" data-starmus-queue-export>
+                    <?php esc_html_e('Export All', 'starmus-audio-recorder'); ?>
+                </button>
+            </div>
+        </div>
+        <?php
+    }
+
     /**
      * Register plugin settings with WordPress Settings API.
      *
@@ -275,6 +330,10 @@ class StarmusAdmin
             // Collect IP/UA
             $sanitized['collect_ip_ua'] = empty($input['collect_ip_ua']) ? 0 : 1;
 
+            // Offline queue encryption
+            $encryption = sanitize_key($input['offline_encryption'] ?? 'off');
+            $sanitized['offline_encryption'] = \in_array($encryption, StarmusSettings::OFFLINE_ENCRYPTION_MODES, true) ? $encryption : 'off';
+
             // Delete on uninstall
             $sanitized['delete_on_uninstall'] = empty($input['delete_on_uninstall']) ? 0 : 1;
 
@@ -430,6 +489,16 @@ class StarmusAdmin
                     'label' => __('Save submitter IP and user agent for all submissions.', 'starmus-audio-recorder'),
                     'description' => __('Enabling this may have privacy implications. Ensure compliance with data protection laws.', 'starmus-audio-recorder'),
                 ],
+                'offline_encryption' => [
+                    'title' => __('Encrypt Offline Recordings', 'starmus-audio-recorder'),
+                    'section' => 'starmus_privacy_section',
+                    'options' => [
+                        'off' => __('Off', 'starmus-audio-recorder'),
+                        'device' => __('With a key stored on the device', 'starmus-audio-recorder'),
+                        'pin' => __('With a PIN the contributor enters', 'starmus-audio-recorder'),
+                    ],
+                    'description' => __('Encrypts recordings waiting on a device for a connection. A PIN also protects them from other users of a shared device, but they upload only after the PIN is entered, and they cannot be recovered if it is forgotten.', 'starmus-audio-recorder'),
+                ],
                 'delete_on_uninstall' => [
                     'title' => __('Delete All Data on Uninstall', 'starmus-audio-recorder'),
                     'section' => 'starmus_privacy_section',
@@ -529,6 +598,20 @@ class StarmusAdmin
                     );
                     break;
 
+                case 'select':
+                    printf('<select id="%s" name="%s">', esc_attr($id), esc_attr($name));
+                    foreach ($args['options'] ?? [] as $option => $label) {
+                        printf(
+                            '<option value="%s" %s>%s</option>',
+                            esc_attr((string) $option),
+                            selected((string) $value, (string) $option, false),
+                            esc_html($label)
+                        );
+                    }
+
+                    echo '</select>';
+                    break;
+
                 case 'number':
                     printf(
                         '<input type="number" id="%s" name="%s" value="%s" class="small-text" min="1" max="100" />',
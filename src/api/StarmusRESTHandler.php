@@ -24,6 +24,11 @@ declare(strict_types=1);
  * - `POST /wp-json/star/v1/upload-fallback` - Direct file upload fallback
  * - `POST /wp-json/star/v1/upload-chunk-legacy` - Base64 legacy support
  * - `GET /wp-json/star/v1/status/{id}` - Submission status checking
+ * - `POST /wp-json/star/v1/upload-token` - Short-lived signed token for a TUS upload
+ * - `GET /wp-json/star/v1/upload-result` - Post ID and redirect once a TUS upload is processed
+ * - `POST /wp-json/star/v1/upload-session` - Start a resumable chunked upload (no tusd)
+ * - `GET|PUT /wp-json/star/v1/upload-session/{id}` - Session offset / append a Content-Range chunk
+ * - `POST /wp-json/star/v1/upload-session/{id}/finalize` - Process the assembled file
  *
  * Authentication & Permissions:
  * - Requires `upload_files` WordPress capability
@@ -83,15 +88,21 @@ if ( ! \defined('ABSPATH')) {
 
 use function __;
 use function add_action;
+use function absint;
 use function current_user_can;
 use function do_action;
+use function get_current_user_id;
 use function is_wp_error;
 use function register_rest_route;
+use function sanitize_file_name;
+use function wp_parse_url;
 
 use Starisian\Sparxstar\Starmus\core\StarmusSettings;
 use Starisian\Sparxstar\Starmus\core\StarmusSubmissionHandler;
 use Starisian\Sparxstar\Starmus\data\interfaces\IStarmusAudioDAL;
 use Starisian\Sparxstar\Starmus\helpers\StarmusLogger;
+use Starisian\Sparxstar\Starmus\helpers\StarmusUploadToken;
+use Starisian\Sparxstar\Starmus\includes\StarmusTusdHookHandler;
 use WP_REST_Request;
 use WP_REST_Response;
 
@@ -203,6 +214,20 @@ final class StarmusRESTHandler
      *    - Supports progress tracking and error reporting
      *    - Handler: StarmusRESTHandler::handle_status
      *
+     * 5. **Upload Token**: `/upload-token` (POST)
+     *    - Signs a short-lived token for one TUS upload
+     *    - Replaces the webhook secret the browser used to hold
+     *    - Handler: StarmusRESTHandler::handle_upload_token
+     *
+     * 6. **Upload Result**: `/upload-result` (GET)
+     *    - Polled after a TUS transfer until the async post-finish hook is done
+     *    - Handler: StarmusRESTHandler::handle_upload_result
+     *
+     * 7. **Chunked Sessions**: `/upload-session` (POST), `/upload-session/{id}` (GET, PUT),
+     *    `/upload-session/{id}/finalize` (POST)
+     *    - Resumable fallback for hosts without tusd: init, byte-range chunks, finalize
+     *    - Handlers: StarmusSubmissionHandler::handle_upload_session_*
+     *
      * Permission Strategy:
      * - All routes require `upload_files` WordPress capability
      * - Integrates with WordPress user authentication system
@@ -272,6 +297,103 @@ final class StarmusRESTHandler
         ],
             ]
         );
+
+        // 5. TUS Upload Token
+        register_rest_route(
+            $namespace,
+            '/upload-token',
+            [
+        'methods' => 'POST',
+        'callback' => $this->handle_upload_token(...),
+        'permission_callback' => $this->upload_permissions_check(...),
+        'args' => [
+        'filename' => [
+         'required' => true,
+         'type' => 'string',
+         'sanitize_callback' => 'sanitize_file_name',
+        ],
+        'size' => [
+         'required' => true,
+         'type' => 'integer',
+         'minimum' => 1,
+        ],
+        'post_id' => [
+         'type' => 'integer',
+         'default' => 0,
+        ],
+        ],
+            ]
+        );
+
+        // 6. TUS Upload Result
+        register_rest_route(
+            $namespace,
+            '/upload-result',
+            [
+        'methods' => 'GET',
+        'callback' => $this->handle_upload_result(...),
+        'permission_callback' => $this->upload_permissions_check(...),
+        'args' => [
+        'tus_url' => [
+         'required' => true,
+         'type' => 'string',
+         'sanitize_callback' => 'esc_url_raw',
+        ],
+        ],
+            ]
+        );
+
+        // 7. Resumable Chunked Fallback
+        register_rest_route(
+            $namespace,
+            '/upload-session',
+            [
+        'methods' => 'POST',
+        'callback' => $this->submission_handler->handle_upload_session_init(...),
+        'permission_callback' => $this->upload_permissions_check(...),
+        'args' => [
+        'filename' => [
+         'required' => true,
+         'type' => 'string',
+        ],
+        'size' => [
+         'required' => true,
+         'type' => 'integer',
+         'minimum' => 1,
+        ],
+        'mime' => [
+         'type' => 'string',
+        ],
+        ],
+            ]
+        );
+
+        register_rest_route(
+            $namespace,
+            '/upload-session/(?P<id>[a-f0-9]{32})',
+            [
+        [
+        'methods' => 'GET',
+        'callback' => $this->submission_handler->handle_upload_session_status(...),
+        'permission_callback' => $this->upload_permissions_check(...),
+        ],
+        [
+        'methods' => 'PUT',
+        'callback' => $this->submission_handler->handle_upload_session_chunk(...),
+        'permission_callback' => $this->upload_permissions_check(...),
+        ],
+            ]
+        );
+
+        register_rest_route(
+            $namespace,
+            '/upload-session/(?P<id>[a-f0-9]{32})/finalize',
+            [
+        'methods' => 'POST',
+        'callback' => $this->submission_handler->handle_upload_session_finalize(...),
+        'permission_callback' => $this->upload_permissions_check(...),
+            ]
+        );
     }
 
     /**
@@ -434,6 +556,145 @@ final class StarmusRESTHandler
         }
     }
 
+    /**
+     * Issues a short-lived signed token for one TUS upload.
+     *
+     * The token is bound to the file name, size, target post and user, and is
+     * verified by StarmusTusdHookHandler when tusd forwards it. Clients request
+     * a fresh one before the current token expires during long uploads.
+     *
+     * @param WP_REST_Request $request Request with `filename`, `size` and optional `post_id`
+     *
+     * **Success Response** (200):
+     * ```json
+     * {
+     *   "success": true,
+     *   "data": { "token": "eyJm...c2f1", "expires": 1760000000 }
+     * }
+     * ```
+     *
+     * @return WP_REST_Response Token and expiry (Unix seconds), or an error response
+     *
+     * @see StarmusUploadToken::issue() Token signing
+     */
+    public function handle_upload_token(WP_REST_Request $request): WP_REST_Response
+    {
+        $post_id = absint($request['post_id'] ?? 0);
+
+        // Replacing a recording requires the right to edit it
+        if ($post_id > 0 && ! current_user_can('edit_post', $post_id)) {
+            return new WP_REST_Response(
+                [
+              'code' => 'forbidden',
+              'message' => __('You cannot replace this recording.', 'starmus-audio-recorder'),
+              'data' => ['status' => 403],
+                ],
+                403
+            );
+        }
+
+        $grant = StarmusUploadToken::issue(
+            sanitize_file_name((string) $request['filename']),
+            (int) $request['size'],
+            $post_id,
+            get_current_user_id()
+        );
+
+        if (is_wp_error($grant)) {
+            StarmusLogger::error($grant->get_error_message(), ['component' => self::class]);
+            return new WP_REST_Response(
+                [
+              'code' => $grant->get_error_code(),
+              'message' => $grant->get_error_message(),
+              'data' => ['status' => 500],
+                ],
+                500
+            );
+        }
+
+        return new WP_REST_Response(
+            [
+          'success' => true,
+          'data' => $grant,
+            ],
+            200
+        );
+    }
+
+    /**
+     * Reports the outcome of a finished TUS upload.
+     *
+     * tusd calls the post-finish hook asynchronously, so the TUS client only
+     * knows its upload URL. It polls this endpoint with that URL until the hook
+     * has created the recording, then gets the same shape as the direct upload.
+     *
+     * @param WP_REST_Request $request Request with the `tus_url` of the upload
+     *
+     * Response Formats:
+     * - **200** `{ "success": true, "data": { "post_id", "attachment_id", "url", "redirect_url" } }`
+     * - **202** `{ "success": false, "status": "processing" }` while the hook runs (or has not arrived)
+     * - **404** `{ "code": "not_found" }` for unknown uploads or uploads of another user
+     * - **422** `{ "code": "...", "message": "..." }` when processing failed
+     *
+     * @return WP_REST_Response
+     *
+     * @see StarmusTusdHookHandler::get_result() Stored post-finish outcomes
+     */
+    public function handle_upload_result(WP_REST_Request $request): WP_REST_Response
+    {
+        $path = (string) wp_parse_url((string) $request['tus_url'], PHP_URL_PATH);
+        $upload_id = basename(rtrim($path, '/'));
+
+        if ('' === $upload_id) {
+            return new WP_REST_Response(
+                [
+              'code' => 'invalid_tus_url',
+              'message' => 'Missing upload ID.',
+              'data' => ['status' => 400],
+                ],
+                400
+            );
+        }
+
+        $result = StarmusTusdHookHandler::get_result($upload_id, get_current_user_id());
+
+        if (null === $result) {
+            return new WP_REST_Response(
+                [
+              'code' => 'not_found',
+              'message' => 'Upload result not found',
+              'data' => ['status' => 404],
+                ],
+                404
+            );
+        }
+
+        return match ($result['status'] ?? '') {
+            'complete' => new WP_REST_Response(
+                [
+              'success' => true,
+              'data' => $result['data'] ?? [],
+                ],
+                200
+            ),
+            'failed' => new WP_REST_Response(
+                [
+              'code' => $result['code'] ?? 'upload_failed',
+              'message' => $result['message'] ?? 'Upload processing failed.',
+              'data' => ['status' => 422],
+                ],
+                422
+            ),
+            default => new WP_REST_Response(
+                [
+              'success' => false,
+              'status' => 'processing',
+                ],
+                202
+            ),
+        };
+    }
+
     /**
      * Provides real-time status information for audio submission posts.
      *
@@ -26,6 +26,7 @@ use function file_exists;
 use function filemtime;
 use function is_admin;
 
+use Starisian\Sparxstar\Starmus\admin\StarmusAdmin;
 use Starisian\Sparxstar\Starmus\helpers\StarmusLogger;
 
 use function str_replace;
@@ -55,6 +56,16 @@ final class StarmusAssetLoader
      */
     private const STYLE_HANDLE = 'starmus-audio-recorder-styles';
 
+    /**
+     * Query argument that serves the service worker from the site root.
+     *
+     * A worker only controls pages under its own URL path, so it can't be loaded
+     * from the plugin's assets directory.
+     *
+     * @var string
+     */
+    private const SERVICE_WORKER_QUERY_ARG = 'starmus_sw';
+
     /**
      * StarmusSettings settings object
      */
@@ -85,6 +96,45 @@ final class StarmusAssetLoader
     {
         // PHP 8.1+ First-class callable syntax
         add_action('wp_enqueue_scripts', $this->enqueue_frontend_assets(...));
+        add_action('parse_request', $this->serve_service_worker(...));
+        add_action('admin_enqueue_scripts', $this->enqueue_admin_import_assets(...));
+    }
+
+    /**
+     * Serves the offline-queue service worker for `/?starmus_sw=1`.
+     */
+    public function serve_service_worker(): void
+    {
+        if ( ! isset($_GET[self::SERVICE_WORKER_QUERY_ARG])) {
+            return;
+        }
+
+        $path = (\defined('STARMUS_PATH') ? STARMUS_PATH : '') . 'assets/js/starmus-service-worker.min.js';
+        if ( ! file_exists($path)) {
+            status_header(404);
+            exit;
+        }
+
+        // Browsers re-check the worker on navigation; never let a stale copy stick
+        nocache_headers();
+        header('Content-Type: application/javascript; charset=utf-8');
+        readfile($path);
+        exit;
+    }
+
+    /**
+     * Enqueues the recorder bundle on the admin "Import Recordings" page only,
+     * where it runs the offline queue for imported bundles.
+     */
+    public function enqueue_admin_import_assets(): void
+    {
+        $page = isset($_GET['page']) ? sanitize_key(wp_unslash($_GET['page'])) : '';
+        if ($page !== StarmusAdmin::STARMUS_IMPORT_SLUG) {
+            return;
+        }
+
+        $this->enqueue_production_assets();
+        $this->enqueue_styles();
     }
 
     /**
@@ -380,6 +430,7 @@ final class StarmusAssetLoader
      *
      * Builds the configuration object that's localized to JavaScript, including:
      * - REST API endpoints for uploads
+     * - Service worker URL for background queue uploads
      * - Authentication nonce
      * - Current user ID
      * - Allowed file types and MIME types from settings
@@ -415,12 +466,18 @@ final class StarmusAssetLoader
             $tus_endpoint = (string) $settings->get('tus_endpoint', 'https://contribute.sparxstar.com/files/');
             $speech_lang = (string) $settings->get('speech_recognition_lang', 'en-US');
             $slug = (string) $settings->get('my_recordings_page_slug', 'my-submissions');
+            $encryption = (string) $settings->get('offline_encryption', 'off');
             $namespace = \defined('STARMUS_REST_NAMESPACE') ? STARMUS_REST_NAMESPACE : 'starmus/v1';
 
             return [
                 'endpoints' => [
                     'directUpload' => esc_url_raw(rest_url($namespace . '/upload-fallback')),
                     'tusUpload' => esc_url_raw($tus_endpoint),
+                    'uploadToken' => esc_url_raw(rest_url($namespace . '/upload-token')),
+                    'uploadResult' => esc_url_raw(rest_url($namespace . '/upload-result')),
+                    'uploadSession' => esc_url_raw(rest_url($namespace . '/upload-session')),
+                    // WordPress core action; lets queued uploads renew an expired REST nonce
+                    'nonceRefresh' => esc_url_raw(admin_url('admin-ajax.php?action=rest-nonce')),
                 ],
                 'nonce' => wp_create_nonce('wp_rest'),
                 'user_id' => get_current_user_id(),
@@ -428,18 +485,22 @@ final class StarmusAssetLoader
                 'allowedMimeTypes' => $allowed_mimes,
                 'speechRecognitionLang' => sanitize_text_field($speech_lang),
                 'myRecordingsUrl' => esc_url_raw(home_url('/' . $slug . '/')),
+                'serviceWorkerUrl' => esc_url_raw(add_query_arg(self::SERVICE_WORKER_QUERY_ARG, '1', home_url('/'))),
+                'offlineEncryption' => \in_array($encryption, StarmusSettings::OFFLINE_ENCRYPTION_MODES, true) ? $encryption : 'off',
             ];
         } catch (Throwable $throwable) {
             // Fallback if settings completely fail
             StarmusLogger::log($throwable);
             return [
-                'endpoints' => ['directUpload' => '', 'tusUpload' => ''],
+                'endpoints' => ['directUpload' => '', 'tusUpload' => '', 'uploadToken' => '', 'uploadResult' => '', 'uploadSession' => '', 'nonceRefresh' => ''],
                 'nonce' => '',
                 'user_id' => 0,
                 'allowedFileTypes' => [],
                 'allowedMimeTypes' => [],
                 'speechRecognitionLang' => 'en-US',
                 'myRecordingsUrl' => '',
+                'serviceWorkerUrl' => '',
+                'offlineEncryption' => 'off',
             ];
         }
     }
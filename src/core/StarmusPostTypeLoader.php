@@ -2020,6 +2020,27 @@ final class StarmusPostTypeLoader implements IContentBundle
                         'append' => '',
                         'readonly' => 1,
                     ],
+                    [
+                        'key' => 'starmus_audio_sha256',
+                        'label' => 'Audio Checksum (SHA-256)',
+                        'name' => 'starmus_audio_sha256',
+                        'aria-label' => '',
+                        'type' => 'text',
+                        'instructions' => 'A code calculated from the recording on the contributor\'s device and checked when it arrived, proving the file was received complete. Saved automatically.',
+                        'required' => false,
+                        'conditional_logic' => false,
+                        'wrapper' => [
+                            'width' => '',
+                            'class' => '',
+                            'id' => '',
+                        ],
+                        'default_value' => '',
+                        'maxlength' => '',
+                        'placeholder' => '',
+                        'prepend' => '',
+                        'append' => '',
+                        'readonly' => 1,
+                    ],
                     [
                         'key' => 'starmus_environment_data',
                         'label' => 'Environment Snapshot',
@@ -102,6 +102,16 @@ final class StarmusSettings implements IStarmusSettings
      */
     public const STARMUS_OPTION_KEY = 'starmus_options';
 
+    /**
+     * Encryption modes for recordings waiting in the browser's offline queue.
+     *
+     * 'device' seals them under a key kept on the device; 'pin' under a key
+     * derived from a PIN the contributor enters.
+     *
+     * @var array<int, string>
+     */
+    public const OFFLINE_ENCRYPTION_MODES = ['off', 'device', 'pin'];
+
     /**
      * Cached plugin settings for current request.
      *
@@ -307,6 +317,7 @@ final class StarmusSettings implements IStarmusSettings
                     'tus_endpoint' => 'https://contribute.sparxstar.com/files/',
                     'consent_message' => 'I consent to having this audio recording stored and used.', // FIXED SYNTAX
                     'collect_ip_ua' => 0,
+                    'offline_encryption' => 'off',
                     'delete_on_uninstall' => 0,
                     'data_policy_url' => '',
                     'edit_page_id' => 0,
@@ -331,6 +342,7 @@ final class StarmusSettings implements IStarmusSettings
                 'tus_endpoint' => 'https://contribute.sparxstar.com/files/',
                 'consent_message' => 'I consent to having this audio recording stored and used.',
                 'collect_ip_ua' => 0,
+                'offline_encryption' => 'off',
                 'delete_on_uninstall' => 0,
                 'data_policy_url' => '',
                 'edit_page_id' => 0,
@@ -413,6 +425,8 @@ final class StarmusSettings implements IStarmusSettings
                 return max(1, min($v, 3600));
             case 'collect_ip_ua':
                 return (int) ! empty($value);
+            case 'offline_encryption':
+                return \in_array($value, self::OFFLINE_ENCRYPTION_MODES, true) ? $value : 'off';
             case 'edit_page_id':
             case 'recorder_page_id':
             case 'my_recordings_page_id':
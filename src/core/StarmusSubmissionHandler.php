@@ -54,26 +54,39 @@ namespace Starisian\Sparxstar\Starmus\core;
 use function apply_filters;
 use function array_map;
 use function base64_decode;
+use function clearstatcache;
+use function delete_transient;
 use function explode;
+use function fclose;
+use function fflush;
 use function file_exists;
 use function file_put_contents;
 use function filemtime;
 use function filesize;
+use function flock;
+use function fopen;
+use function fwrite;
 use function get_current_user_id;
 use function get_post_meta;
 use function get_post_type;
+use function get_transient;
 use function glob;
+use function hash_equals;
+use function hash_file;
 use function home_url;
 use function is_dir;
+use function is_readable;
 use function is_wp_error;
 use function json_decode;
 use function mime_content_type;
 use function mkdir;
 use function pathinfo;
+use function preg_match;
 use function rmdir;
 use function sanitize_file_name;
 use function sanitize_key;
 use function sanitize_text_field;
+use function set_transient;
 
 use Starisian\Sparxstar\Starmus\core\interfaces\IStarmusSubmissionHandler;
 use Starisian\Sparxstar\Starmus\data\interfaces\IStarmusAudioDAL;
@@ -93,6 +106,7 @@ use function time;
 use function trailingslashit;
 use function unlink;
 use function wp_check_filetype;
+use function wp_generate_uuid4;
 
 use WP_Error;
 
@@ -119,6 +133,11 @@ if ( ! \defined('ABSPATH')) {
 
 final class StarmusSubmissionHandler implements IStarmusSubmissionHandler
 {
+    /**
+     * Transient prefix for resumable chunked upload sessions.
+     */
+    private const UPLOAD_SESSION_PREFIX = 'starmus_upload_session_';
+
     /**
      * Class constructor dependencies.
      *
@@ -547,6 +566,11 @@ final class StarmusSubmissionHandler implements IStarmusSubmissionHandler
                 return $validation;
             }
 
+            $checksum = $this->verify_upload_checksum((string) $file['tmp_name'], $form_data);
+            if (is_wp_error($checksum)) {
+                return $checksum;
+            }
+
             error_log('[STARMUS PHP] Processing fallback upload for key: ' . $file_key);
             $result = $this->process_fallback_upload($files_data, $form_data, $file_key);
 
@@ -675,6 +699,317 @@ final class StarmusSubmissionHandler implements IStarmusSubmissionHandler
     }
 
     // --- METADATA SAVING ---
+    // --- RESUMABLE CHUNKED FALLBACK (hosts without tusd) ---
+
+    /**
+     * Starts a resumable chunked upload session.
+     *
+     * Validates the announced file up front so a disallowed or oversized file
+     * is refused before any bytes are sent. The session lives for a day, the
+     * same window cleanup_stale_temp_files() keeps `.part` files.
+     *
+     * @param WP_REST_Request $request Request with `filename`, `size` and `mime`
+     *
+     * Success Response:
+     * ```php
+     * ['success' => true, 'data' => ['session_id' => 'a1b2…', 'offset' => 0]]
+     * ```
+     *
+     * @return array<string, mixed>|WP_Error Session ID and starting offset or error object
+     */
+    public function handle_upload_session_init(WP_REST_Request $request): array|WP_Error
+    {
+        try {
+            $user_id = get_current_user_id();
+            if ($this->is_rate_limited($user_id)) {
+                return $this->err('rate_limited', 'Too frequent.', 429);
+            }
+
+            $filename = sanitize_file_name((string) $request['filename']);
+            $size = (int) $request['size'];
+            $mime = sanitize_text_field((string) ($request['mime'] ?? ''));
+
+            if ($filename === '' || $size <= 0) {
+                return $this->err('missing_data', 'Missing filename or size.', 400);
+            }
+
+            $validation = $this->validate_file_against_settings($mime, $size);
+            if (is_wp_error($validation)) {
+                return $validation;
+            }
+
+            $temp_dir = $this->get_temp_dir();
+            if ( ! file_exists($temp_dir)) {
+                mkdir($temp_dir, 0o755, true);
+            }
+
+            $session_id = str_replace('-', '', wp_generate_uuid4());
+            $session = [
+                'user_id' => $user_id,
+                'filename' => $filename,
+                'mime' => $mime,
+                'size' => $size,
+                'offset' => 0,
+                'path' => $temp_dir . 'session-' . $session_id . '.part',
+            ];
+
+            if (file_put_contents($session['path'], '') === false) {
+                return $this->err('write_failed', 'Failed to create temp file.', 500);
+            }
+
+            $this->save_upload_session($session_id, $session);
+
+            return [
+                'success' => true,
+                'data' => [
+                    'session_id' => $session_id,
+                    'offset' => 0,
+                ],
+            ];
+        } catch (Throwable $throwable) {
+            StarmusLogger::log($throwable, ['component' => self::class, 'method' => __METHOD__]);
+            return $this->err('server_error', 'Could not start upload session.', 500);
+        }
+    }
+
+    /**
+     * Reports how many bytes of a session the server holds, for resuming.
+     *
+     * @param WP_REST_Request $request Request with the session `id`
+     *
+     * @return array<string, mixed>|WP_Error Offset and size or 404 error
+     */
+    public function handle_upload_session_status(WP_REST_Request $request): array|WP_Error
+    {
+        $session = $this->get_upload_session((string) $request['id']);
+        if (is_wp_error($session)) {
+            return $session;
+        }
+
+        return [
+            'success' => true,
+            'data' => [
+                'offset' => (int) $session['offset'],
+                'size' => (int) $session['size'],
+            ],
+        ];
+    }
+
+    /**
+     * Appends one chunk to a session.
+     *
+     * The raw request body is the chunk; `Content-Range: bytes start-end/total`
+     * says where it belongs. A chunk that doesn't start at the current offset is
+     * refused with 409 and the offset, so the client can realign after a lost
+     * response instead of corrupting the file.
+     *
+     * The offset check, append and session save run under an exclusive lock on
+     * the `.part` file, and the offset is its size as seen under that lock, so
+     * two concurrent requests for the same range cannot both be appended.
+     *
+     * @param WP_REST_Request $request PUT request with the session `id`
+     *
+     * @return array<string, mixed>|WP_Error New offset or error object
+     */
+    public function handle_upload_session_chunk(WP_REST_Request $request): array|WP_Error
+    {
+        try {
+            $session_id = (string) $request['id'];
+            $session = $this->get_upload_session($session_id);
+            if (is_wp_error($session)) {
+                return $session;
+            }
+
+            $range = (string) $request->get_header('content_range');
+            if ( ! preg_match('/^bytes (\d+)-(\d+)\/(\d+)$/', trim($range), $m)) {
+                return $this->err('invalid_range', 'Missing or malformed Content-Range.', 400);
+            }
+
+            [$start, $end, $total] = [(int) $m[1], (int) $m[2], (int) $m[3]];
+            $body = $request->get_body();
+
+            if ($total !== (int) $session['size'] || $end < $start || $end >= $total) {
+                return $this->err('invalid_range', 'Content-Range does not match the session.', 416);
+            }
+
+            if (\strlen($body) !== $end - $start + 1) {
+                return $this->err('length_mismatch', 'Chunk length does not match Content-Range.', 400);
+            }
+
+            $handle = file_exists($session['path']) ? fopen($session['path'], 'ab') : false;
+            if (false === $handle || ! flock($handle, LOCK_EX)) {
+                if (false !== $handle) {
+                    fclose($handle);
+                }
+                return $this->err('write_failed', 'Failed to lock upload session.', 500);
+            }
+
+            try {
+                // The part file is the source of truth; the session may lag a concurrent request
+                clearstatcache(true, $session['path']);
+                $offset = (int) filesize($session['path']);
+
+                if ($start !== $offset) {
+                    $session['offset'] = $offset;
+                    $this->save_upload_session($session_id, $session);
+                    return new WP_Error(
+                        'offset_mismatch',
+                        'Chunk does not start at the current offset.',
+                        ['status' => 409, 'offset' => $offset]
+                    );
+                }
+
+                if (fwrite($handle, $body) !== \strlen($body) || ! fflush($handle)) {
+                    return $this->err('write_failed', 'Failed to write chunk.', 500);
+                }
+
+                $session['offset'] = $end + 1;
+                $this->save_upload_session($session_id, $session);
+            } finally {
+                flock($handle, LOCK_UN);
+                fclose($handle);
+            }
+
+            return [
+                'success' => true,
+                'data' => ['offset' => $session['offset']],
+            ];
+        } catch (Throwable $throwable) {
+            StarmusLogger::log($throwable, ['component' => self::class, 'method' => __METHOD__]);
+            return $this->err('server_error', 'Chunk upload failed.', 500);
+        }
+    }
+
+    /**
+     * Completes a session: processes the assembled file like any other upload.
+     *
+     * Form fields and metadata arrive with this request, not with the chunks.
+     * Returns the same shape as the single-request fallback upload.
+     *
+     * @param WP_REST_Request $request Request with the session `id` and form fields
+     *
+     * @return array<string, mixed>|WP_Error Success data with post/attachment IDs and redirect or error object
+     */
+    public function handle_upload_session_finalize(WP_REST_Request $request): array|WP_Error
+    {
+        try {
+            $session_id = (string) $request['id'];
+            $session = $this->get_upload_session($session_id);
+            if (is_wp_error($session)) {
+                return $session;
+            }
+
+            if ((int) $session['offset'] !== (int) $session['size']) {
+                return new WP_Error(
+                    'upload_incomplete',
+                    'Not all bytes have been received.',
+                    ['status' => 409, 'offset' => (int) $session['offset']]
+                );
+            }
+
+            $params = $request->get_params();
+            unset($params['id']);
+
+            $form_data = $this->sanitize_submission_data($params);
+            $form_data['filename'] = $session['filename'];
+            $form_data['filetype'] = $session['mime'];
+
+            // A damaged file can't be repaired by finalizing again: drop the session
+            // so the client's retry starts a new one and sends the audio afresh
+            $checksum = $this->verify_upload_checksum($session['path'], $form_data);
+            if (is_wp_error($checksum)) {
+                if (file_exists($session['path'])) {
+                    unlink($session['path']);
+                }
+                delete_transient(self::UPLOAD_SESSION_PREFIX . $session_id);
+                return $checksum;
+            }
+
+            $result = $this->process_completed_file($session['path'], $form_data);
+            if (is_wp_error($result)) {
+                return $result;
+            }
+
+            delete_transient(self::UPLOAD_SESSION_PREFIX . $session_id);
+
+            return [
+                'success' => true,
+                'data' => [
+                    'attachment_id' => (int) $result['attachment_id'],
+                    'post_id' => (int) $result['post_id'],
+                    'url' => $result['url'] ?? '',
+                    'redirect_url' => esc_url($this->get_redirect_url()),
+                ],
+            ];
+        } catch (Throwable $throwable) {
+            StarmusLogger::log($throwable, ['component' => self::class, 'method' => __METHOD__]);
+            return $this->err('server_error', 'Could not finalize upload.', 500);
+        }
+    }
+
+    /**
+     * Compares a received file with the SHA-256 the client took when the audio was recorded.
+     *
+     * Catches uploads truncated or altered on the way, which would otherwise be saved
+     * as a shorter but valid-looking recording. Submissions without `audio_sha256`
+     * (older clients) are accepted unchecked.
+     *
+     * @param string $file_path Received file
+     * @param array<string, mixed> $form_data Sanitized form data with optional `audio_sha256`
+     *
+     * @return true|WP_Error True when the file matches or no checksum was sent;
+     *                       `checksum_mismatch` (422) or `invalid_checksum` (400) otherwise
+     */
+    public function verify_upload_checksum(string $file_path, array $form_data): true|WP_Error
+    {
+        $expected = strtolower(trim((string) ($form_data['audio_sha256'] ?? '')));
+        if ('' === $expected) {
+            return true;
+        }
+
+        if ( ! preg_match('/^[a-f0-9]{64}$/', $expected)) {
+            return $this->err('invalid_checksum', 'Malformed audio checksum.', 400);
+        }
+
+        $actual = is_readable($file_path) ? hash_file('sha256', $file_path) : false;
+        if ( ! \is_string($actual) || ! hash_equals($expected, $actual)) {
+            return $this->err('checksum_mismatch', 'The received audio does not match its checksum.', 422);
+        }
+
+        return true;
+    }
+
+    /**
+     * Loads an upload session owned by the current user.
+     *
+     * @param string $session_id Session identifier
+     *
+     * @return array<string, mixed>|WP_Error Session data or 404 error
+     */
+    private function get_upload_session(string $session_id): array|WP_Error
+    {
+        $session = preg_match('/^[a-f0-9]{32}$/', $session_id)
+            ? get_transient(self::UPLOAD_SESSION_PREFIX . $session_id)
+            : false;
+
+        if ( ! \is_array($session) || (int) $session['user_id'] !== get_current_user_id()) {
+            return $this->err('session_not_found', 'Upload session not found or expired.', 404);
+        }
+
+        return $session;
+    }
+
+    /**
+     * Persists upload session state.
+     *
+     * @param string $session_id Session identifier
+     * @param array<string, mixed> $session Session data
+     */
+    private function save_upload_session(string $session_id, array $session): void
+    {
+        set_transient(self::UPLOAD_SESSION_PREFIX . $session_id, $session, DAY_IN_SECONDS);
+    }
+
     /**
      * Saves comprehensive metadata for audio recording posts.
      *
@@ -777,6 +1112,11 @@ final class StarmusSubmissionHandler implements IStarmusSubmissionHandler
                 $this->update_acf_field('starmus_transcription_json', $trans_json, $audio_post_id);
             }
 
+            // Verified against the file before it was saved
+            if ( ! empty($form_data['audio_sha256'])) {
+                $this->update_acf_field('starmus_audio_sha256', strtolower((string) $form_data['audio_sha256']), $audio_post_id);
+            }
+
             // Handle recording metadata from JavaScript
             if ( ! empty($form_data['recording_metadata'])) {
                 $metadata_value = \is_string($form_data['recording_metadata']) ? $form_data['recording_metadata'] : json_encode($form_data['recording_metadata']);
@@ -1076,7 +1416,7 @@ final class StarmusSubmissionHandler implements IStarmusSubmissionHandler
      *
      * @since 1.0.0
      */
-    private function get_redirect_url(): string
+    public function get_redirect_url(): string
     {
         // Try getting the Page ID first (Most reliable)
         $page_ids = $this->settings->get('my_recordings_page_id');
@@ -68,13 +68,29 @@ class StarmusAudioRecorderUI
 
     /**
      * Render the recorder form shortcode.
+     * Usage: [starmus_audio_recorder max_duration="600" max_size="5" auto_pause="8"]
+     * max_duration is in seconds and max_size in megabytes; both can only tighten tier limits.
+     * auto_pause pauses the recorder after that many seconds of silence (0 = off).
      */
-    public function render_recorder_shortcode(): string
+    public function render_recorder_shortcode(array $atts = []): string
     {
 
         try {
+            $atts = shortcode_atts(
+                [
+                    'max_duration' => 0,
+                    'max_size' => 0,
+                    'auto_pause' => 0,
+                ],
+                $atts,
+                'starmus_audio_recorder'
+            );
+
             $template_args = [
                 'form_id' => 'starmus_recorder_form',
+                'max_duration' => absint($atts['max_duration']),
+                'max_size' => absint($atts['max_size']),
+                'auto_pause' => absint($atts['auto_pause']),
                 'consent_message' => $this->settings instanceof StarmusSettings ? $this->settings->get('consent_message', 'I consent to the terms and conditions.') : 'I consent to the terms and conditions.',
                 'data_policy_url' => $this->settings instanceof StarmusSettings ? $this->settings->get('data_policy_url', '') : '',
                 'recording_types' => $this->get_cached_terms('recording-type', 'starmus_recording_types_list'),
@@ -101,6 +117,9 @@ class StarmusAudioRecorderUI
                     'post_id' => 0,
                     'target_post_id' => 0,
                     'script_id' => 0, // NEW: Script context
+                    'max_duration' => 0,
+                    'max_size' => 0,
+                    'auto_pause' => 0,
                 ],
                 $atts,
                 'starmus_audio_re_recorder'
@@ -201,6 +220,9 @@ class StarmusAudioRecorderUI
                 'existing_type' => $type_id,
                 'existing_dialect' => $dialect_id,
                 'script_id' => $formatted_script_id, // Pass script ID to template
+                'max_duration' => absint($atts['max_duration']),
+                'max_size' => absint($atts['max_size']),
+                'auto_pause' => absint($atts['auto_pause']),
                 'consent_message' => $this->settings instanceof StarmusSettings
                     ? $this->settings->get('consent_message', 'I consent to the terms and conditions.')
                     : 'I consent to the terms and conditions.',
@@ -155,9 +155,9 @@ final class StarmusShortcodeLoader
         try {
             add_shortcode(
                 'starmus_audio_recorder',
-                fn (): string => $this->safe_render(
+                fn (array|string $atts = []): string => $this->safe_render(
                     fn (): string => $this->wrap_app_mode(
-                        (new StarmusAudioRecorderUI($this->settings))->render_recorder_shortcode()
+                        (new StarmusAudioRecorderUI($this->settings))->render_recorder_shortcode((array) $atts)
                     )
                 )
             );
@@ -0,0 +1,202 @@
+<?php
+
+/**
+ * Short-lived signed tokens for TUS uploads.
+ *
+ * The browser never holds the webhook secret. Before a TUS upload starts it asks the
+ * REST API for a token bound to the file name, byte size, target post and user. The
+ * token rides along on every TUS request and tusd forwards it to the hook endpoint,
+ * which verifies the signature and that it matches the upload it arrived with. The
+ * first hook that names an upload ID binds the token's nonce to it until the token
+ * expires, so a captured token cannot start or finish a second upload.
+ *
+ * Token format: `base64url(json claims) . '.' . hex(hmac_sha256(claims, secret))`
+ *
+ * @package Starisian\Sparxstar\Starmus\helpers
+ *
+ * @version 1.0.0
+ */
+
+declare(strict_types=1);
+namespace Starisian\Sparxstar\Starmus\helpers;
+
+use function base64_decode;
+use function base64_encode;
+use function bin2hex;
+use function explode;
+use function get_transient;
+use function hash_equals;
+use function hash_hmac;
+use function json_decode;
+use function random_bytes;
+use function rtrim;
+use function max;
+use function sanitize_file_name;
+use function set_transient;
+use function strtr;
+use function time;
+use function wp_json_encode;
+
+use WP_Error;
+
+if ( ! \defined('ABSPATH')) {
+    exit;
+}
+
+final class StarmusUploadToken
+{
+    /**
+     * Header the client sends and tusd forwards to the hook endpoint.
+     */
+    public const HEADER = 'x-starmus-upload-token';
+
+    /**
+     * Token lifetime in seconds. Clients refresh before expiry on long uploads.
+     */
+    public const TTL = 600;
+
+    /**
+     * Clock skew tolerated between tusd, WordPress and the token issue time.
+     */
+    private const LEEWAY = 30;
+
+    /**
+     * Transient prefix binding a token nonce to the upload ID it was first used for.
+     */
+    private const NONCE_PREFIX = 'starmus_upload_token_';
+
+    /**
+     * Issues a token for one upload.
+     *
+     * @param string $filename Sanitized file name the client will send in the TUS metadata.
+     * @param int $size Upload size in bytes.
+     * @param int $post_id Existing recording to replace, or 0 for a new one.
+     * @param int $user_id Requesting user.
+     *
+     * @return array{token: string, expires: int}|WP_Error Token and its expiry (Unix seconds).
+     */
+    public static function issue(string $filename, int $size, int $post_id, int $user_id): array|WP_Error
+    {
+        $secret = self::secret();
+        if ('' === $secret) {
+            return new WP_Error('upload_token_unavailable', 'Upload signing is not configured.', ['status' => 500]);
+        }
+
+        $now = time();
+        $claims = [
+        'f' => $filename,
+        's' => $size,
+        'p' => $post_id,
+        'u' => $user_id,
+        'n' => bin2hex(random_bytes(8)),
+        't' => $now,
+        'e' => $now + self::TTL,
+        ];
+
+        $payload = self::base64url_encode((string) wp_json_encode($claims));
+
+        return [
+        'token' => $payload . '.' . hash_hmac('sha256', $payload, $secret),
+        'expires' => $claims['e'],
+        ];
+    }
+
+    /**
+     * Verifies a token against the upload tusd reported in its hook event.
+     *
+     * @param string $token Token from the forwarded header.
+     * @param array<string, mixed> $upload `Event.Upload` from the tusd hook payload.
+     *
+     * @return array<string, mixed>|WP_Error Decoded claims, or an error with status 403.
+     */
+    public static function verify(string $token, array $upload): array|WP_Error
+    {
+        $secret = self::secret();
+        if ('' === $secret) {
+            return new WP_Error('upload_token_unavailable', 'Upload signing is not configured.', ['status' => 500]);
+        }
+
+        $parts = explode('.', $token);
+        if (2 !== \count($parts) || ! hash_equals(hash_hmac('sha256', $parts[0], $secret), $parts[1])) {
+            return new WP_Error('unauthorized', 'Invalid upload token.', ['status' => 403]);
+        }
+
+        $claims = json_decode((string) self::base64url_decode($parts[0]), true);
+        if ( ! \is_array($claims) || empty($claims['e'])) {
+            return new WP_Error('unauthorized', 'Invalid upload token.', ['status' => 403]);
+        }
+
+        if ((int) $claims['e'] + self::LEEWAY < time()) {
+            return new WP_Error('unauthorized', 'Upload token expired.', ['status' => 403]);
+        }
+
+        $metadata = $upload['MetaData'] ?? [];
+        $filename = sanitize_file_name((string) ($metadata['filename'] ?? ''));
+        $post_id = (int) ($metadata['post_id'] ?? 0);
+
+        // Size is unknown (0) for deferred-length uploads until the final PATCH.
+        $size = (int) ($upload['Size'] ?? 0);
+
+        if ($filename !== (string) ($claims['f'] ?? '')
+            || ($size > 0 && $size !== (int) ($claims['s'] ?? 0))
+            || $post_id !== (int) ($claims['p'] ?? 0)) {
+            return new WP_Error('unauthorized', 'Upload token does not match this upload.', ['status' => 403]);
+        }
+
+        return self::bind_upload($claims, (string) ($upload['ID'] ?? ''));
+    }
+
+    /**
+     * Ties a token's nonce to one upload for the rest of the token's life.
+     *
+     * tusd reports no upload ID before the upload is created (pre-create), so the
+     * nonce is bound by the first hook that carries one. Hooks for that upload keep
+     * passing; a token already bound is refused for any other upload, including a
+     * new one being created.
+     *
+     * @param array<string, mixed> $claims Verified claims.
+     * @param string $upload_id `Event.Upload.ID`, empty before the upload exists.
+     *
+     * @return array<string, mixed>|WP_Error The claims, or an error with status 403.
+     */
+    private static function bind_upload(array $claims, string $upload_id): array|WP_Error
+    {
+        $nonce = (string) ($claims['n'] ?? '');
+        if ('' === $nonce) {
+            return new WP_Error('unauthorized', 'Invalid upload token.', ['status' => 403]);
+        }
+
+        $key = self::NONCE_PREFIX . $nonce;
+        $bound = get_transient($key);
+
+        if (\is_string($bound) && '' !== $bound) {
+            return $bound === $upload_id
+                ? $claims
+                : new WP_Error('unauthorized', 'Upload token was already used for another upload.', ['status' => 403]);
+        }
+
+        if ('' !== $upload_id) {
+            set_transient($key, $upload_id, max(1, (int) $claims['e'] + self::LEEWAY - time()));
+        }
+
+        return $claims;
+    }
+
+    /**
+     * Signing key shared with nothing but this server.
+     */
+    private static function secret(): string
+    {
+        return \defined('STARMUS_TUS_WEBHOOK_SECRET') ? (string) STARMUS_TUS_WEBHOOK_SECRET : '';
+    }
+
+    private static function base64url_encode(string $data): string
+    {
+        return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+    }
+
+    private static function base64url_decode(string $data): string|false
+    {
+        return base64_decode(strtr($data, '-_', '+/'), true);
+    }
+}
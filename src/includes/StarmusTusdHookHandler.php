@@ -5,6 +5,7 @@ namespace Starisian\Sparxstar\Starmus\includes;
 
 use Starisian\Sparxstar\Starmus\core\StarmusSubmissionHandler;
 use Starisian\Sparxstar\Starmus\helpers\StarmusLogger;
+use Starisian\Sparxstar\Starmus\helpers\StarmusUploadToken;
 use Throwable;
 use WP_Error;
 use WP_REST_Request;
@@ -29,13 +30,15 @@ if ( ! \defined('ABSPATH')) {
  * @see StarmusSubmissionHandler For file processing implementation
  *
  * Security Features:
- * - Webhook secret validation via x-starmus-secret header
- * - Path traversal protection for temporary file cleanup
+ * - Hook secret shared only with tusd via x-starmus-hook-secret header
+ * - Per-upload signed token validation via x-starmus-upload-token header
+ * - Upload and info paths confined to the tusd upload directory
  * - Input sanitization and validation
  * - JSON-only communication with proper content type handling
  *
  * Supported TUS Events:
- * - post-finish: Upload completion notification with file processing
+ * - post-finish: Upload completion notification with file processing; the outcome
+ *   is kept for a day so the browser can poll for the created post ID
  * - Default: Generic event acknowledgment
  */
 class StarmusTusdHookHandler
@@ -54,6 +57,41 @@ class StarmusTusdHookHandler
      */
     protected string $rest_base = 'hook';
 
+    /**
+     * Transient prefix for post-finish results, keyed by md5 of the TUS upload ID.
+     *
+     * @since 1.0.0
+     */
+    private const RESULT_PREFIX = 'starmus_tus_result_';
+
+    /**
+     * How long clients can look up a post-finish result.
+     *
+     * @since 1.0.0
+     */
+    private const RESULT_TTL = DAY_IN_SECONDS;
+
+    /**
+     * Header carrying the secret shared between this server and tusd.
+     *
+     * @since 1.0.0
+     */
+    public const HOOK_SECRET_HEADER = 'x-starmus-hook-secret';
+
+    /**
+     * wp-config.php constants without which hook requests are refused.
+     *
+     * @since 1.0.0
+     */
+    public const REQUIRED_CONSTANTS = ['STARMUS_TUS_WEBHOOK_SECRET', 'STARMUS_TUSD_HOOK_SECRET', 'STARMUS_TUSD_UPLOAD_DIR'];
+
+    /**
+     * Claims of the upload token accepted by permissions_check() for this request.
+     *
+     * @var array<string, mixed>
+     */
+    private array $token_claims = [];
+
     /**
      * Initializes the TUS webhook handler with required dependencies.
      *
@@ -75,10 +113,73 @@ class StarmusTusdHookHandler
      * @since 1.0.0
      *
      * @hook rest_api_init Called when WordPress REST API is initialized
+     * @hook admin_notices Warns administrators about missing tusd configuration
      */
     public function register_hooks(): void
     {
         add_action('rest_api_init', $this->register_routes(...));
+
+        if (is_admin()) {
+            add_action('admin_notices', $this->display_config_notice(...));
+        }
+    }
+
+    /**
+     * Lists the required constants that are missing or unusable.
+     *
+     * STARMUS_TUSD_UPLOAD_DIR must also name an existing directory, since hook
+     * paths are resolved against it.
+     *
+     * @return string[] Constant names, empty when tusd hooks can be accepted
+     *
+     * @since 1.0.0
+     */
+    public static function missing_constants(): array
+    {
+        $missing = [];
+
+        foreach (self::REQUIRED_CONSTANTS as $name) {
+            $value = \defined($name) ? (string) \constant($name) : '';
+
+            if ('' === $value || ('STARMUS_TUSD_UPLOAD_DIR' === $name && ! is_dir($value))) {
+                $missing[] = $name;
+            }
+        }
+
+        return $missing;
+    }
+
+    /**
+     * Warns administrators that TUS uploads will fail until tusd is configured.
+     *
+     * Without these constants every hook is refused, so uploads sent through
+     * tusd never become recordings; the notice names what to add to wp-config.php.
+     *
+     * @since 1.0.0
+     */
+    public function display_config_notice(): void
+    {
+        try {
+            $missing = self::missing_constants();
+
+            if ($missing === [] || ! current_user_can('manage_options')) {
+                return;
+            }
+
+            printf(
+                '<div class="notice notice-error"><p><strong>%s</strong> %s</p></div>',
+                esc_html__('SPARXSTAR Starmus:', 'starmus-audio-recorder'),
+                esc_html(
+                    sprintf(
+                        /* translators: %s: Comma-separated constant names */
+                        __('Resumable (TUS) uploads are refused until these wp-config.php constants are set: %s. See "Configuring tusd" in the plugin README.', 'starmus-audio-recorder'),
+                        implode(', ', $missing)
+                    )
+                )
+            );
+        } catch (Throwable $throwable) {
+            StarmusLogger::log($throwable);
+        }
     }
 
     /**
@@ -215,6 +316,7 @@ class StarmusTusdHookHandler
      * ```php
      * [
      *   'Upload' => [
+     *     'ID' => 'abc123',
      *     'Storage' => [
      *       'Path' => '/tmp/tusd_uploads/abc123.bin',
      *       'InfoPath' => '/tmp/tusd_uploads/abc123.bin.info'
@@ -229,7 +331,8 @@ class StarmusTusdHookHandler
      * ```
      *
      * Note: This is a "fire and forget" operation. The client does not
-     * receive this response body as TUS handles it internally.
+     * receive this response body as TUS handles it internally; the outcome
+     * is stored under the upload ID for the client to poll instead.
      *
      * @throws WP_Error If Upload data is missing or processing fails
      *
@@ -237,24 +340,60 @@ class StarmusTusdHookHandler
      */
     private function handle_post_finish(array $event_data): WP_REST_Response|WP_Error
     {
+        $upload_id = (string) ($event_data['Upload']['ID'] ?? '');
+
         try {
             if (empty($event_data['Upload'])) {
                 return new WP_Error('invalid_post_finish_payload', 'Missing Upload data.', ['status' => 400]);
             }
 
+            // Clients polling /upload-result see "processing" instead of "unknown"
+            $this->store_result($upload_id, ['status' => 'processing']);
+
             $result = $this->process_completed_upload($event_data['Upload']);
 
-            if (is_wp_error($result)) {
+            if ( ! \is_array($result) || empty($result['post_id'])) {
+                $error = is_wp_error($result) ? $result : new WP_Error('upload_failed', 'Upload processing failed.', ['status' => 500]);
+                $this->store_result(
+                    $upload_id,
+                    [
+                'status' => 'failed',
+                'code' => $error->get_error_code(),
+                'message' => $error->get_error_message(),
+                    ]
+                );
+
                 // Note: tusd will verify this is a non-2xx error and log it, but
                 // the client will not see this error message directly.
                 StarmusLogger::error(
                     'Upload processing failed',
                     ['component' => self::class]
                 );
-                return $result;
+                return $error;
             }
+
+            $this->store_result(
+                $upload_id,
+                [
+            'status' => 'complete',
+            'data' => [
+            'post_id' => (int) $result['post_id'],
+            'attachment_id' => (int) ($result['attachment_id'] ?? 0),
+            'url' => (string) ($result['url'] ?? ''),
+            'redirect_url' => esc_url_raw($this->submission_handler->get_redirect_url()),
+            ],
+                ]
+            );
         } catch (Throwable $throwable) {
             StarmusLogger::log($throwable);
+            $this->store_result(
+                $upload_id,
+                [
+            'status' => 'failed',
+            'code' => 'internal_error',
+            'message' => 'Upload processing failed.',
+                ]
+            );
         }
 
         // 3. IMPORTANT: post-finish is "fire and forget".
@@ -291,10 +430,10 @@ class StarmusTusdHookHandler
      * ```
      *
      * Security Features:
-     * - Path traversal protection using wp_normalize_path()
-     * - Validates deletion targets are within WordPress uploads directory
-     * - Logs security violations without exposing paths
-     * - Safe unlink() with existence and permission checks
+     * - Storage.Path and InfoPath are resolved with realpath() and must lie
+     *   inside STARMUS_TUSD_UPLOAD_DIR, so a forged payload cannot import or
+     *   delete arbitrary server files
+     * - Safe unlink() only for info files that resolved inside that directory
      *
      * @throws WP_Error If file processing fails or security violations detected
      *
@@ -302,40 +441,38 @@ class StarmusTusdHookHandler
      */
     private function process_completed_upload(array $upload_info): mixed
     {
+        $result = null;
+
         try {
-            $temp_path = $upload_info['Storage']['Path'] ?? '';
+            // Hook payloads name server paths; only files tusd wrote may be moved or deleted
+            $temp_path = $this->resolve_upload_path((string) ($upload_info['Storage']['Path'] ?? ''));
+
+            if (is_wp_error($temp_path)) {
+                return $temp_path;
+            }
 
             // 4. Use the InfoPath provided by tusd, falling back to concatenation only if missing
-            $info_path = $upload_info['Storage']['InfoPath'] ?? ($temp_path . '.info');
+            $info_path = $this->resolve_upload_path((string) ($upload_info['Storage']['InfoPath'] ?? ($temp_path . '.info')));
 
             $metadata = $upload_info['MetaData'] ?? [];
 
             $sanitized_form_data = $this->submission_handler->sanitize_submission_data($metadata);
 
+            // Upload-Checksum covers single requests at most; compare the assembled file.
+            // A mismatch is stored as a failed result, so the client uploads it again.
+            $checksum = $this->submission_handler->verify_upload_checksum($temp_path, $sanitized_form_data);
+
             // Assuming this function moves the file from $temp_path to a permanent location
-            $result = $this->submission_handler->process_completed_file($temp_path, $sanitized_form_data);
-
-            // VIP SECURITY: Path Traversal Check for the Info File deletion
-            $upload_dir = wp_get_upload_dir();
-            $basedir = wp_normalize_path($upload_dir['basedir']);
-            $normalized_info_path = wp_normalize_path($info_path);
-
-            if (file_exists($normalized_info_path) && str_starts_with($normalized_info_path, $basedir)) {
-                if ( ! unlink($normalized_info_path)) {
-                    StarmusLogger::warning(
-                        'Failed to delete temp info file',
-                        [
-                    'component' => self::class,
-                    'path' => $normalized_info_path,
-                        ]
-                    );
-                }
-            } elseif (file_exists($normalized_info_path)) {
+            $result = is_wp_error($checksum)
+                ? $checksum
+                : $this->submission_handler->process_completed_file($temp_path, $sanitized_form_data);
+
+            if (\is_string($info_path) && ! unlink($info_path)) {
                 StarmusLogger::warning(
-                    'Security: Attempted deletion outside uploads',
+                    'Failed to delete temp info file',
                     [
                 'component' => self::class,
-                'path' => $normalized_info_path,
+                'path' => $info_path,
                     ]
                 );
             }
@@ -347,11 +484,17 @@ class StarmusTusdHookHandler
     }
 
     /**
-     * Validates webhook authorization using shared secret header.
-     *
-     * Implements secure webhook authentication by comparing a shared secret
-     * sent via the x-starmus-secret header against the configured value.
-     * Uses timing-safe comparison to prevent timing attacks.
+     * Validates webhook authorization using the tusd hook secret and the forwarded upload token.
+     *
+     * Hook requests must prove they come from tusd: the hook secret is known
+     * only to this server and tusd (injected by the proxy in front of tusd,
+     * never by the browser). On top of that, the browser requests a
+     * short-lived token from `/upload-token` before the TUS upload starts and
+     * sends it on every TUS request; tusd forwards the header of the request
+     * that triggered the hook. The token must carry a valid signature, be
+     * unexpired and match the upload's file name, size and target post, and it
+     * stays bound to the first upload ID it was used with, so a captured token
+     * cannot be replayed for a different file or a second upload.
      *
      * @param WP_REST_Request $request Incoming webhook request
      *
@@ -360,59 +503,173 @@ class StarmusTusdHookHandler
      * @since 1.0.0
      *
      * Required Configuration:
-     * - STARMUS_TUS_WEBHOOK_SECRET constant must be defined
-     * - TUS daemon must be started with: -hooks-http-forward-headers x-starmus-secret
-     * - Client must send header: x-starmus-secret: {shared_secret}
-     *
-     * Security Features:
-     * - Timing-safe string comparison using hash_equals()
-     * - Validates secret is non-empty and not default values
-     * - Logs security violations without exposing secrets
-     * - Returns appropriate HTTP status codes
+     * - STARMUS_TUS_WEBHOOK_SECRET constant must be defined (server-side signing key only)
+     * - STARMUS_TUSD_HOOK_SECRET constant must be defined and given to tusd only
+     * - STARMUS_TUSD_UPLOAD_DIR constant must name tusd's -upload-dir
+     * - TUS daemon must be started with:
+     *   -hooks-http-forward-headers x-starmus-upload-token,x-starmus-hook-secret
+     * - The proxy in front of tusd must set x-starmus-hook-secret, overwriting
+     *   any value sent by the client
      *
      * Error Responses:
-     * - 500: STARMUS_TUS_WEBHOOK_SECRET not configured
-     * - 403: Missing or invalid secret header
+     * - 500: STARMUS_TUSD_HOOK_SECRET not configured
+     * - 403: Missing or invalid hook secret
+     * - 403: Missing, invalid, expired or mismatched token
+     * @see StarmusUploadToken::verify() Signature and claim checks
      * @see hash_equals() Timing-safe string comparison
      *
      * @example
      * Configuration in wp-config.php:
      * ```php
      * define('STARMUS_TUS_WEBHOOK_SECRET', 'your-random-secret-key');
+     * define('STARMUS_TUSD_HOOK_SECRET', 'another-random-secret-key');
+     * define('STARMUS_TUSD_UPLOAD_DIR', '/srv/tusd/uploads');
      * ```
      *
      * TUS daemon startup:
      * ```bash
-     * tusd -hooks-http-forward-headers x-starmus-secret
+     * tusd -upload-dir /srv/tusd/uploads \
+     *   -hooks-http-forward-headers x-starmus-upload-token,x-starmus-hook-secret
+     * ```
+     *
+     * nginx in front of tusd:
+     * ```nginx
+     * proxy_set_header X-Starmus-Hook-Secret "another-random-secret-key";
      * ```
      */
     public function permissions_check(WP_REST_Request $request): true|WP_Error
     {
         try {
-            $expected_secret = \defined('STARMUS_TUS_WEBHOOK_SECRET') ? STARMUS_TUS_WEBHOOK_SECRET : '';
+            $expected_secret = \defined('STARMUS_TUSD_HOOK_SECRET') ? (string) STARMUS_TUSD_HOOK_SECRET : '';
 
-            if (empty($expected_secret)) {
+            if ('' === $expected_secret) {
                 StarmusLogger::error(
-                    'STARMUS_TUS_WEBHOOK_SECRET missing in configuration.',
+                    'STARMUS_TUSD_HOOK_SECRET missing in configuration.',
                     ['component' => self::class]
                 );
                 return new WP_Error('internal_server_error', 'Internal Service Error', ['status' => 500]);
             }
 
-            // 5. Ensure tusd is started with -hooks-http-forward-headers x-starmus-secret
-            $provided_secret = trim((string) $request->get_header('x-starmus-secret'));
+            $provided_secret = trim((string) $request->get_header(self::HOOK_SECRET_HEADER));
+
+            if ('' === $provided_secret || ! hash_equals($expected_secret, $provided_secret)) {
+                StarmusLogger::warning(
+                    'Rejected tusd hook: invalid hook secret',
+                    ['component' => self::class]
+                );
+                return new WP_Error('unauthorized', 'Invalid hook secret.', ['status' => 403]);
+            }
+
+            $token = trim((string) $request->get_header(StarmusUploadToken::HEADER));
 
-            if ('' === $provided_secret || '0' === $provided_secret) {
-                return new WP_Error('unauthorized', 'Missing secret header.', ['status' => 403]);
+            if ('' === $token) {
+                return new WP_Error('unauthorized', 'Missing upload token.', ['status' => 403]);
             }
 
-            if ( ! hash_equals($expected_secret, $provided_secret)) {
-                return new WP_Error('unauthorized', 'Invalid secret.', ['status' => 403]);
+            $json_params = $request->get_json_params();
+            $upload = \is_array($json_params['Event']['Upload'] ?? null) ? $json_params['Event']['Upload'] : [];
+
+            $claims = StarmusUploadToken::verify($token, $upload);
+
+            if (is_wp_error($claims)) {
+                StarmusLogger::warning(
+                    'Rejected tusd hook: ' . $claims->get_error_message(),
+                    ['component' => self::class]
+                );
+                return $claims;
             }
+
+            $this->token_claims = $claims;
         } catch (Throwable $throwable) {
             StarmusLogger::log($throwable);
+            return new WP_Error('internal_server_error', 'Internal Service Error', ['status' => 500]);
         }
 
         return true;
     }
+
+    /**
+     * Resolves a path from a hook payload and confines it to the tusd upload directory.
+     *
+     * Symlinks and `..` segments are resolved first, so only files that really
+     * live under STARMUS_TUSD_UPLOAD_DIR are accepted.
+     *
+     * @param string $path Storage.Path or InfoPath reported in the hook event
+     *
+     * @return string|WP_Error Resolved path, or WP_Error if missing or outside the directory
+     *
+     * @since 1.0.0
+     */
+    private function resolve_upload_path(string $path): string|WP_Error
+    {
+        $upload_dir = \defined('STARMUS_TUSD_UPLOAD_DIR') ? realpath((string) STARMUS_TUSD_UPLOAD_DIR) : false;
+
+        if (false === $upload_dir) {
+            StarmusLogger::error(
+                'STARMUS_TUSD_UPLOAD_DIR missing or unreadable.',
+                ['component' => self::class]
+            );
+            return new WP_Error('internal_server_error', 'Internal Service Error', ['status' => 500]);
+        }
+
+        $resolved = '' === $path ? false : realpath($path);
+
+        if (false === $resolved || ! is_file($resolved)) {
+            return new WP_Error('invalid_upload_path', 'Upload file not found.', ['status' => 400]);
+        }
+
+        if ( ! str_starts_with(wp_normalize_path($resolved), trailingslashit(wp_normalize_path($upload_dir)))) {
+            StarmusLogger::warning(
+                'Security: Hook path outside tusd upload directory',
+                ['component' => self::class]
+            );
+            return new WP_Error('invalid_upload_path', 'Upload path not allowed.', ['status' => 403]);
+        }
+
+        return $resolved;
+    }
+
+    /**
+     * Looks up the post-finish result of a TUS upload for its uploader.
+     *
+     * Results are only returned to the user the upload token was issued to, so
+     * upload IDs leaked from logs cannot be used to discover other submissions.
+     *
+     * @param string $upload_id TUS upload ID (last path segment of the upload URL)
+     * @param int $user_id User asking for the result
+     *
+     * @return array<string, mixed>|null Result with `status` of processing, complete or failed; null if unknown
+     *
+     * @since 1.0.0
+     * @see StarmusRESTHandler::handle_upload_result() Client polling endpoint
+     */
+    public static function get_result(string $upload_id, int $user_id): ?array
+    {
+        $result = get_transient(self::RESULT_PREFIX . md5($upload_id));
+
+        if ( ! \is_array($result) || (int) ($result['user_id'] ?? 0) !== $user_id) {
+            return null;
+        }
+
+        unset($result['user_id']);
+        return $result;
+    }
+
+    /**
+     * Records the post-finish outcome of an upload for client polling.
+     *
+     * @param string $upload_id TUS upload ID
+     * @param array<string, mixed> $result Result with `status` and optional `data`/`message`
+     *
+     * @since 1.0.0
+     */
+    private function store_result(string $upload_id, array $result): void
+    {
+        if ('' === $upload_id) {
+            return;
+        }
+
+        $result['user_id'] = (int) ($this->token_claims['u'] ?? 0);
+        set_transient(self::RESULT_PREFIX . md5($upload_id), $result, self::RESULT_TTL);
+    }
 }
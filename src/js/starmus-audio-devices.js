@@ -0,0 +1,136 @@
+/**
+ * @file starmus-audio-devices.js
+ * @version 1.0.0
+ * @description Microphone selection. Lists audio inputs, remembers the contributor's choice
+ * in localStorage for this browser, builds getUserMedia constraints for it and reports
+ * inputs appearing or disappearing (USB/Bluetooth hot-plug).
+ */
+
+"use strict";
+
+/**
+ * localStorage key for the preferred input device.
+ * @type {string}
+ */
+const STORAGE_KEY = "starmus_audio_input";
+
+/**
+ * Lists available audio inputs. Labels are empty until microphone permission is granted,
+ * so unlabeled inputs get a numbered placeholder.
+ *
+ * @async
+ * @function
+ * @exports listAudioInputs
+ * @returns {Promise<Array<{deviceId: string, label: string}>>} Audio inputs, or [] if unsupported
+ */
+export async function listAudioInputs() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+        return [];
+    }
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter((d) => d.kind === "audioinput")
+            .map((d, i) => ({
+                deviceId: d.deviceId,
+                label: d.label || "Microphone " + (i + 1),
+            }));
+    } catch (e) {
+        console.warn("[Devices] enumerateDevices failed:", e.message);
+        return [];
+    }
+}
+
+/**
+ * Reads the stored input preference.
+ *
+ * @function
+ * @exports getPreferredInput
+ * @returns {{deviceId: string, label: string}|null} Stored preference or null
+ */
+export function getPreferredInput() {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Stores the input preference for this browser. Storage failures (private mode,
+ * disabled storage) are ignored; the choice then lasts for the page only.
+ *
+ * @function
+ * @exports setPreferredInput
+ * @param {{deviceId: string, label: string}} input - Chosen input
+ * @returns {void}
+ */
+export function setPreferredInput(input) {
+    try {
+        window.localStorage.setItem(
+            STORAGE_KEY,
+            JSON.stringify({ deviceId: input.deviceId, label: input.label || "" }),
+        );
+    } catch {
+        // Preference is not persisted
+    }
+}
+
+/**
+ * Adds the preferred input to audio constraints. Uses `ideal` so a missing device
+ * falls back to the browser default instead of failing with OverconstrainedError.
+ *
+ * @function
+ * @exports withPreferredInput
+ * @param {Object|boolean} audio - Audio constraints (`true` for defaults)
+ * @param {string} [deviceId] - Device to prefer; defaults to the stored preference
+ * @returns {Object|boolean} Constraints including deviceId when one is known
+ *
+ * @example
+ * navigator.mediaDevices.getUserMedia({ audio: withPreferredInput({ channelCount: 1 }) });
+ */
+export function withPreferredInput(audio, deviceId) {
+    const id = deviceId || getPreferredInput()?.deviceId;
+    if (!id) {
+        return audio;
+    }
+    return { ...(audio === true ? {} : audio), deviceId: { ideal: id } };
+}
+
+/**
+ * Describes the input actually backing a stream.
+ *
+ * @function
+ * @exports describeStreamInput
+ * @param {MediaStream} stream - Microphone stream
+ * @returns {{deviceId: string, label: string}|null} Input description or null
+ */
+export function describeStreamInput(stream) {
+    const track = stream?.getAudioTracks?.()[0];
+    if (!track) {
+        return null;
+    }
+    const settings = track.getSettings ? track.getSettings() : {};
+    return { deviceId: settings.deviceId || "", label: track.label || "" };
+}
+
+/**
+ * Calls `handler` with the fresh input list whenever devices are plugged or unplugged.
+ *
+ * @function
+ * @exports watchAudioInputs
+ * @param {function(Array<Object>): void} handler - Receives the result of listAudioInputs()
+ * @returns {function(): void} Stops watching
+ */
+export function watchAudioInputs(handler) {
+    const media = navigator.mediaDevices;
+    if (!media?.addEventListener) {
+        return () => {};
+    }
+    const onChange = () => {
+        listAudioInputs().then(handler);
+    };
+    media.addEventListener("devicechange", onChange);
+    return () => media.removeEventListener("devicechange", onChange);
+}
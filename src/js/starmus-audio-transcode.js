@@ -0,0 +1,153 @@
+/**
+ * @file starmus-audio-transcode.js
+ * @version 1.0.0
+ * @description Decode/re-encode helpers shared by the review editor and take appending.
+ * Decoding uses the shared AudioContext; WAV output is rendered offline at the take's
+ * sample rate, compressed output is re-recorded through MediaRecorder.
+ */
+
+"use strict";
+
+import { encodeWav } from "./starmus-pcm-capture.js";
+
+/**
+ * Decodes an audio blob. Uses the callback form for older Safari.
+ *
+ * @async
+ * @function
+ * @exports decodeBlob
+ * @param {AudioContext} ctx - Shared audio context
+ * @param {Blob} blob - Encoded audio
+ * @returns {Promise<AudioBuffer>} Decoded audio
+ */
+export async function decodeBlob(ctx, blob) {
+    const data = await blob.arrayBuffer();
+    return new Promise((resolve, reject) => {
+        ctx.decodeAudioData(data, resolve, reject);
+    });
+}
+
+/**
+ * Copies the samples between two frame offsets of each channel into a new buffer.
+ *
+ * @function
+ * @exports copyFrames
+ * @param {AudioContext} ctx - Audio context used to allocate the buffer
+ * @param {AudioBuffer} buffer - Source buffer
+ * @param {Array<Array<number>>} ranges - [startFrame, endFrame) ranges to keep, in order
+ * @returns {AudioBuffer} New buffer with the ranges joined
+ */
+export function copyFrames(ctx, buffer, ranges) {
+    const length = ranges.reduce((n, [a, b]) => n + (b - a), 0);
+    const out = ctx.createBuffer(buffer.numberOfChannels, Math.max(1, length), buffer.sampleRate);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const src = buffer.getChannelData(c);
+        const dst = out.getChannelData(c);
+        let offset = 0;
+        ranges.forEach(([a, b]) => {
+            dst.set(src.subarray(a, b), offset);
+            offset += b - a;
+        });
+    }
+    return out;
+}
+
+/**
+ * Joins buffers end to end. Channel counts are matched to the widest buffer by
+ * repeating the last channel of narrower ones.
+ *
+ * @function
+ * @exports joinBuffers
+ * @param {AudioContext} ctx - Audio context used to allocate the buffer
+ * @param {Array<AudioBuffer>} buffers - Buffers decoded on the same context (same rate)
+ * @returns {AudioBuffer} Concatenated audio
+ */
+export function joinBuffers(ctx, buffers) {
+    const channels = Math.max(...buffers.map((b) => b.numberOfChannels));
+    const length = buffers.reduce((n, b) => n + b.length, 0);
+    const out = ctx.createBuffer(channels, Math.max(1, length), buffers[0].sampleRate);
+    for (let c = 0; c < channels; c++) {
+        const dst = out.getChannelData(c);
+        let offset = 0;
+        buffers.forEach((b) => {
+            dst.set(b.getChannelData(Math.min(c, b.numberOfChannels - 1)), offset);
+            offset += b.length;
+        });
+    }
+    return out;
+}
+
+/**
+ * Encodes an AudioBuffer in the format of the take it came from.
+ * WAV takes are rendered offline at their original sample rate and encoded instantly.
+ * Compressed takes are played silently into a MediaRecorder, which runs in real time.
+ *
+ * @async
+ * @function
+ * @exports encodeBuffer
+ * @param {AudioContext} ctx - Shared audio context
+ * @param {AudioBuffer} buffer - Audio to encode
+ * @param {Object} target - Output format
+ * @param {string} target.mimeType - MIME type of the original take
+ * @param {number} [target.sampleRate] - Sample rate of the original take (WAV only)
+ * @param {function(number): void} [onProgress] - Receives progress 0..1
+ * @returns {Promise<Blob>} Encoded audio
+ */
+export async function encodeBuffer(ctx, buffer, target, onProgress) {
+    const base = (target.mimeType || "").split(";")[0];
+    const canRecord =
+        typeof MediaRecorder !== "undefined" &&
+        typeof MediaRecorder.isTypeSupported === "function" &&
+        MediaRecorder.isTypeSupported(target.mimeType);
+
+    if (base === "audio/wav" || !canRecord) {
+        const rate = target.sampleRate || buffer.sampleRate;
+        const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const offline = new Offline(1, Math.ceil(buffer.duration * rate), rate);
+        const src = offline.createBufferSource();
+        src.buffer = buffer;
+        src.connect(offline.destination);
+        src.start();
+        const rendered = await offline.startRendering();
+        if (onProgress) {
+            onProgress(1);
+        }
+        return encodeWav(rendered.getChannelData(0), rate);
+    }
+
+    return new Promise((resolve, reject) => {
+        const dest = ctx.createMediaStreamDestination();
+        const src = ctx.createBufferSource();
+        src.buffer = buffer;
+        src.connect(dest);
+        const recorder = new MediaRecorder(dest.stream, { mimeType: target.mimeType });
+        const chunks = [];
+        let timer = null;
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) {
+                chunks.push(e.data);
+            }
+        };
+        recorder.onerror = (e) => {
+            clearInterval(timer);
+            reject(e.error || new Error("Re-encoding failed"));
+        };
+        recorder.onstop = () => {
+            clearInterval(timer);
+            src.disconnect();
+            if (onProgress) {
+                onProgress(1);
+            }
+            resolve(new Blob(chunks, { type: recorder.mimeType || target.mimeType }));
+        };
+        src.onended = () => recorder.stop();
+        recorder.start(1000);
+        const startedAt = ctx.currentTime;
+        src.start();
+        timer = setInterval(() => {
+            if (onProgress) {
+                onProgress(Math.min(0.99, (ctx.currentTime - startedAt) / buffer.duration));
+            }
+        }, 250);
+    });
+}
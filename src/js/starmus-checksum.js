@@ -0,0 +1,270 @@
+/**
+ * @file starmus-checksum.js
+ * @version 1.0.0
+ * @description SHA-256 checksums of recorded audio, so truncated or corrupted uploads and
+ * queue entries can be detected. A recording is hashed once, when it becomes available;
+ * the hex digest travels with it as `metadata.sha256`, is sent as `audio_sha256` on every
+ * upload path (plus TUS `Upload-Checksum` where the protocol allows) and is stored on
+ * queued items. Shared by the page and the service worker, so it must not touch `window`
+ * or the DOM.
+ *
+ * WebCrypto can only digest a whole buffer, so it is used for blobs up to
+ * `webCryptoLimit`. Larger blobs, and browsers without WebCrypto (plain-HTTP pages), are
+ * read in slices through an incremental SHA-256, keeping memory flat.
+ */
+
+"use strict";
+
+/**
+ * Hashing settings.
+ *
+ * @constant
+ * @type {Object}
+ * @property {number} sliceSize - Bytes read per step when hashing incrementally
+ * @property {number} webCryptoLimit - Largest blob handed to WebCrypto in one buffer
+ */
+const CHECKSUM_CONFIG = {
+    sliceSize: 4 * 1024 * 1024,
+    webCryptoLimit: 64 * 1024 * 1024,
+};
+
+/**
+ * SHA-256 round constants.
+ * @constant
+ * @type {Uint32Array}
+ */
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/**
+ * Builds an error whose `code` callers can map to a message.
+ *
+ * @function
+ * @param {string} code - Machine-readable reason
+ * @returns {Error}
+ */
+function checksumError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Reads a Blob as an ArrayBuffer.
+ *
+ * @function
+ * @param {Blob} blob - Data to read
+ * @returns {Promise<ArrayBuffer>}
+ */
+function readBuffer(blob) {
+    if (typeof blob.arrayBuffer === "function") {
+        return blob.arrayBuffer();
+    }
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+/**
+ * Formats bytes as lowercase hex.
+ *
+ * @function
+ * @param {Uint8Array} bytes - Digest
+ * @returns {string}
+ */
+function toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Creates an incremental SHA-256 hasher, for data that arrives in pieces.
+ *
+ * @function
+ * @exports createSha256
+ * @returns {{update: function(Uint8Array): void, digest: function(): Uint8Array}}
+ *   `update()` may be called any number of times; `digest()` once, at the end
+ *
+ * @example
+ * const hasher = createSha256();
+ * hasher.update(new TextEncoder().encode("abc"));
+ * const digest = hasher.digest(); // 32 bytes
+ */
+export function createSha256() {
+    const h = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab,
+        0x5be0cd19,
+    ]);
+    const w = new Uint32Array(64);
+    const block = new Uint8Array(64);
+    let used = 0;
+    let length = 0;
+
+    /**
+     * Mixes one 64-byte block into the state.
+     * @param {Uint8Array} bytes - Source
+     * @param {number} at - Block start
+     */
+    const compress = (bytes, at) => {
+        for (let i = 0; i < 16; i++) {
+            const j = at + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const x = w[i - 15];
+            const y = w[i - 2];
+            const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+            const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, k] = h;
+        for (let i = 0; i < 64; i++) {
+            const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const t1 = (k + s1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+            const s0 =
+                ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            k = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        h[0] += a;
+        h[1] += b;
+        h[2] += c;
+        h[3] += d;
+        h[4] += e;
+        h[5] += f;
+        h[6] += g;
+        h[7] += k;
+    };
+
+    return {
+        update(bytes) {
+            length += bytes.length;
+            let i = 0;
+            if (used) {
+                i = Math.min(64 - used, bytes.length);
+                block.set(bytes.subarray(0, i), used);
+                used += i;
+                if (used < 64) {
+                    return;
+                }
+                compress(block, 0);
+                used = 0;
+            }
+            for (; i + 64 <= bytes.length; i += 64) {
+                compress(bytes, i);
+            }
+            block.set(bytes.subarray(i));
+            used = bytes.length - i;
+        },
+
+        digest() {
+            // Padding: 0x80, zeros, then the message length in bits as 64-bit big-endian
+            const tail = new Uint8Array(used < 56 ? 64 : 128);
+            tail.set(block.subarray(0, used));
+            tail[used] = 0x80;
+            const view = new DataView(tail.buffer);
+            view.setUint32(tail.length - 8, Math.floor(length / 0x20000000));
+            view.setUint32(tail.length - 4, (length * 8) >>> 0);
+            for (let at = 0; at < tail.length; at += 64) {
+                compress(tail, at);
+            }
+            const out = new Uint8Array(32);
+            const outView = new DataView(out.buffer);
+            h.forEach((word, i) => outView.setUint32(i * 4, word));
+            return out;
+        },
+    };
+}
+
+/**
+ * Computes the SHA-256 of a blob.
+ *
+ * @async
+ * @function
+ * @exports sha256Hex
+ * @param {Blob} blob - Audio to hash
+ * @returns {Promise<string>} 64-character lowercase hex digest
+ *
+ * @example
+ * const sha256 = await sha256Hex(recording);
+ */
+export async function sha256Hex(blob) {
+    const subtle = globalThis.crypto?.subtle;
+    if (subtle && blob.size <= CHECKSUM_CONFIG.webCryptoLimit) {
+        return toHex(new Uint8Array(await subtle.digest("SHA-256", await readBuffer(blob))));
+    }
+
+    const hasher = createSha256();
+    for (let offset = 0; offset < blob.size; offset += CHECKSUM_CONFIG.sliceSize) {
+        const slice = blob.slice(offset, offset + CHECKSUM_CONFIG.sliceSize);
+        hasher.update(new Uint8Array(await readBuffer(slice)));
+    }
+    return toHex(hasher.digest());
+}
+
+/**
+ * Tells whether a string is a SHA-256 hex digest.
+ *
+ * @function
+ * @exports isSha256Hex
+ * @param {*} value - Candidate
+ * @returns {boolean}
+ */
+export function isSha256Hex(value) {
+    return typeof value === "string" && /^[a-f0-9]{64}$/i.test(value);
+}
+
+/**
+ * Formats a hex digest as the TUS checksum extension expects:
+ * `Upload-Checksum: sha256 <base64 digest>`.
+ *
+ * @function
+ * @exports tusChecksumHeader
+ * @param {string} hex - SHA-256 hex digest
+ * @returns {string}
+ */
+export function tusChecksumHeader(hex) {
+    const bytes = hex.match(/../g).map((pair) => parseInt(pair, 16));
+    return `sha256 ${btoa(String.fromCharCode(...bytes))}`;
+}
+
+/**
+ * Confirms a blob still has the checksum it was stored with.
+ *
+ * @async
+ * @function
+ * @exports verifyChecksum
+ * @param {Blob} blob - Audio to check
+ * @param {string|null} expected - Stored hex digest; nothing is checked when empty
+ * @returns {Promise<void>}
+ * @throws {Error} `code: "CHECKSUM_MISMATCH"` when the audio no longer matches
+ *
+ * @example
+ * await verifyChecksum(item.audioBlob, item.sha256);
+ */
+export async function verifyChecksum(blob, expected) {
+    if (!expected) {
+        return;
+    }
+    if (!blob || (await sha256Hex(blob)) !== String(expected).toLowerCase()) {
+        throw checksumError("CHECKSUM_MISMATCH");
+    }
+}
@@ -0,0 +1,395 @@
+/**
+ * @file starmus-chunked-upload.js
+ * @version 1.0.0
+ * @description Resumable chunked upload against the WordPress REST API, for hosts without
+ * tusd. A session is opened with the file's name, size and type, each chunk is PUT with a
+ * Content-Range header and retried on its own, and finalize processes the assembled file.
+ * The session ID is kept in IndexedDB so a reload, crash or offline spell resumes from the
+ * offset the server reports instead of starting over. Used by the page and by the service
+ * worker, so it must not touch `window` or the DOM.
+ */
+
+"use strict";
+
+/**
+ * IndexedDB location of upload sessions.
+ * @constant
+ * @type {Object}
+ */
+const SESSION_DB = {
+    name: "StarmusUploadSessions",
+    version: 1,
+    store: "sessions",
+};
+
+/**
+ * Pending database open, shared by all callers.
+ * @type {Promise<IDBDatabase|null>|null}
+ */
+let dbPromise = null;
+
+/**
+ * Opens the session database. Resolves null when IndexedDB is unavailable
+ * (private mode, old browsers); uploads then work without cross-reload resume.
+ *
+ * @function
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openSessionDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            // Also runs in the service worker, which has no `window`
+            if (typeof indexedDB === "undefined") {
+                resolve(null);
+                return;
+            }
+            const req = indexedDB.open(SESSION_DB.name, SESSION_DB.version);
+            req.onupgradeneeded = () => {
+                if (!req.result.objectStoreNames.contains(SESSION_DB.store)) {
+                    req.result.createObjectStore(SESSION_DB.store, { keyPath: "fingerprint" });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                console.warn("[ChunkedUpload] Session storage unavailable:", req.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs one request against the session store; storage failures are non-fatal.
+ *
+ * @async
+ * @function
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {function(IDBObjectStore): IDBRequest} run - Issues the request
+ * @returns {Promise<*>} Request result, or null on failure
+ */
+async function withSessionStore(mode, run) {
+    const db = await openSessionDb();
+    if (!db) {
+        return null;
+    }
+    return new Promise((resolve) => {
+        try {
+            const req = run(db.transaction([SESSION_DB.store], mode).objectStore(SESSION_DB.store));
+            req.onsuccess = () => resolve(req.result ?? null);
+            req.onerror = () => resolve(null);
+        } catch {
+            resolve(null);
+        }
+    });
+}
+
+/**
+ * Identifies the same audio across page loads.
+ *
+ * @function
+ * @param {string} endpoint - Session endpoint (sessions belong to one site)
+ * @param {Blob} blob - Audio being uploaded
+ * @param {string} fileName - File name
+ * @returns {string}
+ */
+function fingerprintOf(endpoint, blob, fileName) {
+    return [endpoint, fileName, blob.size, blob.type].join("|");
+}
+
+/**
+ * Builds the error an upload rejects with when it is cancelled.
+ *
+ * @function
+ * @returns {Error} Error with `cancelled: true`
+ */
+function cancelledError() {
+    const error = new Error("UPLOAD_CANCELLED");
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Builds the error for a refused REST request, keeping the HTTP status and the
+ * WordPress error code so callers can tell expired nonces from bad requests.
+ *
+ * @function
+ * @param {number} status - HTTP status
+ * @param {Object} json - Parsed reply
+ * @param {string} fallback - Message when the reply has none
+ * @returns {Error} Error with `status` and `code`
+ */
+function httpError(status, json, fallback) {
+    const error = new Error(json.message || fallback);
+    error.status = status;
+    error.code = json.code || null;
+    return error;
+}
+
+/**
+ * Sends a REST request and parses the JSON reply.
+ *
+ * @async
+ * @function
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() init; the nonce header is added
+ * @param {string} nonce - WordPress REST nonce
+ * @returns {Promise<{status: number, json: Object}>}
+ * @throws {Error} On network failure or abort
+ */
+async function request(url, init, nonce) {
+    const res = await fetch(url, {
+        credentials: "same-origin",
+        ...init,
+        headers: { ...(init.headers || {}), "X-WP-Nonce": nonce },
+    });
+    const json = await res.json().catch(() => ({}));
+    return { status: res.status, json };
+}
+
+/**
+ * Adds form fields and mapped metadata to a submission body, in the shape the
+ * WP Controller expects from the direct and chunked fallbacks.
+ *
+ * @function
+ * @exports appendSubmissionFields
+ * @param {FormData} fd - Body to fill
+ * @param {Object} fields - Normalized form fields
+ * @param {Object} metadata - Upload metadata (calibration, env, tier, sha256)
+ * @returns {void}
+ */
+export function appendSubmissionFields(fd, fields, metadata) {
+    // Filter out fields we will add manually or via specific keys
+    const SKIP = ["_starmus_env", "_starmus_calibration"];
+    Object.entries(fields).forEach(([k, v]) => {
+        if (!SKIP.includes(k)) {
+            fd.append(k, v);
+        }
+    });
+
+    // Map metadata to form fields expected by the WP Controller
+    if (metadata?.calibration) {
+        fd.append("_starmus_calibration", JSON.stringify(metadata.calibration));
+    }
+    if (metadata?.env) {
+        fd.append("_starmus_env", JSON.stringify(metadata.env));
+    }
+    if (metadata?.tier) {
+        fd.append("tier", metadata.tier);
+    }
+    // The server hashes the file it received and refuses it when this doesn't match
+    if (metadata?.sha256) {
+        fd.append("audio_sha256", metadata.sha256);
+    }
+}
+
+/**
+ * Uploads a blob in byte-range chunks with per-chunk retry, resuming a stored session
+ * for the same file when the server still has it.
+ *
+ * @async
+ * @function
+ * @exports uploadChunked
+ * @param {Blob} blob - Audio to upload
+ * @param {string} fileName - File name
+ * @param {FormData} fields - Form fields and metadata sent with finalize
+ * @param {Object} options - Upload options
+ * @param {string} options.endpoint - `/upload-session` REST URL
+ * @param {string} options.nonce - WordPress REST nonce
+ * @param {number} options.chunkSize - Bytes per PUT
+ * @param {Array<number>} options.retryDelays - Delays (ms) between attempts of one chunk
+ * @param {function(number, number): void} [options.onProgress] - Bytes stored / total
+ * @param {Object} [options.controller] - Upload controller (pause/resume/cancel)
+ * @returns {Promise<Object>} Finalize result `{ success, data: { post_id, ... } }`
+ * @throws {Error} `unsupported: true` when the server has no session endpoint;
+ *   `cancelled: true` when cancelled; otherwise the failing request's error, with
+ *   its HTTP `status` and WordPress error `code`
+ *
+ * @example
+ * const result = await uploadChunked(blob, "take.webm", fd, {
+ *   endpoint: cfg.endpoints.uploadSession,
+ *   nonce: cfg.nonce,
+ *   chunkSize: 512 * 1024,
+ *   retryDelays: [0, 3000, 10000],
+ * });
+ */
+export async function uploadChunked(blob, fileName, fields, options) {
+    const { endpoint, nonce, chunkSize, retryDelays = [], onProgress, controller } = options;
+    const fingerprint = fingerprintOf(endpoint, blob, fileName);
+    const total = blob.size;
+
+    let paused = false;
+    let cancelled = false;
+    let inflight = null;
+    let wake = null;
+
+    controller?.attach({
+        pause: () => {
+            paused = true;
+            inflight?.abort();
+        },
+        resume: () => {
+            paused = false;
+            wake?.();
+        },
+        cancel: () => {
+            cancelled = true;
+            inflight?.abort();
+            wake?.();
+        },
+    });
+
+    /** Waits out a pause; throws once cancelled. */
+    const checkpoint = async () => {
+        while (paused && !cancelled) {
+            await new Promise((r) => (wake = r));
+        }
+        if (cancelled) {
+            throw cancelledError();
+        }
+    };
+
+    /** Waits `ms`, returning early on resume or cancel. */
+    const sleep = (ms) =>
+        new Promise((r) => {
+            wake = r;
+            setTimeout(r, ms);
+        });
+
+    // 1. Resume a stored session, or open a new one
+    let sessionId = null;
+    let offset = 0;
+    const stored = await withSessionStore("readonly", (s) => s.get(fingerprint));
+    if (stored) {
+        // A network error propagates and keeps the stored session for the next attempt
+        const { status, json } = await request(
+            `${endpoint}/${stored.sessionId}`,
+            { method: "GET" },
+            nonce,
+        );
+        if (status === 200 && json.data) {
+            sessionId = stored.sessionId;
+            offset = json.data.offset || 0;
+            console.log("[ChunkedUpload] Resuming session at", offset, "of", total);
+        } else if (status === 401 || status === 403) {
+            // Our credentials were refused, not the session: keep it for after re-auth
+            throw httpError(status, json, `Upload session check failed: ${status}`);
+        } else {
+            await withSessionStore("readwrite", (s) => s.delete(fingerprint));
+        }
+    }
+
+    if (!sessionId) {
+        const { status, json } = await request(
+            endpoint,
+            {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ filename: fileName, size: total, mime: blob.type }),
+            },
+            nonce,
+        );
+        if (status === 404 && json.code === "rest_no_route") {
+            const error = new Error("CHUNKED_UPLOAD_UNSUPPORTED");
+            error.unsupported = true;
+            throw error;
+        }
+        if (status !== 200 || !json.data?.session_id) {
+            throw httpError(status, json, `Upload session failed: ${status}`);
+        }
+        sessionId = json.data.session_id;
+        await withSessionStore("readwrite", (s) =>
+            s.put({ fingerprint, sessionId, fileName, size: total, createdAt: Date.now() }),
+        );
+    }
+
+    if (typeof onProgress === "function") {
+        onProgress(offset, total);
+    }
+
+    // 2. PUT chunks; each one is retried on its own
+    let attempt = 0;
+    while (offset < total) {
+        await checkpoint();
+        const end = Math.min(offset + chunkSize, total);
+        inflight = new AbortController();
+
+        let status = 0;
+        let json = {};
+        try {
+            ({ status, json } = await request(
+                `${endpoint}/${sessionId}`,
+                {
+                    method: "PUT",
+                    headers: {
+                        "Content-Type": "application/octet-stream",
+                        "Content-Range": `bytes ${offset}-${end - 1}/${total}`,
+                    },
+                    body: blob.slice(offset, end),
+                    signal: inflight.signal,
+                },
+                nonce,
+            ));
+        } catch (e) {
+            if (paused || cancelled) {
+                continue; // Aborted on purpose; the checkpoint decides what's next
+            }
+            console.warn("[ChunkedUpload] Chunk failed:", e.message);
+        } finally {
+            inflight = null;
+        }
+
+        if (status === 200) {
+            offset = json.data?.offset ?? end;
+            attempt = 0;
+            if (typeof onProgress === "function") {
+                onProgress(offset, total);
+            }
+            continue;
+        }
+
+        // The server holds a different offset (e.g. a lost reply): realign and go on.
+        // Realignments use up retries like failures; one that doesn't move the upload
+        // forward would only repeat, so the session is dropped.
+        const realign = status === 409 && typeof json.data?.offset === "number";
+        if (realign && json.data.offset > offset && attempt < retryDelays.length) {
+            offset = json.data.offset;
+            if (typeof onProgress === "function") {
+                onProgress(offset, total);
+            }
+            await sleep(retryDelays[attempt++]);
+            continue;
+        }
+        if (realign && json.data.offset <= offset) {
+            await withSessionStore("readwrite", (s) => s.delete(fingerprint));
+            throw httpError(status, json, "Upload offset did not advance");
+        }
+
+        if (status >= 400 && status < 500 && status !== 429 && !realign) {
+            if (status !== 401 && status !== 403) {
+                await withSessionStore("readwrite", (s) => s.delete(fingerprint));
+            }
+            throw httpError(status, json, `Chunk rejected: ${status}`);
+        }
+
+        if (attempt >= retryDelays.length) {
+            throw httpError(status, json, "Chunk upload failed after retries");
+        }
+        await sleep(retryDelays[attempt++]);
+    }
+
+    // 3. Finalize with the form fields
+    await checkpoint();
+    controller?.detach();
+    const { status, json } = await request(
+        `${endpoint}/${sessionId}/finalize`,
+        { method: "POST", body: fields },
+        nonce,
+    );
+    if (status !== 200 || !json.success) {
+        throw httpError(status, json, `Upload finalize failed: ${status}`);
+    }
+
+    await withSessionStore("readwrite", (s) => s.delete(fingerprint));
+    return json;
+}
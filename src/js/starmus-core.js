@@ -8,9 +8,11 @@
 "use strict";
 
 import "./starmus-hooks.js";
-import { uploadWithPriority } from "./starmus-tus.js";
+import { uploadWithPriority, createUploadController } from "./starmus-tus.js";
 import { queueSubmission, getPendingCount } from "./starmus-offline.js";
 import sparxstarIntegration from "./starmus-sparxstar-integration.js";
+import { isPcmCaptureSupported } from "./starmus-pcm-capture.js";
+import { sha256Hex } from "./starmus-checksum.js";
 
 /**
  * Hook subscription function from StarmusHooks or fallback no-op.
@@ -25,8 +27,9 @@ const subscribe = window.StarmusHooks?.subscribe || function () {};
  * @function
  * @returns {string} Browser tier classification:
  *   - 'A': Full support (MediaRecorder + AudioContext + getUserMedia + good network/device)
- *   - 'B': Limited support (basic capabilities but network/device constraints)
- *   - 'C': Minimal support (no MediaRecorder, getUserMedia, or very poor conditions)
+ *   - 'B': Limited support (basic capabilities but network/device constraints,
+ *          or no MediaRecorder but Web Audio PCM capture is available)
+ *   - 'C': Minimal support (no getUserMedia, no recording engine, or very poor conditions)
  */
 function detectTier(environmentData = null) {
     // Basic browser capability check
@@ -34,7 +37,8 @@ function detectTier(environmentData = null) {
         return "C";
     }
     if (typeof MediaRecorder === "undefined") {
-        return "C";
+        // Browsers without MediaRecorder can still record through PCM/WAV capture
+        return isPcmCaptureSupported() ? "B" : "C";
     }
 
     // If we have SPARXSTAR environment data, use it for enhanced detection
@@ -112,19 +116,157 @@ export function initCore(store, instanceId, env) {
             );
         });
 
+    /**
+     * Controller of the submission in flight, for the upload-pause/resume/cancel commands.
+     * @type {Object|null}
+     */
+    let activeUpload = null;
+
+    /**
+     * Blobs already handed to the hasher, so each recording is hashed once.
+     * @type {WeakSet<Blob>}
+     */
+    const hashed = new WeakSet();
+
+    /**
+     * Hashes each recording (and attached file) as soon as it is in the store, so the
+     * checksum is ready by the time it is submitted or queued. The result lands in the
+     * take's and source's metadata as `sha256` via `starmus/recording-checksum`.
+     *
+     * @function
+     * @param {Object} state - Current store state
+     * @returns {void}
+     */
+    function hashNewRecordings(state) {
+        const source = state.source || {};
+        const candidates = (state.takes || [])
+            .map((take) => ({ blob: take.blob, metadata: take.metadata }))
+            .concat([{ blob: source.blob || source.file, metadata: source.metadata }]);
+
+        candidates.forEach(({ blob, metadata }) => {
+            if (!(blob instanceof Blob) || metadata?.sha256 || hashed.has(blob)) {
+                return;
+            }
+            hashed.add(blob);
+            sha256Hex(blob).then(
+                (sha256) =>
+                    store.dispatch({
+                        type: "starmus/recording-checksum",
+                        payload: { blob, sha256 },
+                    }),
+                (e) => console.warn("[StarmusCore] Checksum failed:", e.message),
+            );
+        });
+    }
+
+    store.subscribe(hashNewRecordings);
+
+    /**
+     * Lists the recordings a submission covers.
+     * Normally that is the selected take (mirrored in `source`) or the attached file;
+     * with `allTakes` every take is sent, each tagged with its position in the batch.
+     *
+     * @function
+     * @param {Object} state - Current store state
+     * @param {boolean} allTakes - Whether to submit every take
+     * @returns {Array<Object>} Items `{ blob, fileName, duration, sha256, take }`; `take` is null
+     *   for single uploads and `sha256` is null while the recording is still being hashed
+     */
+    function collectSubmissionItems(state, allTakes) {
+        const source = state.source || {};
+        const takes = state.takes || [];
+        if (allTakes && takes.length > 1) {
+            const batchId = `batch_${Date.now()}`;
+            return takes.map((take, index) => ({
+                blob: take.blob,
+                fileName: take.fileName,
+                duration: take.metadata?.duration || 0,
+                sha256: take.metadata?.sha256 || null,
+                take: {
+                    batchId,
+                    index: index + 1,
+                    count: takes.length,
+                    label: take.label,
+                    selected: take.id === state.selectedTakeId,
+                },
+            }));
+        }
+        const blob = source.blob || source.file;
+        if (!blob) {
+            return [];
+        }
+        const fileName =
+            source.fileName || (source.file ? source.file.name : `rec-${Date.now()}.webm`);
+        return [
+            {
+                blob,
+                fileName,
+                duration: source.metadata?.duration || 0,
+                sha256: source.metadata?.sha256 || null,
+                take: null,
+            },
+        ];
+    }
+
+    /**
+     * Fires `starmusRecordingComplete` on a same-origin parent page (e.g. a modal host).
+     *
+     * @function
+     * @param {number} audioPostId - Post of the selected take, or the first one uploaded
+     * @param {Array<number>} audioPostIds - Posts of every take uploaded
+     * @param {Object} [extra={}] - Extra event fields; `partial: true` when the rest of
+     *   the batch was queued offline
+     * @returns {boolean} True when a parent was notified, i.e. we are in a modal
+     */
+    function notifyRecordingComplete(audioPostId, audioPostIds, extra = {}) {
+        if (!audioPostId) {
+            return false;
+        }
+        console.log(
+            "[StarmusCore] Firing starmusRecordingComplete event with Post ID:",
+            audioPostId,
+        );
+        // Only trigger event if parent is same-origin
+        try {
+            if (window.parent && window.parent !== window && window.parent.jQuery) {
+                // Attempt to access a property to verify same-origin
+                void window.parent.location.href;
+                parent.jQuery(parent.document).trigger("starmusRecordingComplete", [
+                    { audioPostId, audioPostIds, ...extra },
+                ]);
+                return true;
+            }
+        } catch (_e) {
+            // Cross-origin access denied; do not trigger event
+            const stateEnv = { ...store.getState().env, ...env };
+            sparxstarIntegration.reportError("cross_origin_parent", {
+                instanceId,
+                tier: stateEnv.tier,
+                network: stateEnv.network,
+                _e,
+            });
+        }
+        return false;
+    }
+
     /**
      * Handles audio submission with upload priority and offline fallback.
      * Processes form fields, metadata, calibration data, and manages upload flow.
+     * Batches are uploaded one take at a time; takes that fail are queued offline, and a
+     * batch that was only partly sent still reports the posts it created.
+     * The upload can be paused, resumed or cancelled through the CommandBus while in flight.
      *
      * @async
      * @function
      * @param {Object} formFields - Form data including consent, language, and metadata
      * @param {string} formFields.consent - User consent agreement status
      * @param {string} formFields.language - Recording language selection
+     * @param {Object} [options={}] - Submission options
+     * @param {boolean} [options.allTakes=false] - Submit every take instead of the selected one
      * @returns {Promise<void>} Resolves when submission is complete or queued
      * @throws {Error} When upload fails and offline fallback also fails
      */
-    async function handleSubmit(formFields) {
+    async function handleSubmit(formFields, options = {}) {
         const state = store.getState();
         const source = state.source || {};
         const calibration = state.calibration || {};
@@ -140,11 +282,9 @@ export function initCore(store, instanceId, env) {
             submission_timestamp: Date.now(),
         };
 
-        const audioBlob = source.blob || source.file;
-        const fileName =
-            source.fileName || (source.file ? source.file.name : `rec-${Date.now()}.webm`);
+        const items = collectSubmissionItems(state, !!options.allTakes);
 
-        if (!audioBlob) {
+        if (!items.length) {
             alert("No audio recording found.");
             return;
         }
@@ -171,129 +311,217 @@ export function initCore(store, instanceId, env) {
 
         store.dispatch({ type: "starmus/submit-start" });
 
-        try {
-            if (!navigator.onLine) {
-                throw new Error("OFFLINE_FAST_PATH");
-            }
+        const controller = createUploadController({
+            // A single-request upload can't pause: Pause is hidden and a pending pause dropped
+            onChange: ({ state, resumable }) => {
+                store.dispatch({ type: "starmus/upload-resumable", resumable });
+                if (state === "uploading" && store.getState().status === "upload_paused") {
+                    store.dispatch({ type: "starmus/upload-resumed" });
+                }
+            },
+        });
+        activeUpload = controller;
 
-            console.log("[StarmusCore] 🚀 Uploading...");
+        let result = null;
+        let submissionId = null;
+        const postIds = [];
 
-            const result = await uploadWithPriority({
-                blob: audioBlob,
-                fileName,
-                formFields,
-                metadata,
-                instanceId,
-                onProgress: (u, t) =>
-                    store.dispatch({ type: "starmus/submit-progress", progress: u / t }),
-            });
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            const itemFields = item.take
+                ? {
+                    ...formFields,
+                    take_batch_id: item.take.batchId,
+                    take_index: item.take.index,
+                    take_count: item.take.count,
+                    take_label: item.take.label,
+                }
+                : formFields;
+            const itemMetadata = item.take ? { ...metadata, take: item.take } : { ...metadata };
+            // Normally hashed when the recording became available; finish it here otherwise.
+            // Without a checksum the upload still goes ahead, just unverified.
+            itemMetadata.sha256 = item.sha256 || (await sha256Hex(item.blob).catch(() => null));
+            let tusUpload = null;
 
-            console.log("[StarmusCore] ✅ Success:", result);
+            try {
+                if (!navigator.onLine) {
+                    throw new Error("OFFLINE_FAST_PATH");
+                }
 
-            // --- START: MODIFIED CODE ---
+                console.log("[StarmusCore] 🚀 Uploading...", item.take ? item.take.label : "");
 
-            /**
-             * Tracks whether we successfully fired a parent window hook.
-             * Used to determine if we're in a modal context.
-             * @type {boolean}
-             */
-            let hookFired = false; // This will track if we are in a modal context.
+                const itemResult = await uploadWithPriority({
+                    blob: item.blob,
+                    fileName: item.fileName,
+                    formFields: itemFields,
+                    metadata: itemMetadata,
+                    instanceId,
+                    controller,
+                    onProgress: (u, t) =>
+                        store.dispatch({
+                            type: "starmus/submit-progress",
+                            progress: (i + u / t) / items.length,
+                        }),
+                    onTusState: (state) => {
+                        tusUpload = state;
+                    },
+                });
 
-            // This is the perfect place for our client-side hook.
-            if (result.success) {
-                const newAudioPostId = result.data?.post_id || result.post_id;
+                console.log("[StarmusCore] ✅ Success:", itemResult);
 
-                if (newAudioPostId) {
-                    console.log(
-                        "[StarmusCore] Firing starmusRecordingComplete event with Post ID:",
-                        newAudioPostId,
-                    );
-                    // Only trigger event if parent is same-origin
-                    try {
-                        if (window.parent && window.parent !== window && window.parent.jQuery) {
-                            // Attempt to access a property to verify same-origin
-                            void window.parent.location.href;
-                            parent.jQuery(parent.document).trigger("starmusRecordingComplete", [
-                                {
-                                    audioPostId: newAudioPostId,
-                                },
-                            ]);
-                            hookFired = true; // We successfully notified a parent, so we are in a modal.
-                        }
-                    } catch (_e) {
-                        // Cross-origin access denied; do not trigger event
-                        sparxstarIntegration.reportError("cross_origin_parent", {
-                            instanceId,
-                            tier: stateEnv.tier,
-                            network: stateEnv.network,
-                            _e,
-                        });
-                    }
+                const postId = itemResult.data?.post_id || itemResult.post_id;
+                if (postId) {
+                    postIds.push(postId);
+                }
+                // The selected take's result drives the modal hook and redirect
+                if (!result || item.take?.selected) {
+                    result = itemResult;
+                }
+            } catch (error) {
+                // Cancelled by the user: stop here; takes already sent stay submitted
+                if (error.cancelled) {
+                    console.log("[StarmusCore] Upload cancelled");
+                    activeUpload = null;
+                    store.dispatch({ type: "starmus/upload-cancelled" });
+                    return;
                 }
-            }
 
-            store.dispatch({ type: "starmus/submit-complete", payload: result });
-
-            // --- MODIFIED REDIRECT LOGIC ---
-            if (result.success) {
-                const redirect = result.data?.redirect_url || result.redirect_url;
-                if (redirect) {
-                    console.log("[StarmusCore] Redirecting to:", redirect);
-                    setTimeout(() => (window.location.href = redirect), 1500);
-                } else if (!hookFired) {
-                    // ONLY run this fallback if we are NOT in a modal context.
-                    alert("Submission successful!");
-                    window.location.reload();
+                console.error("[StarmusCore] ❌ Upload Failed:", error.message);
+
+                // Report error to SPARXSTAR if available
+                if (sparxstarIntegration.isAvailable) {
+                    sparxstarIntegration.reportError("upload_failed", {
+                        error: error.message,
+                        instanceId,
+                        tier: stateEnv.tier,
+                        network: stateEnv.network,
+                        fileSize: item.blob.size,
+                    });
+                }
+
+                // Offline Fallback. A finished TUS transfer that is still processing is
+                // queued by its URL, so the queue checks for the result before re-sending;
+                // a partial one is queued with its upload URL so the queue resumes it.
+                try {
+                    submissionId = await queueSubmission(
+                        instanceId,
+                        item.blob,
+                        item.fileName,
+                        itemFields,
+                        itemMetadata,
+                        { tusUrl: error.tusUrl || null, tusUpload, duration: item.duration },
+                    );
+                } catch (qe) {
+                    activeUpload = null;
+                    console.error("Offline Queue Failed:", qe);
+                    store.dispatch({
+                        type: "starmus/error",
+                        error: {
+                            // Say why when the user can fix it (free space, enter the PIN)
+                            message:
+                                qe.code === "STORAGE_FULL" || qe.code === "QUEUE_LOCKED"
+                                    ? qe.message
+                                    : "Upload failed completely.",
+                        },
+                    });
+                    return;
                 }
             }
-            // --- END: MODIFIED CODE ---
-        } catch (error) {
-            console.error("[StarmusCore] ❌ Upload Failed:", error.message);
-
-            // Report error to SPARXSTAR if available
-            if (sparxstarIntegration.isAvailable) {
-                sparxstarIntegration.reportError("upload_failed", {
-                    error: error.message,
-                    instanceId,
-                    tier: stateEnv.tier,
-                    network: stateEnv.network,
-                    fileSize: audioBlob.size,
+        }
+
+        activeUpload = null;
+
+        if (submissionId) {
+            // Part of a batch went through: the parent page still gets those posts
+            if (postIds.length) {
+                notifyRecordingComplete(result.data?.post_id || result.post_id, postIds, {
+                    partial: true,
                 });
             }
+            store.dispatch({
+                type: "starmus/submit-queued",
+                submissionId,
+                submitted: postIds.length,
+                total: items.length,
+            });
+            const pending = await getPendingCount();
+            if (window.CommandBus) {
+                window.CommandBus.dispatch("starmus/offline/queue_updated", { count: pending });
+            }
+            return;
+        }
 
-            // Offline Fallback
-            try {
-                const submissionId = await queueSubmission(
-                    instanceId,
-                    audioBlob,
-                    fileName,
-                    formFields,
-                    metadata,
-                );
-                store.dispatch({ type: "starmus/submit-queued", submissionId });
-                const pending = await getPendingCount();
-                if (window.CommandBus) {
-                    window.CommandBus.dispatch("starmus/offline/queue_updated", { count: pending });
-                }
-            } catch (qe) {
-                console.error("Offline Queue Failed:", qe);
-                store.dispatch({
-                    type: "starmus/error",
-                    error: { message: "Upload failed completely." },
-                });
+        // --- START: MODIFIED CODE ---
+
+        /**
+         * Tracks whether we successfully fired a parent window hook.
+         * Used to determine if we're in a modal context.
+         * @type {boolean}
+         */
+        let hookFired = false; // This will track if we are in a modal context.
+
+        // This is the perfect place for our client-side hook.
+        if (result.success) {
+            hookFired = notifyRecordingComplete(result.data?.post_id || result.post_id, postIds);
+        }
+
+        store.dispatch({ type: "starmus/submit-complete", payload: result });
+
+        // --- MODIFIED REDIRECT LOGIC ---
+        if (result.success) {
+            const redirect = result.data?.redirect_url || result.redirect_url;
+            if (redirect) {
+                console.log("[StarmusCore] Redirecting to:", redirect);
+                setTimeout(() => (window.location.href = redirect), 1500);
+            } else if (!hookFired) {
+                // ONLY run this fallback if we are NOT in a modal context.
+                alert("Submission successful!");
+                window.location.reload();
             }
         }
+        // --- END: MODIFIED CODE ---
     }
 
     /**
      * Event handler subscriptions for StarmusHooks integration.
-     * Sets up listeners for submit, reset, and continue events filtered by instanceId.
+     * Sets up listeners for submit, upload pause/resume/cancel, reset, and continue events
+     * filtered by instanceId.
      */
     subscribe(
         "submit",
         (payload, meta) => {
             if (meta && meta.instanceId === instanceId) {
-                handleSubmit(payload.formFields || {});
+                handleSubmit(payload.formFields || {}, { allTakes: !!payload.allTakes });
+            }
+        },
+        instanceId,
+    );
+
+    subscribe(
+        "upload-pause",
+        (_p, meta) => {
+            if (meta && meta.instanceId === instanceId && activeUpload?.pause()) {
+                store.dispatch({ type: "starmus/upload-paused" });
+            }
+        },
+        instanceId,
+    );
+
+    subscribe(
+        "upload-resume",
+        (_p, meta) => {
+            if (meta && meta.instanceId === instanceId && activeUpload?.resume()) {
+                store.dispatch({ type: "starmus/upload-resumed" });
+            }
+        },
+        instanceId,
+    );
+
+    subscribe(
+        "upload-cancel",
+        (_p, meta) => {
+            if (meta && meta.instanceId === instanceId) {
+                activeUpload?.cancel();
             }
         },
         instanceId,
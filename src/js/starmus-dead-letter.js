@@ -0,0 +1,169 @@
+/**
+ * @file starmus-dead-letter.js
+ * @version 1.0.0
+ * @description Failure classification for queued uploads, shared by the offline queue and
+ * the service worker. Decides whether a failed upload is worth retrying, and when it is not,
+ * which dead-letter reason the item is parked under until someone repairs and resubmits it.
+ * Also fetches a fresh WordPress REST nonce, since an expired nonce is the one permanent
+ * failure that can be fixed without the user.
+ */
+
+"use strict";
+
+/**
+ * Reason codes stored on dead-lettered items (`item.deadLetter.reason`).
+ *
+ * @constant
+ * @type {Object<string, string>}
+ * @property {string} MAX_RETRIES - Every retry attempt failed
+ * @property {string} NONCE_EXPIRED - The REST nonce expired and no fresh one could be fetched
+ *   (usually the user has been signed out)
+ * @property {string} FORBIDDEN - The server refused the user (401/403)
+ * @property {string} BAD_REQUEST - The server rejected the submission itself (400/422)
+ * @property {string} TOO_LARGE - The audio is larger than the server accepts (413)
+ * @property {string} INVALID_RESPONSE - The server replied with something that isn't JSON
+ * @property {string} QUOTA_EXCEEDED - The browser ran out of storage while handling the item
+ * @property {string} UNREADABLE - The encrypted item can't be decrypted with this device's key
+ * @property {string} KEY_MISSING - The item was sealed with a device key that is no longer
+ *   stored (e.g. the browser cleared part of the site's data)
+ * @property {string} CORRUPTED - The stored audio no longer matches the checksum taken when
+ *   it was recorded
+ */
+export const DEAD_LETTER_REASONS = {
+    MAX_RETRIES: "max_retries",
+    NONCE_EXPIRED: "nonce_expired",
+    FORBIDDEN: "forbidden",
+    BAD_REQUEST: "bad_request",
+    TOO_LARGE: "too_large",
+    INVALID_RESPONSE: "invalid_response",
+    QUOTA_EXCEEDED: "quota_exceeded",
+    UNREADABLE: "unreadable",
+    KEY_MISSING: "key_missing",
+    CORRUPTED: "corrupted",
+};
+
+/**
+ * WordPress error codes for a nonce the REST API no longer accepts.
+ * @constant
+ * @type {Array<string>}
+ */
+const NONCE_ERROR_CODES = ["rest_cookie_invalid_nonce", "rest_invalid_nonce"];
+
+/**
+ * Error code the server replies with when the file it received doesn't match `audio_sha256`.
+ * @constant
+ * @type {string}
+ */
+const SERVER_CHECKSUM_CODE = "checksum_mismatch";
+
+/**
+ * Tells whether an upload failed because its REST nonce expired.
+ *
+ * @function
+ * @exports isNonceError
+ * @param {Error} err - Upload error, with `status` and `code` where the server replied
+ * @returns {boolean}
+ */
+export function isNonceError(err) {
+    if (!err) {
+        return false;
+    }
+    if (NONCE_ERROR_CODES.includes(err.code)) {
+        return true;
+    }
+    return err.status === 403 && /nonce/i.test(err.message || "");
+}
+
+/**
+ * Sorts an upload failure into retryable or dead-letter.
+ * Network errors, timeouts, 429 and 5xx replies are retryable, as is audio the server
+ * received damaged; a refused nonce is flagged so the caller can fetch a new one before
+ * giving up.
+ *
+ * @function
+ * @exports classifyUploadError
+ * @param {Error} err - Upload error
+ * @returns {{retryable: boolean, reason: string|null, nonce: boolean}} `reason` is a
+ *   DEAD_LETTER_REASONS value when not retryable
+ *
+ * @example
+ * const { retryable, reason } = classifyUploadError(err);
+ */
+export function classifyUploadError(err) {
+    const msg = (err && err.message) || String(err);
+    const status = err?.status || 0;
+    const deadLetter = (reason) => ({ retryable: false, reason, nonce: false });
+
+    if (isNonceError(err)) {
+        return { retryable: false, reason: DEAD_LETTER_REASONS.NONCE_EXPIRED, nonce: true };
+    }
+    if (err?.code === "DECRYPT_FAILED") {
+        return deadLetter(DEAD_LETTER_REASONS.UNREADABLE);
+    }
+    if (err?.code === "CHECKSUM_MISMATCH") {
+        return deadLetter(DEAD_LETTER_REASONS.CORRUPTED);
+    }
+    // Damaged in transit, not on the device: sending it again can succeed
+    if (err?.code === SERVER_CHECKSUM_CODE) {
+        return { retryable: true, reason: null, nonce: false };
+    }
+    if (err?.name === "QuotaExceededError" || /QuotaExceeded/i.test(msg)) {
+        return deadLetter(DEAD_LETTER_REASONS.QUOTA_EXCEEDED);
+    }
+    if (/Invalid JSON/i.test(msg)) {
+        return deadLetter(DEAD_LETTER_REASONS.INVALID_RESPONSE);
+    }
+    if (status === 401 || status === 403) {
+        return deadLetter(DEAD_LETTER_REASONS.FORBIDDEN);
+    }
+    if (status === 413) {
+        return deadLetter(DEAD_LETTER_REASONS.TOO_LARGE);
+    }
+    // Older errors carry the status only in their message ("Upload failed: 400 ...")
+    if (status === 400 || status === 422 || (!status && /\b400\b/.test(msg))) {
+        return deadLetter(DEAD_LETTER_REASONS.BAD_REQUEST);
+    }
+    return { retryable: true, reason: null, nonce: false };
+}
+
+/**
+ * Builds the `deadLetter` record stored on an item.
+ *
+ * @function
+ * @exports deadLetterRecord
+ * @param {string} reason - DEAD_LETTER_REASONS value
+ * @param {Error|string} [err] - Last failure
+ * @returns {{reason: string, message: string, status: number, at: number}}
+ */
+export function deadLetterRecord(reason, err) {
+    return {
+        reason,
+        message: (err && err.message) || (err ? String(err) : ""),
+        status: err?.status || 0,
+        at: Date.now(),
+    };
+}
+
+/**
+ * Fetches a fresh `wp_rest` nonce from WordPress core's `rest-nonce` AJAX action.
+ * Works only while the login cookie is still valid.
+ *
+ * @async
+ * @function
+ * @exports fetchFreshNonce
+ * @param {string} url - `admin-ajax.php?action=rest-nonce` URL
+ * @returns {Promise<string|null>} New nonce, or null when signed out or unreachable
+ */
+export async function fetchFreshNonce(url) {
+    if (!url) {
+        return null;
+    }
+    try {
+        const res = await fetch(url, { credentials: "same-origin", cache: "no-store" });
+        const nonce = (await res.text()).trim();
+        // Signed-out visitors get "0" (or "-1") instead of a nonce
+        return res.ok && /^[a-f0-9]{10}$/i.test(nonce) ? nonce : null;
+    } catch {
+        return null;
+    }
+}
@@ -7,7 +7,7 @@
  * - State management (Redux-style store)
  * - Audio recording and playback
  * - UI rendering and interaction
- * - Offline queue management
+ * - Offline queue management, drained by a service worker after the tab closes
  * - Automatic metadata synchronization
  * - Transcript controller
  * - Audio editor (Peaks.js)
@@ -29,6 +29,8 @@
  * @requires starmus-ui
  * @requires starmus-recorder
  * @requires starmus-offline
+ * @requires starmus-sw-bridge
+ * @requires starmus-queue-panel
  * @requires starmus-metadata-auto
  * @requires starmus-transcript-controller
  * @requires starmus-audio-editor
@@ -48,8 +50,11 @@ import { createStore } from "./starmus-state-store.js";
 import { initCore } from "./starmus-core.js";
 import { initInstance as initUI } from "./starmus-ui.js";
 import { initRecorder } from "./starmus-recorder.js";
+import { initReviewEditor } from "./starmus-review-editor.js";
 // CRITICAL FIX: Added getOfflineQueue to imports
 import { initOffline, queueSubmission, getOfflineQueue } from "./starmus-offline.js";
+import { initServiceWorker } from "./starmus-sw-bridge.js";
+import { initQueuePanel } from "./starmus-queue-panel.js";
 import { initAutoMetadata } from "./starmus-metadata-auto.js";
 import TranscriptModule from "./starmus-transcript-controller.js";
 import { default as StarmusAudioEditor } from "./starmus-audio-editor.js";
@@ -125,7 +130,10 @@ window.StarmusStore = store;
  * @see {@link initCore} Core module initialization
  * @see {@link initUI} UI module initialization
  * @see {@link initRecorder} Recording module initialization
+ * @see {@link initReviewEditor} Review-step trim/cut editor initialization
  * @see {@link initOffline} Offline queue initialization
+ * @see {@link initServiceWorker} Background upload of the queue after the tab closes
+ * @see {@link initQueuePanel} Pending submissions panel
  * @see {@link initAutoMetadata} Metadata synchronization
  */
 function initRecorderInstance(recorderForm, instanceId) {
@@ -143,7 +151,10 @@ function initRecorderInstance(recorderForm, instanceId) {
             initCore(store, instanceId, environmentData);
             initUI(store, {}, instanceId);
             initRecorder(store, instanceId);
+            initReviewEditor(store, instanceId);
             initOffline();
+            initServiceWorker();
+            initQueuePanel(recorderForm);
             initAutoMetadata(store, recorderForm, {});
         })
         .catch((error) => {
@@ -153,7 +164,10 @@ function initRecorderInstance(recorderForm, instanceId) {
             initCore(store, instanceId, {});
             initUI(store, {}, instanceId);
             initRecorder(store, instanceId);
+            initReviewEditor(store, instanceId);
             initOffline();
+            initServiceWorker();
+            initQueuePanel(recorderForm);
             initAutoMetadata(store, recorderForm, {});
         });
 }
@@ -224,7 +238,8 @@ function initEditorInstance() {
  * @description Detection logic:
  * 1. **Recorder Mode**: Looks for `form[data-starmus-instance]` element
  * 2. **Editor Mode**: Looks for `#starmus-editor-root` element
- * 3. **None Found**: Logs warning but doesn't throw error
+ * 3. **Bundle Import**: Looks for `[data-starmus-bundle-import]` (admin Import Recordings page)
+ * 4. **None Found**: Logs warning but doesn't throw error
  *
  * @description Error handling:
  * - Catches and logs initialization errors
@@ -246,12 +261,18 @@ document.addEventListener("DOMContentLoaded", () => {
     try {
         const recorderForm = document.querySelector("form[data-starmus-instance]");
         const editorRoot = document.getElementById("starmus-editor-root");
+        const importRoot = document.querySelector("[data-starmus-bundle-import]");
 
         if (recorderForm) {
             const instanceId = recorderForm.getAttribute("data-starmus-instance");
             initRecorderInstance(recorderForm, instanceId);
         } else if (editorRoot) {
             initEditorInstance();
+        } else if (importRoot) {
+            // Imported bundles upload from this page's own offline queue
+            initOffline();
+            initServiceWorker();
+            initQueuePanel(importRoot);
         } else {
             console.warn("[StarmusMain] ⚠️ No Starmus form or editor found.");
         }
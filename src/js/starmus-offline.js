@@ -10,35 +10,76 @@
  * - Automatic retry with exponential backoff delays
  * - Network connectivity monitoring and auto-resume
  * - Blob size validation and memory management
- * - Queue status notifications through command bus
- * - Cross-tab synchronization and version management
+ * - Persistent storage request, free-space check before queuing, and eviction of
+ *   already-exported items (oldest first) when space runs out
+ * - Queue status notifications through command bus, with per-item upload progress
+ * - TUS upload URL and offset kept per item so retries resume instead of restarting
+ * - Dead-letter state, with a reason code, for items that can't succeed by retrying;
+ *   expired REST nonces are renewed automatically before giving up
+ * - One processing tab at a time (Web Locks, localStorage lease fallback), with queue
+ *   changes broadcast so every tab's counts stay in step
+ * - Versioned schema migrations that upgrade queued records in place, all-or-nothing
+ * - Optional AES-GCM encryption of queued audio, form fields and metadata, under a
+ *   device key or a PIN, with the stored copy overwritten before it is deleted
+ * - SHA-256 of the audio stored with each item and checked before every upload, so
+ *   audio damaged in storage is dead-lettered instead of being sent
+ * - Shared with the service worker, which drains it after the tab is closed
+ * - Crash-safe persistence of in-progress recording chunks
  */
 
 "use strict";
 
 import { debugLog } from "./starmus-hooks.js";
-import { uploadWithPriority } from "./starmus-tus.js";
+import { uploadWithPriority, awaitTusResult } from "./starmus-tus.js";
+import {
+    DEAD_LETTER_REASONS,
+    classifyUploadError,
+    deadLetterRecord,
+    fetchFreshNonce,
+    isNonceError,
+} from "./starmus-dead-letter.js";
+import { withQueueLock, broadcastQueueChange, onQueueBroadcast } from "./starmus-queue-lock.js";
+import { QUEUE_CONFIG } from "./starmus-queue-config.js";
+import {
+    QUEUE_KEY_IDS,
+    createDeviceKey,
+    createPinKey,
+    isQueueCryptoAvailable,
+    isSealed,
+    openSubmission,
+    sealFields,
+    sealSubmission,
+    unlockPinKey,
+    wipedCopy,
+} from "./starmus-queue-crypto.js";
+import { sha256Hex, verifyChecksum } from "./starmus-checksum.js";
 import sparxstarIntegration from "./starmus-sparxstar-integration.js";
 
 /**
  * Configuration object for offline queue behavior.
- * Defines database settings, retry policies, and size limits.
+ * Defines database settings, retry policies, and size limits. Names and limits the
+ * service worker relies on come from QUEUE_CONFIG.
  *
  * @constant
  * @type {Object}
- * @property {string} dbName - IndexedDB database name
- * @property {string} storeName - Object store name for submissions
- * @property {number} dbVersion - Database schema version
- * @property {number} maxRetries - Maximum retry attempts per submission
+ * @property {string} sessionStoreName - Object store name for in-progress recording sessions
+ * @property {string} chunkStoreName - Object store name for in-progress recording chunks
+ * @property {number} dbVersion - Database schema version; the last MIGRATIONS version
+ * @property {number} dbBlockedTimeout - Wait (ms) for other tabs to release an old schema
  * @property {Array<number>} retryDelays - Retry delay intervals in milliseconds
  * @property {Object<string, number>} maxBlobSizes - Tier-based maximum blob sizes in bytes
  * @property {number} defaultMaxBlobSize - Fallback maximum blob size in bytes when tier is unknown
+ * @property {number} progressInterval - Minimum time (ms) between stored/broadcast progress updates
+ * @property {number} storageHeadroom - Free bytes required per byte queued (IndexedDB overhead)
+ * @property {number} storageReserve - Bytes always left free, e.g. for crash-safe recording chunks
+ * @property {number} storageWarnRatio - Usage/quota ratio above which a storage warning is sent
  */
 const CONFIG = {
-    dbName: "StarmusSubmissions",
-    storeName: "pendingSubmissions",
-    dbVersion: 1,
-    maxRetries: 10,
+    ...QUEUE_CONFIG,
+    sessionStoreName: "recordingSessions",
+    chunkStoreName: "recordingChunks",
+    dbVersion: 6,
+    dbBlockedTimeout: 10000,
     retryDelays: [0, 5000, 10000, 30000, 60000, 120000, 300000, 600000, 1200000, 1800000],
     // Tier-based size limits for African markets
     maxBlobSizes: {
@@ -47,8 +88,166 @@ const CONFIG = {
         C: 5 * 1024 * 1024, // 5MB for low-end devices
     },
     defaultMaxBlobSize: 5 * 1024 * 1024, // Default to Tier C for safety
+    progressInterval: 1000,
+    storageHeadroom: 1.5,
+    storageReserve: 5 * 1024 * 1024,
+    storageWarnRatio: 0.8,
 };
 
+/**
+ * Fills in fields added to queued submissions since they were first stored. Values
+ * already present are never changed, so a record comes out in the shape add() writes
+ * today whichever version queued it.
+ *
+ * @function
+ * @param {Object} record - Stored submission
+ * @returns {Object} The same record, upgraded in place
+ */
+function normalizeSubmission(record) {
+    const defaults = {
+        formFields: {},
+        metadata: {},
+        retryCount: 0,
+        lastAttempt: null,
+        error: null,
+        tusUrl: null,
+        // Older records only know when the upload last failed, which is when it finished
+        tusFinishedAt: record.tusUrl ? record.lastAttempt || record.timestamp : null,
+        tusUpload: null,
+        bytesUploaded: record.tusUpload?.offset || 0,
+        bytesTotal: record.audioBlob?.size || 0,
+        duration: 0,
+        deadLetter: null,
+        exportedAt: null,
+        sha256: null,
+    };
+    for (const [key, value] of Object.entries(defaults)) {
+        if (record[key] === undefined) {
+            record[key] = value;
+        }
+    }
+    return record;
+}
+
+/**
+ * Runs normalizeSubmission() over every stored submission, inside a migration.
+ *
+ * @function
+ * @param {IDBTransaction} transaction - The `versionchange` transaction
+ * @returns {void}
+ */
+function normalizeStoredSubmissions(transaction) {
+    transaction.objectStore(CONFIG.storeName).openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (cursor) {
+            cursor.update(normalizeSubmission(cursor.value));
+            cursor.continue();
+        }
+    };
+}
+
+/**
+ * Offline database migrations, oldest first. Each step runs once, inside the upgrade
+ * transaction, for databases below its version. IndexedDB upgrades are atomic: if a step
+ * throws, the whole upgrade is rolled back and the database keeps its old version and
+ * records. Append new steps and raise CONFIG.dbVersion; never edit a step that has shipped.
+ *
+ * @constant
+ * @exports MIGRATIONS
+ * @type {Array<{version: number, description: string,
+ *   migrate: function(IDBDatabase, IDBTransaction): void}>}
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: "Submission queue",
+        migrate(db) {
+            if (!db.objectStoreNames.contains(CONFIG.storeName)) {
+                const store = db.createObjectStore(CONFIG.storeName, { keyPath: "id" });
+                store.createIndex("timestamp", "timestamp", { unique: false });
+                store.createIndex("retryCount", "retryCount", { unique: false });
+            }
+        },
+    },
+    {
+        version: 2,
+        description: "Crash-safe recording sessions and chunks",
+        migrate(db) {
+            if (!db.objectStoreNames.contains(CONFIG.sessionStoreName)) {
+                db.createObjectStore(CONFIG.sessionStoreName, { keyPath: "id" });
+            }
+            if (!db.objectStoreNames.contains(CONFIG.chunkStoreName)) {
+                const chunks = db.createObjectStore(CONFIG.chunkStoreName, { keyPath: "id" });
+                chunks.createIndex("sessionId", "sessionId", { unique: false });
+            }
+        },
+    },
+    {
+        version: 3,
+        description: "Upload state, dead-letter and export fields on queued submissions",
+        migrate(db, transaction) {
+            normalizeStoredSubmissions(transaction);
+        },
+    },
+    {
+        version: 4,
+        description: "Queue encryption keys",
+        migrate(db) {
+            if (!db.objectStoreNames.contains(CONFIG.keyStoreName)) {
+                db.createObjectStore(CONFIG.keyStoreName, { keyPath: "id" });
+            }
+        },
+    },
+    {
+        version: 5,
+        description: "Audio checksum on queued submissions",
+        // Items queued before this have no checksum (null) and upload unverified
+        migrate(db, transaction) {
+            normalizeStoredSubmissions(transaction);
+        },
+    },
+    {
+        version: 6,
+        description: "Finish time of TUS uploads awaiting their result",
+        migrate(db, transaction) {
+            normalizeStoredSubmissions(transaction);
+        },
+    },
+];
+
+/**
+ * Runs every migration above `oldVersion`, up to `newVersion`. Called from the
+ * `upgradeneeded` handler with the upgrade transaction.
+ *
+ * @function
+ * @exports upgradeDatabase
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {IDBTransaction} transaction - The `versionchange` transaction
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ * @param {number} newVersion - Version being opened
+ * @returns {Array<number>} Versions applied
+ * @throws {Error} Whatever a step throws; the caller aborts the upgrade
+ *
+ * @example
+ * req.onupgradeneeded = (e) =>
+ *     upgradeDatabase(req.result, req.transaction, e.oldVersion, e.newVersion);
+ */
+export function upgradeDatabase(db, transaction, oldVersion, newVersion) {
+    // The service worker opens the database without a version, which creates it empty
+    // at version 1 on devices that never queued anything: start those from scratch
+    const from = db.objectStoreNames.contains(CONFIG.storeName) ? oldVersion : 0;
+    const applied = [];
+
+    for (const step of MIGRATIONS) {
+        if (step.version > from && step.version <= newVersion) {
+            step.migrate(db, transaction);
+            applied.push(step.version);
+            debugLog(`[Offline] Migrated to v${step.version}: ${step.description}`);
+        }
+    }
+    return applied;
+}
+
 /**
  * Resolves the maximum allowed blob size based on environment tier metadata.
  * Uses conservative defaults for safety in low-bandwidth markets.
@@ -57,8 +256,9 @@ const CONFIG = {
  * @param {Object} [metadata.env] - Environment object with tier classification
  * @param {string} [metadata.tier] - Explicit tier override
  * @returns {number} Maximum blob size in bytes allowed for the submission
+ * @exports getMaxBlobSize
  */
-function getMaxBlobSize(metadata = {}) {
+export function getMaxBlobSize(metadata = {}) {
     const rawTier =
         metadata && typeof metadata === "object"
             ? (metadata.tier ?? metadata.env?.tier)
@@ -73,270 +273,1196 @@ function getMaxBlobSize(metadata = {}) {
     return CONFIG.defaultMaxBlobSize;
 }
 
-/**
- * Internal queue class for managing offline audio submissions.
- * Handles IndexedDB operations, retry logic, and network monitoring.
- *
- * @class
- * @private
- */
-// Internal queue class
-class OfflineQueue {
+/**
+ * Reads this origin's storage usage and quota.
+ *
+ * @async
+ * @function
+ * @exports getStorageStatus
+ * @returns {Promise<{usage: number, quota: number, available: number, ratio: number,
+ *   persisted: boolean}|null>} Null when the browser has no StorageManager
+ *
+ * @example
+ * const status = await getStorageStatus();
+ * if (status && status.ratio > 0.8) console.warn("Storage nearly full");
+ */
+export async function getStorageStatus() {
+    const storage = typeof navigator !== "undefined" ? navigator.storage : null;
+    if (!storage || typeof storage.estimate !== "function") {
+        return null;
+    }
+    const { usage = 0, quota = 0 } = await storage.estimate();
+    const persisted = typeof storage.persisted === "function" ? await storage.persisted() : false;
+    return {
+        usage,
+        quota,
+        available: Math.max(0, quota - usage),
+        ratio: quota ? usage / quota : 0,
+        persisted,
+    };
+}
+
+/**
+ * Builds the error thrown while PIN encryption waits for the PIN.
+ *
+ * @function
+ * @returns {Error} With `code: "QUEUE_LOCKED"`
+ */
+function queueLockedError() {
+    const error = new Error("Enter your PIN to unlock the offline queue, then submit again.");
+    error.code = "QUEUE_LOCKED";
+    return error;
+}
+
+/**
+ * Internal queue class for managing offline audio submissions.
+ * Handles IndexedDB operations, retry logic, and network monitoring.
+ *
+ * @class
+ * @private
+ */
+// Internal queue class
+class OfflineQueue {
+    /**
+     * Creates a new OfflineQueue instance.
+     * Initializes database connection state and processing flags.
+     *
+     * @constructor
+     */
+    constructor() {
+        /**
+         * IndexedDB database connection.
+         * @type {IDBDatabase|null}
+         */
+        this.db = null;
+
+        /**
+         * Flag indicating if queue processing is active.
+         * @type {boolean}
+         */
+        this.isProcessing = false;
+
+        /**
+         * ID of the item currently being uploaded by processQueue().
+         * @type {string|null}
+         */
+        this.activeId = null;
+
+        /**
+         * Set when processQueue() is called during a pass, so the pass runs again.
+         * @type {boolean}
+         */
+        this.rerunRequested = false;
+
+        /**
+         * True while this tab holds the cross-tab queue lock.
+         * @type {boolean}
+         */
+        this.holdsLock = false;
+
+        /**
+         * ID of the item another tab is uploading, from its broadcasts.
+         * @type {string|null}
+         */
+        this.remoteActiveId = null;
+
+        /**
+         * Set once the network and broadcast listeners are attached.
+         * @type {boolean}
+         */
+        this.listening = false;
+
+        /**
+         * Unlocked encryption keys by QUEUE_KEY_IDS value. The PIN key lives only here.
+         * @type {Object<string, CryptoKey>}
+         */
+        this.keys = {};
+    }
+
+    /**
+     * Opens the IndexedDB database, running any pending MIGRATIONS first.
+     * An upgrade waits up to `dbBlockedTimeout` for other tabs to close the old
+     * schema; this connection in turn steps aside when another tab upgrades.
+     *
+     * @async
+     * @method
+     * @returns {Promise<void>} Resolves when the database is ready
+     * @throws {Error} When IndexedDB is missing, the open fails, a migration fails
+     *   or the upgrade stays blocked
+     *
+     * @description Database Schema:
+     * - Object Store: 'pendingSubmissions' with keyPath 'id'
+     * - Index: 'timestamp' for chronological ordering
+     * - Index: 'retryCount' for retry management
+     * - Object Store: 'recordingSessions' with keyPath 'id' (v2)
+     * - Object Store: 'recordingChunks' with keyPath 'id', index 'sessionId' (v2)
+     * - Submission records carry upload state, dead-letter and export fields (v3)
+     * - Object Store: 'queueKeys' with keyPath 'id' (v4)
+     */
+    async init() {
+        if (!window.indexedDB) {
+            const error = new Error("IndexedDB not supported");
+            console.error("[Offline] CRITICAL:", error.message);
+            this._reportStorageFailure("no_indexeddb", error);
+            throw error; // Don't silently continue
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(CONFIG.dbName, CONFIG.dbVersion);
+            let blockedTimer = null;
+            let settled = false;
+            let migrationFailed = false;
+
+            const fail = (error) => {
+                clearTimeout(blockedTimer);
+                settled = true;
+                reject(error);
+            };
+
+            req.onerror = (e) => {
+                const error = e.target.error;
+                console.error("[Offline] CRITICAL: DB open failed:", error);
+
+                // Already reported with its cause; the open error is just the abort
+                if (!migrationFailed) {
+                    // Detailed error reporting for African market debugging
+                    this._reportStorageFailure("db_open_failed", error, {
+                        name: error.name,
+                        message: error.message,
+                        userAgent: navigator.userAgent,
+                        isPrivateBrowsing: this._detectPrivateBrowsing(),
+                    });
+                }
+
+                fail(error); // Don't silently fail
+            };
+
+            req.onblocked = (e) => {
+                // Other tabs close their connection on `versionchange`, after which the
+                // upgrade carries on by itself; only give up if one never does
+                const error = new Error("DB open blocked - close other tabs");
+                console.warn("[Offline]", error.message);
+                this._reportStorageFailure("db_blocked", error, {
+                    oldVersion: e.oldVersion,
+                    newVersion: e.newVersion,
+                });
+                blockedTimer = setTimeout(() => fail(error), CONFIG.dbBlockedTimeout);
+            };
+
+            req.onsuccess = () => {
+                if (settled) {
+                    // Unblocked after we gave up: the upgrade is done, the next open reuses it
+                    req.result.close();
+                    return;
+                }
+                clearTimeout(blockedTimer);
+                settled = true;
+                this.db = req.result;
+
+                this.db.onversionchange = () => {
+                    // A newer build in another tab needs to upgrade: let it, and have
+                    // the next getOfflineQueue() reopen
+                    this.db.close();
+                    this.db = null;
+                    console.warn("[Offline] DB version changed — closed connection");
+                    this._showUserError(
+                        "db_version_change",
+                        new Error("Database upgraded by another tab"),
+                    );
+                };
+
+                this.db.onerror = (event) => {
+                    console.error("[Offline] DB runtime error:", event.target.error);
+                    this._reportStorageFailure("db_runtime_error", event.target.error);
+                };
+
+                console.log("[Offline] DB ready");
+                this._requestPersistence();
+                resolve();
+            };
+
+            req.onupgradeneeded = (e) => {
+                try {
+                    upgradeDatabase(req.result, req.transaction, e.oldVersion, e.newVersion);
+                } catch (error) {
+                    // Roll back so the queued records stay exactly as the old version wrote them
+                    migrationFailed = true;
+                    console.error("[Offline] CRITICAL: DB migration failed:", error);
+                    this._reportStorageFailure("migration_failed", error, {
+                        oldVersion: e.oldVersion,
+                        newVersion: e.newVersion,
+                    });
+                    req.transaction.abort();
+                }
+            };
+        });
+    }
+
+    /**
+     * Adds a submission to the queue.
+     *
+     * @async
+     * @method
+     * @param {string} instanceId - Recorder instance identifier
+     * @param {Blob} audioBlob - Audio to upload
+     * @param {string} fileName - Name for the audio file
+     * @param {Object} [formFields={}] - Form data
+     * @param {Object} [metadata={}] - Submission metadata
+     * @param {Object} [options={}] - Queue options
+     * @param {string|null} [options.tusUrl] - URL of a finished TUS upload awaiting its result
+     * @param {Object|null} [options.tusUpload] - Partial TUS upload to resume
+     *   (`{ uploadUrl, fingerprint, offset }`)
+     * @param {number} [options.duration] - Audio length in seconds, for the queue panel
+     * @param {string} [options.id] - Keep an existing submission ID (bundle import)
+     * @param {number} [options.timestamp] - Keep the original queued time (bundle import)
+     * @param {string} [options.sha256] - Checksum taken when the audio was recorded;
+     *   defaults to `metadata.sha256`, and is computed here when neither is set
+     * @returns {Promise<string>} Submission ID
+     * @throws {Error} `code: "STORAGE_FULL"` when the device can't hold the audio, even
+     *   after evicting exported items
+     * @throws {Error} `code: "QUEUE_LOCKED"` when PIN encryption is on and the PIN
+     *   hasn't been entered
+     */
+    async add(instanceId, audioBlob, fileName, formFields = {}, metadata = {}, options = {}) {
+        if (!this.db) {
+            throw new Error("OfflineQueue: DB not initialized");
+        }
+
+        const maxAllowedSize = getMaxBlobSize(metadata);
+        if (audioBlob.size > maxAllowedSize) {
+            throw new Error(
+                `Audio too large (${(audioBlob.size / 1024 / 1024).toFixed(2)} MB); limit ${(maxAllowedSize / 1024 / 1024).toFixed(2)} MB`,
+            );
+        }
+
+        await this._ensureSpace(audioBlob.size);
+
+        // Clone blob to detach underlying buffer
+        const safeBlob = new Blob([audioBlob], { type: audioBlob.type });
+        const sha256 =
+            options.sha256 || metadata?.sha256 || (await sha256Hex(safeBlob).catch(() => null));
+
+        const item = {
+            id:
+                options.id ||
+                `starmus-offline-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            instanceId,
+            fileName,
+            timestamp: options.timestamp || Date.now(),
+            audioBlob: safeBlob,
+            formFields,
+            metadata,
+            retryCount: 0,
+            lastAttempt: null,
+            error: null,
+            tusUrl: options.tusUrl || null,
+            tusFinishedAt: options.tusUrl ? Date.now() : null,
+            tusUpload: options.tusUpload || null,
+            bytesUploaded: options.tusUpload?.offset || 0,
+            bytesTotal: safeBlob.size,
+            duration: options.duration || 0,
+            deadLetter: null,
+            exportedAt: null,
+            sha256,
+        };
+
+        const sealing = await this._sealingKey();
+        if (sealing) {
+            Object.assign(item, await sealSubmission(sealing.key, sealing.id, item));
+        }
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([CONFIG.storeName], "readwrite");
+            const store = tx.objectStore(CONFIG.storeName);
+            store.add(item);
+
+            tx.oncomplete = () => {
+                debugLog("[Offline] Queued:", item.id);
+                this._notifyQueueUpdate();
+                this._checkStorageWarning();
+                resolve(item.id);
+            };
+
+            tx.onerror = (ev) => {
+                const error = ev.target.error;
+                if (error?.name === "QuotaExceededError") {
+                    this._reportStorageFailure("quota_exceeded", error, { size: safeBlob.size });
+                }
+                reject(error);
+            };
+        });
+    }
+
+    /**
+     * Retrieves all pending submissions from the database, with the form fields and
+     * metadata of encrypted items opened. Audio stays sealed (`audioBlob: null`);
+     * get() opens it. Items whose key is locked come back with `locked: true`.
+     *
+     * @async
+     * @method
+     * @returns {Promise<Array<Object>>} Array of submission objects
+     */
+    async getAll() {
+        const items = await this._getAllRaw();
+        return Promise.all(items.map((item) => this._open(item, false)));
+    }
+
+    /**
+     * Retrieves one pending submission, decrypted when it is encrypted.
+     *
+     * @async
+     * @method
+     * @param {string} id - Submission ID
+     * @returns {Promise<Object|null>} Submission, or null when it is no longer queued;
+     *   `locked: true` and no audio when its key is locked
+     */
+    async get(id) {
+        const item = await this._getRaw(id);
+        return item ? this._open(item, true) : null;
+    }
+
+    /**
+     * Reads every stored submission as it is stored.
+     *
+     * @async
+     * @method
+     * @private
+     * @returns {Promise<Array<Object>>}
+     */
+    async _getAllRaw() {
+        if (!this.db) {
+            return [];
+        }
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([CONFIG.storeName], "readonly");
+            const store = tx.objectStore(CONFIG.storeName);
+            const req = store.getAll();
+            req.onsuccess = () => resolve(req.result || []);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    /**
+     * Reads one stored submission as it is stored.
+     *
+     * @async
+     * @method
+     * @private
+     * @param {string} id - Submission ID
+     * @returns {Promise<Object|null>}
+     */
+    async _getRaw(id) {
+        if (!this.db) {
+            return null;
+        }
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([CONFIG.storeName], "readonly");
+            const req = tx.objectStore(CONFIG.storeName).get(id);
+            req.onsuccess = () => resolve(req.result || null);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    /**
+     * Retries a submission immediately, skipping its backoff delay.
+     * A user-requested retry also restores dead-lettered items.
+     *
+     * @async
+     * @method
+     * @param {string} id - Submission ID
+     * @returns {Promise<void>} Resolves when the queue pass finishes
+     */
+    async retryNow(id) {
+        return this.resubmit(id);
+    }
+
+    /**
+     * Takes a submission out of the dead-letter state (or its backoff) and uploads it
+     * again, optionally with repaired form fields.
+     *
+     * @async
+     * @method
+     * @param {string} id - Submission ID
+     * @param {Object} [changes={}] - Repairs
+     * @param {Object} [changes.formFields] - Field values merged over the stored ones
+     * @returns {Promise<void>} Resolves when the queue pass finishes
+     *
+     * @example
+     * await queue.resubmit(id, { formFields: { dc_creator: "Amina" } });
+     */
+    async resubmit(id, changes = {}) {
+        const raw = await this._getRaw(id);
+        if (!raw) {
+            return;
+        }
+        const update = { retryCount: 0, lastAttempt: null, error: null, deadLetter: null };
+        if (changes.formFields) {
+            const item = await this._open(raw, false);
+            if (item.locked) {
+                throw queueLockedError();
+            }
+            const formFields = { ...item.formFields, ...changes.formFields };
+            if (isSealed(raw)) {
+                const key = this.keys[raw.sealed.keyId];
+                update.sealed = {
+                    ...raw.sealed,
+                    fields: await sealFields(key, formFields, item.metadata, item.sha256),
+                };
+            } else {
+                update.formFields = formFields;
+            }
+            // A partial TUS upload carries the old fields in its metadata: start over
+            update.tusUpload = null;
+            update.bytesUploaded = 0;
+        }
+        await this._updateItem(id, update);
+        this._notifyQueueUpdate();
+        await this.processQueue();
+    }
+
+    /**
+     * Removes a submission from the queue by ID.
+     * Encrypted items are first overwritten with zeros (see wipedCopy), so the
+     * ciphertext doesn't outlive the upload. Triggers queue update notification
+     * after removal.
+     *
+     * @async
+     * @method
+     * @param {string} id - Submission ID to remove
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        if (!this.db) {
+            return;
+        }
+        const item = await this._getRaw(id);
+        if (isSealed(item)) {
+            // Its own transaction, so the overwrite is committed before the delete
+            await new Promise((resolve, reject) => {
+                const tx = this.db.transaction([CONFIG.storeName], "readwrite");
+                tx.objectStore(CONFIG.storeName).put(wipedCopy(item));
+                tx.oncomplete = () => resolve();
+                tx.onerror = (ev) => reject(ev.target.error);
+            });
+        }
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([CONFIG.storeName], "readwrite");
+            tx.objectStore(CONFIG.storeName).delete(id);
+            tx.oncomplete = () => {
+                this._notifyQueueUpdate();
+                resolve();
+            };
+            tx.onerror = (ev) => reject(ev.target.error);
+        });
+    }
+
+    /**
+     * Updates retry information for a failed submission.
+     * Records retry count, timestamp, and error details.
+     *
+     * @async
+     * @method
+     * @private
+     * @param {string} id - Submission ID to update
+     * @param {number} retryCount - New retry count
+     * @param {string} [error] - Error message from failed attempt
+     * @param {Object} [changes={}] - Other item fields to update (e.g. tusUrl)
+     * @returns {Promise<void>}
+     */
+    async _updateRetry(id, retryCount, error, changes = {}) {
+        if (!this.db) {
+            return;
+        }
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([CONFIG.storeName], "readwrite");
+            const store = tx.objectStore(CONFIG.storeName);
+            const req = store.get(id);
+            req.onsuccess = () => {
+                const item = req.result;
+                if (item) {
+                    item.retryCount = retryCount;
+                    item.lastAttempt = Date.now();
+                    item.error = error || null;
+                    store.put({ ...item, ...changes });
+                }
+            };
+            req.onerror = (ev) => reject(ev.target.error);
+            tx.oncomplete = () => resolve();
+        });
+    }
+
+    /**
+     * Merges changes into a queued item without touching its retry state.
+     *
+     * @async
+     * @method
+     * @private
+     * @param {string} id - Submission ID to update
+     * @param {Object} changes - Item fields to update
+     * @returns {Promise<void>}
+     */
+    async _updateItem(id, changes) {
+        if (!this.db) {
+            return;
+        }
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([CONFIG.storeName], "readwrite");
+            const store = tx.objectStore(CONFIG.storeName);
+            const req = store.get(id);
+            req.onsuccess = () => {
+                if (req.result) {
+                    store.put({ ...req.result, ...changes });
+                }
+            };
+            req.onerror = (ev) => reject(ev.target.error);
+            tx.oncomplete = () => resolve();
+        });
+    }
+
+    /**
+     * Records that submissions were saved in an export bundle, which makes them
+     * eligible for eviction when storage runs out.
+     *
+     * @async
+     * @method
+     * @param {Array<string>} ids - Submission IDs
+     * @returns {Promise<void>}
+     */
+    async markExported(ids) {
+        const exportedAt = Date.now();
+        for (const id of ids) {
+            await this._updateItem(id, { exportedAt });
+        }
+        this._notifyQueueUpdate();
+    }
+
+    /**
+     * Frees space by removing exported submissions, oldest first. Items that were
+     * never exported, or are uploading right now, are kept.
+     *
+     * @async
+     * @method
+     * @param {number} bytesNeeded - Bytes to free
+     * @returns {Promise<number>} Bytes of audio removed
+     */
+    async evictExported(bytesNeeded) {
+        const candidates = (await this._getAllRaw())
+            .filter((item) => item.exportedAt && item.id !== this.activeId)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        let freed = 0;
+        const ids = [];
+        for (const item of candidates) {
+            if (freed >= bytesNeeded) {
+                break;
+            }
+            await this.remove(item.id);
+            freed += item.bytesTotal || item.audioBlob?.size || 0;
+            ids.push(item.id);
+        }
+
+        if (ids.length) {
+            console.warn(`[Offline] Evicted ${ids.length} exported item(s) to free space`);
+            const BUS = window.CommandBus || window.StarmusHooks;
+            if (BUS && typeof BUS.dispatch === "function") {
+                BUS.dispatch("starmus/offline/evicted", { ids, bytes: freed });
+            }
+        }
+        return freed;
+    }
+
+    /**
+     * Makes sure the device can hold `bytes` more audio, evicting exported items
+     * when it can't. Browsers without StorageManager are left to IndexedDB.
+     *
+     * @async
+     * @method
+     * @private
+     * @param {number} bytes - Size of the audio to queue
+     * @returns {Promise<void>}
+     * @throws {Error} `code: "STORAGE_FULL"`, with `needed` and `available` bytes
+     */
+    async _ensureSpace(bytes) {
+        const status = await getStorageStatus().catch(() => null);
+        if (!status || !status.quota) {
+            return;
+        }
+
+        const needed = bytes * CONFIG.storageHeadroom + CONFIG.storageReserve;
+        let available = status.available;
+        if (available >= needed) {
+            return;
+        }
+        available += await this.evictExported(needed - available);
+        if (available >= needed) {
+            return;
+        }
+
+        const mb = (n) => (n / 1024 / 1024).toFixed(1) + " MB";
+        const error = new Error(
+            `Not enough storage to keep this recording offline (needs ${mb(needed)}, ` +
+                `${mb(available)} free). Export or upload waiting recordings, then try again.`,
+        );
+        error.code = "STORAGE_FULL";
+        error.needed = needed;
+        error.available = available;
+        this._reportStorageFailure("quota_exceeded", error, { needed, available });
+        throw error;
+    }
+
+    /**
+     * Asks the browser to keep the queue's storage when space runs low.
+     * Browsers decide silently (Chrome) or prompt (Firefox); a refusal only means
+     * the queue stays best-effort.
+     *
+     * @method
+     * @private
+     * @returns {void}
+     */
+    _requestPersistence() {
+        const storage = navigator.storage;
+        if (!storage || typeof storage.persist !== "function") {
+            return;
+        }
+        storage
+            .persisted()
+            .then((persisted) => persisted || storage.persist())
+            .then((granted) => debugLog("[Offline] Persistent storage:", granted))
+            .catch(() => {});
+    }
+
+    /**
+     * Sends `starmus/offline/storage_warning` when usage passes `storageWarnRatio`.
+     *
+     * @method
+     * @private
+     * @returns {void}
+     */
+    _checkStorageWarning() {
+        getStorageStatus()
+            .then((status) => {
+                const BUS = window.CommandBus || window.StarmusHooks;
+                if (status && status.ratio >= CONFIG.storageWarnRatio && BUS?.dispatch) {
+                    BUS.dispatch("starmus/offline/storage_warning", status);
+                }
+            })
+            .catch(() => {});
+    }
+
+    /**
+     * Encryption mode chosen by the site (`starmusConfig.offlineEncryption`).
+     * "off" where WebCrypto is unavailable (e.g. pages served over plain HTTP).
+     *
+     * @method
+     * @returns {string} "off", "device" or "pin"
+     */
+    encryptionMode() {
+        const mode = window.starmusConfig?.offlineEncryption;
+        const known = mode === QUEUE_KEY_IDS.DEVICE || mode === QUEUE_KEY_IDS.PIN;
+        return known && isQueueCryptoAvailable() ? mode : "off";
+    }
+
+    /**
+     * Tells whether PIN encryption is waiting for the PIN. Until unlock(), new
+     * recordings can't be queued and PIN-sealed items aren't uploaded.
+     *
+     * @method
+     * @returns {boolean}
+     */
+    isLocked() {
+        return this.encryptionMode() === QUEUE_KEY_IDS.PIN && !this.keys[QUEUE_KEY_IDS.PIN];
+    }
+
+    /**
+     * Tells whether a PIN has been set on this device.
+     *
+     * @async
+     * @method
+     * @returns {Promise<boolean>}
+     */
+    async hasPin() {
+        return !!(await this._readKey(QUEUE_KEY_IDS.PIN));
+    }
+
+    /**
+     * Unlocks PIN encryption, setting the PIN on first use, then uploads the items
+     * that were waiting for it. Dispatches `starmus/offline/unlocked`.
+     *
+     * @async
+     * @method
+     * @param {string} pin - PIN entered by the user
+     * @returns {Promise<void>}
+     * @throws {Error} `code: "INVALID_PIN"` for a new PIN that is too short,
+     *   `code: "WRONG_PIN"` when it doesn't match the stored one
+     *
+     * @example
+     * await queue.unlock(pinInput.value);
+     */
+    async unlock(pin) {
+        let record = await this._readKey(QUEUE_KEY_IDS.PIN);
+        let key = null;
+        if (!record) {
+            const created = await createPinKey(pin);
+            record = await this._storeKey(created.record);
+            // Another tab set a PIN first: the entered one has to match it
+            key = record === created.record ? created.key : null;
+        }
+        this.keys[QUEUE_KEY_IDS.PIN] = key || (await unlockPinKey(record, pin));
+
+        const BUS = window.CommandBus || window.StarmusHooks;
+        if (BUS && typeof BUS.dispatch === "function") {
+            BUS.dispatch("starmus/offline/unlocked", {});
+        }
+        this._notifyQueueUpdate(false);
+        this.processQueue().catch(() => {});
+    }
+
+    /**
+     * Forgets the PIN key, e.g. before handing a shared device to someone else.
+     *
+     * @method
+     * @returns {void}
+     */
+    lock() {
+        delete this.keys[QUEUE_KEY_IDS.PIN];
+        this._notifyQueueUpdate(false);
+    }
+
+    /**
+     * Reads a key record from the key store.
+     *
+     * @async
+     * @method
+     * @private
+     * @param {string} id - QUEUE_KEY_IDS value
+     * @returns {Promise<Object|null>}
+     */
+    async _readKey(id) {
+        if (!this.db) {
+            return null;
+        }
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([CONFIG.keyStoreName], "readonly");
+            const req = tx.objectStore(CONFIG.keyStoreName).get(id);
+            req.onsuccess = () => resolve(req.result || null);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    /**
+     * Stores a new key record unless one with its ID exists. Never overwrites: items
+     * sealed under the stored key would become unreadable.
+     *
+     * @async
+     * @method
+     * @private
+     * @param {Object} record - Key record
+     * @returns {Promise<Object>} `record`, or the record another tab stored first
+     */
+    async _storeKey(record) {
+        const added = await new Promise((resolve) => {
+            const tx = this.db.transaction([CONFIG.keyStoreName], "readwrite");
+            const req = tx.objectStore(CONFIG.keyStoreName).add(record);
+            // An existing key is expected here, not a storage failure
+            req.onerror = (ev) => ev.stopPropagation();
+            tx.oncomplete = () => resolve(true);
+            tx.onabort = () => resolve(false);
+        });
+        return added ? record : this._readKey(record.id);
+    }
+
+    /**
+     * Returns an unlocked key, loading the device key from storage on first use.
+     *
+     * @async
+     * @method
+     * @private
+     * @param {string} id - QUEUE_KEY_IDS value
+     * @returns {Promise<CryptoKey|null>} Null when it doesn't exist or is locked
+     */
+    async _key(id) {
+        if (!this.keys[id] && id === QUEUE_KEY_IDS.DEVICE) {
+            const record = await this._readKey(id);
+            if (record) {
+                this.keys[id] = record.key;
+            }
+        }
+        return this.keys[id] || null;
+    }
+
+    /**
+     * Returns the key new items are sealed with, creating the device key on first use.
+     *
+     * @async
+     * @method
+     * @private
+     * @returns {Promise<{id: string, key: CryptoKey}|null>} Null when encryption is off
+     * @throws {Error} `code: "QUEUE_LOCKED"` when the PIN hasn't been entered
+     */
+    async _sealingKey() {
+        const mode = this.encryptionMode();
+        if (mode === "off") {
+            return null;
+        }
+        if (mode === QUEUE_KEY_IDS.DEVICE && !(await this._key(mode))) {
+            const record = await this._storeKey(await createDeviceKey());
+            this.keys[mode] = record.key;
+        }
+        const key = await this._key(mode);
+        if (!key) {
+            throw queueLockedError();
+        }
+        return { id: mode, key };
+    }
+
+    /**
+     * Opens an encrypted item for use. Plain items are returned as stored.
+     *
+     * @async
+     * @method
+     * @private
+     * @param {Object} item - Stored submission
+     * @param {boolean} audio - Also decrypt the audio
+     * @returns {Promise<Object>} Opened copy; `locked: true` while the PIN hasn't been
+     *   entered, `unreadable: true` when it can't be decrypted
+     */
+    async _open(item, audio) {
+        if (!isSealed(item)) {
+            return item;
+        }
+        const key = await this._key(item.sealed.keyId);
+        if (!key) {
+            // Without a stored device key there is nothing to wait for
+            return item.sealed.keyId === QUEUE_KEY_IDS.PIN
+                ? { ...item, locked: true }
+                : { ...item, unreadable: true };
+        }
+        try {
+            return await openSubmission(key, item, { audio });
+        } catch (err) {
+            console.error("[Offline] Can't decrypt queued item:", item.id, err);
+            return { ...item, unreadable: true };
+        }
+    }
+
     /**
-     * Creates a new OfflineQueue instance.
-     * Initializes database connection state and processing flags.
+     * Parks a submission in the dead-letter state and dispatches
+     * `starmus/offline/dead_lettered`. processQueue() skips it until resubmit() is called.
      *
-     * @constructor
+     * @async
+     * @method
+     * @private
+     * @param {string} id - Submission ID
+     * @param {string} reason - DEAD_LETTER_REASONS value
+     * @param {Error|string} [err] - Last failure
+     * @returns {Promise<void>}
      */
-    constructor() {
-        /**
-         * IndexedDB database connection.
-         * @type {IDBDatabase|null}
-         */
-        this.db = null;
+    async _deadLetter(id, reason, err) {
+        const record = deadLetterRecord(reason, err);
+        await this._updateItem(id, { deadLetter: record });
+        console.warn(`[Offline] Dead-lettered ${id} (${reason}):`, record.message);
 
-        /**
-         * Flag indicating if queue processing is active.
-         * @type {boolean}
-         */
-        this.isProcessing = false;
+        const BUS = window.CommandBus || window.StarmusHooks;
+        if (BUS && typeof BUS.dispatch === "function") {
+            BUS.dispatch("starmus/offline/dead_lettered", { id, ...record });
+        }
     }
 
     /**
-     * Initializes IndexedDB database connection and schema.
-     * Creates object store and indexes if needed during upgrade.
-     * Handles version changes and connection management.
+     * Replaces an expired REST nonce with a fresh one from WordPress.
+     * The upload modules read `starmusConfig.nonce` per request, so later
+     * uploads pick it up; `starmus/offline/nonce_refreshed` tells the service worker.
      *
      * @async
      * @method
-     * @returns {Promise<void>} Resolves when database is ready or fails gracefully
-     *
-     * @description Database Schema:
-     * - Object Store: 'pendingSubmissions' with keyPath 'id'
-     * - Index: 'timestamp' for chronological ordering
-     * - Index: 'retryCount' for retry management
+     * @private
+     * @returns {Promise<boolean>} True when a new nonce is in place
      */
-    async init() {
-        if (!window.indexedDB) {
-            const error = new Error("IndexedDB not supported");
-            console.error("[Offline] CRITICAL:", error.message);
-            this._reportStorageFailure("no_indexeddb", error);
-            throw error; // Don't silently continue
+    async _refreshNonce() {
+        const cfg = window.starmusConfig || {};
+        const nonce = await fetchFreshNonce(cfg.endpoints?.nonceRefresh);
+        if (!nonce) {
+            return false;
         }
+        window.starmusConfig = { ...cfg, nonce };
+        if (window.starmusTus) {
+            window.starmusTus.nonce = nonce;
+        }
+        debugLog("[Offline] REST nonce refreshed");
 
-        return new Promise((resolve, reject) => {
-            const req = indexedDB.open(CONFIG.dbName, CONFIG.dbVersion);
-
-            req.onerror = (e) => {
-                const error = e.target.error;
-                console.error("[Offline] CRITICAL: DB open failed:", error);
-
-                // Detailed error reporting for African market debugging
-                this._reportStorageFailure("db_open_failed", error, {
-                    name: error.name,
-                    message: error.message,
-                    userAgent: navigator.userAgent,
-                    isPrivateBrowsing: this._detectPrivateBrowsing(),
-                });
-
-                reject(error); // Don't silently fail
-            };
-
-            req.onblocked = () => {
-                const error = new Error("DB open blocked - close other tabs");
-                console.error("[Offline] CRITICAL:", error.message);
-                this._reportStorageFailure("db_blocked", error);
-                reject(error);
-            };
-
-            req.onsuccess = () => {
-                this.db = req.result;
-
-                this.db.onversionchange = () => {
-                    this.db.close();
-                    console.warn("[Offline] DB version changed — closed connection");
-                };
-
-                this.db.onerror = (event) => {
-                    console.error("[Offline] DB runtime error:", event.target.error);
-                    this._reportStorageFailure("db_runtime_error", event.target.error);
-                };
-
-                console.log("[Offline] DB ready");
-                resolve();
-            };
+        const BUS = window.CommandBus || window.StarmusHooks;
+        if (BUS && typeof BUS.dispatch === "function") {
+            BUS.dispatch("starmus/offline/nonce_refreshed", { nonce });
+        }
+        return true;
+    }
 
-            req.onupgradeneeded = (e) => {
-                const db = e.target.result;
-                if (!db.objectStoreNames.contains(CONFIG.storeName)) {
-                    const store = db.createObjectStore(CONFIG.storeName, { keyPath: "id" });
-                    store.createIndex("timestamp", "timestamp", { unique: false });
-                    store.createIndex("retryCount", "retryCount", { unique: false });
-                    debugLog("[Offline] Created object store:", CONFIG.storeName);
+    /**
+     * Builds the upload callbacks that record an item's progress and TUS resume state.
+     * Progress is stored and broadcast at most once per `progressInterval`.
+     *
+     * @method
+     * @private
+     * @param {string} id - Submission ID
+     * @returns {{onProgress: function(number, number): void, onTusState: function(Object): void}}
+     */
+    _progressTracker(id) {
+        let last = 0;
+        return {
+            onProgress: (loaded, total) => {
+                const now = Date.now();
+                if (now - last < CONFIG.progressInterval && loaded < total) {
+                    return;
                 }
-            };
-        });
+                last = now;
+                this._updateItem(id, { bytesUploaded: loaded, bytesTotal: total })
+                    .then(() => this._notifyQueueUpdate())
+                    .catch(() => {});
+            },
+            onTusState: (state) => {
+                this._updateItem(id, { tusUpload: { ...state, updatedAt: Date.now() } }).catch(
+                    () => {},
+                );
+            },
+        };
     }
 
-    async add(instanceId, audioBlob, fileName, formFields = {}, metadata = {}) {
+    /**
+     * Creates or updates an in-progress recording session record.
+     * Sessions describe how to rebuild the audio from its chunks after a crash.
+     *
+     * @async
+     * @method
+     * @param {Object} session - Session record
+     * @param {string} session.id - Unique session ID
+     * @param {string} session.mimeType - Blob MIME type of the recording
+     * @param {boolean} [session.pcm] - True when chunks are raw PCM needing a WAV header
+     * @param {number} [session.sampleRate] - PCM sample rate in Hz
+     * @returns {Promise<void>}
+     */
+    async saveRecordingSession(session) {
         if (!this.db) {
-            throw new Error("OfflineQueue: DB not initialized");
+            return;
         }
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([CONFIG.sessionStoreName], "readwrite");
+            tx.objectStore(CONFIG.sessionStoreName).put({ ...session, updatedAt: Date.now() });
+            tx.oncomplete = () => resolve();
+            tx.onerror = (ev) => reject(ev.target.error);
+        });
+    }
 
-        const maxAllowedSize = getMaxBlobSize(metadata);
-        if (audioBlob.size > maxAllowedSize) {
-            throw new Error(
-                `Audio too large (${(audioBlob.size / 1024 / 1024).toFixed(2)} MB); limit ${(maxAllowedSize / 1024 / 1024).toFixed(2)} MB`,
-            );
+    /**
+     * Persists a single recording chunk and bumps the session's progress.
+     * Both writes share one transaction so a session never references a missing chunk.
+     *
+     * @async
+     * @method
+     * @param {string} sessionId - Owning session ID
+     * @param {number} index - Zero-based chunk sequence number
+     * @param {Blob} blob - Chunk data from the recorder
+     * @param {Object} [progress={}] - Session fields to update (e.g. duration)
+     * @returns {Promise<void>}
+     */
+    async appendRecordingChunk(sessionId, index, blob, progress = {}) {
+        if (!this.db) {
+            return;
         }
-
-        // Clone blob to detach underlying buffer
-        const safeBlob = new Blob([audioBlob], { type: audioBlob.type });
-
-        const item = {
-            id: `starmus-offline-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            instanceId,
-            fileName,
-            timestamp: Date.now(),
-            audioBlob: safeBlob,
-            formFields,
-            metadata,
-            retryCount: 0,
-            lastAttempt: null,
-            error: null,
-        };
-
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction([CONFIG.storeName], "readwrite");
-            const store = tx.objectStore(CONFIG.storeName);
-            store.add(item);
-
-            tx.oncomplete = () => {
-                debugLog("[Offline] Queued:", item.id);
-                this._notifyQueueUpdate();
-                resolve(item.id);
+            const tx = this.db.transaction(
+                [CONFIG.sessionStoreName, CONFIG.chunkStoreName],
+                "readwrite",
+            );
+            tx.objectStore(CONFIG.chunkStoreName).put({
+                id: `${sessionId}:${String(index).padStart(6, "0")}`,
+                sessionId,
+                index,
+                blob,
+            });
+            const sessions = tx.objectStore(CONFIG.sessionStoreName);
+            const req = sessions.get(sessionId);
+            req.onsuccess = () => {
+                if (req.result) {
+                    sessions.put({
+                        ...req.result,
+                        ...progress,
+                        chunkCount: index + 1,
+                        updatedAt: Date.now(),
+                    });
+                }
             };
-
+            tx.oncomplete = () => resolve();
             tx.onerror = (ev) => reject(ev.target.error);
         });
     }
 
     /**
-     * Retrieves all pending submissions from the database.
+     * Retrieves all stored recording sessions, most recent first.
      *
      * @async
      * @method
-     * @returns {Promise<Array<Object>>} Array of submission objects
+     * @returns {Promise<Array<Object>>} Session records
      */
-    async getAll() {
+    async getRecordingSessions() {
         if (!this.db) {
             return [];
         }
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction([CONFIG.storeName], "readonly");
-            const store = tx.objectStore(CONFIG.storeName);
-            const req = store.getAll();
-            req.onsuccess = () => resolve(req.result || []);
+            const tx = this.db.transaction([CONFIG.sessionStoreName], "readonly");
+            const req = tx.objectStore(CONFIG.sessionStoreName).getAll();
+            req.onsuccess = () =>
+                resolve((req.result || []).sort((a, b) => b.updatedAt - a.updatedAt));
             req.onerror = () => reject(req.error);
         });
     }
 
     /**
-     * Removes a submission from the queue by ID.
-     * Triggers queue update notification after removal.
+     * Retrieves the chunks of a recording session in sequence order.
      *
      * @async
      * @method
-     * @param {string} id - Submission ID to remove
-     * @returns {Promise<void>}
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Array<Blob>>} Chunk blobs
      */
-    async remove(id) {
+    async getRecordingChunks(sessionId) {
         if (!this.db) {
-            return;
+            return [];
         }
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction([CONFIG.storeName], "readwrite");
-            tx.objectStore(CONFIG.storeName).delete(id);
-            tx.oncomplete = () => {
-                this._notifyQueueUpdate();
-                resolve();
-            };
-            tx.onerror = (ev) => reject(ev.target.error);
+            const tx = this.db.transaction([CONFIG.chunkStoreName], "readonly");
+            const req = tx.objectStore(CONFIG.chunkStoreName).index("sessionId").getAll(sessionId);
+            req.onsuccess = () =>
+                resolve((req.result || []).sort((a, b) => a.index - b.index).map((c) => c.blob));
+            req.onerror = () => reject(req.error);
         });
     }
 
     /**
-     * Updates retry information for a failed submission.
-     * Records retry count, timestamp, and error details.
+     * Deletes a recording session and all of its chunks.
      *
      * @async
      * @method
-     * @private
-     * @param {string} id - Submission ID to update
-     * @param {number} retryCount - New retry count
-     * @param {string} [error] - Error message from failed attempt
+     * @param {string} sessionId - Session ID
      * @returns {Promise<void>}
      */
-    async _updateRetry(id, retryCount, error) {
+    async removeRecordingSession(sessionId) {
         if (!this.db) {
             return;
         }
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction([CONFIG.storeName], "readwrite");
-            const store = tx.objectStore(CONFIG.storeName);
-            const req = store.get(id);
+            const tx = this.db.transaction(
+                [CONFIG.sessionStoreName, CONFIG.chunkStoreName],
+                "readwrite",
+            );
+            tx.objectStore(CONFIG.sessionStoreName).delete(sessionId);
+            const chunks = tx.objectStore(CONFIG.chunkStoreName);
+            const req = chunks.index("sessionId").openCursor(IDBKeyRange.only(sessionId));
             req.onsuccess = () => {
-                const item = req.result;
-                if (item) {
-                    item.retryCount = retryCount;
-                    item.lastAttempt = Date.now();
-                    item.error = error || null;
-                    store.put(item);
+                const cursor = req.result;
+                if (cursor) {
+                    chunks.delete(cursor.primaryKey);
+                    cursor.continue();
                 }
             };
-            req.onerror = (ev) => reject(ev.target.error);
             tx.oncomplete = () => resolve();
+            tx.onerror = (ev) => reject(ev.target.error);
         });
     }
 
     /**
      * Processes all pending submissions in the queue.
      * Attempts upload with retry logic and exponential backoff.
-     * Only runs when online and not already processing.
+     * Only runs when online, and in one tab at a time (see starmus-queue-lock.js).
      *
      * @async
      * @method
      * @returns {Promise<void>}
      *
      * @description Processing logic:
-     * 1. Skips if already processing or offline
+     * 1. Skips if offline, or if another tab holds the queue lock; a call during a
+     *    pass makes that pass run again when it finishes
      * 2. Retrieves all pending submissions
-     * 3. For each item, checks retry limits and delays
-     * 4. Attempts upload using uploadWithPriority
+     * 3. For each item, skips dead letters and checks retry limits and delays
+     * 4. Attempts upload using uploadWithPriority, resuming a stored TUS upload URL
+     *    and recording progress on the item
      * 5. Removes successful uploads from queue
-     * 6. Updates retry count for failed uploads
-     * 7. Skips non-retryable errors (400, Invalid JSON, etc.)
+     * 6. On an expired nonce, fetches a new one (once per pass) and tries again
+     * 7. Updates retry count for retryable failures
+     * 8. Dead-letters non-retryable failures (400, 403, Invalid JSON, etc.) and items
+     *    out of attempts
      */
     async processQueue() {
-        if (this.isProcessing || !navigator.onLine) {
+        if (this.isProcessing) {
+            // The running pass goes round again once it finishes
+            this.rerunRequested = true;
+            return;
+        }
+        if (!navigator.onLine) {
             return;
         }
         this.isProcessing = true;
 
         try {
-            const pending = await this.getAll();
+            let ran;
+            do {
+                this.rerunRequested = false;
+                ran = await withQueueLock(() => this._drainQueue());
+            } while (ran && this.rerunRequested && navigator.onLine);
+
+            if (!ran) {
+                debugLog("[Offline] Another tab is processing the queue");
+            }
+        } catch (fatal) {
+            console.error("[Offline] Queue fatal:", fatal);
+        } finally {
+            this.isProcessing = false;
+            this.activeId = null;
+        }
+    }
+
+    /**
+     * One pass over the queue (see processQueue). Runs under the cross-tab queue lock,
+     * so no other tab uploads at the same time.
+     *
+     * @async
+     * @method
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _drainQueue() {
+        this.holdsLock = true;
+        this.remoteActiveId = null;
+        try {
+            const pending = await this._getAllRaw();
             if (pending.length === 0) {
-                this.isProcessing = false;
                 return;
             }
 
             debugLog(`[Offline] Processing ${pending.length} items`);
+            let nonceRefreshed = false;
 
             for (const item of pending) {
-                const { id, audioBlob, fileName, formFields, metadata, retryCount, instanceId } =
-                    item;
+                const { id, retryCount } = item;
 
+                if (item.deadLetter) {
+                    continue;
+                }
+                if (isSealed(item) && !(await this._key(item.sealed.keyId))) {
+                    // PIN-sealed items wait for unlock(); a lost device key never comes back
+                    if (item.sealed.keyId !== QUEUE_KEY_IDS.PIN) {
+                        await this._deadLetter(
+                            id,
+                            DEAD_LETTER_REASONS.KEY_MISSING,
+                            new Error("Encryption key missing on this device"),
+                        );
+                        this._notifyQueueUpdate();
+                    }
+                    continue;
+                }
+                // Items from before dead-lettering existed (or the service worker)
                 if (retryCount >= CONFIG.maxRetries) {
+                    await this._deadLetter(id, DEAD_LETTER_REASONS.MAX_RETRIES, item.error);
+                    this._notifyQueueUpdate();
                     continue;
                 }
 
@@ -348,69 +1474,180 @@ class OfflineQueue {
                     }
                 }
 
-                try {
-                    const _result = await uploadWithPriority({
-                        blob: audioBlob,
-                        fileName,
-                        formFields,
-                        metadata,
-                        instanceId,
-                    }); // Wrapped in object per recent fix
+                let resumeUrl = item.tusUpload?.uploadUrl || null;
 
-                    await this.remove(id);
-                } catch (err) {
-                    const msg = err && err.message ? err.message : String(err);
-                    const nonRetryable = /400|Invalid JSON|QuotaExceeded/i.test(msg);
-                    if (!nonRetryable) {
-                        await this._updateRetry(id, retryCount + 1, msg);
+                // A finished TUS upload may still be processing: wait for it rather than
+                // sending the audio twice. Re-send only once the server has clearly lost it.
+                if (item.tusUrl) {
+                    try {
+                        await awaitTusResult(item.tusUrl, { timeout: 0 });
+                        await this.remove(id);
+                        continue;
+                    } catch (err) {
+                        const lost =
+                            err.status === 422 ||
+                            (err.status === 404 &&
+                                Date.now() - item.tusFinishedAt > CONFIG.tusResultGrace);
+                        if (!lost) {
+                            await this._updateRetry(id, retryCount, err.message);
+                            continue;
+                        }
+                        // Its URL would resume to "complete" again: start a fresh upload
+                        resumeUrl = null;
                     }
                 }
+
+                this.activeId = id;
+                this._notifyQueueUpdate();
+
+                let error = await this._upload(item, resumeUrl);
+                if (error && isNonceError(error) && !nonceRefreshed) {
+                    nonceRefreshed = true;
+                    if (await this._refreshNonce()) {
+                        error = await this._upload(item, resumeUrl);
+                    }
+                }
+                this.activeId = null;
+
+                if (!error) {
+                    await this.remove(id);
+                    continue;
+                }
+
+                const msg = error.message || String(error);
+                const { retryable, reason } = classifyUploadError(error);
+                const attempts = retryable ? retryCount + 1 : retryCount;
+                await this._updateRetry(id, attempts, msg, {
+                    tusUrl: error.tusUrl || null,
+                    tusFinishedAt: error.tusUrl ? Date.now() : null,
+                });
+                if (!retryable || attempts >= CONFIG.maxRetries) {
+                    await this._deadLetter(id, reason || DEAD_LETTER_REASONS.MAX_RETRIES, error);
+                }
+                this._notifyQueueUpdate();
             }
-        } catch (fatal) {
-            console.error("[Offline] Queue fatal:", fatal);
         } finally {
-            this.isProcessing = false;
+            this.holdsLock = false;
+        }
+    }
+
+    /**
+     * Runs one upload attempt for a queue item, decrypting it first when needed and
+     * checking its audio against the stored checksum.
+     *
+     * @async
+     * @method
+     * @private
+     * @param {Object} item - Stored queue item
+     * @param {string|null} resumeUrl - TUS upload URL to resume
+     * @returns {Promise<Error|null>} The failure, or null on success
+     */
+    async _upload(item, resumeUrl) {
+        const tracker = this._progressTracker(item.id);
+        try {
+            const plain = isSealed(item)
+                ? await openSubmission(await this._key(item.sealed.keyId), item)
+                : item;
+            // Audio damaged in storage would only be refused by the server, or worse, kept
+            await verifyChecksum(plain.audioBlob, plain.sha256);
+            await uploadWithPriority({
+                blob: plain.audioBlob,
+                fileName: plain.fileName,
+                formFields: plain.formFields,
+                metadata: plain.sha256
+                    ? { ...plain.metadata, sha256: plain.sha256 }
+                    : plain.metadata,
+                instanceId: plain.instanceId,
+                tusUploadUrl: resumeUrl,
+                onProgress: tracker.onProgress,
+                onTusState: tracker.onTusState,
+            });
+            return null;
+        } catch (err) {
+            return err instanceof Error ? err : new Error(String(err));
         }
     }
 
     /**
      * Sets up network event listeners for automatic queue processing.
-     * Processes queue when connection comes online and periodically while online.
+     * Processes queue when connection comes online and periodically while online,
+     * and follows queue changes made in other tabs.
      *
      * @method
      * @returns {void}
      */
     setupNetworkListeners() {
+        // Reopening the database after a `versionchange` must not attach them twice
+        if (this.listening) {
+            return;
+        }
+        this.listening = true;
+
         window.addEventListener("online", () => this.processQueue());
         setInterval(() => {
             if (navigator.onLine) {
                 this.processQueue().catch(() => {});
             }
         }, 60 * 1000);
+
+        onQueueBroadcast((message) => {
+            if (message.holder) {
+                this.remoteActiveId = message.activeId || null;
+            }
+            // Items added or resubmitted elsewhere join the pass this tab is running
+            if (this.holdsLock) {
+                this.rerunRequested = true;
+            }
+            this._notifyQueueUpdate(false);
+        });
     }
 
     /**
      * Notifies external listeners about queue status changes.
-     * Dispatches event through CommandBus with current queue state.
+     * Dispatches event through CommandBus with current queue state, including
+     * each item's upload progress (0–1), whether it can resume a TUS upload, its
+     * dead-letter reason and whether it is encrypted or waiting for the PIN.
+     * Local changes are also announced to the other tabs.
      *
      * @method
      * @private
+     * @param {boolean} [broadcast=true] - False when relaying a change made elsewhere
      * @returns {void}
      */
-    _notifyQueueUpdate() {
+    _notifyQueueUpdate(broadcast = true) {
+        if (broadcast) {
+            broadcastQueueChange({ holder: this.holdsLock, activeId: this.activeId });
+        }
+
         const BUS = window.CommandBus || window.StarmusHooks;
         if (!BUS || typeof BUS.dispatch !== "function") {
             return;
         }
 
-        this.getAll().then((queue) => {
+        this._getAllRaw().then((queue) => {
             BUS.dispatch("starmus/offline/queue_updated", {
                 count: queue.length,
-                queue: queue.map((item) => ({
-                    id: item.id,
-                    retryCount: item.retryCount,
-                    error: item.error,
-                })),
+                deadCount: queue.filter((item) => item.deadLetter).length,
+                locked: this.isLocked(),
+                queue: queue.map((item) => {
+                    const total = item.bytesTotal || item.audioBlob?.size || 0;
+                    return {
+                        id: item.id,
+                        retryCount: item.retryCount,
+                        error: item.error,
+                        uploading: item.id === (this.activeId || this.remoteActiveId),
+                        bytesUploaded: item.bytesUploaded || 0,
+                        bytesTotal: total,
+                        progress: total ? Math.min(1, (item.bytesUploaded || 0) / total) : 0,
+                        resumable: !!item.tusUpload?.uploadUrl,
+                        deadLetter: item.deadLetter?.reason || null,
+                        exported: !!item.exportedAt,
+                        encrypted: isSealed(item),
+                        locked:
+                            item.sealed?.keyId === QUEUE_KEY_IDS.PIN &&
+                            !this.keys[QUEUE_KEY_IDS.PIN],
+                    };
+                }),
             });
         });
     }
@@ -479,6 +1716,9 @@ class OfflineQueue {
                 "Your browser doesn't support offline storage. Recordings will upload immediately.",
             db_open_failed: "Storage initialization failed. Please check your browser settings.",
             db_blocked: "Please close other tabs and try again.",
+            db_version_change: "Recorder updated in another tab. Please reload this page.",
+            migration_failed:
+                "Offline storage couldn't be updated. Queued recordings are safe; please reload.",
             quota_exceeded: "Storage full. Please free up space or upload pending recordings.",
         };
 
@@ -502,6 +1742,12 @@ class OfflineQueue {
  */
 const offlineQueue = new OfflineQueue();
 
+/**
+ * Pending initialization shared by concurrent getOfflineQueue() callers.
+ * @type {Promise<void>|null}
+ */
+let initPromise = null;
+
 /**
  * Gets the initialized offline queue instance.
  * Initializes database connection and network listeners on first access.
@@ -513,8 +1759,17 @@ const offlineQueue = new OfflineQueue();
  */
 export async function getOfflineQueue() {
     if (!offlineQueue.db) {
-        await offlineQueue.init();
-        offlineQueue.setupNetworkListeners();
+        // Share one open across concurrent callers (recorder chunk persistence, initOffline)
+        if (!initPromise) {
+            // Cleared once settled, so a connection closed by `versionchange` reopens
+            initPromise = offlineQueue
+                .init()
+                .then(() => offlineQueue.setupNetworkListeners())
+                .finally(() => {
+                    initPromise = null;
+                });
+        }
+        await initPromise;
     }
     return offlineQueue;
 }
@@ -530,8 +1785,13 @@ export async function getOfflineQueue() {
  * @param {Blob} audioBlob - Audio file blob to queue
  * @param {string} fileName - Name for the audio file
  * @param {Object} formFields - Form data (consent, language, etc.)
- * @param {Object} metadata - Additional metadata (transcript, calibration, env)
+ * @param {Object} metadata - Additional metadata (transcript, calibration, env, sha256)
+ * @param {Object} [options={}] - Queue options
+ * @param {string|null} [options.tusUrl] - URL of a finished TUS upload awaiting its result
+ * @param {Object|null} [options.tusUpload] - Partial TUS upload to resume
+ * @param {number} [options.duration] - Audio length in seconds
  * @returns {Promise<string>} Unique submission ID for tracking
+ * @throws {Error} `code: "STORAGE_FULL"` when the device has no room for the audio
  *
  * @example
  * const submissionId = await queueSubmission(
@@ -542,9 +1802,16 @@ export async function getOfflineQueue() {
  *   { transcript: 'Hello world', tier: 'A' }
  * );
  */
-export async function queueSubmission(instanceId, audioBlob, fileName, formFields, metadata) {
+export async function queueSubmission(
+    instanceId,
+    audioBlob,
+    fileName,
+    formFields,
+    metadata,
+    options = {},
+) {
     const q = await getOfflineQueue();
-    return q.add(instanceId, audioBlob, fileName, formFields, metadata);
+    return q.add(instanceId, audioBlob, fileName, formFields, metadata, options);
 }
 
 /**
@@ -557,10 +1824,25 @@ export async function queueSubmission(instanceId, audioBlob, fileName, formField
  */
 export async function getPendingCount() {
     const q = await getOfflineQueue();
-    const list = await q.getAll();
+    const list = await q._getAllRaw();
     return list.length;
 }
 
+/**
+ * Re-broadcasts `starmus/offline/queue_updated`, e.g. after the service worker
+ * changed the queue from outside this page.
+ *
+ * @function
+ * @exports refreshQueueStatus
+ * @returns {void}
+ */
+export function refreshQueueStatus() {
+    if (offlineQueue.db) {
+        // The worker already told every tab
+        offlineQueue._notifyQueueUpdate(false);
+    }
+}
+
 /**
  * Initializes the offline queue system.
  * Alias for getOfflineQueue for backward compatibility.
@@ -0,0 +1,458 @@
+/**
+ * @file starmus-pcm-capture.js
+ * @version 1.0.0
+ * @description Raw PCM capture engine with in-browser 16-bit WAV encoding.
+ * Used by the recorder when the browser cannot produce Opus through MediaRecorder
+ * (Safari, older Android WebViews). Captures from an existing Web Audio node via
+ * AudioWorklet, falling back to ScriptProcessor, and exposes a MediaRecorder-like
+ * object so the recorder lifecycle (start/pause/resume/stop) stays unchanged.
+ */
+
+"use strict";
+
+/**
+ * Registered name of the capture AudioWorklet processor.
+ * @type {string}
+ */
+const PROCESSOR_NAME = "starmus-pcm-capture";
+
+/**
+ * Source of the AudioWorklet processor. Loaded through a Blob URL so the
+ * bundled IIFE build does not need a separate worklet asset.
+ * Buffers ~4096 downmixed frames before posting to keep message traffic low.
+ * @type {string}
+ */
+const WORKLET_SOURCE = `
+class StarmusPcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.buffer = new Float32Array(4096);
+        this.length = 0;
+        this.port.onmessage = (e) => {
+            if (e.data && e.data.type === "flush") {
+                this.post();
+                this.port.postMessage({ type: "flushed" });
+            }
+        };
+    }
+    post() {
+        if (this.length > 0) {
+            this.port.postMessage({ type: "pcm", samples: this.buffer.slice(0, this.length) });
+            this.length = 0;
+        }
+    }
+    process(inputs) {
+        const input = inputs[0];
+        if (input && input.length) {
+            const frames = input[0].length;
+            for (let i = 0; i < frames; i++) {
+                let sum = 0;
+                for (let c = 0; c < input.length; c++) {
+                    sum += input[c][i];
+                }
+                this.buffer[this.length++] = sum / input.length;
+                if (this.length === this.buffer.length) {
+                    this.post();
+                }
+            }
+        }
+        return true;
+    }
+}
+registerProcessor("${PROCESSOR_NAME}", StarmusPcmCaptureProcessor);
+`;
+
+/**
+ * Per-context promise for worklet module registration.
+ * @type {WeakMap<BaseAudioContext, Promise<void>>}
+ */
+const workletModules = new WeakMap();
+
+/**
+ * Checks whether the browser can capture raw PCM through Web Audio.
+ *
+ * @function
+ * @exports isPcmCaptureSupported
+ * @returns {boolean} True when an AudioContext and getUserMedia are available
+ */
+export function isPcmCaptureSupported() {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    return !!(Ctx && navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+/**
+ * Loads the capture processor into the given context once.
+ *
+ * @async
+ * @function
+ * @param {AudioContext} ctx - Context that will host the worklet
+ * @returns {Promise<void>} Resolves when the processor is registered
+ */
+function loadWorklet(ctx) {
+    if (!workletModules.has(ctx)) {
+        const url = URL.createObjectURL(
+            new Blob([WORKLET_SOURCE], { type: "application/javascript" }),
+        );
+        const loading = ctx.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url));
+        workletModules.set(ctx, loading);
+    }
+    return workletModules.get(ctx);
+}
+
+/**
+ * Box-filter decimator that carries state across buffers.
+ * Converts the context sample rate down to the target rate so WAV files
+ * stay within tier upload limits (16 kHz mono ≈ 1.9 MB/min).
+ *
+ * @class
+ * @private
+ */
+class Downsampler {
+    /**
+     * @param {number} inputRate - Context sample rate in Hz
+     * @param {number} outputRate - Desired output sample rate in Hz
+     */
+    constructor(inputRate, outputRate) {
+        this.ratio = outputRate > 0 && outputRate < inputRate ? inputRate / outputRate : 1;
+        this.sum = 0;
+        this.count = 0;
+        this.position = 0;
+    }
+
+    /**
+     * Downsamples a buffer of float samples.
+     *
+     * @param {Float32Array} input - Mono float samples at the input rate
+     * @returns {Float32Array} Mono float samples at the output rate
+     */
+    process(input) {
+        if (this.ratio === 1) {
+            return input;
+        }
+        const out = new Float32Array(Math.ceil(input.length / this.ratio) + 1);
+        let n = 0;
+        for (let i = 0; i < input.length; i++) {
+            this.sum += input[i];
+            this.count++;
+            this.position += 1;
+            if (this.position >= this.ratio) {
+                out[n++] = this.sum / this.count;
+                this.sum = 0;
+                this.count = 0;
+                this.position -= this.ratio;
+            }
+        }
+        return out.subarray(0, n);
+    }
+}
+
+/**
+ * Converts float samples (-1..1) to 16-bit little-endian PCM.
+ *
+ * @function
+ * @param {Float32Array} samples - Float samples
+ * @returns {Int16Array} Clamped 16-bit samples
+ */
+function floatTo16BitPcm(samples) {
+    const out = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        out[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+    }
+    return out;
+}
+
+/**
+ * Builds the 44-byte RIFF/WAVE header for 16-bit PCM data.
+ *
+ * @function
+ * @exports createWavHeader
+ * @param {number} dataLength - Length of the PCM payload in bytes
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [channels=1] - Channel count
+ * @returns {ArrayBuffer} WAV header
+ */
+export function createWavHeader(dataLength, sampleRate, channels = 1) {
+    const header = new ArrayBuffer(44);
+    const view = new DataView(header);
+    const blockAlign = channels * 2;
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) {
+            view.setUint8(offset + i, str.charCodeAt(i));
+        }
+    };
+
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + dataLength, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true); // PCM fmt chunk size
+    view.setUint16(20, 1, true); // Audio format: PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 16, true); // Bits per sample
+    writeString(36, "data");
+    view.setUint32(40, dataLength, true);
+    return header;
+}
+
+/**
+ * Assembles raw 16-bit PCM chunks into a playable WAV blob.
+ * The header is computed from the chunk sizes so no PCM data is copied.
+ *
+ * @function
+ * @exports buildWavBlob
+ * @param {Array<Blob>} chunks - Raw little-endian Int16 PCM blobs
+ * @param {number} sampleRate - Sample rate of the PCM data in Hz
+ * @param {number} [channels=1] - Channel count
+ * @returns {Blob} WAV blob with type audio/wav
+ */
+export function buildWavBlob(chunks, sampleRate, channels = 1) {
+    const dataLength = chunks.reduce((total, c) => total + c.size, 0);
+    return new Blob([createWavHeader(dataLength, sampleRate, channels), ...chunks], {
+        type: "audio/wav",
+    });
+}
+
+/**
+ * Encodes float samples directly to a mono 16-bit WAV blob.
+ *
+ * @function
+ * @exports encodeWav
+ * @param {Float32Array} samples - Mono float samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Blob} WAV blob with type audio/wav
+ */
+export function encodeWav(samples, sampleRate) {
+    const pcm = floatTo16BitPcm(samples);
+    return new Blob([createWavHeader(pcm.byteLength, sampleRate, 1), pcm.buffer], {
+        type: "audio/wav",
+    });
+}
+
+/**
+ * MediaRecorder-compatible PCM recorder.
+ * Mirrors the subset of the MediaRecorder API used by starmus-recorder.js:
+ * `state`, `mimeType`, `start(timeslice)`, `pause()`, `resume()`, `stop()`,
+ * `ondataavailable` and `onstop`. Each `dataavailable` event carries raw
+ * Int16 PCM; use {@link buildWavBlob} with `sampleRate` to finalize.
+ *
+ * @class
+ */
+class PcmRecorder {
+    /**
+     * @param {AudioContext} ctx - Shared audio context
+     * @param {AudioNode} inputNode - Node to capture from (e.g. calibrated gain node)
+     * @param {Object} [options={}] - Capture options
+     * @param {number} [options.sampleRate=16000] - Target output sample rate in Hz
+     */
+    constructor(ctx, inputNode, options = {}) {
+        this.ctx = ctx;
+        this.inputNode = inputNode;
+        this.mimeType = "audio/wav";
+        this.state = "inactive";
+        this.sampleRate = Math.min(options.sampleRate || 16000, ctx.sampleRate);
+        this.audioBitsPerSecond = this.sampleRate * 16;
+        this.engine = null;
+        this.ondataavailable = null;
+        this.onstop = null;
+
+        this._downsampler = new Downsampler(ctx.sampleRate, this.sampleRate);
+        this._capturing = false;
+        this._pending = [];
+        this._node = null;
+        this._sink = null;
+        this._timer = null;
+    }
+
+    /**
+     * Connects the capture node. Must resolve before {@link PcmRecorder#start}.
+     *
+     * @async
+     * @returns {Promise<PcmRecorder>} This recorder
+     */
+    async prepare() {
+        const onSamples = (samples) => {
+            if (this._capturing) {
+                this._pending.push(this._downsampler.process(samples));
+            }
+        };
+
+        if (this.ctx.audioWorklet && typeof AudioWorkletNode !== "undefined") {
+            try {
+                await loadWorklet(this.ctx);
+                this._node = new AudioWorkletNode(this.ctx, PROCESSOR_NAME, {
+                    numberOfOutputs: 0,
+                });
+                this._node.port.onmessage = (e) => {
+                    if (e.data.type === "pcm") {
+                        onSamples(e.data.samples);
+                    } else if (e.data.type === "flushed" && this._flushed) {
+                        this._flushed();
+                    }
+                };
+                this.engine = "audioworklet";
+            } catch (e) {
+                console.warn("[PcmCapture] AudioWorklet unavailable, using ScriptProcessor:", e);
+                this._node = null;
+            }
+        }
+
+        if (!this._node) {
+            const processor = this.ctx.createScriptProcessor(4096, 1, 1);
+            processor.onaudioprocess = (e) => {
+                onSamples(new Float32Array(e.inputBuffer.getChannelData(0)));
+            };
+            // ScriptProcessor only fires while connected to the graph output; keep it silent.
+            this._sink = this.ctx.createGain();
+            this._sink.gain.value = 0;
+            processor.connect(this._sink);
+            this._sink.connect(this.ctx.destination);
+            this._node = processor;
+            this.engine = "scriptprocessor";
+        }
+
+        this.inputNode.connect(this._node);
+        return this;
+    }
+
+    /**
+     * Begins capture, emitting a chunk every `timeslice` milliseconds.
+     *
+     * @param {number} [timeslice=1000] - Chunk interval in milliseconds
+     */
+    start(timeslice = 1000) {
+        this.state = "recording";
+        this._capturing = true;
+        this._timer = setInterval(() => this._emit(), timeslice);
+    }
+
+    /**
+     * Pauses capture; incoming audio is discarded until resumed.
+     */
+    pause() {
+        if (this.state === "recording") {
+            this.state = "paused";
+            this._capturing = false;
+        }
+    }
+
+    /**
+     * Resumes capture after a pause.
+     */
+    resume() {
+        if (this.state === "paused") {
+            this.state = "recording";
+            this._capturing = true;
+        }
+    }
+
+    /**
+     * Emits whatever audio is buffered right now as a chunk.
+     * Mirrors MediaRecorder.requestData(); the worklet's partial buffer is not included.
+     */
+    requestData() {
+        if (this.state !== "inactive") {
+            this._emit();
+        }
+    }
+
+    /**
+     * Stops capture, flushes buffered audio, disconnects nodes and fires `onstop`.
+     */
+    stop() {
+        if (this.state === "inactive") {
+            return;
+        }
+        clearInterval(this._timer);
+        this.state = "inactive";
+        // Let the worklet hand over its partially filled buffer before finalizing.
+        const finish = () => {
+            this._flushed = null;
+            this._capturing = false;
+            this._emit();
+            this._disconnect();
+            if (typeof this.onstop === "function") {
+                this.onstop();
+            }
+        };
+        if (this.engine === "audioworklet") {
+            const timeout = setTimeout(finish, 250);
+            this._flushed = () => {
+                clearTimeout(timeout);
+                finish();
+            };
+            this._node.port.postMessage({ type: "flush" });
+        } else {
+            finish();
+        }
+    }
+
+    /**
+     * Converts pending float buffers to a PCM blob and dispatches it.
+     * @private
+     */
+    _emit() {
+        if (!this._pending.length) {
+            return;
+        }
+        const total = this._pending.reduce((n, b) => n + b.length, 0);
+        const merged = new Float32Array(total);
+        let offset = 0;
+        this._pending.forEach((b) => {
+            merged.set(b, offset);
+            offset += b.length;
+        });
+        this._pending = [];
+        const pcm = floatTo16BitPcm(merged);
+        if (typeof this.ondataavailable === "function") {
+            this.ondataavailable({ data: new Blob([pcm.buffer], { type: "audio/l16" }) });
+        }
+    }
+
+    /**
+     * Detaches capture nodes from the audio graph.
+     * @private
+     */
+    _disconnect() {
+        try {
+            this.inputNode.disconnect(this._node);
+        } catch {
+            /* already disconnected */
+        }
+        if (this._node) {
+            if (this.engine === "audioworklet") {
+                this._node.port.onmessage = null;
+            } else {
+                this._node.onaudioprocess = null;
+                this._node.disconnect();
+            }
+        }
+        if (this._sink) {
+            this._sink.disconnect();
+        }
+    }
+}
+
+/**
+ * Creates and connects a PCM recorder on the given audio node.
+ *
+ * @async
+ * @function
+ * @exports createPcmRecorder
+ * @param {AudioContext} ctx - Shared audio context
+ * @param {AudioNode} inputNode - Node to capture from
+ * @param {Object} [options] - See {@link PcmRecorder}
+ * @returns {Promise<PcmRecorder>} Ready-to-start recorder
+ *
+ * @example
+ * const recorder = await createPcmRecorder(ctx, gainNode, { sampleRate: 16000 });
+ * recorder.ondataavailable = (e) => chunks.push(e.data);
+ * recorder.onstop = () => upload(buildWavBlob(chunks, recorder.sampleRate));
+ * recorder.start(1000);
+ */
+export function createPcmRecorder(ctx, inputNode, options) {
+    return new PcmRecorder(ctx, inputNode, options).prepare();
+}
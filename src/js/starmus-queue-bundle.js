@@ -0,0 +1,252 @@
+/**
+ * @file starmus-queue-bundle.js
+ * @version 1.0.0
+ * @description Portable export and import of offline queue submissions, for devices that
+ * never get a connection. A bundle is one `.starmus` file that can be copied to another
+ * device (or opened on the admin import page) and loaded into that device's offline queue,
+ * from where it uploads through the normal uploadWithPriority path.
+ *
+ * Bundle layout (version 1):
+ * - 15 bytes: ASCII `STARMUS-BUNDLE\n`
+ * - 4 bytes: manifest length N, unsigned little-endian
+ * - N bytes: UTF-8 JSON manifest `{ format, version, exportedAt, items: [...] }`;
+ *   each item holds the queue fields plus `mimeType`, `size`, `offset` and, when known,
+ *   the audio's `sha256`
+ * - The audio of every item, back to back; `offset` is relative to the end of the manifest
+ */
+
+"use strict";
+
+import { getOfflineQueue } from "./starmus-offline.js";
+import { verifyChecksum } from "./starmus-checksum.js";
+
+/**
+ * File signature at the start of every bundle.
+ * @constant
+ * @type {string}
+ */
+const BUNDLE_MAGIC = "STARMUS-BUNDLE\n";
+
+/**
+ * Manifest `format` value and highest `version` this build reads.
+ * @constant
+ * @type {Object}
+ */
+const BUNDLE_FORMAT = { name: "starmus-queue-bundle", version: 1 };
+
+/**
+ * Largest manifest accepted on import (bytes); guards against reading garbage.
+ * @constant
+ * @type {number}
+ */
+const MAX_MANIFEST_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Builds an error whose `code` callers can map to a message.
+ *
+ * @function
+ * @param {string} code - Machine-readable reason
+ * @returns {Error}
+ */
+function bundleError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Reads a Blob slice as an ArrayBuffer.
+ *
+ * @function
+ * @param {Blob} blob - Slice to read
+ * @returns {Promise<ArrayBuffer>}
+ */
+function readBuffer(blob) {
+    if (typeof blob.arrayBuffer === "function") {
+        return blob.arrayBuffer();
+    }
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+/**
+ * Packs queued submissions into a bundle. The audio is referenced, not copied,
+ * so large queues don't need the memory twice. Encrypted items are decrypted into
+ * the bundle; those still waiting for the PIN, or unreadable, are left out.
+ *
+ * @async
+ * @function
+ * @exports exportQueueBundle
+ * @param {Array<string>|null} [ids=null] - Submissions to include; all when null
+ * @returns {Promise<{blob: Blob, fileName: string, count: number, ids: Array<string>}>}
+ *   Bundle file and the submissions in it
+ * @throws {Error} `code: "EMPTY_BUNDLE"` when there is nothing to export
+ *
+ * @example
+ * const { blob, fileName } = await exportQueueBundle();
+ */
+export async function exportQueueBundle(ids = null) {
+    const queue = await getOfflineQueue();
+    const items = [];
+    for (const { id } of await queue.getAll()) {
+        const item = !ids || ids.includes(id) ? await queue.get(id) : null;
+        if (item?.audioBlob) {
+            items.push(item);
+        }
+    }
+    if (!items.length) {
+        throw bundleError("EMPTY_BUNDLE");
+    }
+
+    let offset = 0;
+    const manifest = {
+        format: BUNDLE_FORMAT.name,
+        version: BUNDLE_FORMAT.version,
+        exportedAt: Date.now(),
+        items: items.map((item) => {
+            const entry = {
+                id: item.id,
+                instanceId: item.instanceId,
+                fileName: item.fileName,
+                timestamp: item.timestamp,
+                formFields: item.formFields,
+                metadata: item.metadata,
+                duration: item.duration || 0,
+                sha256: item.sha256 || null,
+                mimeType: item.audioBlob.type,
+                size: item.audioBlob.size,
+                offset,
+            };
+            offset += item.audioBlob.size;
+            return entry;
+        }),
+    };
+
+    const json = new TextEncoder().encode(JSON.stringify(manifest));
+    const length = new DataView(new ArrayBuffer(4));
+    length.setUint32(0, json.byteLength, true);
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    return {
+        blob: new Blob(
+            [BUNDLE_MAGIC, length.buffer, json, ...items.map((item) => item.audioBlob)],
+            { type: "application/octet-stream" },
+        ),
+        fileName: `starmus-queue-${stamp}.starmus`,
+        count: items.length,
+        ids: items.map((item) => item.id),
+    };
+}
+
+/**
+ * Parses a bundle without loading the audio into memory.
+ *
+ * @async
+ * @function
+ * @exports readQueueBundle
+ * @param {Blob} file - Bundle file
+ * @returns {Promise<{manifest: Object, items: Array<Object>}>} Manifest and items,
+ *   each with an `audioBlob` slice of the file
+ * @throws {Error} `code` is NOT_A_BUNDLE, UNSUPPORTED_VERSION or CORRUPT_BUNDLE
+ */
+export async function readQueueBundle(file) {
+    const headerSize = BUNDLE_MAGIC.length + 4;
+    if (!file || file.size < headerSize) {
+        throw bundleError("NOT_A_BUNDLE");
+    }
+
+    const header = new Uint8Array(await readBuffer(file.slice(0, headerSize)));
+    const magic = String.fromCharCode(...header.subarray(0, BUNDLE_MAGIC.length));
+    if (magic !== BUNDLE_MAGIC) {
+        throw bundleError("NOT_A_BUNDLE");
+    }
+
+    const length = new DataView(header.buffer).getUint32(BUNDLE_MAGIC.length, true);
+    if (length > MAX_MANIFEST_BYTES || headerSize + length > file.size) {
+        throw bundleError("CORRUPT_BUNDLE");
+    }
+
+    let manifest;
+    try {
+        const json = await readBuffer(file.slice(headerSize, headerSize + length));
+        manifest = JSON.parse(new TextDecoder().decode(json));
+    } catch {
+        throw bundleError("CORRUPT_BUNDLE");
+    }
+    if (manifest?.format !== BUNDLE_FORMAT.name || !Array.isArray(manifest.items)) {
+        throw bundleError("NOT_A_BUNDLE");
+    }
+    if (manifest.version > BUNDLE_FORMAT.version) {
+        throw bundleError("UNSUPPORTED_VERSION");
+    }
+
+    const dataStart = headerSize + length;
+    const items = manifest.items.map((entry) => {
+        const start = dataStart + entry.offset;
+        if (!(entry.size > 0) || !(entry.offset >= 0) || start + entry.size > file.size) {
+            throw bundleError("CORRUPT_BUNDLE");
+        }
+        return { ...entry, audioBlob: file.slice(start, start + entry.size, entry.mimeType) };
+    });
+
+    return { manifest, items };
+}
+
+/**
+ * Loads a bundle into this device's offline queue and starts uploading it.
+ * Submissions already in the queue (same ID) are skipped, so importing a bundle
+ * twice is harmless. Audio that doesn't match its checksum (a damaged copy of the
+ * bundle) is reported as failed rather than queued.
+ *
+ * @async
+ * @function
+ * @exports importQueueBundle
+ * @param {Blob} file - Bundle file
+ * @returns {Promise<{imported: number, skipped: number, failed: Array<Object>}>}
+ *   Counts, plus `{ fileName, error }` for items that couldn't be queued
+ *   (e.g. larger than this device's size limit, or `CHECKSUM_MISMATCH`)
+ * @throws {Error} When the file is not a readable bundle (see readQueueBundle)
+ *
+ * @example
+ * const summary = await importQueueBundle(input.files[0]);
+ */
+export async function importQueueBundle(file) {
+    const { items } = await readQueueBundle(file);
+    const queue = await getOfflineQueue();
+    const summary = { imported: 0, skipped: 0, failed: [] };
+
+    for (const item of items) {
+        if (item.id && (await queue.get(item.id))) {
+            summary.skipped++;
+            continue;
+        }
+        try {
+            await verifyChecksum(item.audioBlob, item.sha256);
+            await queue.add(
+                item.instanceId || "bundle-import",
+                item.audioBlob,
+                item.fileName,
+                item.formFields || {},
+                item.metadata || {},
+                {
+                    id: item.id,
+                    timestamp: item.timestamp,
+                    duration: item.duration,
+                    sha256: item.sha256,
+                },
+            );
+            summary.imported++;
+        } catch (e) {
+            summary.failed.push({ fileName: item.fileName, error: e.message });
+        }
+    }
+
+    if (summary.imported) {
+        queue.processQueue().catch(() => {});
+    }
+    return summary;
+}
@@ -0,0 +1,34 @@
+/**
+ * @file starmus-queue-config.js
+ * @version 1.0.0
+ * @description Offline queue settings shared by the page queue (starmus-offline.js), the
+ * service worker and the page's worker bridge. Both sides read the same IndexedDB records
+ * and dead-letter them on the same terms, so these values are defined only here. Must not
+ * touch `window` or the DOM: the service worker imports it.
+ */
+
+"use strict";
+
+/**
+ * Queue settings both the page and the service worker depend on.
+ *
+ * @constant
+ * @exports QUEUE_CONFIG
+ * @type {Object}
+ * @property {string} dbName - IndexedDB database name
+ * @property {string} storeName - Object store name for submissions
+ * @property {string} keyStoreName - Object store name for queue encryption keys
+ * @property {number} maxRetries - Attempts before a submission is dead-lettered
+ * @property {number} tusResultGrace - Wait (ms) after a TUS upload finished for its result
+ *   before re-sending
+ * @property {string} syncTag - Background/Periodic Sync tag
+ */
+export const QUEUE_CONFIG = {
+    dbName: "StarmusSubmissions",
+    storeName: "pendingSubmissions",
+    keyStoreName: "queueKeys",
+    maxRetries: 10,
+    // Finished TUS uploads the server still doesn't know after this long are sent again
+    tusResultGrace: 10 * 60 * 1000,
+    syncTag: "starmus-queue",
+};
@@ -0,0 +1,373 @@
+/**
+ * @file starmus-queue-crypto.js
+ * @version 1.0.0
+ * @description Encryption at rest for the offline queue, shared by starmus-offline.js and
+ * the service worker. Queued audio and its form fields and metadata are sealed with
+ * AES-GCM under one of two keys:
+ * - `device`: a random, non-extractable key kept in IndexedDB. Protects against copying
+ *   the stored files off the device; the service worker can use it to upload.
+ * - `pin`: derived from a user PIN with PBKDF2 and held only in memory, so a shared
+ *   device's queue is unreadable until the PIN is entered again.
+ *
+ * A sealed record keeps its routing and retry state in the clear and stores
+ * `audioBlob: null`, empty `formFields`/`metadata`, `sha256: null` and a `sealed` envelope:
+ * `{ version, keyId, mimeType, size, audio: { iv, data: Blob }, fields: { iv, data } }`.
+ * The audio checksum is sealed with the fields: in the clear it would let anyone holding
+ * the stored files confirm a guess of the recording. The audio's size and type stay
+ * readable.
+ */
+
+"use strict";
+
+/**
+ * Key IDs stored in the key store and on sealed records (`sealed.keyId`).
+ *
+ * @constant
+ * @type {Object<string, string>}
+ * @property {string} DEVICE - Random key stored on the device
+ * @property {string} PIN - Key derived from the user's PIN
+ */
+export const QUEUE_KEY_IDS = {
+    DEVICE: "device",
+    PIN: "pin",
+};
+
+/**
+ * Cipher and key derivation settings.
+ *
+ * @constant
+ * @type {Object}
+ * @property {number} version - Envelope format written by sealSubmission()
+ * @property {number} keyLength - AES key length in bits
+ * @property {number} ivBytes - AES-GCM nonce length
+ * @property {number} saltBytes - PBKDF2 salt length
+ * @property {number} pinIterations - PBKDF2 iterations for new PINs
+ * @property {number} minPinLength - Shortest PIN accepted
+ * @property {string} checkText - Sealed with a new PIN key so a wrong PIN can be told apart
+ * @property {number} wipeChunk - Size of the zero buffer reused when overwriting audio
+ */
+const CRYPTO_CONFIG = {
+    version: 1,
+    keyLength: 256,
+    ivBytes: 12,
+    saltBytes: 16,
+    pinIterations: 310000,
+    minPinLength: 4,
+    checkText: "starmus-queue",
+    wipeChunk: 64 * 1024,
+};
+
+/**
+ * Builds an error whose `code` callers can map to a message.
+ *
+ * @function
+ * @param {string} code - Machine-readable reason
+ * @returns {Error}
+ */
+function cryptoError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Tells whether this browser can seal queue items (WebCrypto needs a secure context).
+ *
+ * @function
+ * @exports isQueueCryptoAvailable
+ * @returns {boolean}
+ */
+export function isQueueCryptoAvailable() {
+    return !!globalThis.crypto?.subtle;
+}
+
+/**
+ * Returns SubtleCrypto.
+ *
+ * @function
+ * @returns {SubtleCrypto}
+ * @throws {Error} `code: "NO_WEBCRYPTO"` outside a secure context or on old browsers
+ */
+function subtle() {
+    if (!isQueueCryptoAvailable()) {
+        throw cryptoError("NO_WEBCRYPTO");
+    }
+    return globalThis.crypto.subtle;
+}
+
+/**
+ * Reads a Blob as an ArrayBuffer.
+ *
+ * @function
+ * @param {Blob} blob - Data to read
+ * @returns {Promise<ArrayBuffer>}
+ */
+function readBuffer(blob) {
+    if (typeof blob.arrayBuffer === "function") {
+        return blob.arrayBuffer();
+    }
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+/**
+ * Encrypts bytes under a fresh nonce.
+ *
+ * @async
+ * @function
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {BufferSource} data - Plaintext
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>}
+ */
+async function encrypt(key, data) {
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.ivBytes));
+    return { iv, data: await subtle().encrypt({ name: "AES-GCM", iv }, key, data) };
+}
+
+/**
+ * Decrypts and authenticates bytes.
+ *
+ * @async
+ * @function
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {{iv: Uint8Array, data: (ArrayBuffer|Blob)}} box - From encrypt()
+ * @returns {Promise<ArrayBuffer>}
+ * @throws {Error} `code: "DECRYPT_FAILED"` for the wrong key or tampered data
+ */
+async function decrypt(key, box) {
+    const data = box.data instanceof Blob ? await readBuffer(box.data) : box.data;
+    try {
+        return await subtle().decrypt({ name: "AES-GCM", iv: box.iv }, key, data);
+    } catch {
+        throw cryptoError("DECRYPT_FAILED");
+    }
+}
+
+/**
+ * Creates the random device key. It is non-extractable: IndexedDB can store it, but
+ * its bytes can never be read back out.
+ *
+ * @async
+ * @function
+ * @exports createDeviceKey
+ * @returns {Promise<{id: string, key: CryptoKey, createdAt: number}>} Key store record
+ */
+export async function createDeviceKey() {
+    const key = await subtle().generateKey(
+        { name: "AES-GCM", length: CRYPTO_CONFIG.keyLength },
+        false,
+        ["encrypt", "decrypt"],
+    );
+    return { id: QUEUE_KEY_IDS.DEVICE, key, createdAt: Date.now() };
+}
+
+/**
+ * Derives the queue key from a PIN.
+ *
+ * @async
+ * @function
+ * @param {string} pin - User PIN
+ * @param {Uint8Array} salt - Salt from the key record
+ * @param {number} iterations - PBKDF2 iterations from the key record
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+async function derivePinKey(pin, salt, iterations) {
+    const material = await subtle().importKey(
+        "raw",
+        new TextEncoder().encode(pin),
+        "PBKDF2",
+        false,
+        ["deriveKey"],
+    );
+    return subtle().deriveKey(
+        { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+        material,
+        { name: "AES-GCM", length: CRYPTO_CONFIG.keyLength },
+        false,
+        ["encrypt", "decrypt"],
+    );
+}
+
+/**
+ * Sets up PIN protection. Only the salt, iteration count and a sealed check value
+ * are stored; the key itself exists only in memory.
+ *
+ * @async
+ * @function
+ * @exports createPinKey
+ * @param {string} pin - New PIN
+ * @returns {Promise<{record: Object, key: CryptoKey}>} Key store record and the unlocked key
+ * @throws {Error} `code: "INVALID_PIN"` when the PIN is too short
+ */
+export async function createPinKey(pin) {
+    if (typeof pin !== "string" || pin.length < CRYPTO_CONFIG.minPinLength) {
+        throw cryptoError("INVALID_PIN");
+    }
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.saltBytes));
+    const key = await derivePinKey(pin, salt, CRYPTO_CONFIG.pinIterations);
+    const check = await encrypt(key, new TextEncoder().encode(CRYPTO_CONFIG.checkText));
+    return {
+        record: {
+            id: QUEUE_KEY_IDS.PIN,
+            salt,
+            iterations: CRYPTO_CONFIG.pinIterations,
+            check,
+            createdAt: Date.now(),
+        },
+        key,
+    };
+}
+
+/**
+ * Unlocks the PIN key.
+ *
+ * @async
+ * @function
+ * @exports unlockPinKey
+ * @param {Object} record - PIN key record from createPinKey()
+ * @param {string} pin - PIN entered by the user
+ * @returns {Promise<CryptoKey>}
+ * @throws {Error} `code: "WRONG_PIN"` when the PIN doesn't match
+ */
+export async function unlockPinKey(record, pin) {
+    const key = await derivePinKey(String(pin), record.salt, record.iterations);
+    try {
+        await decrypt(key, record.check);
+    } catch {
+        throw cryptoError("WRONG_PIN");
+    }
+    return key;
+}
+
+/**
+ * Tells whether a stored queue record is sealed.
+ *
+ * @function
+ * @exports isSealed
+ * @param {Object} item - Queue record
+ * @returns {boolean}
+ */
+export function isSealed(item) {
+    return !!item?.sealed;
+}
+
+/**
+ * Seals form fields, metadata and the audio checksum.
+ *
+ * @async
+ * @function
+ * @exports sealFields
+ * @param {CryptoKey} key - Queue key
+ * @param {Object} formFields - Form data
+ * @param {Object} metadata - Submission metadata
+ * @param {string|null} [sha256=null] - Checksum of the plaintext audio
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>} The `sealed.fields` box
+ */
+export async function sealFields(key, formFields, metadata, sha256 = null) {
+    const json = JSON.stringify({
+        formFields: formFields || {},
+        metadata: metadata || {},
+        sha256: sha256 || null,
+    });
+    return encrypt(key, new TextEncoder().encode(json));
+}
+
+/**
+ * Seals a submission's audio, form fields, metadata and checksum.
+ *
+ * @async
+ * @function
+ * @exports sealSubmission
+ * @param {CryptoKey} key - Queue key
+ * @param {string} keyId - QUEUE_KEY_IDS value of `key`
+ * @param {{audioBlob: Blob, formFields: Object, metadata: Object, sha256: ?string}} plain -
+ *   Sensitive fields
+ * @returns {Promise<{audioBlob: null, formFields: Object, metadata: Object, sha256: null,
+ *   sealed: Object}>} Fields to store in place of the plaintext ones
+ *
+ * @example
+ * const record = { ...item, ...(await sealSubmission(key, "device", item)) };
+ */
+export async function sealSubmission(key, keyId, { audioBlob, formFields, metadata, sha256 }) {
+    const audio = await encrypt(key, await readBuffer(audioBlob));
+    return {
+        audioBlob: null,
+        formFields: {},
+        metadata: {},
+        sha256: null,
+        sealed: {
+            version: CRYPTO_CONFIG.version,
+            keyId,
+            mimeType: audioBlob.type,
+            size: audioBlob.size,
+            audio: {
+                iv: audio.iv,
+                data: new Blob([audio.data], { type: "application/octet-stream" }),
+            },
+            fields: await sealFields(key, formFields, metadata, sha256),
+        },
+    };
+}
+
+/**
+ * Opens a sealed record. Plain records are returned unchanged.
+ *
+ * @async
+ * @function
+ * @exports openSubmission
+ * @param {CryptoKey} key - Key named by `item.sealed.keyId`
+ * @param {Object} item - Stored queue record
+ * @param {Object} [options={}]
+ * @param {boolean} [options.audio=true] - Also decrypt the audio; false for listings
+ * @returns {Promise<Object>} Copy with plaintext `formFields`, `metadata`, `sha256` and,
+ *   when requested, `audioBlob`
+ * @throws {Error} `code: "DECRYPT_FAILED"` for the wrong key or tampered data
+ */
+export async function openSubmission(key, item, { audio = true } = {}) {
+    if (!isSealed(item)) {
+        return item;
+    }
+    const { formFields, metadata, sha256 } = JSON.parse(
+        new TextDecoder().decode(await decrypt(key, item.sealed.fields)),
+    );
+    const audioBlob = audio
+        ? new Blob([await decrypt(key, item.sealed.audio)], { type: item.sealed.mimeType })
+        : null;
+    // Records sealed before checksums moved into the envelope keep theirs in the clear
+    return { ...item, formFields, metadata, sha256: sha256 || item.sha256 || null, audioBlob };
+}
+
+/**
+ * Returns a copy of a sealed record with every encrypted byte and nonce replaced by
+ * zeros of the same length. Writing it over the record before deleting it keeps the
+ * ciphertext from lingering in storage that reuses the record's space in place;
+ * engines that copy on write may still keep old pages until they compact.
+ *
+ * @function
+ * @exports wipedCopy
+ * @param {Object} item - Sealed queue record
+ * @returns {Object}
+ */
+export function wipedCopy(item) {
+    const { audio, fields } = item.sealed;
+    const zero = new Uint8Array(CRYPTO_CONFIG.wipeChunk);
+    const parts = [];
+    for (let left = audio.data.size; left > 0; left -= zero.length) {
+        parts.push(left >= zero.length ? zero : zero.subarray(0, left));
+    }
+    return {
+        ...item,
+        sealed: {
+            ...item.sealed,
+            audio: { iv: new Uint8Array(audio.iv.length), data: new Blob(parts) },
+            fields: {
+                iv: new Uint8Array(fields.iv.length),
+                data: new ArrayBuffer(fields.data.byteLength),
+            },
+        },
+    };
+}
@@ -0,0 +1,211 @@
+/**
+ * @file starmus-queue-lock.js
+ * @version 1.0.0
+ * @description Cross-tab coordination for the offline queue. Only one tab (or the service
+ * worker) may upload queued items at a time, so each processing pass runs under an
+ * exclusive Web Lock; browsers without Web Locks fall back to a short, self-renewing
+ * lease in localStorage. Queue changes are announced to the other tabs over a
+ * BroadcastChannel (or `storage` events) so every tab's counts and panel stay current.
+ */
+
+"use strict";
+
+/**
+ * Web Lock name, shared with the service worker.
+ * @constant
+ * @type {string}
+ */
+export const QUEUE_LOCK_NAME = "starmus-queue";
+
+/**
+ * Fallback lease and broadcast settings.
+ *
+ * @constant
+ * @type {Object}
+ * @property {string} leaseKey - localStorage key holding `{ owner, expires }`
+ * @property {number} leaseMs - Lease length; renewed at a third of it while held
+ * @property {number} settleMs - Wait before confirming a lease, so a racing tab's write shows
+ * @property {string} channelName - BroadcastChannel name
+ * @property {string} signalKey - localStorage key used to signal changes without BroadcastChannel
+ */
+const LOCK_CONFIG = {
+    leaseKey: "starmus-queue-lease",
+    leaseMs: 30 * 1000,
+    settleMs: 50,
+    channelName: "starmus-queue",
+    signalKey: "starmus-queue-signal",
+};
+
+/**
+ * Identifies this tab in leases and broadcasts.
+ * @constant
+ * @type {string}
+ */
+const TAB_ID = `tab-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+
+/**
+ * Open channel, created on first use.
+ * @type {BroadcastChannel|null}
+ */
+let channel = null;
+
+/**
+ * Returns localStorage, or null where it is missing or blocked (e.g. some private modes).
+ *
+ * @function
+ * @returns {Storage|null}
+ */
+function localStore() {
+    try {
+        return typeof localStorage !== "undefined" ? localStorage : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the current lease.
+ *
+ * @function
+ * @param {Storage} store - localStorage
+ * @returns {{owner: string, expires: number}|null}
+ */
+function readLease(store) {
+    try {
+        return JSON.parse(store.getItem(LOCK_CONFIG.leaseKey));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Runs `fn` while holding the localStorage lease.
+ *
+ * @async
+ * @function
+ * @param {Storage} store - localStorage
+ * @param {function(): Promise<*>} fn - Work to run
+ * @returns {Promise<boolean>} False when another tab holds a live lease
+ */
+async function withLease(store, fn) {
+    const lease = readLease(store);
+    if (lease && lease.owner !== TAB_ID && lease.expires > Date.now()) {
+        return false;
+    }
+
+    const write = () =>
+        store.setItem(
+            LOCK_CONFIG.leaseKey,
+            JSON.stringify({ owner: TAB_ID, expires: Date.now() + LOCK_CONFIG.leaseMs }),
+        );
+    write();
+    // Two tabs can claim at once and the last write wins: confirm before starting
+    await new Promise((resolve) => setTimeout(resolve, LOCK_CONFIG.settleMs));
+    if (readLease(store)?.owner !== TAB_ID) {
+        return false;
+    }
+
+    const renew = setInterval(write, LOCK_CONFIG.leaseMs / 3);
+    try {
+        await fn();
+        return true;
+    } finally {
+        clearInterval(renew);
+        if (readLease(store)?.owner === TAB_ID) {
+            store.removeItem(LOCK_CONFIG.leaseKey);
+        }
+    }
+}
+
+/**
+ * Runs `fn` only if no other tab is processing the queue. Never waits for the
+ * lock: the holder's pass covers the work.
+ *
+ * @async
+ * @function
+ * @exports withQueueLock
+ * @param {function(): Promise<*>} fn - Processing pass
+ * @returns {Promise<boolean>} True when `fn` ran, false when another tab holds the lock
+ *
+ * @example
+ * const ran = await withQueueLock(() => drain());
+ */
+export async function withQueueLock(fn) {
+    if (typeof navigator !== "undefined" && navigator.locks?.request) {
+        return navigator.locks.request(QUEUE_LOCK_NAME, { ifAvailable: true }, async (lock) => {
+            if (!lock) {
+                return false;
+            }
+            await fn();
+            return true;
+        });
+    }
+
+    const store = localStore();
+    if (!store) {
+        // No way to coordinate: behave like a single tab
+        await fn();
+        return true;
+    }
+    return withLease(store, fn);
+}
+
+/**
+ * Announces a queue change to the other tabs.
+ *
+ * @function
+ * @exports broadcastQueueChange
+ * @param {Object} [detail={}] - Extra fields for listeners (e.g. `activeId`)
+ * @returns {void}
+ */
+export function broadcastQueueChange(detail = {}) {
+    const message = { ...detail, type: "queue-changed", from: TAB_ID, at: Date.now() };
+
+    if (typeof BroadcastChannel !== "undefined") {
+        channel = channel || new BroadcastChannel(LOCK_CONFIG.channelName);
+        channel.postMessage(message);
+        return;
+    }
+    const store = localStore();
+    if (store) {
+        // Other tabs get a `storage` event; the timestamp makes every write a change
+        store.setItem(LOCK_CONFIG.signalKey, JSON.stringify(message));
+    }
+}
+
+/**
+ * Listens for queue changes announced by other tabs.
+ *
+ * @function
+ * @exports onQueueBroadcast
+ * @param {function(Object): void} handler - Receives the message from broadcastQueueChange()
+ * @returns {function(): void} Unsubscribe function
+ */
+export function onQueueBroadcast(handler) {
+    if (typeof BroadcastChannel !== "undefined") {
+        // This tab's own sender is another channel object, so filter our messages out
+        const listener = new BroadcastChannel(LOCK_CONFIG.channelName);
+        listener.onmessage = (event) => {
+            if (event.data?.type === "queue-changed" && event.data.from !== TAB_ID) {
+                handler(event.data);
+            }
+        };
+        return () => listener.close();
+    }
+
+    if (typeof window === "undefined") {
+        return () => {};
+    }
+    const onStorage = (event) => {
+        if (event.key !== LOCK_CONFIG.signalKey || !event.newValue) {
+            return;
+        }
+        try {
+            handler(JSON.parse(event.newValue));
+        } catch {
+            // Ignore malformed signals
+        }
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+}
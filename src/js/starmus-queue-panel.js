@@ -0,0 +1,688 @@
+/**
+ * @file starmus-queue-panel.js
+ * @version 1.0.0
+ * @description Offline queue panel. Lists every submission waiting in the offline queue
+ * with its title, size, length, queued time, retry count, last error and upload progress,
+ * and lets the user play it back from the stored audio, retry it now, save it to a file
+ * or delete it. Dead-lettered submissions show why they stopped and can have their
+ * details edited before being resubmitted. Driven by `starmus/offline/queue_updated`.
+ * When the queue is encrypted with a PIN, asks for the PIN before anything can be
+ * played or uploaded.
+ *
+ * Also exports the whole queue as a portable bundle and imports bundles made on other
+ * devices (see starmus-queue-bundle.js).
+ */
+
+"use strict";
+
+import { subscribe } from "./starmus-hooks.js";
+import { getOfflineQueue, getStorageStatus } from "./starmus-offline.js";
+import { exportQueueBundle, importQueueBundle } from "./starmus-queue-bundle.js";
+import { formatTime, formatSize } from "./starmus-ui.js";
+
+/**
+ * Picks a display title for a queued submission.
+ *
+ * @function
+ * @param {Object} item - Queue item
+ * @returns {string}
+ */
+function titleOf(item) {
+    const fields = item.formFields || {};
+    return fields.dc_creator || fields.post_title || fields.title || item.fileName;
+}
+
+/**
+ * Explanations for dead-letter reason codes (see DEAD_LETTER_REASONS).
+ * @constant
+ * @type {Object<string, string>}
+ */
+const DEAD_LETTER_TEXT = {
+    max_retries: "Stopped after too many failed attempts.",
+    nonce_expired: "Your sign-in has expired. Sign in again in another tab, then resubmit.",
+    forbidden: "The server refused this upload. Check that you are signed in, then resubmit.",
+    bad_request: "The server rejected the details of this recording. Edit them and resubmit.",
+    too_large: "This recording is larger than the server accepts. Save it to a file instead.",
+    invalid_response: "The server sent an unexpected reply. Resubmit to try again.",
+    quota_exceeded: "This device ran out of storage space. Free some up, then resubmit.",
+    unreadable: "This recording can't be decrypted on this device.",
+    key_missing:
+        "This device no longer has the key this recording was encrypted with, so it can't be uploaded.",
+    corrupted: "This recording was damaged on this device and can't be uploaded.",
+};
+
+/**
+ * User-facing text for PIN errors, by error code.
+ * @constant
+ * @type {Object<string, string>}
+ */
+const PIN_ERRORS = {
+    INVALID_PIN: "Use a PIN of at least 4 characters.",
+    WRONG_PIN: "That PIN is not correct. Try again.",
+};
+
+/**
+ * Picks the form fields a user may repair: plain text values, without internal
+ * (`_`-prefixed) fields or serialized JSON.
+ *
+ * @function
+ * @param {Object} formFields - Stored form fields
+ * @returns {Array<string>} Field names
+ */
+function editableFields(formFields) {
+    return Object.keys(formFields || {}).filter((name) => {
+        const value = formFields[name];
+        return (
+            typeof value === "string" &&
+            !name.startsWith("_") &&
+            value.length <= 2000 &&
+            !/^\s*[[{]/.test(value)
+        );
+    });
+}
+
+/**
+ * Key of the state shown in an item's row; the list is rebuilt when any row's key changes.
+ *
+ * @function
+ * @param {Object} entry - Item summary from `starmus/offline/queue_updated`
+ * @returns {string}
+ */
+function rowKey(entry) {
+    return [
+        entry.id,
+        entry.retryCount,
+        entry.error,
+        entry.deadLetter,
+        entry.exported,
+        entry.locked,
+    ].join(":");
+}
+
+/**
+ * Creates a queue item action button.
+ *
+ * @function
+ * @param {string} action - Value for data-starmus-queue-action
+ * @param {string} text - Button text
+ * @returns {HTMLButtonElement}
+ */
+function createQueueButton(action, text) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "starmus-btn starmus-btn--outline starmus-queue-btn";
+    btn.setAttribute("data-starmus-queue-action", action);
+    btn.textContent = text;
+    return btn;
+}
+
+/**
+ * Builds one list entry.
+ *
+ * @function
+ * @param {Object} item - Queue item from OfflineQueue.getAll()
+ * @returns {HTMLLIElement}
+ */
+function createQueueItem(item) {
+    const li = document.createElement("li");
+    li.className = "starmus-queue-item" + (item.deadLetter ? " is-dead" : "");
+    li.setAttribute("data-queue-id", item.id);
+
+    const title = document.createElement("span");
+    title.className = "starmus-queue-title";
+    title.textContent = titleOf(item);
+
+    const meta = document.createElement("span");
+    meta.className = "starmus-queue-meta";
+    const parts = [formatSize(item.bytesTotal || item.audioBlob?.size || 0)];
+    if (item.duration) {
+        parts.unshift(formatTime(item.duration));
+    }
+    parts.push("queued " + new Date(item.timestamp).toLocaleString());
+    if (item.retryCount) {
+        parts.push(item.retryCount + (item.retryCount === 1 ? " retry" : " retries"));
+    }
+    if (item.exportedAt) {
+        parts.push("exported");
+    }
+    meta.textContent = parts.join(" · ");
+
+    const progress = document.createElement("progress");
+    progress.className = "starmus-queue-progress";
+    progress.max = 100;
+    progress.style.display = "none";
+
+    li.append(title, meta, progress);
+
+    if (item.deadLetter) {
+        const reason = document.createElement("span");
+        reason.className = "starmus-queue-error";
+        reason.textContent =
+            DEAD_LETTER_TEXT[item.deadLetter.reason] || "Upload stopped: " + item.deadLetter.reason;
+        li.appendChild(reason);
+    }
+    if (item.error) {
+        const error = document.createElement("span");
+        error.className = "starmus-queue-error";
+        error.textContent = "Last error: " + item.error;
+        li.appendChild(error);
+    }
+
+    // Nothing but deleting works on audio that can't be decrypted
+    if (item.locked || item.unreadable) {
+        // A dead-letter reason shown above already explains it
+        if (!item.deadLetter) {
+            const note = document.createElement("span");
+            note.className = "starmus-queue-error";
+            note.textContent = item.locked
+                ? "Enter your PIN to play or upload this recording."
+                : DEAD_LETTER_TEXT.unreadable;
+            li.appendChild(note);
+        }
+        li.appendChild(createQueueButton("delete", "Delete"));
+        return li;
+    }
+
+    li.appendChild(createQueueButton("play", "Play"));
+    // Damaged audio would fail the same checksum again, so it can't be resubmitted
+    if (item.deadLetter && item.deadLetter.reason !== "corrupted") {
+        li.appendChild(createQueueButton("resubmit", "Resubmit"));
+        if (editableFields(item.formFields).length) {
+            li.appendChild(createQueueButton("edit", "Edit Details"));
+        }
+    } else if (!item.deadLetter) {
+        li.appendChild(createQueueButton("retry", "Retry Now"));
+    }
+    li.append(createQueueButton("export", "Save to File"), createQueueButton("delete", "Delete"));
+    return li;
+}
+
+/**
+ * Builds the inline editor for a dead-lettered submission's form fields.
+ *
+ * @function
+ * @param {Object} item - Queue item
+ * @returns {HTMLDivElement}
+ */
+function createFieldEditor(item) {
+    const editor = document.createElement("div");
+    editor.className = "starmus-queue-editor";
+
+    editableFields(item.formFields).forEach((name) => {
+        const value = item.formFields[name];
+        const label = document.createElement("label");
+        label.className = "starmus-queue-field";
+        label.textContent = name;
+
+        const input = document.createElement(
+            value.length > 80 || value.includes("\n") ? "textarea" : "input",
+        );
+        input.value = value;
+        input.setAttribute("data-starmus-queue-field", name);
+        label.appendChild(input);
+        editor.appendChild(label);
+    });
+
+    editor.append(
+        createQueueButton("save-edit", "Save and Resubmit"),
+        createQueueButton("cancel-edit", "Cancel"),
+    );
+    return editor;
+}
+
+/**
+ * Builds the PIN prompt shown while the queue is locked.
+ *
+ * @function
+ * @returns {HTMLDivElement}
+ */
+function createUnlockForm() {
+    const form = document.createElement("div");
+    form.className = "starmus-queue-unlock";
+
+    const label = document.createElement("label");
+    label.className = "starmus-queue-field";
+    label.textContent = "Enter your PIN to unlock recordings saved on this device";
+    const input = document.createElement("input");
+    input.type = "password";
+    input.inputMode = "numeric";
+    input.autocomplete = "off";
+    input.setAttribute("data-starmus-queue-pin", "");
+    label.appendChild(input);
+
+    const status = document.createElement("span");
+    status.className = "starmus-queue-unlock-status";
+    status.setAttribute("role", "alert");
+
+    const button = createQueueButton("unlock", "Unlock");
+    form.append(label, button, status);
+    return form;
+}
+
+/**
+ * User-facing text for bundle import failures, by error code.
+ * @constant
+ * @type {Object<string, string>}
+ */
+const IMPORT_ERRORS = {
+    NOT_A_BUNDLE: "This file is not a Starmus recordings bundle.",
+    UNSUPPORTED_VERSION: "This bundle was made by a newer version. Update and try again.",
+    CORRUPT_BUNDLE: "This bundle is damaged or incomplete.",
+};
+
+/**
+ * Describes storage use for the readout.
+ *
+ * @function
+ * @param {Object} status - From getStorageStatus()
+ * @returns {string}
+ */
+function describeStorage(status) {
+    return (
+        "Offline storage: " +
+        formatSize(status.usage) +
+        " used of " +
+        formatSize(status.quota) +
+        (status.persisted
+            ? " (kept until you clear it)"
+            : " (the browser may clear it when the device runs low on space)")
+    );
+}
+
+/**
+ * Summarises an import result for the status line.
+ *
+ * @function
+ * @param {{imported: number, skipped: number, failed: Array<Object>}} summary - Import result
+ * @returns {string}
+ */
+function describeImport(summary) {
+    const parts = [summary.imported + " recording(s) added to the upload queue"];
+    if (summary.skipped) {
+        parts.push(summary.skipped + " already queued");
+    }
+    if (summary.failed.length) {
+        parts.push(
+            summary.failed.length +
+                " could not be added (" +
+                summary.failed.map((f) => f.fileName + ": " + f.error).join("; ") +
+                ")",
+        );
+    }
+    return parts.join(", ") + ".";
+}
+
+/**
+ * Triggers a download of a blob under a file name.
+ *
+ * @function
+ * @param {Blob} blob - Data to save
+ * @param {string} fileName - Suggested file name
+ * @returns {void}
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Wires the offline queue panel inside a container.
+ * The panel stays hidden while the queue is empty; the import control
+ * (`[data-starmus-queue-import]`, outside the panel) stays available.
+ *
+ * @function
+ * @exports initQueuePanel
+ * @param {HTMLElement} root - Element containing `[data-starmus-queue-panel]`
+ *   and `[data-starmus-queue-list]`, optionally `[data-starmus-queue-export]`,
+ *   `[data-starmus-queue-import]`, `[data-starmus-queue-import-status]` and
+ *   `[data-starmus-storage-usage]`
+ * @returns {function(): void} Cleanup function
+ *
+ * @example
+ * initQueuePanel(document.querySelector("form[data-starmus-instance]"));
+ */
+export function initQueuePanel(root) {
+    const panel = root?.querySelector("[data-starmus-queue-panel]");
+    const list = root?.querySelector("[data-starmus-queue-list]");
+    if (!panel || !list) {
+        return () => {};
+    }
+
+    const exportBtn = root.querySelector("[data-starmus-queue-export]");
+    const importInput = root.querySelector("[data-starmus-queue-import]");
+    const importStatus = root.querySelector("[data-starmus-queue-import-status]");
+    const storageUsage = root.querySelector("[data-starmus-storage-usage]");
+
+    let renderKey = "";
+    let itemCount = 0;
+    let unlockForm = null;
+    let audio = null;
+    let audioUrl = null;
+    let playingId = null;
+
+    /** Stops playback and frees the object URL. */
+    const stopPlayback = () => {
+        if (audio) {
+            audio.pause();
+            audio = null;
+        }
+        if (audioUrl) {
+            URL.revokeObjectURL(audioUrl);
+            audioUrl = null;
+        }
+        const btn =
+            playingId &&
+            list.querySelector(`[data-queue-id="${playingId}"] [data-starmus-queue-action="play"]`);
+        if (btn) {
+            btn.textContent = "Play";
+        }
+        playingId = null;
+    };
+
+    /** Refreshes the storage readout; hidden where the browser can't estimate. */
+    const updateStorage = async () => {
+        if (!storageUsage) {
+            return;
+        }
+        const status = await getStorageStatus();
+        storageUsage.hidden = !status || !status.quota;
+        if (!storageUsage.hidden) {
+            storageUsage.textContent = describeStorage(status);
+            storageUsage.classList.toggle("is-low", status.ratio >= 0.8);
+        }
+    };
+
+    /** Unlocks the queue with the entered PIN; queue_updated then removes the prompt. */
+    const unlock = async () => {
+        const input = unlockForm.querySelector("[data-starmus-queue-pin]");
+        const button = unlockForm.querySelector('[data-starmus-queue-action="unlock"]');
+        const status = unlockForm.querySelector(".starmus-queue-unlock-status");
+        button.disabled = true;
+        try {
+            await (await getOfflineQueue()).unlock(input.value);
+        } catch (err) {
+            status.textContent = PIN_ERRORS[err.code] || "Could not unlock: " + err.message;
+            input.value = "";
+        } finally {
+            button.disabled = false;
+        }
+    };
+
+    /** Enter in the PIN field unlocks instead of submitting the recorder form. */
+    const onPinKey = (e) => {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            unlock();
+        }
+    };
+
+    /**
+     * Shows the PIN prompt while PIN encryption waits for the PIN; the first time,
+     * it asks the user to choose one.
+     * @param {Object} queue - Offline queue
+     * @returns {boolean} Whether the queue is locked
+     */
+    const updateLock = (queue) => {
+        const locked = queue.isLocked();
+        if (locked && !unlockForm) {
+            unlockForm = createUnlockForm();
+            unlockForm
+                .querySelector('[data-starmus-queue-action="unlock"]')
+                .addEventListener("click", unlock);
+            unlockForm
+                .querySelector("[data-starmus-queue-pin]")
+                .addEventListener("keydown", onPinKey);
+            panel.insertBefore(unlockForm, list);
+            queue.hasPin().then((hasPin) => {
+                if (!hasPin && unlockForm) {
+                    unlockForm.querySelector("label").firstChild.textContent =
+                        "Choose a PIN to protect recordings saved on this device";
+                    unlockForm.querySelector('[data-starmus-queue-action="unlock"]').textContent =
+                        "Set PIN";
+                }
+            });
+        } else if (!locked && unlockForm) {
+            unlockForm.remove();
+            unlockForm = null;
+        }
+        return locked;
+    };
+
+    /**
+     * Shows progress and locks actions that would disturb an upload in flight.
+     * @param {Array<Object>} summary - `queue` from starmus/offline/queue_updated
+     */
+    const updateProgress = (summary) => {
+        summary.forEach((entry) => {
+            const li = list.querySelector(`[data-queue-id="${entry.id}"]`);
+            if (!li) {
+                return;
+            }
+            const bar = li.querySelector(".starmus-queue-progress");
+            const started = entry.uploading || entry.bytesUploaded > 0;
+            bar.style.display = started ? "" : "none";
+            bar.value = Math.round((entry.progress || 0) * 100);
+            bar.textContent = bar.value + "%";
+            li.classList.toggle("is-uploading", !!entry.uploading);
+            li.querySelectorAll(
+                '[data-starmus-queue-action="retry"], [data-starmus-queue-action="delete"]',
+            ).forEach((btn) => {
+                btn.disabled = !!entry.uploading;
+            });
+        });
+    };
+
+    /**
+     * Rebuilds the list when the set of items or their retry state changed,
+     * otherwise only refreshes progress (queue_updated fires during uploads).
+     * @param {Object} payload - starmus/offline/queue_updated payload
+     */
+    const refresh = async (payload) => {
+        const queue = await getOfflineQueue();
+        const locked = updateLock(queue);
+        const summary = payload?.queue;
+        const key = summary ? summary.map(rowKey).join("|") : null;
+
+        if (key === null || key !== renderKey) {
+            const items = await queue.getAll();
+            // Same order as the payload summary (both come from getAll)
+            renderKey = items
+                .map((i) =>
+                    rowKey({
+                        ...i,
+                        deadLetter: i.deadLetter?.reason || null,
+                        exported: !!i.exportedAt,
+                        locked: !!i.locked,
+                    }),
+                )
+                .join("|");
+            items.sort((a, b) => a.timestamp - b.timestamp);
+
+            if (playingId && !items.some((i) => i.id === playingId)) {
+                stopPlayback();
+            }
+            list.textContent = "";
+            items.forEach((item) => list.appendChild(createQueueItem(item)));
+            itemCount = items.length;
+            if (playingId) {
+                const btn = list.querySelector(
+                    `[data-queue-id="${playingId}"] [data-starmus-queue-action="play"]`,
+                );
+                if (btn) {
+                    btn.textContent = "Stop";
+                }
+            }
+        }
+        // Stays visible while locked, even when empty: nothing can be queued until unlocked
+        panel.style.display = itemCount || locked ? "" : "none";
+        if (summary) {
+            updateProgress(summary);
+        }
+    };
+
+    /**
+     * Item actions: play, retry, export, delete, and resubmit or edit for dead letters.
+     * Delegated because the list is rebuilt whenever the queue changes.
+     */
+    const onClick = async (e) => {
+        const button = e.target.closest("[data-starmus-queue-action]");
+        const li = button && button.closest("[data-queue-id]");
+        if (!li || button.disabled) {
+            return;
+        }
+        e.preventDefault();
+        const id = li.getAttribute("data-queue-id");
+        const queue = await getOfflineQueue();
+
+        switch (button.getAttribute("data-starmus-queue-action")) {
+        case "play": {
+            const wasPlaying = playingId === id;
+            stopPlayback();
+            if (wasPlaying) {
+                break;
+            }
+            const item = await queue.get(id);
+            if (!item?.audioBlob) {
+                break;
+            }
+            audioUrl = URL.createObjectURL(item.audioBlob);
+            audio = new Audio(audioUrl);
+            audio.onended = stopPlayback;
+            playingId = id;
+            button.textContent = "Stop";
+            audio.play().catch(stopPlayback);
+            break;
+        }
+        case "retry":
+        case "resubmit":
+            button.disabled = true;
+            queue.retryNow(id).catch((err) => console.warn("[QueuePanel] Retry failed:", err));
+            break;
+        case "edit": {
+            const item = await queue.get(id);
+            if (item && !li.querySelector(".starmus-queue-editor")) {
+                li.appendChild(createFieldEditor(item));
+                button.disabled = true;
+            }
+            break;
+        }
+        case "save-edit": {
+            const formFields = {};
+            li.querySelectorAll("[data-starmus-queue-field]").forEach((input) => {
+                formFields[input.getAttribute("data-starmus-queue-field")] = input.value;
+            });
+            button.disabled = true;
+            queue
+                .resubmit(id, { formFields })
+                .catch((err) => console.warn("[QueuePanel] Resubmit failed:", err));
+            break;
+        }
+        case "cancel-edit": {
+            li.querySelector(".starmus-queue-editor")?.remove();
+            const edit = li.querySelector('[data-starmus-queue-action="edit"]');
+            if (edit) {
+                edit.disabled = false;
+            }
+            break;
+        }
+        case "export": {
+            const item = await queue.get(id);
+            if (item?.audioBlob) {
+                downloadBlob(item.audioBlob, item.fileName);
+            }
+            break;
+        }
+        case "delete": {
+            const title = li.querySelector(".starmus-queue-title").textContent;
+            if (confirm('Delete "' + title + '"? It has not been uploaded yet.')) {
+                if (playingId === id) {
+                    stopPlayback();
+                }
+                await queue.remove(id);
+            }
+            break;
+        }
+        default:
+            break;
+        }
+    };
+
+    /**
+     * Saves every queued submission as one bundle file. Exported items may be
+     * evicted, oldest first, when the device later runs out of space.
+     */
+    const onExport = async () => {
+        exportBtn.disabled = true;
+        try {
+            const { blob, fileName, ids } = await exportQueueBundle();
+            downloadBlob(blob, fileName);
+            await (await getOfflineQueue()).markExported(ids);
+        } catch (err) {
+            if (err.code !== "EMPTY_BUNDLE") {
+                console.warn("[QueuePanel] Export failed:", err);
+                alert("Could not export recordings: " + err.message);
+            }
+        } finally {
+            exportBtn.disabled = false;
+        }
+    };
+
+    /** Loads the chosen bundle into the queue; the list refreshes via queue_updated. */
+    const onImport = async () => {
+        const file = importInput.files && importInput.files[0];
+        if (!file) {
+            return;
+        }
+        importInput.disabled = true;
+        if (importStatus) {
+            importStatus.textContent = "Importing " + file.name + "…";
+        }
+        try {
+            const summary = await importQueueBundle(file);
+            if (importStatus) {
+                importStatus.textContent = describeImport(summary);
+            }
+        } catch (err) {
+            console.warn("[QueuePanel] Import failed:", err);
+            if (importStatus) {
+                importStatus.textContent =
+                    IMPORT_ERRORS[err.code] || "Import failed: " + err.message;
+            }
+        } finally {
+            importInput.value = "";
+            importInput.disabled = false;
+        }
+    };
+
+    list.addEventListener("click", onClick);
+    exportBtn?.addEventListener("click", onExport);
+    importInput?.addEventListener("change", onImport);
+    let lastCount = -1;
+    const unsubscribe = subscribe("starmus/offline/queue_updated", (payload) => {
+        refresh(payload).catch((err) => console.warn("[QueuePanel] Refresh failed:", err));
+        // Progress updates fire every second; only re-estimate when items come or go
+        if (payload?.count !== lastCount) {
+            lastCount = payload?.count;
+            updateStorage().catch(() => {});
+        }
+    });
+    refresh(null).catch(() => {
+        panel.style.display = "none";
+    });
+    updateStorage().catch(() => {});
+
+    return () => {
+        stopPlayback();
+        unsubscribe();
+        unlockForm?.remove();
+        list.removeEventListener("click", onClick);
+        exportBtn?.removeEventListener("click", onExport);
+        importInput?.removeEventListener("change", onImport);
+    };
+}
@@ -4,6 +4,7 @@
  * @description Audio recording functionality with MediaRecorder API, microphone calibration,
  * real-time speech recognition, and visual amplitude feedback. Handles complete recording
  * lifecycle from setup through stop with explicit exports for build system.
+ * Falls back to in-browser PCM/WAV capture when MediaRecorder cannot record Opus.
  */
 
 "use strict";
@@ -11,6 +12,30 @@
 import { CommandBus } from "./starmus-hooks.js";
 import sparxstarIntegration from "./starmus-sparxstar-integration.js";
 import EnhancedCalibration from "./starmus-enhanced-calibration.js";
+import { createPcmRecorder, buildWavBlob, isPcmCaptureSupported } from "./starmus-pcm-capture.js";
+import {
+    createChunkPersister,
+    findRecoverableSession,
+    restoreSession,
+    discardSession,
+} from "./starmus-recording-recovery.js";
+import { resolveRecordingLimits, createLimitTracker } from "./starmus-recording-limits.js";
+import {
+    createVoiceActivityDetector,
+    planSilenceTrim,
+    trimRecordedChunks,
+    clipSegments,
+    concatVoiceActivity,
+} from "./starmus-voice-activity.js";
+import { decodeBlob, joinBuffers, encodeBuffer } from "./starmus-audio-transcode.js";
+import {
+    listAudioInputs,
+    getPreferredInput,
+    setPreferredInput,
+    describeStreamInput,
+    watchAudioInputs,
+} from "./starmus-audio-devices.js";
+import { getStreamManager, buildAudioConstraints } from "./starmus-stream-manager.js";
 
 /**
  * Registry of active recorder instances mapped by instanceId.
@@ -19,6 +44,10 @@ import EnhancedCalibration from "./starmus-enhanced-calibration.js";
  * @property {MediaRecorder} mediaRecorder - MediaRecorder instance for audio capture
  * @property {number|null} rafId - RequestAnimationFrame ID for visual updates
  * @property {LanguageSignalAnalyzer|null} signalAnalyzer - Language policy analyzer
+ * @property {function|null} onPause - Freezes the active-time clock
+ * @property {function|null} onResume - Restarts the active-time clock and visual loop
+ * @property {function|null} swapInput - Moves the recording onto another microphone
+ * @property {function|null} getInputId - Returns the deviceId backing the recording
  */
 const recorderRegistry = new Map();
 
@@ -29,6 +58,20 @@ const recorderRegistry = new Map();
  */
 let sharedAudioContext = null;
 
+/**
+ * Whether an interrupted recording has already been offered on this page.
+ * Only the first recorder instance offers recovery so the prompt appears once.
+ * @type {boolean}
+ */
+let recoveryOffered = false;
+
+/**
+ * IDs of recording sessions owned by live recorders on this page.
+ * Excluded from recovery so an in-progress take is never offered back to itself.
+ * @type {Set<string>}
+ */
+const liveSessionIds = new Set();
+
 /**
  * Speech Recognition API with webkit fallback.
  * Used by LanguageSignalAnalyzer for policy enforcement.
@@ -36,6 +79,138 @@ let sharedAudioContext = null;
  */
 const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
 
+/**
+ * Recording formats in default preference order.
+ * Opus containers first (smallest files), then AAC for iOS Safari, then
+ * uncompressed WAV through the PCM capture engine as a last resort.
+ * @type {Array<Object>}
+ * @property {string} id - Short format identifier used by recordingSettings
+ * @property {string} mimeType - MIME type requested from the recorder
+ * @property {string} container - Container name stored in metadata
+ * @property {string} codec - Codec name stored in metadata
+ * @property {boolean} [pcm] - True when recorded through PCM capture instead of MediaRecorder
+ */
+const RECORDING_FORMATS = [
+    { id: "webm-opus", mimeType: "audio/webm;codecs=opus", container: "webm", codec: "opus" },
+    { id: "ogg-opus", mimeType: "audio/ogg;codecs=opus", container: "ogg", codec: "opus" },
+    { id: "mp4-aac", mimeType: "audio/mp4;codecs=mp4a.40.2", container: "mp4", codec: "aac" },
+    { id: "mp4", mimeType: "audio/mp4", container: "mp4", codec: "aac" },
+    { id: "wav", mimeType: "audio/wav", container: "wav", codec: "pcm_s16le", pcm: true },
+];
+
+/**
+ * File extensions keyed by base MIME type of the produced blob.
+ * @type {Object<string, string>}
+ */
+const MIME_EXTENSIONS = {
+    "audio/webm": "webm",
+    "audio/ogg": "ogg",
+    "audio/mp4": "m4a",
+    "audio/x-m4a": "m4a",
+    "audio/aac": "aac",
+    "audio/mpeg": "mp3",
+    "audio/wav": "wav",
+    "audio/x-wav": "wav",
+};
+
+/**
+ * Checks whether the browser can record a given format.
+ *
+ * @function
+ * @param {Object} format - Entry from RECORDING_FORMATS
+ * @returns {boolean} True when the format is recordable here
+ */
+function isFormatSupported(format) {
+    if (format.pcm) {
+        return isPcmCaptureSupported();
+    }
+    return (
+        typeof MediaRecorder !== "undefined" &&
+        typeof MediaRecorder.isTypeSupported === "function" &&
+        MediaRecorder.isTypeSupported(format.mimeType)
+    );
+}
+
+/**
+ * Ranks recording formats for the current tier and settings, keeping only
+ * those the browser supports.
+ *
+ * @function
+ * @exports negotiateRecordingFormats
+ * @param {string} tier - Browser capability tier (A/B/C)
+ * @param {Object} [settings={}] - recordingSettings from SPARXSTAR
+ * @param {Array<string>|string} [settings.preferredFormats] - Format ids or MIME types to try first
+ * @param {boolean} [settings.preferLossless] - Tier A only: try WAV before compressed formats
+ * @returns {Array<Object>} Supported formats in the order they should be tried
+ *
+ * @example
+ * negotiateRecordingFormats("A", { preferredFormats: ["ogg-opus"] });
+ * // Firefox: [ogg-opus, webm-opus, wav]; iOS Safari: [mp4-aac, mp4, wav]
+ */
+export function negotiateRecordingFormats(tier, settings = {}) {
+    let preferred = settings.preferredFormats || settings.mimeType || [];
+    if (!Array.isArray(preferred)) {
+        preferred = [preferred];
+    }
+    const rank = (format) => {
+        const idx = preferred.findIndex((p) => p === format.id || p === format.mimeType);
+        if (idx !== -1) {
+            return idx;
+        }
+        // Lossless archival capture is only worth the upload cost on Tier A
+        if (format.pcm && tier === "A" && settings.preferLossless) {
+            return preferred.length;
+        }
+        return preferred.length + 1 + RECORDING_FORMATS.indexOf(format);
+    };
+    return RECORDING_FORMATS.filter(isFormatSupported).sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Derives a file extension from the MIME type the recorder actually produced.
+ *
+ * @function
+ * @exports extensionForMimeType
+ * @param {string} mimeType - Full MIME type, possibly with codecs parameter
+ * @returns {string} File extension without dot
+ */
+export function extensionForMimeType(mimeType) {
+    const base = (mimeType || "").split(";")[0].trim().toLowerCase();
+    return MIME_EXTENSIONS[base] || "webm";
+}
+
+/**
+ * Lists the format IDs matching an existing take, so a continuation is captured in the
+ * same container/codec and can be joined without a format change.
+ *
+ * @function
+ * @param {Object} take - Existing take with `metadata.container` and `metadata.codec`
+ * @returns {Array<string>} Matching format IDs in default order
+ */
+function matchingFormats(take) {
+    const { container, codec } = take.metadata;
+    return RECORDING_FORMATS.filter((f) => f.container === container && f.codec === codec).map(
+        (f) => f.id,
+    );
+}
+
+/**
+ * Assembles recorded chunks into a playable blob.
+ *
+ * @function
+ * @param {Object} take - Take description
+ * @param {boolean} take.pcm - True for raw PCM chunks that need a WAV header
+ * @param {number} [take.sampleRate] - PCM sample rate in Hz
+ * @param {string} take.mimeType - MIME type for compressed chunks
+ * @param {Array<Blob>} chunks - Chunks to assemble
+ * @returns {Blob} Audio blob
+ */
+function buildTakeBlob(take, chunks) {
+    return take.pcm
+        ? buildWavBlob(chunks, take.sampleRate)
+        : new Blob(chunks, { type: take.mimeType });
+}
+
 /**
  * Language Signal Analyzer - Geographic Policy Enforcement
  * Detects colonial language violations based on user location.
@@ -421,12 +596,103 @@ async function _doCalibration(stream, onUpdate) {
  * - 'stop-mic': Stop recording and save audio blob
  * - 'pause-mic': Pause ongoing recording
  * - 'resume-mic': Resume paused recording
+ * - 'recover-recording': Rebuild an interrupted recording from IndexedDB
+ * - 'discard-recovered-recording': Delete an interrupted recording
+ * - 'trim-silence': Apply the suggested leading/trailing silence trim to the last take
+ * - 'select-mic': Choose a microphone; hot-swaps the input of an active recording
+ *
+ * Chunks are persisted to IndexedDB while recording and cleared once the take is
+ * submitted, queued or reset. The microphone stream opened for calibration is reused for
+ * every take and released on reset, after submission and on page hide. Leftover sessions
+ * are announced on load via 'starmus/recording-recovery-available'.
  *
  * All commands are filtered by instanceId to support multiple recorder instances.
  */
 function initRecorder(store, instanceId) {
     console.log("[Recorder] 🎧 Listening for commands for ID:", instanceId);
 
+    // Persisted session for the current take (live or recovered)
+    let persister = null;
+    let recoveredSessionId = null;
+
+    // Chunks and timing of the last finished take, kept for silence trimming
+    let lastTake = null;
+
+    // One microphone stream shared by calibration and every take
+    const streams = getStreamManager(instanceId);
+    const watchedTracks = new WeakSet();
+
+    /**
+     * Drops the persisted chunks of the current take.
+     */
+    function clearPersistedTake() {
+        if (persister) {
+            liveSessionIds.delete(persister.id);
+            persister.discard();
+            persister = null;
+        }
+        if (recoveredSessionId) {
+            discardSession(recoveredSessionId);
+            recoveredSessionId = null;
+        }
+    }
+
+    /**
+     * Publishes the microphone backing a stream (label goes to env.device) and watches
+     * for it ending, which happens when a USB/Bluetooth mic is unplugged.
+     *
+     * @param {MediaStream} stream - Microphone stream
+     */
+    function trackInput(stream) {
+        const input = describeStreamInput(stream);
+        if (input) {
+            store.dispatch({ type: "starmus/device-active", payload: input });
+        }
+        const track = stream.getAudioTracks()[0];
+        if (track && !watchedTracks.has(track)) {
+            watchedTracks.add(track);
+            track.addEventListener("ended", () => handleInputLost("ended"));
+        }
+    }
+
+    /**
+     * Pauses an active recording whose microphone went away and asks for another one.
+     *
+     * @param {string} reason - "ended" (track ended) or "removed" (devicechange)
+     */
+    function handleInputLost(reason) {
+        const rec = recorderRegistry.get(instanceId);
+        const state = rec?.mediaRecorder?.state;
+        if (state !== "recording" && state !== "paused") {
+            return;
+        }
+        console.warn("[Recorder] Microphone lost:", reason);
+        CommandBus.dispatch("pause-mic", { reason: "device" }, { instanceId });
+        store.dispatch({ type: "starmus/device-lost", payload: { reason } });
+    }
+
+    /**
+     * Refreshes the input list, flagging the active input if it was unplugged.
+     *
+     * @param {Array<Object>} inputs - Result of listAudioInputs()
+     */
+    function updateInputs(inputs) {
+        store.dispatch({ type: "starmus/devices-updated", payload: { inputs } });
+        const activeId = recorderRegistry.get(instanceId)?.getInputId?.();
+        // "default"/"" follow the OS default and never disappear from the list
+        if (activeId && activeId !== "default" && !inputs.some((d) => d.deviceId === activeId)) {
+            handleInputLost("removed");
+        }
+    }
+
+    listAudioInputs().then((inputs) => {
+        store.dispatch({
+            type: "starmus/devices-updated",
+            payload: { inputs, selectedId: getPreferredInput()?.deviceId || null },
+        });
+    });
+    watchAudioInputs(updateInputs);
+
     /**
      * Handler for 'setup-mic' command.
      * Requests microphone permissions, performs enhanced calibration, and updates store.
@@ -438,8 +704,13 @@ function initRecorder(store, instanceId) {
             return;
         }
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            // Same constraints as recording, so calibration measures the recorded pipeline
+            const settings = sparxstarIntegration.getEnvironmentData().recordingSettings || {};
+            const stream = await streams.acquire(buildAudioConstraints(settings));
             await wakeAudio();
+            trackInput(stream);
+            // Labels are only exposed once permission is granted
+            listAudioInputs().then(updateInputs);
 
             store.dispatch({ type: "starmus/calibration-start" });
 
@@ -465,7 +736,7 @@ function initRecorder(store, instanceId) {
                 },
             );
 
-            stream.getTracks().forEach((t) => t.stop());
+            // The stream stays open for recording; see starmus-stream-manager.js
             store.dispatch({ type: "starmus/calibration-complete", payload: { calibration } });
         } catch (e) {
             console.error("[Recorder] Calibration failed:", e);
@@ -489,13 +760,26 @@ function initRecorder(store, instanceId) {
     /**
      * Handler for 'start-recording' command.
      * Creates MediaRecorder with optimized settings based on SPARXSTAR environment data.
+     * With `{ append: true }` during review, the new take is joined onto the current
+     * source blob instead of replacing it.
      * @listens CommandBus~start-recording
      */
     // 2. START RECORDING
-    CommandBus.subscribe("start-recording", async (_p, meta) => {
+    CommandBus.subscribe("start-recording", async (payload, meta) => {
         if (meta?.instanceId !== instanceId) {
             return;
         }
+        const current = store.getState().source;
+        let appendTo = null;
+        if (payload?.append && current?.kind === "blob" && current.blob) {
+            appendTo = {
+                takeId: store.getState().selectedTakeId,
+                blob: current.blob,
+                fileName: current.fileName,
+                metadata: current.metadata || {},
+            };
+        }
+        const baseDuration = appendTo ? appendTo.metadata.duration || 0 : 0;
         try {
             // Get optimized settings from SPARXSTAR
             const envData = sparxstarIntegration.getEnvironmentData();
@@ -505,15 +789,9 @@ function initRecorder(store, instanceId) {
                     /* intentionally empty */
                 };
 
-            // Apply tier-based audio constraints
+            // Apply tier-based audio constraints (only used if calibration's stream is gone)
             const audioConstraints = {
-                audio: {
-                    sampleRate: settings.sampleRate || 16000,
-                    channelCount: settings.channels || 1,
-                    echoCancellation: settings.enableEchoCancellation !== false,
-                    noiseSuppression: settings.enableNoiseSupression !== false,
-                    autoGainControl: settings.enableAutoGainControl !== false,
-                },
+                audio: buildAudioConstraints(settings),
             };
 
             console.log(
@@ -522,9 +800,11 @@ function initRecorder(store, instanceId) {
                 audioConstraints,
             );
 
-            const stream = await navigator.mediaDevices.getUserMedia(audioConstraints);
+            // Reassigned when the input is hot-swapped to another microphone
+            let stream = await streams.acquire(audioConstraints.audio);
             const ctx = await wakeAudio();
-            const source = ctx.createMediaStreamSource(stream);
+            let source = ctx.createMediaStreamSource(stream);
+            trackInput(stream);
 
             // Create gain node for proper audio level control
             const gainNode = ctx.createGain();
@@ -541,15 +821,99 @@ function initRecorder(store, instanceId) {
             source.connect(gainNode);
             gainNode.connect(dest);
 
-            // MediaRecorder with optimized options
-            const mediaRecorderOptions = {
-                mimeType: "audio/webm;codecs=opus",
-                audioBitsPerSecond: settings.bitrate || 32000,
-            };
+            // Negotiate container/codec, falling back through the ranked list
+            const formatTier = state.tier || envData.tier || "A";
+            const formats = negotiateRecordingFormats(
+                formatTier,
+                appendTo ? { ...settings, preferredFormats: matchingFormats(appendTo) } : settings,
+            );
+            if (!formats.length) {
+                throw new Error("No supported recording format");
+            }
 
-            const mediaRecorder = new MediaRecorder(dest.stream, mediaRecorderOptions);
-            console.debug("[RECORDER]", mediaRecorder.state, "with options:", mediaRecorderOptions);
+            let mediaRecorder = null;
+            let format = null;
+            for (const candidate of formats) {
+                try {
+                    if (candidate.pcm) {
+                        mediaRecorder = await createPcmRecorder(ctx, gainNode, {
+                            sampleRate: settings.sampleRate || 16000,
+                        });
+                    } else {
+                        mediaRecorder = new MediaRecorder(dest.stream, {
+                            mimeType: candidate.mimeType,
+                            audioBitsPerSecond: settings.bitrate || 32000,
+                        });
+                    }
+                    format = candidate;
+                    break;
+                } catch (err) {
+                    console.warn("[Recorder] Format rejected:", candidate.mimeType, err.message);
+                }
+            }
+            if (!mediaRecorder) {
+                throw new Error("Recorder could not be created for any supported format");
+            }
+            console.debug(
+                "[RECORDER]",
+                mediaRecorder.state,
+                "format:",
+                format.id,
+                format.pcm ? mediaRecorder.engine : mediaRecorder.mimeType,
+            );
+            const isWav = !!format.pcm;
             const chunks = [];
+            const producedMime = isWav ? "audio/wav" : mediaRecorder.mimeType || format.mimeType;
+            const fileName = `rec-${Date.now()}.${extensionForMimeType(producedMime)}`;
+
+            // Stream chunks to IndexedDB so a crash or reload doesn't lose the take
+            clearPersistedTake();
+            persister = await createChunkPersister({
+                instanceId,
+                fileName,
+                mimeType: producedMime,
+                pcm: isWav,
+                sampleRate: isWav ? mediaRecorder.sampleRate : ctx.sampleRate,
+                container: format.container,
+                codec: format.codec,
+            });
+            liveSessionIds.add(persister.id);
+            const takePersister = persister;
+
+            // Duration/size budget: warn at thresholds, stop before the queue would reject it
+            const form = document.querySelector(`form[data-starmus-instance="${instanceId}"]`);
+            const limits = resolveRecordingLimits({ tier: formatTier, settings, form });
+            store.dispatch({ type: "starmus/recording-limits", payload: limits });
+            const limitTracker = createLimitTracker(limits, {
+                onWarning: (warning) => {
+                    store.dispatch({ type: "starmus/recording-limit-warning", payload: warning });
+                },
+                onLimit: ({ kind }) => {
+                    console.warn("[Recorder] Recording limit reached:", kind, limits);
+                    store.dispatch({ type: "starmus/recording-limit-reached", payload: { kind } });
+                    CommandBus.dispatch("stop-mic", { reason: "limit" }, { instanceId });
+                },
+            });
+            if (appendTo) {
+                // The budget covers the combined recording, not just the continuation
+                limitTracker.addBytes(appendTo.blob.size);
+            }
+
+            // Voice activity: speech/silence segments and optional auto-pause on silence
+            const autoPauseAfter =
+                parseFloat(form?.getAttribute("data-starmus-auto-pause")) ||
+                settings.autoPauseSilence ||
+                0;
+            const vad = createVoiceActivityDetector({
+                calibration: state.calibration,
+                autoPauseAfter,
+                onAutoPause: ({ silence }) => {
+                    store.dispatch({ type: "starmus/vad-auto-pause", payload: { silence } });
+                    CommandBus.dispatch("pause-mic", { reason: "silence" }, { instanceId });
+                },
+            });
+            const chunkEnds = [];
+            lastTake = null;
 
             // Language Signal Analyzer - Policy Enforcement Layer
             let signalAnalyzer = null;
@@ -582,6 +946,11 @@ function initRecorder(store, instanceId) {
             mediaRecorder.ondataavailable = (e) => {
                 if (e.data.size > 0) {
                     chunks.push(e.data);
+                    chunkEnds.push(elapsedSeconds());
+                    limitTracker.addBytes(e.data.size);
+                    takePersister.append(e.data, {
+                        duration: elapsedSeconds(),
+                    });
                 }
             };
             mediaRecorder.onstop = () => {
@@ -592,7 +961,28 @@ function initRecorder(store, instanceId) {
                 if (signalAnalyzer) {
                     signalAnalyzer.stop();
                 }
-                const blob = new Blob(chunks, { type: "audio/webm" });
+                // Trust what the browser produced over what was requested (e.g. Safari mp4)
+                const producedType =
+                    mediaRecorder.mimeType || (chunks[0] && chunks[0].type) || format.mimeType;
+                const totalDuration = elapsedSeconds();
+                const voiceActivity = vad.finish(totalDuration);
+                lastTake = {
+                    chunks,
+                    chunkEnds,
+                    pcm: isWav,
+                    sampleRate: isWav ? mediaRecorder.sampleRate : ctx.sampleRate,
+                    mimeType: producedType,
+                    fileName,
+                    duration: totalDuration,
+                    voiceActivity,
+                    metadata: {
+                        container: format.container,
+                        codec: format.codec,
+                        sampleRate: isWav ? mediaRecorder.sampleRate : ctx.sampleRate,
+                    },
+                };
+                const blob = buildTakeBlob(lastTake, chunks);
+                takePersister.markStopped({ duration: totalDuration });
 
                 // Report recording completion to SPARXSTAR
                 if (sparxstarIntegration.isAvailable) {
@@ -601,14 +991,41 @@ function initRecorder(store, instanceId) {
                         fileSize: blob.size,
                         tier: envData.tier,
                         settings: settings,
+                        engine: isWav ? mediaRecorder.engine : "mediarecorder",
+                        mimeType: blob.type,
                     });
                 }
 
-                store.dispatch({
-                    type: "starmus/recording-available",
-                    payload: { blob, fileName: `rec-${Date.now()}.webm` },
-                });
-                stream.getTracks().forEach((t) => t.stop());
+                const plannedTrim = planSilenceTrim(voiceActivity, totalDuration);
+                // Compressed takes only lose trailing chunks; a trim that keeps them all is none
+                const trimSuggestion =
+                    plannedTrim && trimRecordedChunks(lastTake, plannedTrim).changed
+                        ? plannedTrim
+                        : null;
+                if (appendTo) {
+                    appendTake(appendTo, lastTake, blob);
+                } else if (
+                    !settings.autoTrimSilence ||
+                    !trimSuggestion ||
+                    !applySilenceTrim(trimSuggestion)
+                ) {
+                    store.dispatch({
+                        type: "starmus/recording-available",
+                        payload: {
+                            blob,
+                            fileName,
+                            mimeType: blob.type,
+                            metadata: {
+                                ...lastTake.metadata,
+                                duration: totalDuration,
+                                voiceActivity,
+                                trimSuggestion,
+                            },
+                        },
+                    });
+                    lastTake.takeId = store.getState().selectedTakeId;
+                }
+                // The stream stays open for the next take; only our graph is torn down
                 try {
                     source.disconnect();
                 } catch (e) {
@@ -622,7 +1039,47 @@ function initRecorder(store, instanceId) {
                 recorderRegistry.delete(instanceId);
             };
 
-            recorderRegistry.set(instanceId, { mediaRecorder, rafId: null, signalAnalyzer });
+            // Active recording time excludes pauses
+            let activeMs = 0;
+            let segmentStart = Date.now();
+            let running = true;
+            const elapsedSeconds = () =>
+                (activeMs + (running ? Date.now() - segmentStart : 0)) / 1000;
+
+            recorderRegistry.set(instanceId, {
+                mediaRecorder,
+                rafId: null,
+                signalAnalyzer,
+                onPause: () => {
+                    if (running) {
+                        activeMs += Date.now() - segmentStart;
+                        running = false;
+                    }
+                },
+                onResume: () => {
+                    segmentStart = Date.now();
+                    running = true;
+                    vad.resume(elapsedSeconds());
+                    visLoop();
+                },
+                getInputId: () => describeStreamInput(stream)?.deviceId || "",
+                swapInput: async (deviceId) => {
+                    const next = await streams.replace(deviceId);
+                    const nextSource = ctx.createMediaStreamSource(next);
+                    try {
+                        source.disconnect();
+                    } catch {
+                        // Source already detached from the graph
+                    }
+                    stream = next;
+                    source = nextSource;
+                    // MediaRecorder and PCM capture both read from the gain node, so the
+                    // recording continues on the new input without restarting
+                    source.connect(gainNode);
+                    source.connect(analyser);
+                    trackInput(stream);
+                },
+            });
             const startTime = Date.now();
             mediaRecorder.start(chunkInterval);
             console.debug("[RECORDER]", mediaRecorder.state);
@@ -633,7 +1090,6 @@ function initRecorder(store, instanceId) {
             console.debug("[ANALYZER]", analyser ? "attached" : "missing");
             source.connect(analyser);
             const buf = new Uint8Array(analyser.frequencyBinCount);
-            const visualStartTs = Date.now();
 
             /**
              * Animation loop for real-time amplitude visualization.
@@ -653,12 +1109,17 @@ function initRecorder(store, instanceId) {
                 const rms = Math.sqrt(sumSquares / buf.length) / 128;
                 const db = 20 * Math.log10(Math.max(rms, 1e-6));
                 const amp = Math.min(100, Math.max(0, ((db + 60) / 60) * 100));
+                const duration = elapsedSeconds();
                 store.dispatch({
                     type: "starmus/recorder-tick",
-                    duration: (Date.now() - visualStartTs) / 1000,
+                    duration: baseDuration + duration,
                     amplitude: amp,
                 });
-                rec.rafId = requestAnimationFrame(visLoop);
+                limitTracker.setDuration(baseDuration + duration);
+                vad.update(amp, duration);
+                if (mediaRecorder.state === "recording") {
+                    rec.rafId = requestAnimationFrame(visLoop);
+                }
             }
             visLoop();
         } catch (e) {
@@ -709,6 +1170,9 @@ function initRecorder(store, instanceId) {
         const rec = recorderRegistry.get(instanceId);
         if (rec?.mediaRecorder?.state === "recording") {
             rec.mediaRecorder.pause();
+            if (rec.onPause) {
+                rec.onPause();
+            }
             if (rec.signalAnalyzer) {
                 rec.signalAnalyzer.stop();
             }
@@ -716,6 +1180,307 @@ function initRecorder(store, instanceId) {
         }
     });
 
+    /**
+     * Handler for 'select-mic' command.
+     * Stores the choice for this browser and, during a recording, switches the input.
+     * @listens CommandBus~select-mic
+     */
+    CommandBus.subscribe("select-mic", async (payload, meta) => {
+        if (meta?.instanceId !== instanceId || !payload?.deviceId) {
+            return;
+        }
+        const input = store
+            .getState()
+            .devices?.inputs.find((d) => d.deviceId === payload.deviceId) || {
+            deviceId: payload.deviceId,
+            label: "",
+        };
+        setPreferredInput(input);
+        store.dispatch({ type: "starmus/device-selected", payload: { deviceId: input.deviceId } });
+
+        const rec = recorderRegistry.get(instanceId);
+        try {
+            if (rec?.swapInput) {
+                await rec.swapInput(input.deviceId);
+            } else if (streams.current()) {
+                // Between takes: move the open stream so the next take uses the new input
+                trackInput(await streams.replace(input.deviceId));
+            }
+        } catch (e) {
+            console.error("[Recorder] Could not switch microphone:", e);
+            store.dispatch({
+                type: "starmus/error",
+                payload: { message: "That microphone could not be opened." },
+            });
+        }
+    });
+
+    /**
+     * Cuts leading/trailing silence from the last take and republishes it.
+     *
+     * @param {{start: number, end: number}} trim - Range to keep from planSilenceTrim()
+     * @returns {boolean} True when a trimmed take was published; false leaves publishing
+     *   the untrimmed take to the caller
+     */
+    function applySilenceTrim(trim) {
+        if (!lastTake) {
+            return false;
+        }
+        const result = trimRecordedChunks(lastTake, trim);
+        if (!result.chunks.length || !result.changed) {
+            return false;
+        }
+        const blob = buildTakeBlob(lastTake, result.chunks);
+        const summary = lastTake.voiceActivity;
+        store.dispatch({
+            type: "starmus/recording-available",
+            payload: {
+                blob,
+                takeId: lastTake.takeId,
+                fileName: lastTake.fileName,
+                mimeType: blob.type,
+                metadata: {
+                    ...lastTake.metadata,
+                    duration: result.end - result.start,
+                    voiceActivity: {
+                        ...summary,
+                        segments: clipSegments(summary.segments, result.start, result.end),
+                    },
+                    trim: {
+                        start: result.start,
+                        end: result.end,
+                        originalDuration: lastTake.duration,
+                    },
+                    trimSuggestion: null,
+                },
+            },
+        });
+        lastTake.takeId = store.getState().selectedTakeId;
+        return true;
+    }
+
+    /**
+     * Joins a continuation take onto the take under review and republishes the result.
+     * Matching 16-bit WAV takes are spliced byte-wise; anything else is decoded, joined
+     * and re-encoded in the original format. Segment boundaries are kept in
+     * `metadata.takeSegments`. If joining fails the original take is restored.
+     *
+     * @async
+     * @param {Object} base - Take under review `{ takeId, blob, fileName, metadata }`
+     * @param {Object} take - Continuation take built on stop
+     * @param {Blob} addition - Continuation audio blob
+     * @returns {Promise<void>}
+     */
+    async function appendTake(base, take, addition) {
+        const meta = base.metadata;
+        const baseDuration = meta.duration || 0;
+        const total = baseDuration + take.duration;
+        const round = (v) => Math.round(v * 1000) / 1000;
+        const segments = (
+            meta.takeSegments || [{ start: 0, end: round(baseDuration), recordedAt: null }]
+        ).concat({ start: round(baseDuration), end: round(total), recordedAt: Date.now() });
+        const spliceable =
+            take.pcm &&
+            meta.codec === "pcm_s16le" &&
+            meta.sampleRate === take.sampleRate &&
+            base.blob.size > 44;
+        lastTake = null;
+
+        let blob;
+        try {
+            if (spliceable) {
+                blob = buildWavBlob([base.blob.slice(44), ...take.chunks], take.sampleRate);
+            } else {
+                store.dispatch({ type: "starmus/processing-start" });
+                const ctx = await wakeAudio();
+                const joined = joinBuffers(ctx, [
+                    await decodeBlob(ctx, base.blob),
+                    await decodeBlob(ctx, addition),
+                ]);
+                blob = await encodeBuffer(
+                    ctx,
+                    joined,
+                    { mimeType: base.blob.type, sampleRate: meta.sampleRate },
+                    (progress) => {
+                        store.dispatch({ type: "starmus/processing-progress", progress });
+                    },
+                );
+            }
+        } catch (e) {
+            console.error("[Recorder] Could not append take:", e);
+            store.dispatch({ type: "starmus/processing-failed" });
+            store.dispatch({
+                type: "starmus/recording-available",
+                payload: {
+                    blob: base.blob,
+                    takeId: base.takeId,
+                    fileName: base.fileName,
+                    mimeType: base.blob.type,
+                    metadata: meta,
+                },
+            });
+            store.dispatch({
+                type: "starmus/error",
+                payload: { message: "The new take could not be added to your recording." },
+            });
+            return;
+        }
+
+        store.dispatch({
+            type: "starmus/recording-available",
+            payload: {
+                blob,
+                takeId: base.takeId,
+                fileName: base.fileName,
+                mimeType: blob.type,
+                metadata: {
+                    ...meta,
+                    duration: total,
+                    takeSegments: segments,
+                    voiceActivity: concatVoiceActivity(
+                        meta.voiceActivity,
+                        baseDuration,
+                        take.voiceActivity,
+                        take.duration,
+                    ),
+                    trimSuggestion: null,
+                },
+            },
+        });
+    }
+
+    /**
+     * Handler for 'trim-silence' command.
+     * Applies the trim suggested by voice activity detection on stop.
+     * @listens CommandBus~trim-silence
+     */
+    CommandBus.subscribe("trim-silence", (_p, meta) => {
+        // The chunks kept for trimming belong to one take; ignore when another is selected
+        if (
+            meta?.instanceId !== instanceId ||
+            !lastTake ||
+            lastTake.takeId !== store.getState().selectedTakeId
+        ) {
+            return;
+        }
+        const trim = store.getState().source?.metadata?.trimSuggestion;
+        if (trim) {
+            applySilenceTrim(trim);
+        }
+    });
+
+    /**
+     * Handler for 'reset' command.
+     * Discards persisted chunks of the abandoned take.
+     * @listens CommandBus~reset
+     */
+    CommandBus.subscribe("reset", (_p, meta) => {
+        if (meta?.instanceId !== instanceId) {
+            return;
+        }
+        clearPersistedTake();
+        lastTake = null;
+        streams.release();
+    });
+
+    // Once the take is uploaded or copied into the offline queue it is safe to drop,
+    // and the microphone is no longer needed. Only on entering "complete": a stream
+    // opened afterwards, while the status still reads "complete", must survive.
+    let previousStatus = store.getState().status;
+    store.subscribe((nextState) => {
+        const entered = nextState.status === "complete" && previousStatus !== "complete";
+        previousStatus = nextState.status;
+        if (entered) {
+            if (persister || recoveredSessionId) {
+                clearPersistedTake();
+            }
+            if (streams.current()) {
+                streams.release();
+            }
+        }
+    });
+
+    /**
+     * Handler for 'recover-recording' command.
+     * Rebuilds an interrupted session and hands it to the review step.
+     * @listens CommandBus~recover-recording
+     */
+    CommandBus.subscribe("recover-recording", async (payload, meta) => {
+        if (meta?.instanceId !== instanceId || !payload?.sessionId) {
+            return;
+        }
+        try {
+            const latest = await findRecoverableSession([...liveSessionIds]);
+            const session = latest?.id === payload.sessionId ? latest : null;
+            const restored = session ? await restoreSession(session) : null;
+            if (!restored) {
+                throw new Error("Recording session is empty or missing");
+            }
+            recoveredSessionId = session.id;
+            store.dispatch({ type: "starmus/recording-available", payload: restored });
+        } catch (e) {
+            console.error("[Recorder] Recovery failed:", e);
+            discardSession(payload.sessionId);
+            store.dispatch({
+                type: "starmus/error",
+                payload: { message: "The interrupted recording could not be recovered." },
+            });
+        }
+    });
+
+    /**
+     * Handler for 'discard-recovered-recording' command.
+     * @listens CommandBus~discard-recovered-recording
+     */
+    CommandBus.subscribe("discard-recovered-recording", (payload, meta) => {
+        if (meta?.instanceId !== instanceId || !payload?.sessionId) {
+            return;
+        }
+        discardSession(payload.sessionId);
+    });
+
+    // Flush the in-flight chunk before the page goes away. An idle stream is released so
+    // the microphone indicator goes off; a live take keeps it in case the page is restored
+    // from the back/forward cache.
+    window.addEventListener("pagehide", () => {
+        const rec = recorderRegistry.get(instanceId);
+        if (rec?.mediaRecorder?.state === "recording" && rec.mediaRecorder.requestData) {
+            rec.mediaRecorder.requestData();
+        }
+        if (!rec) {
+            streams.release();
+        }
+    });
+
+    // Warn before navigating away from an unfinished take
+    window.addEventListener("beforeunload", (e) => {
+        const state = recorderRegistry.get(instanceId)?.mediaRecorder?.state;
+        if (state === "recording" || state === "paused") {
+            e.preventDefault();
+            e.returnValue = "";
+        }
+    });
+
+    // Offer an interrupted recording from a previous page load
+    if (!recoveryOffered) {
+        recoveryOffered = true;
+        findRecoverableSession([...liveSessionIds]).then((session) => {
+            if (!session) {
+                return;
+            }
+            CommandBus.dispatch(
+                "starmus/recording-recovery-available",
+                {
+                    sessionId: session.id,
+                    duration: session.duration || 0,
+                    startedAt: session.startedAt,
+                    mimeType: session.mimeType,
+                },
+                { instanceId },
+            );
+        });
+    }
+
     /**
      * Handler for 'resume-mic' command.
      * Resumes MediaRecorder and restarts speech recognition.
@@ -728,6 +1493,9 @@ function initRecorder(store, instanceId) {
         const rec = recorderRegistry.get(instanceId);
         if (rec?.mediaRecorder?.state === "paused") {
             rec.mediaRecorder.resume();
+            if (rec.onResume) {
+                rec.onResume();
+            }
             // Note: Signal analyzer doesn't restart on resume - single probe only
             store.dispatch({ type: "starmus/mic-resume" });
         }
@@ -736,8 +1504,10 @@ function initRecorder(store, instanceId) {
 
 /**
  * Explicit export for build system compatibility.
- * Exports initRecorder function for use in other modules.
+ * Exports initRecorder function for use in other modules, and wakeAudio so other
+ * modules (e.g. the review editor) decode audio on the shared AudioContext.
  * @exports {function} initRecorder
+ * @exports {function} wakeAudio
  */
 // EXPLICIT EXPORT FOR ROLLUP
-export { initRecorder };
+export { initRecorder, wakeAudio };
@@ -0,0 +1,146 @@
+/**
+ * @file starmus-recording-limits.js
+ * @version 1.0.0
+ * @description Per-tier and per-form recording budgets. Resolves the maximum duration and
+ * size a take may reach, then tracks elapsed time and accumulated chunk bytes so the
+ * recorder can warn at thresholds and stop before the offline queue would reject the blob.
+ */
+
+"use strict";
+
+import { getMaxBlobSize } from "./starmus-offline.js";
+
+/**
+ * Default maximum recording duration in seconds by tier.
+ * @type {Object<string, number>}
+ */
+const DEFAULT_MAX_DURATION = {
+    A: 1200,
+    B: 1200,
+    C: 600,
+};
+
+/**
+ * Fraction of the budget at which warnings are raised, ascending.
+ * @type {Array<number>}
+ */
+const WARNING_THRESHOLDS = [0.8, 0.95];
+
+/**
+ * Reads a positive number from a data attribute, or null when absent/invalid.
+ *
+ * @private
+ * @param {HTMLElement|null} el - Element carrying the attribute
+ * @param {string} name - Attribute name
+ * @returns {number|null}
+ */
+function readPositive(el, name) {
+    const value = el ? parseFloat(el.getAttribute(name)) : NaN;
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Resolves the recording budget for an instance.
+ * The tightest of tier defaults, tier recording settings and form attributes wins, and
+ * the size budget never exceeds what the offline queue accepts for the tier.
+ *
+ * @function
+ * @exports resolveRecordingLimits
+ * @param {Object} options - Resolution inputs
+ * @param {string} [options.tier="A"] - Device tier
+ * @param {Object} [options.settings={}] - Tier recording settings (maxDuration, maxFileSize)
+ * @param {HTMLElement|null} [options.form=null] - Form with data-starmus-max-duration
+ *   (seconds) and data-starmus-max-size (megabytes) attributes
+ * @returns {{maxDuration: number, maxBytes: number}} Budget in seconds and bytes
+ *
+ * @example
+ * const limits = resolveRecordingLimits({ tier: "B", form });
+ * // { maxDuration: 1200, maxBytes: 10485760 }
+ */
+export function resolveRecordingLimits({ tier = "A", settings = {}, form = null } = {}) {
+    const durations = [
+        DEFAULT_MAX_DURATION[tier] || DEFAULT_MAX_DURATION.A,
+        settings.maxDuration,
+        readPositive(form, "data-starmus-max-duration"),
+    ].filter((v) => Number.isFinite(v) && v > 0);
+
+    const formMegabytes = readPositive(form, "data-starmus-max-size");
+    const sizes = [
+        getMaxBlobSize({ tier }),
+        settings.maxFileSize,
+        formMegabytes ? formMegabytes * 1024 * 1024 : null,
+    ].filter((v) => Number.isFinite(v) && v > 0);
+
+    return {
+        maxDuration: Math.min(...durations),
+        maxBytes: Math.floor(Math.min(...sizes)),
+    };
+}
+
+/**
+ * Creates a tracker that compares recording progress against a budget.
+ * Each threshold fires once per recording; `onLimit` fires once when either budget
+ * is exhausted. The size limit is reached one average chunk early so the final
+ * chunk cannot push the blob over the queue's limit.
+ *
+ * @function
+ * @exports createLimitTracker
+ * @param {{maxDuration: number, maxBytes: number}} limits - Budget from resolveRecordingLimits()
+ * @param {Object} handlers - Callbacks
+ * @param {function(Object): void} [handlers.onWarning] - Receives
+ *   `{ kind: "duration"|"size", threshold, remaining }`
+ * @param {function(Object): void} [handlers.onLimit] - Receives `{ kind: "duration"|"size" }`
+ * @returns {{addBytes: function(number): void, setDuration: function(number): void,
+ *   getBytes: function(): number}}
+ */
+export function createLimitTracker(limits, { onWarning, onLimit } = {}) {
+    const fired = { duration: 0, size: 0 };
+    let bytes = 0;
+    let chunkCount = 0;
+    let duration = 0;
+    let stopped = false;
+
+    function check(kind, used, max, remaining) {
+        if (stopped || !max) {
+            return;
+        }
+        const ratio = used / max;
+        if (ratio >= 1) {
+            stopped = true;
+            if (onLimit) {
+                onLimit({ kind });
+            }
+            return;
+        }
+        while (
+            fired[kind] < WARNING_THRESHOLDS.length &&
+            ratio >= WARNING_THRESHOLDS[fired[kind]]
+        ) {
+            const threshold = WARNING_THRESHOLDS[fired[kind]++];
+            if (onWarning) {
+                onWarning({ kind, threshold, remaining });
+            }
+        }
+    }
+
+    return {
+        addBytes(size) {
+            bytes += size;
+            chunkCount++;
+            const projected = bytes + bytes / chunkCount;
+            check("size", projected, limits.maxBytes, Math.max(0, limits.maxBytes - bytes));
+        },
+        setDuration(seconds) {
+            duration = seconds;
+            check(
+                "duration",
+                duration,
+                limits.maxDuration,
+                Math.max(0, limits.maxDuration - duration),
+            );
+        },
+        getBytes() {
+            return bytes;
+        },
+    };
+}
@@ -0,0 +1,274 @@
+/**
+ * @file starmus-recording-recovery.js
+ * @version 1.0.0
+ * @description Crash-safe persistence of in-progress recordings. Every timeslice chunk
+ * is written to the `StarmusSubmissions` IndexedDB database as it arrives, so a tab
+ * crash, reload or accidental navigation loses at most one chunk. On the next page load
+ * the leftover session can be rebuilt into a normal recording blob. A session stays
+ * claimed by its tab until it is discarded (a Web Lock, or a heartbeat where Web Locks
+ * are missing), so other open tabs never offer or purge a recording that is still live.
+ */
+
+"use strict";
+
+import { getOfflineQueue } from "./starmus-offline.js";
+import { buildWavBlob } from "./starmus-pcm-capture.js";
+
+/**
+ * Sessions older than this are discarded instead of offered for recovery.
+ * @type {number}
+ */
+const MAX_SESSION_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Without Web Locks, live sessions are re-saved this often to keep `updatedAt` fresh.
+ * @type {number}
+ */
+const SESSION_HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * Without Web Locks, sessions updated more recently than this belong to a live tab.
+ * @type {number}
+ */
+const SESSION_LIVE_MS = 3 * SESSION_HEARTBEAT_MS;
+
+/**
+ * Web Lock name claiming a session for the tab that records it.
+ *
+ * @function
+ * @param {string} sessionId - Session ID
+ * @returns {string}
+ */
+const sessionLockName = (sessionId) => `starmus-recording-${sessionId}`;
+
+/**
+ * Whether this browser supports Web Locks.
+ *
+ * @function
+ * @returns {boolean}
+ */
+const hasWebLocks = () => typeof navigator !== "undefined" && !!navigator.locks?.request;
+
+/**
+ * Takes a session's Web Lock and keeps it until released. The browser drops it when
+ * the tab crashes or closes, which is what makes the session recoverable elsewhere.
+ *
+ * @async
+ * @function
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<function(): void|null>} Release function, or null if the lock failed
+ */
+function claimSession(sessionId) {
+    return new Promise((granted) => {
+        navigator.locks
+            .request(sessionLockName(sessionId), () => new Promise((release) => granted(release)))
+            .catch(() => granted(null));
+    });
+}
+
+/**
+ * Whether another open tab still owns a session.
+ *
+ * @async
+ * @function
+ * @param {Object} session - Session record
+ * @returns {Promise<boolean>}
+ */
+async function isClaimed(session) {
+    if (hasWebLocks()) {
+        return navigator.locks.request(
+            sessionLockName(session.id),
+            { ifAvailable: true },
+            (lock) => !lock,
+        );
+    }
+    return Date.now() - (session.updatedAt || 0) < SESSION_LIVE_MS;
+}
+
+/**
+ * Creates a persister that streams recorder chunks into IndexedDB.
+ * Writes are serialized so chunks land in order; storage failures are logged and
+ * disable persistence for the session without interrupting the recording.
+ *
+ * @async
+ * @function
+ * @exports createChunkPersister
+ * @param {Object} session - Session description needed to rebuild the recording
+ * @param {string} session.instanceId - Recorder instance that owns the session
+ * @param {string} session.mimeType - MIME type of the final blob
+ * @param {string} session.fileName - File name for the final blob
+ * @param {boolean} [session.pcm=false] - True when chunks are raw 16-bit PCM
+ * @param {number} [session.sampleRate] - Sample rate (Hz) of the recording
+ * @param {string} [session.container] - Container name for source metadata
+ * @param {string} [session.codec] - Codec name for source metadata
+ * @returns {Promise<Object>} Persister with `id`, `append(blob, progress)`,
+ *   `markStopped(progress)`, `flush()` and `discard()`
+ *
+ * @example
+ * const persister = await createChunkPersister({ instanceId, mimeType, fileName });
+ * mediaRecorder.ondataavailable = (e) => persister.append(e.data, { duration });
+ */
+export async function createChunkPersister(session) {
+    const id = `session_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+    let queue = null;
+    let chain = Promise.resolve();
+    let index = 0;
+    let enabled = true;
+    let release = null;
+    let heartbeat = null;
+
+    try {
+        queue = await getOfflineQueue();
+        // Claimed before it is stored, so no other tab ever sees it unclaimed
+        if (hasWebLocks()) {
+            release = await claimSession(id);
+        }
+        await queue.saveRecordingSession({
+            ...session,
+            id,
+            pcm: !!session.pcm,
+            status: "recording",
+            startedAt: Date.now(),
+            chunkCount: 0,
+            duration: 0,
+        });
+    } catch (e) {
+        console.warn("[Recovery] Chunk persistence unavailable:", e.message);
+        enabled = false;
+    }
+
+    const run = (task) => {
+        chain = chain.then(task).catch((e) => {
+            console.warn("[Recovery] Chunk persistence failed, disabling:", e.message);
+            enabled = false;
+        });
+        return chain;
+    };
+
+    const update = (fields) =>
+        run(async () => {
+            const sessions = await queue.getRecordingSessions();
+            const current = sessions.find((s) => s.id === id);
+            if (current) {
+                await queue.saveRecordingSession({ ...current, ...fields });
+            }
+        });
+
+    if (enabled && !hasWebLocks()) {
+        heartbeat = setInterval(() => enabled && update({}), SESSION_HEARTBEAT_MS);
+    }
+
+    return {
+        id,
+        append(blob, progress = {}) {
+            if (!enabled || !blob || blob.size === 0) {
+                return chain;
+            }
+            const chunkIndex = index++;
+            return run(() => queue.appendRecordingChunk(id, chunkIndex, blob, progress));
+        },
+        markStopped(progress = {}) {
+            if (!enabled) {
+                return chain;
+            }
+            return update({ ...progress, status: "stopped" });
+        },
+        flush() {
+            return chain;
+        },
+        discard() {
+            enabled = false;
+            clearInterval(heartbeat);
+            return chain
+                .then(() => (queue ? queue.removeRecordingSession(id) : undefined))
+                .finally(() => release?.());
+        },
+    };
+}
+
+/**
+ * Finds the most recent recording session that can be recovered.
+ * Sessions still claimed by a recorder in another tab are skipped; empty and stale
+ * sessions are purged along the way.
+ *
+ * @async
+ * @function
+ * @exports findRecoverableSession
+ * @param {Array<string>} [excludeIds=[]] - Session IDs owned by live recorders on this page
+ * @returns {Promise<Object|null>} Session record or null when nothing is recoverable
+ */
+export async function findRecoverableSession(excludeIds = []) {
+    try {
+        const queue = await getOfflineQueue();
+        const sessions = await queue.getRecordingSessions();
+        let found = null;
+        for (const session of sessions) {
+            if (excludeIds.includes(session.id) || (await isClaimed(session))) {
+                continue;
+            }
+            const stale = Date.now() - (session.updatedAt || 0) > MAX_SESSION_AGE_MS;
+            if (stale || !session.chunkCount) {
+                await queue.removeRecordingSession(session.id);
+                continue;
+            }
+            if (!found) {
+                found = session;
+            }
+        }
+        return found;
+    } catch (e) {
+        console.warn("[Recovery] Could not inspect recording sessions:", e.message);
+        return null;
+    }
+}
+
+/**
+ * Rebuilds a stored session into the payload expected by `starmus/recording-available`.
+ *
+ * @async
+ * @function
+ * @exports restoreSession
+ * @param {Object} session - Session record from findRecoverableSession()
+ * @returns {Promise<Object|null>} `{ blob, fileName, mimeType, metadata }` or null if empty
+ */
+export async function restoreSession(session) {
+    const queue = await getOfflineQueue();
+    const chunks = await queue.getRecordingChunks(session.id);
+    if (!chunks.length) {
+        return null;
+    }
+    const blob = session.pcm
+        ? buildWavBlob(chunks, session.sampleRate)
+        : new Blob(chunks, { type: session.mimeType });
+    return {
+        blob,
+        fileName: session.fileName,
+        mimeType: blob.type,
+        metadata: {
+            duration: session.duration || 0,
+            container: session.container,
+            codec: session.codec,
+            sampleRate: session.sampleRate,
+            recovered: true,
+            recoveredSessionId: session.id,
+        },
+    };
+}
+
+/**
+ * Deletes a stored session and its chunks.
+ *
+ * @async
+ * @function
+ * @exports discardSession
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+export async function discardSession(sessionId) {
+    try {
+        const queue = await getOfflineQueue();
+        await queue.removeRecordingSession(sessionId);
+    } catch (e) {
+        console.warn("[Recovery] Could not discard session:", e.message);
+    }
+}
@@ -0,0 +1,408 @@
+/**
+ * @file starmus-review-editor.js
+ * @version 1.0.0
+ * @description Review-step editor for a finished take. Decodes the recorded blob on the
+ * shared AudioContext, draws a lightweight canvas waveform, lets the contributor select a
+ * region to keep (trim) or remove (cut), then re-encodes and republishes the take through
+ * `starmus/recording-available`.
+ */
+
+"use strict";
+
+import { wakeAudio } from "./starmus-recorder.js";
+import { decodeBlob, copyFrames, encodeBuffer } from "./starmus-audio-transcode.js";
+import { clipSegments, removeSegmentRange } from "./starmus-voice-activity.js";
+import sparxstarIntegration from "./starmus-sparxstar-integration.js";
+
+/**
+ * Shortest region (seconds) the editor will trim to or cut.
+ * @type {number}
+ */
+const MIN_REGION = 0.1;
+
+/**
+ * Computes min/max sample pairs per pixel column of the first channel.
+ *
+ * @function
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @param {number} width - Number of columns
+ * @returns {Array<Array<number>>} [min, max] per column in the -1..1 range
+ */
+function computePeaks(buffer, width) {
+    const data = buffer.getChannelData(0);
+    const step = Math.max(1, Math.floor(data.length / width));
+    const peaks = [];
+    for (let x = 0; x < width; x++) {
+        let min = 1;
+        let max = -1;
+        const end = Math.min(data.length, (x + 1) * step);
+        for (let i = x * step; i < end; i++) {
+            if (data[i] < min) {
+                min = data[i];
+            }
+            if (data[i] > max) {
+                max = data[i];
+            }
+        }
+        peaks.push(min > max ? [0, 0] : [min, max]);
+    }
+    return peaks;
+}
+
+/**
+ * Formats seconds as m:ss.t for the selection readout.
+ *
+ * @function
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatPosition(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = (seconds % 60).toFixed(1).padStart(4, "0");
+    return m + ":" + s;
+}
+
+/**
+ * Initializes the review editor for a recorder instance.
+ * Does nothing when the template has no `[data-starmus-review-editor]` panel.
+ *
+ * @function
+ * @exports initReviewEditor
+ * @param {Object} store - Redux-style store for state management
+ * @param {string} instanceId - Recorder instance identifier
+ * @returns {void}
+ *
+ * @description Panel controls (`data-starmus-editor-action`):
+ * - 'preview': Play the edited audio (or the selection)
+ * - 'trim': Keep only the selected region
+ * - 'cut': Remove the selected region
+ * - 'undo': Revert the last trim/cut
+ * - 'save': Re-encode and publish the edited take
+ * - 'cancel': Close the editor without changes
+ *
+ * The panel is opened by `[data-starmus-action="edit"]`. Drag on the waveform canvas to
+ * select; arrow keys move the selection end and Shift+arrows move its start.
+ */
+function initReviewEditor(store, instanceId) {
+    const root = document.querySelector(`form[data-starmus-instance="${instanceId}"]`);
+    const panel = root?.querySelector("[data-starmus-review-editor]");
+    if (!panel) {
+        return;
+    }
+    const canvas = panel.querySelector("[data-starmus-review-waveform]");
+    const readout = panel.querySelector("[data-starmus-review-selection]");
+    const openBtn = root.querySelector('[data-starmus-action="edit"]');
+    const action = (name) => panel.querySelector(`[data-starmus-editor-action="${name}"]`);
+
+    let ctx = null;
+    let buffer = null;
+    let history = [];
+    let edits = [];
+    let segments = null;
+    let selection = null;
+    let peaks = [];
+    let preview = null;
+    let busy = false;
+
+    function stopPreview() {
+        if (preview) {
+            try {
+                preview.stop();
+            } catch {
+                // Already ended
+            }
+            preview = null;
+        }
+    }
+
+    function draw() {
+        if (!canvas || !buffer) {
+            return;
+        }
+        const g = canvas.getContext("2d");
+        const { width, height } = canvas;
+        const mid = height / 2;
+        g.clearRect(0, 0, width, height);
+        if (selection) {
+            const x0 = (selection.start / buffer.duration) * width;
+            const x1 = (selection.end / buffer.duration) * width;
+            g.fillStyle = "rgba(63, 94, 251, 0.2)";
+            g.fillRect(x0, 0, x1 - x0, height);
+        }
+        g.fillStyle = getComputedStyle(canvas).color || "#333";
+        peaks.forEach(([min, max], x) => {
+            g.fillRect(x, mid + min * mid, 1, Math.max(1, (max - min) * mid));
+        });
+    }
+
+    function refresh() {
+        if (buffer && canvas) {
+            peaks = computePeaks(buffer, canvas.width);
+        }
+        draw();
+        const hasSelection = !!selection && selection.end - selection.start >= MIN_REGION;
+        if (readout && buffer) {
+            const length = formatPosition(buffer.duration);
+            readout.textContent = hasSelection
+                ? `Selected ${formatPosition(selection.start)} – ${formatPosition(selection.end)} of ${length}`
+                : `Length ${length}. Drag to select a region.`;
+        }
+        const setDisabled = (name, disabled) => {
+            if (action(name)) {
+                action(name).disabled = busy || disabled;
+            }
+        };
+        setDisabled("trim", !hasSelection);
+        setDisabled("cut", !hasSelection);
+        setDisabled("undo", !history.length);
+        setDisabled("save", !edits.length);
+    }
+
+    function close() {
+        stopPreview();
+        panel.style.display = "none";
+        buffer = null;
+        history = [];
+        edits = [];
+        selection = null;
+    }
+
+    async function open() {
+        const state = store.getState();
+        const blob = state.source?.blob;
+        if (!blob || busy) {
+            return;
+        }
+        try {
+            busy = true;
+            panel.style.display = "block";
+            if (readout) {
+                readout.textContent = "Loading waveform…";
+            }
+            ctx = await wakeAudio();
+            buffer = await decodeBlob(ctx, blob);
+            history = [];
+            edits = [];
+            selection = null;
+            segments = state.source.metadata?.voiceActivity?.segments || null;
+            busy = false;
+            refresh();
+        } catch (e) {
+            busy = false;
+            console.error("[ReviewEditor] Decode failed:", e);
+            close();
+            store.dispatch({
+                type: "starmus/error",
+                payload: { message: "This recording cannot be edited in your browser." },
+            });
+        }
+    }
+
+    function applyEdit(type) {
+        if (!buffer || !selection) {
+            return;
+        }
+        const rate = buffer.sampleRate;
+        const a = Math.floor(selection.start * rate);
+        const b = Math.min(buffer.length, Math.ceil(selection.end * rate));
+        history.push({ buffer, segments, edits: edits.slice() });
+        if (type === "trim") {
+            buffer = copyFrames(ctx, buffer, [[a, b]]);
+            segments = segments && clipSegments(segments, selection.start, selection.end);
+        } else {
+            buffer = copyFrames(ctx, buffer, [
+                [0, a],
+                [b, buffer.length],
+            ]);
+            segments = segments && removeSegmentRange(segments, selection.start, selection.end);
+        }
+        edits.push({
+            type,
+            start: Math.round(selection.start * 1000) / 1000,
+            end: Math.round(selection.end * 1000) / 1000,
+        });
+        selection = null;
+        stopPreview();
+        refresh();
+    }
+
+    async function save() {
+        if (!buffer || !edits.length || busy) {
+            return;
+        }
+        stopPreview();
+        const state = store.getState();
+        const original = state.source.metadata || {};
+        busy = true;
+        refresh();
+        store.dispatch({ type: "starmus/processing-start" });
+        try {
+            const blob = await encodeBuffer(
+                ctx,
+                buffer,
+                {
+                    mimeType: original.mimeType || state.source.blob.type,
+                    sampleRate: original.sampleRate,
+                },
+                (progress) => {
+                    if (readout) {
+                        readout.textContent = `Saving edits… ${Math.round(progress * 100)}%`;
+                    }
+                    store.dispatch({ type: "starmus/processing-progress", progress });
+                },
+            );
+            const metadata = {
+                container: original.container,
+                codec: original.codec,
+                sampleRate: original.sampleRate,
+                duration: buffer.duration,
+                edits: (original.edits || []).concat(edits),
+                trimSuggestion: null,
+            };
+            if (original.voiceActivity) {
+                metadata.voiceActivity = { ...original.voiceActivity, segments: segments || [] };
+            }
+            busy = false;
+            close();
+            store.dispatch({
+                type: "starmus/recording-available",
+                payload: {
+                    blob,
+                    takeId: state.selectedTakeId,
+                    fileName: state.source.fileName,
+                    mimeType: blob.type,
+                    metadata,
+                },
+            });
+            if (sparxstarIntegration.isAvailable) {
+                sparxstarIntegration.reportError("recording_edited", {
+                    edits: edits.length,
+                    duration: metadata.duration,
+                    fileSize: blob.size,
+                });
+            }
+        } catch (e) {
+            busy = false;
+            console.error("[ReviewEditor] Re-encode failed:", e);
+            store.dispatch({ type: "starmus/processing-failed" });
+            store.dispatch({
+                type: "starmus/error",
+                payload: { message: "Edits could not be saved." },
+            });
+            refresh();
+        }
+    }
+
+    function playPreview() {
+        if (!buffer || !ctx) {
+            return;
+        }
+        if (preview) {
+            stopPreview();
+            return;
+        }
+        const src = ctx.createBufferSource();
+        src.buffer = buffer;
+        src.connect(ctx.destination);
+        src.onended = () => {
+            if (preview === src) {
+                preview = null;
+            }
+        };
+        if (selection && selection.end - selection.start >= MIN_REGION) {
+            src.start(0, selection.start, selection.end - selection.start);
+        } else {
+            src.start();
+        }
+        preview = src;
+    }
+
+    // Pointer selection on the waveform
+    if (canvas) {
+        let anchor = null;
+        const timeAt = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+            return ratio * (buffer ? buffer.duration : 0);
+        };
+        canvas.addEventListener("pointerdown", (e) => {
+            if (!buffer || busy) {
+                return;
+            }
+            anchor = timeAt(e);
+            selection = { start: anchor, end: anchor };
+            canvas.setPointerCapture(e.pointerId);
+            draw();
+        });
+        canvas.addEventListener("pointermove", (e) => {
+            if (anchor === null) {
+                return;
+            }
+            const t = timeAt(e);
+            selection = { start: Math.min(anchor, t), end: Math.max(anchor, t) };
+            draw();
+        });
+        canvas.addEventListener("pointerup", () => {
+            anchor = null;
+            refresh();
+        });
+        canvas.addEventListener("keydown", (e) => {
+            if (!buffer || (e.key !== "ArrowLeft" && e.key !== "ArrowRight")) {
+                return;
+            }
+            e.preventDefault();
+            const delta = e.key === "ArrowLeft" ? -0.1 : 0.1;
+            const sel = selection || { start: 0, end: 0 };
+            const clamp = (v) => Math.min(buffer.duration, Math.max(0, v));
+            selection = e.shiftKey
+                ? { start: clamp(Math.min(sel.start + delta, sel.end)), end: sel.end }
+                : { start: sel.start, end: clamp(Math.max(sel.end + delta, sel.start)) };
+            refresh();
+        });
+    }
+
+    const bind = (el, handler) => {
+        if (el) {
+            el.addEventListener("click", (e) => {
+                e.preventDefault();
+                if (!el.disabled) {
+                    handler();
+                }
+            });
+        }
+    };
+    bind(openBtn, open);
+    bind(action("preview"), playPreview);
+    bind(action("trim"), () => applyEdit("trim"));
+    bind(action("cut"), () => applyEdit("cut"));
+    bind(action("undo"), () => {
+        const prev = history.pop();
+        if (prev) {
+            stopPreview();
+            buffer = prev.buffer;
+            segments = prev.segments;
+            edits = prev.edits;
+            selection = null;
+            refresh();
+        }
+    });
+    bind(action("save"), save);
+    bind(action("cancel"), close);
+
+    // The editor only makes sense while a take is under review
+    store.subscribe((nextState) => {
+        const reviewing =
+            nextState.status === "ready_to_submit" || nextState.status === "processing";
+        if (!reviewing && panel.style.display !== "none") {
+            close();
+        }
+        if (openBtn) {
+            openBtn.style.display =
+                nextState.status === "ready_to_submit" && nextState.source?.kind === "blob"
+                    ? "inline-flex"
+                    : "none";
+        }
+    });
+}
+
+export { initReviewEditor };
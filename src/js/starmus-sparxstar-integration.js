@@ -148,8 +148,10 @@ const sparxstarIntegration = {
      */
     getEnvironmentData: () => {
         // Return a default object so the TUS script doesn't crash
+        // Without MediaRecorder, Web Audio PCM capture still allows recording (Tier B)
+        const canCapturePcm = !!(window.AudioContext || window.webkitAudioContext);
         return {
-            tier: window.MediaRecorder ? "A" : "C",
+            tier: window.MediaRecorder ? "A" : canCapturePcm ? "B" : "C",
             recordingSettings: { uploadChunkSize: 524288 },
             network: { type: "unknown" },
         };
@@ -22,6 +22,7 @@
      * @property {Object|null} error - Last error that occurred
      * @property {Object} env - Environment data from UEC/SparxstarUEC
      * @property {Object} env.device - Device information and capabilities
+     * @property {string} [env.device.audioInputLabel] - Label of the microphone in use
      * @property {Object} env.browser - Browser type and feature detection
      * @property {Object} env.network - Network connection information
      * @property {Object} env.identifiers - Session and visitor identifiers
@@ -37,6 +38,30 @@
      * @property {number} source.metadata.duration - Audio duration in seconds
      * @property {string} source.metadata.mimeType - Audio MIME type
      * @property {number} source.metadata.fileSize - Audio file size in bytes
+     * @property {string} [source.metadata.container] - Negotiated container (webm/ogg/mp4/wav)
+     * @property {string} [source.metadata.codec] - Negotiated codec (opus/aac/pcm_s16le)
+     * @property {number} [source.metadata.sampleRate] - Capture sample rate in Hz
+     * @property {Object} [source.metadata.voiceActivity] - Speech/silence segments and threshold
+     * @property {Object|null} [source.metadata.trimSuggestion] - Suggested trim {start, end, saved}
+     * @property {Object} [source.metadata.trim] - Applied trim {start, end, originalDuration}
+     * @property {Array<Object>} [source.metadata.takeSegments] - Appended takes {start, end, recordedAt}
+     * @property {Array<Object>} [source.metadata.edits] - Review edits [{type, start, end}]
+     * @property {string} [source.metadata.sha256] - Hex SHA-256 of the audio, added once hashed
+     * @property {Array<Object>} takes - Recorded takes, oldest first; `source` mirrors the selected one
+     * @property {string} takes[].id - Take identifier
+     * @property {string} takes[].label - User-facing name ("Take 1" unless renamed)
+     * @property {Blob} takes[].blob - Take audio
+     * @property {string} takes[].fileName - Take file name
+     * @property {Object} takes[].metadata - Technical metadata, same shape as source.metadata
+     * @property {number} takes[].createdAt - Timestamp the take was first recorded
+     * @property {string|null} selectedTakeId - Take submitted by default
+     * @property {Array<string>} compareTakeIds - Up to two takes shown side by side
+     * @property {number} takeCounter - Number of takes recorded, used for default labels
+     * @property {Object} devices - Microphone inputs
+     * @property {Array<Object>} devices.inputs - Available inputs [{deviceId, label}]
+     * @property {string|null} devices.selectedId - Input chosen by the user
+     * @property {string|null} devices.activeId - Input backing the current stream
+     * @property {boolean} devices.lost - Whether the active input disappeared mid-recording
      * @property {Object} calibration - Microphone calibration state
      * @property {string|null} calibration.phase - Current calibration phase
      * @property {string} calibration.message - User-facing calibration message
@@ -49,9 +74,18 @@
      * @property {number} recorder.amplitude - Current audio amplitude level
      * @property {boolean} recorder.isPlaying - Whether audio is currently playing
      * @property {boolean} recorder.isPaused - Whether recording is paused
+     * @property {Object|null} recorder.limits - Budget for the take ({maxDuration, maxBytes})
+     * @property {Object|null} recorder.limitWarning - Latest budget warning
+     *   ({kind: "duration"|"size", threshold, remaining}); threshold 1 when the limit was hit
+     * @property {boolean} recorder.autoPaused - Whether the last pause was triggered by silence
+     * @property {number} [recorder.processingProgress] - Edit/append re-encode progress (0.0 to 1.0)
      * @property {Object} submission - Upload and submission state
      * @property {number} submission.progress - Upload progress (0.0 to 1.0)
      * @property {boolean} submission.isQueued - Whether submission is queued for offline
+     * @property {number} [submission.submitted] - Items of a queued batch uploaded before the
+     *   rest were queued
+     * @property {number} [submission.total] - Items in a queued submission
+     * @property {boolean} [submission.resumable] - False while the upload can't be paused
      */
     const DEFAULT_INITIAL_STATE = {
         instanceId: null,
@@ -81,6 +115,16 @@
                 fileSize: 0,
             },
         },
+        takes: [],
+        selectedTakeId: null,
+        compareTakeIds: [],
+        takeCounter: 0,
+        devices: {
+            inputs: [],
+            selectedId: null,
+            activeId: null,
+            lost: false,
+        },
         calibration: {
             phase: null,
             message: "",
@@ -94,6 +138,9 @@
             amplitude: 0,
             isPlaying: false,
             isPaused: false,
+            limits: null,
+            limitWarning: null,
+            autoPaused: false,
         },
         submission: {
             progress: 0,
@@ -138,6 +185,31 @@
         return out;
     }
 
+    /**
+     * Statuses during which the active take must not change underneath the recorder,
+     * editor or uploader.
+     * @type {Array<string>}
+     */
+    const TAKE_LOCKED_STATES = ["recording", "paused", "processing", "submitting", "upload_paused"];
+
+    /**
+     * Builds a source object that mirrors a take, keeping the transcript.
+     *
+     * @function
+     * @param {Object} source - Current source
+     * @param {Object} take - Take to mirror
+     * @returns {Object} New source object
+     */
+    function sourceFromTake(source, take) {
+        return merge(source, {
+            kind: "blob",
+            blob: take.blob,
+            file: null,
+            fileName: take.fileName,
+            metadata: take.metadata,
+        });
+    }
+
     /**
      * Redux-style reducer function that handles state transitions.
      * Processes actions and returns new state without mutating the original.
@@ -159,17 +231,32 @@
      * - 'starmus/calibration-start' - Begin microphone calibration
      * - 'starmus/calibration-update' - Update calibration progress
      * - 'starmus/calibration-complete' - Finish calibration
+     * - 'starmus/devices-updated' - Replace the list of microphone inputs
+     * - 'starmus/device-selected' - Record the user's microphone choice
+     * - 'starmus/device-active' - Record the microphone backing the stream (env.device)
+     * - 'starmus/device-lost' - Flag that the active microphone disappeared
      * - 'starmus/mic-start' - Start recording
      * - 'starmus/mic-pause' - Pause recording
      * - 'starmus/mic-resume' - Resume recording
      * - 'starmus/mic-stop' - Stop recording
      * - 'starmus/recorder-tick' - Update recording metrics
-     * - 'starmus/recording-available' - Set recorded audio blob with metadata
+     * - 'starmus/recording-available' - Set recorded audio blob with metadata; adds a take,
+     *   or replaces `payload.takeId` when the blob was derived from an existing take
+     * - 'starmus/recording-checksum' - Store the SHA-256 of `payload.blob` on the takes and
+     *   source still holding that blob
+     * - 'starmus/take-select' - Make a take the submission source
+     * - 'starmus/take-rename' - Change a take's label
+     * - 'starmus/take-delete' - Remove a take, selecting the newest remaining one
+     * - 'starmus/take-compare' - Set the takes shown side by side (max two)
      * - 'starmus/transcript-update' - Update transcript text
      * - 'starmus/transcript-interim' - Update interim speech recognition
      * - 'starmus/file-attached' - Set uploaded file with metadata
      * - 'starmus/submit-start' - Begin submission process
      * - 'starmus/submit-progress' - Update upload progress
+     * - 'starmus/upload-paused' - Upload paused by the user (status 'upload_paused')
+     * - 'starmus/upload-resumed' - Paused upload continues (status 'submitting')
+     * - 'starmus/upload-resumable' - Whether the current transport can pause (`resumable`)
+     * - 'starmus/upload-cancelled' - Upload cancelled; the recording can be submitted again
      * - 'starmus/submit-complete' - Complete submission
      * - 'starmus/submit-queued' - Queue submission for offline
      * - 'starmus/reset' - Reset state while preserving instance data
@@ -192,6 +279,11 @@
             if (!newEnv.errors) {
                 newEnv.errors = state.env.errors || [];
             }
+            // Keep the microphone label when UEC sends fresh device data
+            const inputLabel = state.env.device && state.env.device.audioInputLabel;
+            if (inputLabel && newEnv.device && !newEnv.device.audioInputLabel) {
+                newEnv.device = merge(newEnv.device, { audioInputLabel: inputLabel });
+            }
             return merge(state, { env: newEnv });
         }
 
@@ -236,11 +328,46 @@
                 ),
             });
 
+        case "starmus/devices-updated":
+            return merge(state, {
+                devices: merge(state.devices, {
+                    inputs: action.payload.inputs || [],
+                    selectedId:
+                        action.payload.selectedId !== undefined
+                            ? action.payload.selectedId
+                            : state.devices.selectedId,
+                }),
+            });
+
+        case "starmus/device-selected":
+            return merge(state, {
+                devices: merge(state.devices, { selectedId: action.payload.deviceId }),
+            });
+
+        case "starmus/device-active":
+            return merge(state, {
+                devices: merge(state.devices, { activeId: action.payload.deviceId, lost: false }),
+                env: merge(state.env, {
+                    device: merge(state.env.device || {}, {
+                        audioInputLabel: action.payload.label || "",
+                    }),
+                }),
+            });
+
+        case "starmus/device-lost":
+            return merge(state, {
+                devices: merge(state.devices, { lost: true }),
+            });
+
         case "starmus/mic-start":
             return merge(state, {
                 status: "recording",
                 error: null,
-                recorder: merge(state.recorder, { duration: 0, isPaused: false }),
+                recorder: merge(state.recorder, {
+                    duration: 0,
+                    isPaused: false,
+                    autoPaused: false,
+                }),
             });
 
         case "starmus/mic-pause":
@@ -252,12 +379,34 @@
         case "starmus/mic-resume":
             return merge(state, {
                 status: "recording",
-                recorder: merge(state.recorder, { isPaused: false }),
+                recorder: merge(state.recorder, { isPaused: false, autoPaused: false }),
             });
 
         case "starmus/mic-stop":
             return merge(state, { status: "ready_to_submit" });
 
+        case "starmus/vad-auto-pause":
+            return merge(state, {
+                recorder: merge(state.recorder, { autoPaused: true }),
+            });
+
+        case "starmus/recording-limits":
+            return merge(state, {
+                recorder: merge(state.recorder, { limits: action.payload, limitWarning: null }),
+            });
+
+        case "starmus/recording-limit-warning":
+            return merge(state, {
+                recorder: merge(state.recorder, { limitWarning: action.payload }),
+            });
+
+        case "starmus/recording-limit-reached":
+            return merge(state, {
+                recorder: merge(state.recorder, {
+                    limitWarning: merge(action.payload, { threshold: 1, remaining: 0 }),
+                }),
+            });
+
         case "starmus/recorder-tick":
             return merge(state, {
                 recorder: merge(state.recorder, {
@@ -267,20 +416,141 @@
             });
 
             // CRITICAL UPDATE: Capture metadata when blob is ready
-        case "starmus/recording-available":
-            return merge(state, {
-                status: "ready_to_submit",
-                source: merge(state.source, {
-                    kind: "blob",
+        case "starmus/recording-available": {
+            const metadata = merge(
+                {
+                    duration: state.recorder.duration || 0,
+                    mimeType: action.payload.mimeType || action.payload.blob.type || "audio/webm",
+                    fileSize: action.payload.blob.size || 0,
+                },
+                action.payload.metadata || {},
+            );
+            const takes = state.takes || [];
+            const existing = takes.find((t) => t.id === action.payload.takeId);
+            let takeCounter = state.takeCounter || 0;
+            let take;
+            if (existing) {
+                take = merge(existing, {
                     blob: action.payload.blob,
                     fileName: action.payload.fileName,
-                    metadata: {
-                        duration: state.recorder.duration || 0,
-                        mimeType: action.payload.blob.type || "audio/webm",
-                        fileSize: action.payload.blob.size || 0,
-                    },
-                }),
+                    metadata: metadata,
+                });
+            } else {
+                takeCounter++;
+                take = {
+                    id: action.payload.takeId || "take_" + Date.now() + "_" + takeCounter,
+                    label: "Take " + takeCounter,
+                    blob: action.payload.blob,
+                    fileName: action.payload.fileName,
+                    metadata: metadata,
+                    createdAt: Date.now(),
+                };
+            }
+            return merge(state, {
+                status: "ready_to_submit",
+                takes: existing
+                    ? takes.map((t) => (t.id === take.id ? take : t))
+                    : takes.concat([take]),
+                selectedTakeId: take.id,
+                takeCounter: takeCounter,
+                source: sourceFromTake(state.source, take),
             });
+        }
+
+        case "starmus/recording-checksum": {
+            // Hashing is async: the blob may have been replaced or deleted since
+            const blob = action.payload.blob;
+            const withChecksum = (metadata) =>
+                merge(metadata || {}, { sha256: action.payload.sha256 });
+            const source = state.source || {};
+            return merge(state, {
+                takes: (state.takes || []).map((t) =>
+                    t.blob === blob ? merge(t, { metadata: withChecksum(t.metadata) }) : t,
+                ),
+                source:
+                    source.blob === blob || source.file === blob
+                        ? merge(source, { metadata: withChecksum(source.metadata) })
+                        : source,
+            });
+        }
+
+        case "starmus/take-select": {
+            const take = (state.takes || []).find((t) => t.id === action.payload.id);
+            if (!take || TAKE_LOCKED_STATES.indexOf(state.status) !== -1) {
+                return state;
+            }
+            return merge(state, {
+                status: "ready_to_submit",
+                selectedTakeId: take.id,
+                source: sourceFromTake(state.source, take),
+            });
+        }
+
+        case "starmus/take-rename": {
+            const label = String(action.payload.label || "").trim();
+            if (!label) {
+                return state;
+            }
+            return merge(state, {
+                takes: (state.takes || []).map((t) =>
+                    t.id === action.payload.id ? merge(t, { label: label }) : t,
+                ),
+            });
+        }
+
+        case "starmus/take-delete": {
+            if (TAKE_LOCKED_STATES.indexOf(state.status) !== -1) {
+                return state;
+            }
+            const takes = (state.takes || []).filter((t) => t.id !== action.payload.id);
+            const compareTakeIds = (state.compareTakeIds || []).filter(
+                (id) => id !== action.payload.id,
+            );
+            if (!takes.length) {
+                return merge(state, {
+                    status: state.calibration.complete ? "ready" : "idle",
+                    takes: [],
+                    selectedTakeId: null,
+                    compareTakeIds: [],
+                    source: merge(DEFAULT_INITIAL_STATE.source, {
+                        transcript: state.source.transcript,
+                    }),
+                });
+            }
+            if (state.selectedTakeId !== action.payload.id) {
+                return merge(state, { takes: takes, compareTakeIds: compareTakeIds });
+            }
+            const next = takes[takes.length - 1];
+            return merge(state, {
+                takes: takes,
+                compareTakeIds: compareTakeIds,
+                selectedTakeId: next.id,
+                source: sourceFromTake(state.source, next),
+            });
+        }
+
+        case "starmus/take-compare": {
+            const known = (state.takes || []).map((t) => t.id);
+            return merge(state, {
+                compareTakeIds: (action.payload.ids || [])
+                    .filter((id) => known.indexOf(id) !== -1)
+                    .slice(0, 2),
+            });
+        }
+
+        case "starmus/processing-start":
+            return merge(state, {
+                status: "processing",
+                recorder: merge(state.recorder, { processingProgress: 0 }),
+            });
+
+        case "starmus/processing-progress":
+            return merge(state, {
+                recorder: merge(state.recorder, { processingProgress: action.progress }),
+            });
+
+        case "starmus/processing-failed":
+            return merge(state, { status: "ready_to_submit" });
 
         case "starmus/transcript-update":
             return merge(state, {
@@ -295,6 +565,7 @@
         case "starmus/file-attached":
             return merge(state, {
                 status: "ready_to_submit",
+                selectedTakeId: null,
                 source: {
                     kind: "file",
                     file: action.file,
@@ -315,6 +586,23 @@
                 submission: merge(state.submission, { progress: action.progress }),
             });
 
+        case "starmus/upload-paused":
+            return merge(state, { status: "upload_paused" });
+
+        case "starmus/upload-resumed":
+            return merge(state, { status: "submitting" });
+
+        case "starmus/upload-resumable":
+            return merge(state, {
+                submission: merge(state.submission, { resumable: action.resumable }),
+            });
+
+        case "starmus/upload-cancelled":
+            return merge(state, {
+                status: "ready_to_submit",
+                submission: { progress: 0, isQueued: false },
+            });
+
         case "starmus/submit-complete":
             return merge(state, {
                 status: "complete",
@@ -324,7 +612,12 @@
         case "starmus/submit-queued":
             return merge(state, {
                 status: "complete",
-                submission: { progress: 0, isQueued: true },
+                submission: {
+                    progress: 0,
+                    isQueued: true,
+                    submitted: action.submitted || 0,
+                    total: action.total || 1,
+                },
             });
 
         case "starmus/reset":
@@ -332,6 +625,7 @@
                 instanceId: state.instanceId,
                 env: state.env,
                 tier: state.tier,
+                devices: merge(state.devices, { lost: false }),
                 status: "idle",
             });
 
@@ -408,6 +702,13 @@
      */
     global.StarmusStore.createStore = createStore;
 
+    /**
+     * Default state every store starts from, for tooling that maps state to metadata.
+     * @memberof StarmusStore
+     * @type {Object}
+     */
+    global.StarmusStore.DEFAULT_INITIAL_STATE = DEFAULT_INITIAL_STATE;
+
     /**
      * CommonJS module export for Node.js environments.
      */
@@ -435,3 +736,12 @@ const runtimeGlobal = typeof window !== "undefined" ? window : globalThis;
 export function createStore(initial) {
     return runtimeGlobal.StarmusStore.createStore(initial);
 }
+
+/**
+ * Default state every store starts from. Treat as read-only; stores merge copies of it.
+ *
+ * @constant
+ * @exports DEFAULT_INITIAL_STATE
+ * @type {Object}
+ */
+export const DEFAULT_INITIAL_STATE = runtimeGlobal.StarmusStore.DEFAULT_INITIAL_STATE;
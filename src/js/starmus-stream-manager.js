@@ -0,0 +1,143 @@
+/**
+ * @file starmus-stream-manager.js
+ * @version 1.0.0
+ * @description Owns the microphone MediaStream of each recorder instance. The stream opened
+ * for calibration is the one recorded from, with the same constraints (AGC, noise
+ * suppression, sample rate), and it stays open across takes, pause and resume so mobile
+ * browsers don't prompt or re-activate the microphone again. The stream is released on
+ * reset, once the submission is done, or when the page is hidden for good.
+ */
+
+"use strict";
+
+import { withPreferredInput } from "./starmus-audio-devices.js";
+
+/**
+ * Stream managers by recorder instance.
+ * @type {Map<string, Object>}
+ */
+const managers = new Map();
+
+/**
+ * Whether any track of the stream can still deliver audio.
+ *
+ * @private
+ * @param {MediaStream|null} stream - Stream to check
+ * @returns {boolean}
+ */
+function isLive(stream) {
+    return !!stream && stream.getAudioTracks().some((t) => t.readyState === "live");
+}
+
+/**
+ * Builds the audio constraints used for both calibration and recording.
+ *
+ * @function
+ * @exports buildAudioConstraints
+ * @param {Object} [settings={}] - Tier recording settings from SPARXSTAR
+ * @returns {Object} Audio constraints including the preferred input
+ */
+export function buildAudioConstraints(settings = {}) {
+    return withPreferredInput({
+        sampleRate: settings.sampleRate || 16000,
+        channelCount: settings.channels || 1,
+        echoCancellation: settings.enableEchoCancellation !== false,
+        noiseSuppression: settings.enableNoiseSupression !== false,
+        autoGainControl: settings.enableAutoGainControl !== false,
+    });
+}
+
+/**
+ * Returns the stream manager for a recorder instance, creating it on first use.
+ *
+ * @function
+ * @exports getStreamManager
+ * @param {string} instanceId - Recorder instance identifier
+ * @returns {Object} Manager with `acquire(audio)`, `replace(deviceId)`, `current()`
+ *   and `release()`
+ *
+ * @example
+ * const streams = getStreamManager(instanceId);
+ * const stream = await streams.acquire(buildAudioConstraints(settings));
+ * // ...calibrate, record, pause, resume on the same stream...
+ * streams.release();
+ */
+export function getStreamManager(instanceId) {
+    if (managers.has(instanceId)) {
+        return managers.get(instanceId);
+    }
+
+    let stream = null;
+    let constraints = null;
+    let pending = null;
+
+    function stopTracks() {
+        if (stream) {
+            stream.getTracks().forEach((t) => t.stop());
+        }
+        stream = null;
+    }
+
+    const manager = {
+        /**
+         * Returns the open stream, opening it with `audio` constraints if needed.
+         * Constraints are applied once; later calls reuse the live stream as is.
+         *
+         * @param {Object|boolean} audio - Audio constraints for a new stream
+         * @returns {Promise<MediaStream>}
+         */
+        acquire(audio) {
+            if (isLive(stream)) {
+                return Promise.resolve(stream);
+            }
+            if (pending) {
+                return pending;
+            }
+            constraints = audio;
+            pending = navigator.mediaDevices
+                .getUserMedia({ audio })
+                .then((next) => {
+                    stopTracks();
+                    stream = next;
+                    return stream;
+                })
+                .finally(() => {
+                    pending = null;
+                });
+            return pending;
+        },
+
+        /**
+         * Opens the given input with the current constraints and closes the old stream.
+         *
+         * @param {string} deviceId - Input to switch to
+         * @returns {Promise<MediaStream>} The new stream
+         */
+        async replace(deviceId) {
+            const base = constraints && constraints !== true ? constraints : {};
+            const next = await navigator.mediaDevices.getUserMedia({
+                audio: { ...base, deviceId: { exact: deviceId } },
+            });
+            stopTracks();
+            constraints = base;
+            stream = next;
+            return stream;
+        },
+
+        /**
+         * @returns {MediaStream|null} The open stream, if any
+         */
+        current() {
+            return isLive(stream) ? stream : null;
+        },
+
+        /**
+         * Stops all tracks so the browser's microphone indicator goes off.
+         */
+        release() {
+            stopTracks();
+        },
+    };
+    managers.set(instanceId, manager);
+    return manager;
+}
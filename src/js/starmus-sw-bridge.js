@@ -0,0 +1,185 @@
+/**
+ * @file starmus-sw-bridge.js
+ * @version 1.0.0
+ * @description Page side of the Starmus service worker. Registers the worker, hands it the
+ * REST nonce and endpoints, asks for Background Sync whenever submissions are waiting (and
+ * Periodic Sync where the browser grants it), and relays the worker's status messages to
+ * the CommandBus.
+ *
+ * While this page is open it answers the worker's flush requests with its own queue, so
+ * TUS resume and progress reporting keep working and an item is never uploaded twice.
+ */
+
+"use strict";
+
+import { subscribe, dispatch, debugLog } from "./starmus-hooks.js";
+import { getOfflineQueue, refreshQueueStatus } from "./starmus-offline.js";
+import { QUEUE_CONFIG } from "./starmus-queue-config.js";
+
+/**
+ * Minimum Periodic Sync interval requested from the browser (ms).
+ * @constant
+ * @type {number}
+ */
+const PERIODIC_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+
+/**
+ * Pending registration shared by all callers.
+ * @type {Promise<ServiceWorkerRegistration|null>|null}
+ */
+let registrationPromise = null;
+
+/**
+ * Asks the browser to wake the worker once it is online.
+ *
+ * @function
+ * @param {ServiceWorkerRegistration} registration - Active registration
+ * @returns {void}
+ */
+function requestSync(registration) {
+    if (registration.sync) {
+        registration.sync.register(QUEUE_CONFIG.syncTag).catch((e) => {
+            debugLog("[StarmusSW] Background Sync unavailable:", e.message);
+        });
+    }
+}
+
+/**
+ * Registers Periodic Sync when the browser supports and permits it (installed PWAs
+ * with enough site engagement). Silently skipped otherwise.
+ *
+ * @async
+ * @function
+ * @param {ServiceWorkerRegistration} registration - Active registration
+ * @returns {Promise<void>}
+ */
+async function requestPeriodicSync(registration) {
+    if (!registration.periodicSync || !navigator.permissions) {
+        return;
+    }
+    try {
+        const status = await navigator.permissions.query({ name: "periodic-background-sync" });
+        if (status.state === "granted") {
+            await registration.periodicSync.register(QUEUE_CONFIG.syncTag, {
+                minInterval: PERIODIC_SYNC_INTERVAL,
+            });
+        }
+    } catch (e) {
+        debugLog("[StarmusSW] Periodic Sync unavailable:", e.message);
+    }
+}
+
+/**
+ * Handles messages from the worker.
+ *
+ * @function
+ * @param {MessageEvent} event - Message from the service worker
+ * @returns {void}
+ */
+function onWorkerMessage(event) {
+    const data = event.data || {};
+
+    switch (data.type) {
+    case "starmus/sw/flush-request":
+        // Take over: the page's queue resumes TUS uploads and reports progress
+        event.ports[0]?.postMessage({ accepted: true });
+        getOfflineQueue()
+            .then((q) => q.processQueue())
+            .catch(() => {});
+        break;
+    case "starmus/sw/failed":
+        if (data.deadLetter) {
+            dispatch("starmus/offline/dead_lettered", {
+                id: data.id,
+                reason: data.deadLetter,
+                message: data.error,
+            });
+        }
+        dispatch("starmus/offline/sw_status", data);
+        refreshQueueStatus();
+        break;
+    case "starmus/sw/uploaded":
+    case "starmus/sw/queue-status":
+        dispatch("starmus/offline/sw_status", data);
+        refreshQueueStatus();
+        break;
+    default:
+        break;
+    }
+}
+
+/**
+ * Registers the worker and wires sync requests and status messages.
+ *
+ * @async
+ * @function
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+async function register() {
+    const cfg = window.starmusConfig || {};
+    if (!("serviceWorker" in navigator) || !cfg.serviceWorkerUrl) {
+        return null;
+    }
+
+    navigator.serviceWorker.addEventListener("message", onWorkerMessage);
+    await navigator.serviceWorker.register(cfg.serviceWorkerUrl);
+    const registration = await navigator.serviceWorker.ready;
+
+    // The worker has no session of its own: it uploads with this page's nonce
+    const sendConfig = (nonce) =>
+        registration.active?.postMessage({
+            type: "starmus/sw/config",
+            config: { nonce, endpoints: cfg.endpoints },
+        });
+    sendConfig(cfg.nonce);
+    subscribe("starmus/offline/nonce_refreshed", (payload) => sendConfig(payload.nonce));
+
+    // A sync fired while this page is open is handled here and used up, so ask again
+    // for every new submission and when the page goes away with work left.
+    // Dead-lettered items wait for the user, so they don't count.
+    let lastCount = 0;
+    subscribe("starmus/offline/queue_updated", (payload) => {
+        const count = (payload?.count || 0) - (payload?.deadCount || 0);
+        if (count > lastCount) {
+            requestSync(registration);
+        }
+        lastCount = count;
+    });
+    document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "hidden" && lastCount > 0) {
+            requestSync(registration);
+        }
+    });
+
+    const queue = await getOfflineQueue();
+    lastCount = (await queue.getAll()).filter((item) => !item.deadLetter).length;
+    if (lastCount > 0) {
+        requestSync(registration);
+    }
+    await requestPeriodicSync(registration);
+
+    debugLog("[StarmusSW] Service worker ready, scope:", registration.scope);
+    return registration;
+}
+
+/**
+ * Registers the Starmus service worker once per page. Safe to call repeatedly.
+ *
+ * @function
+ * @exports initServiceWorker
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null when
+ *   service workers are unsupported, not configured, or registration failed
+ *
+ * @example
+ * initOffline();
+ * initServiceWorker();
+ */
+export function initServiceWorker() {
+    if (!registrationPromise) {
+        registrationPromise = register().catch((e) => {
+            console.warn("[StarmusSW] Registration failed:", e.message);
+            return null;
+        });
+    }
+    return registrationPromise;
+}
@@ -7,16 +7,23 @@
  *
  * Features:
  * - TUS resumable uploads with chunk-based transfer
+ * - Resumable chunked fallback over the REST API when tusd is unavailable
  * - Direct upload fallback for unsupported environments
  * - Metadata sanitization and flattening for PHP compatibility
  * - Upload progress tracking and error handling
- * - Webhook security with secret headers
+ * - Short-lived signed upload tokens, refreshed during long uploads
+ * - Pause, resume and cancel through an upload controller
+ * - Chunk size adapted to measured throughput and failures, within tier bounds
  * - Automatic upload method selection based on availability
+ * - SHA-256 of the audio (`metadata.sha256`) sent on every path so the server can
+ *   reject truncated uploads
  */
 
 "use strict";
 
 import sparxstarIntegration from "./starmus-sparxstar-integration.js";
+import { uploadChunked, appendSubmissionFields } from "./starmus-chunked-upload.js";
+import { isSha256Hex, tusChecksumHeader } from "./starmus-checksum.js";
 
 /**
  * Circuit breaker for upload failures
@@ -57,6 +64,10 @@ class UploadCircuitBreaker {
 
             return result;
         } catch (error) {
+            // Cancelling is the user's choice, not a sign of a failing server
+            if (error?.cancelled) {
+                throw error;
+            }
             this.failures++;
 
             if (this.failures >= this.threshold) {
@@ -72,6 +83,179 @@ class UploadCircuitBreaker {
 
 const uploadCircuitBreaker = new UploadCircuitBreaker();
 
+/**
+ * Chunk size the last TUS upload settled on, per tier, so the next upload on the
+ * same connection starts from it instead of the static default.
+ * @type {Object<string, number>}
+ */
+const learnedChunkSizes = {};
+
+/**
+ * Adapts the TUS chunk size to the connection. Each completed chunk's throughput
+ * sets the next size to what transfers in about `targetSeconds`, changing at most
+ * 2x per chunk; each failed chunk halves it. Sizes stay within the tier's bounds
+ * and are rounded to 16 KB.
+ *
+ * @function
+ * @exports createChunkTuner
+ * @param {number} initialSize - First chunk size in bytes
+ * @param {{min: number, max: number}} bounds - Tier bounds in bytes
+ * @param {number} targetSeconds - Desired transfer time per chunk
+ * @returns {Object} Tuner with `size`, `chunkStarted()`, `chunkCompleted(bytes)`,
+ *   `chunkFailed()` and `summary()` for telemetry
+ */
+export function createChunkTuner(initialSize, bounds, targetSeconds) {
+    const STEP = 16 * 1024;
+    const clamp = (bytes) =>
+        Math.min(bounds.max, Math.max(bounds.min, Math.round(bytes / STEP) * STEP));
+
+    let startedAt = 0;
+    let bytesSent = 0;
+    let msSpent = 0;
+    const stats = { chunks: 0, failures: 0, sizes: [] };
+
+    const tuner = {
+        size: clamp(initialSize),
+
+        chunkStarted() {
+            startedAt = Date.now();
+        },
+
+        chunkCompleted(bytes) {
+            const ms = Math.max(1, Date.now() - startedAt);
+            stats.chunks++;
+            bytesSent += bytes;
+            msSpent += ms;
+            const fitted = (bytes / ms) * 1000 * targetSeconds;
+            tuner.setSize(Math.min(tuner.size * 2, Math.max(tuner.size / 2, fitted)));
+        },
+
+        chunkFailed() {
+            stats.failures++;
+            tuner.setSize(tuner.size / 2);
+        },
+
+        setSize(bytes) {
+            const next = clamp(bytes);
+            if (next !== tuner.size) {
+                stats.sizes.push(next);
+            }
+            tuner.size = next;
+        },
+
+        summary() {
+            return {
+                chunkSize: tuner.size,
+                chunkSizes: stats.sizes.slice(-20),
+                chunks: stats.chunks,
+                chunkFailures: stats.failures,
+                throughputKbps: msSpent ? Math.round((bytesSent * 8) / msSpent) : null,
+            };
+        },
+    };
+    return tuner;
+}
+
+/**
+ * Builds the error an upload rejects with when it is cancelled.
+ *
+ * @function
+ * @returns {Error} Error with `cancelled: true`
+ */
+function cancelledError() {
+    const error = new Error("UPLOAD_CANCELLED");
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Creates a controller for pausing, resuming and cancelling an upload.
+ * The upload function attaches its transport (tus upload or XHR) once it starts;
+ * requests made before that are applied on attach. One controller can be reused
+ * for consecutive uploads, e.g. the takes of a batch.
+ *
+ * A transport attached with `resumable: false` (a single POST, which could only start
+ * over) cannot be paused: `pause()` refuses, and a pause requested before it attached
+ * is dropped so the upload carries on.
+ *
+ * @function
+ * @exports createUploadController
+ * @param {Object} [options={}] - Controller options
+ * @param {function(Object): void} [options.onChange] - Receives the controller whenever a
+ *   transport attaches or detaches, so the UI can follow `state` and `resumable`
+ * @returns {Object} Controller with `state` ("uploading" | "paused" | "idle" | "cancelled"),
+ *   `resumable`, `pause()`, `resume()` and `cancel()` (each returns whether the state
+ *   changed), and `attach(transport)` / `detach()` used by the upload functions
+ *
+ * @example
+ * const controller = createUploadController();
+ * uploadWithPriority({ blob, fileName, controller });
+ * controller.pause();  // metered connection: stop spending data
+ * controller.resume(); // tus continues from the last chunk
+ */
+export function createUploadController(options = {}) {
+    let transport = null;
+
+    const controller = {
+        state: "uploading",
+        resumable: true,
+
+        attach(next) {
+            transport = next;
+            controller.resumable = next.resumable !== false;
+            if (
+                controller.state === "idle" ||
+                (controller.state === "paused" && !controller.resumable)
+            ) {
+                controller.state = "uploading";
+            } else if (controller.state === "paused") {
+                transport.pause();
+            } else if (controller.state === "cancelled") {
+                transport.cancel();
+            }
+            options.onChange?.(controller);
+        },
+
+        // The bytes are sent; the server is processing them ("idle" until the next attach)
+        detach() {
+            transport = null;
+            controller.resumable = true;
+            if (controller.state === "uploading") {
+                controller.state = "idle";
+            }
+            options.onChange?.(controller);
+        },
+
+        pause() {
+            if (controller.state !== "uploading" || !controller.resumable) {
+                return false;
+            }
+            controller.state = "paused";
+            transport?.pause();
+            return true;
+        },
+
+        resume() {
+            if (controller.state !== "paused") {
+                return false;
+            }
+            controller.state = "uploading";
+            transport?.resume();
+            return true;
+        },
+
+        cancel() {
+            if (controller.state !== "uploading" && controller.state !== "paused") {
+                return false;
+            }
+            controller.state = "cancelled";
+            transport?.cancel();
+            return true;
+        },
+    };
+    return controller;
+}
+
 /**
  * Default configuration object for TUS uploads.
  * Contains chunk sizes, retry settings, and endpoint configuration.
@@ -79,12 +263,17 @@ const uploadCircuitBreaker = new UploadCircuitBreaker();
  *
  * @constant
  * @type {Object}
- * @property {number} chunkSize - Size of each upload chunk in bytes (optimized per tier)
+ * @property {number} chunkSize - Size of the first upload chunk in bytes (optimized per tier)
+ * @property {Object<string, {min: number, max: number}>} chunkBounds - Adaptive chunk size
+ *   range per tier in bytes
+ * @property {number} chunkTargetSeconds - Transfer time the adaptive chunk size aims for
  * @property {Array<number>} retryDelays - Retry delay intervals in milliseconds
  * @property {boolean} removeFingerprintOnSuccess - Whether to remove fingerprint after success
  * @property {number} maxChunkRetries - Maximum retry attempts per chunk
  * @property {string} endpoint - TUS server endpoint URL
- * @property {string} webhookSecret - Secret for webhook authentication
+ * @property {number} tokenRefreshMargin - Refresh the upload token this many ms before expiry
+ * @property {number} resultTimeout - How long to wait for the server to process a finished upload (ms)
+ * @property {number} resultPollInterval - Delay between upload result checks (ms)
  */
 // 1. Config
 function getDefaultConfig() {
@@ -94,11 +283,19 @@ function getDefaultConfig() {
 
     return {
         chunkSize: settings.uploadChunkSize || 512 * 1024, // Tier-optimized chunk size
+        chunkBounds: {
+            A: { min: 256 * 1024, max: 8 * 1024 * 1024 },
+            B: { min: 128 * 1024, max: 2 * 1024 * 1024 },
+            C: { min: 64 * 1024, max: 1024 * 1024 },
+        },
+        chunkTargetSeconds: 4,
         retryDelays: [0, 5000, 10000, 30000, 60000, 120000, 300000],
         removeFingerprintOnSuccess: true,
         maxChunkRetries: 10,
         endpoint: "/files/",
-        webhookSecret: "",
+        tokenRefreshMargin: 120000,
+        resultTimeout: 120000,
+        resultPollInterval: 3000,
     };
 }
 
@@ -169,6 +366,123 @@ function sanitizeMetadata(value) {
     return v; // TUS handles base64 encoding internally usually, but we keep it raw string here
 }
 
+/**
+ * Requests a short-lived signed token for one TUS upload from WordPress.
+ * The token is bound to the file name, size and target post; tusd forwards it
+ * to the PHP hook, which verifies it in place of a shared secret.
+ *
+ * @async
+ * @function
+ * @param {string} fileName - File name sent in the TUS metadata
+ * @param {number} size - Upload size in bytes
+ * @param {Object} fields - Normalized form fields (post_id is bound when present)
+ * @returns {Promise<{token: string, expires: number}>} Token and expiry in ms since epoch
+ * @throws {Error} When the endpoint is unreachable or refuses to sign
+ */
+async function requestUploadToken(fileName, size, fields) {
+    const cfg = getConfig();
+    const endpoint =
+        cfg.endpoints?.uploadToken || "/wp-json/star-starmus-audio-recorder/v1/upload-token";
+
+    const res = await fetch(endpoint, {
+        method: "POST",
+        credentials: "same-origin",
+        headers: {
+            "Content-Type": "application/json",
+            "X-WP-Nonce": cfg.nonce || window.starmusConfig?.nonce || "",
+        },
+        body: JSON.stringify({
+            filename: fileName,
+            size,
+            post_id: parseInt(fields.post_id, 10) || 0,
+        }),
+    });
+
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json?.data?.token) {
+        throw new Error(json?.message || `UPLOAD_TOKEN_HTTP_${res.status}`);
+    }
+    return { token: json.data.token, expires: json.data.expires * 1000 };
+}
+
+/**
+ * Waits for the server to finish processing a completed TUS upload.
+ * tusd calls the PHP post-finish hook asynchronously, so the created post ID and
+ * redirect are fetched from the upload-result endpoint, keyed on the upload URL.
+ *
+ * Unknown uploads (404) count as pending: the hook may not have arrived yet.
+ * When the wait times out or the connection drops, the error carries `tusUrl` so
+ * callers can hand the upload to the offline queue instead of sending it again.
+ *
+ * @async
+ * @function
+ * @exports awaitTusResult
+ * @param {string} tusUrl - Upload URL returned by tus-js-client
+ * @param {Object} [options={}] - Polling options
+ * @param {number} [options.timeout] - Give up after this many ms (defaults to config)
+ * @param {number} [options.interval] - Delay between checks in ms (defaults to config)
+ * @returns {Promise<Object>} `{ success: true, data: { post_id, attachment_id, url, redirect_url } }`,
+ *   the same shape as uploadDirect()
+ * @throws {Error} `TUS_RESULT_TIMEOUT` / `TUS_RESULT_OFFLINE` with `tusUrl` and `status`,
+ *   or the server's message when processing failed
+ *
+ * @example
+ * const result = await awaitTusResult(upload.url);
+ * console.log(result.data.post_id);
+ */
+export async function awaitTusResult(tusUrl, options = {}) {
+    const cfg = getConfig();
+    const timeout = options.timeout ?? cfg.resultTimeout;
+    const interval = options.interval ?? cfg.resultPollInterval;
+    const endpoint =
+        cfg.endpoints?.uploadResult || "/wp-json/star-starmus-audio-recorder/v1/upload-result";
+    const deadline = Date.now() + timeout;
+    let status = 0;
+
+    const pending = (code) => {
+        const error = new Error(code);
+        error.tusUrl = tusUrl;
+        error.status = status;
+        return error;
+    };
+
+    for (;;) {
+        if (!navigator.onLine) {
+            throw pending("TUS_RESULT_OFFLINE");
+        }
+
+        try {
+            const res = await fetch(`${endpoint}?tus_url=${encodeURIComponent(tusUrl)}`, {
+                credentials: "same-origin",
+                headers: { "X-WP-Nonce": cfg.nonce || window.starmusConfig?.nonce || "" },
+            });
+            status = res.status;
+            const json = await res.json().catch(() => ({}));
+
+            if (res.ok && json.success) {
+                return { success: true, data: json.data || {} };
+            }
+            if (status === 422) {
+                const error = new Error(json.message || "TUS_PROCESSING_FAILED");
+                error.status = status;
+                error.code = json.code || null;
+                throw error;
+            }
+        } catch (error) {
+            if (error.status === 422) {
+                throw error;
+            }
+            // Network blip: keep polling until the deadline
+            status = 0;
+        }
+
+        if (Date.now() + interval > deadline) {
+            throw pending("TUS_RESULT_TIMEOUT");
+        }
+        await new Promise((r) => setTimeout(r, interval));
+    }
+}
+
 /**
  * Direct upload implementation as fallback for TUS.
  * Uploads file directly to WordPress REST API using FormData and XMLHttpRequest.
@@ -189,8 +503,10 @@ function sanitizeMetadata(value) {
  * @param {function} [onProgress] - Progress callback function
  * @param {number} onProgress.loaded - Bytes uploaded
  * @param {number} onProgress.total - Total bytes to upload
+ * @param {Object} [controller] - Upload controller from createUploadController()
  * @returns {Promise<Object>} Upload result from WordPress API
- * @throws {Error} When blob is invalid, network fails, or server responds with error
+ * @throws {Error} When blob is invalid, network fails, server responds with error,
+ *   or the upload is cancelled (`error.cancelled`)
  *
  * @example
  * const result = await uploadDirect(
@@ -210,6 +526,7 @@ export async function uploadDirect(
     metadata = {},
     _instanceId = "",
     onProgress,
+    controller,
 ) {
     const cfg = getConfig();
     const nonce = cfg.nonce || window.starmusConfig?.nonce || "";
@@ -239,106 +556,179 @@ export async function uploadDirect(
             return reject(error);
         }
 
-        // Filter out fields we will add manually or via specific keys
-        const SKIP = ["_starmus_env", "_starmus_calibration"];
-        Object.entries(fields).forEach(([k, v]) => {
-            if (!SKIP.includes(k)) {
-                fd.append(k, v);
-            }
-        });
-
+        appendSubmissionFields(fd, fields, metadata);
         fd.append("audio_file", blob, fileName);
 
-        // Map metadata to form fields expected by the WP Controller
-        if (metadata?.calibration) {
-            fd.append("_starmus_calibration", JSON.stringify(metadata.calibration));
-        }
-        if (metadata?.env) {
-            fd.append("_starmus_env", JSON.stringify(metadata.env));
-        }
-        if (metadata?.tier) {
-            fd.append("tier", metadata.tier);
-        }
+        const startTime = Date.now();
+        let xhr = null;
 
-        const xhr = new XMLHttpRequest();
-        xhr.open("POST", endpoint, true);
-        if (nonce) {
-            xhr.setRequestHeader("X-WP-Nonce", nonce);
-        }
+        /**
+         * Sends the whole form. A plain POST cannot continue mid-body, so the
+         * controller is told it can't be paused; only cancel stops it.
+         */
+        const send = () => {
+            xhr = new XMLHttpRequest();
+            xhr.open("POST", endpoint, true);
+            if (nonce) {
+                xhr.setRequestHeader("X-WP-Nonce", nonce);
+            }
 
-        if (xhr.upload && typeof onProgress === "function") {
-            xhr.upload.onprogress = (e) => {
-                if (e.lengthComputable) {
-                    onProgress(e.loaded, e.total);
-                }
-            };
-        }
+            if (xhr.upload && typeof onProgress === "function") {
+                xhr.upload.onprogress = (e) => {
+                    if (e.lengthComputable) {
+                        onProgress(e.loaded, e.total);
+                    }
+                };
+            }
 
-        xhr.onload = () => {
-            if (xhr.status >= 200 && xhr.status < 300) {
-                try {
-                    const result = JSON.parse(xhr.responseText);
+            xhr.onload = () => {
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    try {
+                        const result = JSON.parse(xhr.responseText);
+
+                        // Report successful upload to SPARXSTAR
+                        if (sparxstarIntegration.isAvailable) {
+                            sparxstarIntegration.reportError("upload_direct_success", {
+                                fileSize: blob.size,
+                                duration: Date.now() - startTime,
+                                tier: envData?.tier,
+                                network: envData?.network?.type,
+                            });
+                        }
+
+                        resolve(result);
+                    } catch (e) {
+                        if (sparxstarIntegration.isAvailable) {
+                            sparxstarIntegration.reportError("upload_response_parse_error", {
+                                error: e.message,
+                                response: xhr.responseText.substring(0, 200),
+                            });
+                        }
+                        reject(new Error("Invalid JSON response"));
+                    }
+                } else {
+                    const error = new Error(`Upload failed: ${xhr.status} ${xhr.statusText}`);
+                    error.status = xhr.status;
+                    try {
+                        error.code = JSON.parse(xhr.responseText).code || null;
+                    } catch {
+                        error.code = null;
+                    }
 
-                    // Report successful upload to SPARXSTAR
+                    // Report error to SPARXSTAR
                     if (sparxstarIntegration.isAvailable) {
-                        sparxstarIntegration.reportError("upload_direct_success", {
+                        sparxstarIntegration.reportError("upload_direct_failed", {
+                            error: error.message,
+                            status: xhr.status,
                             fileSize: blob.size,
-                            duration: Date.now() - startTime,
                             tier: envData?.tier,
-                            network: envData?.network?.type,
                         });
                     }
 
-                    resolve(result);
-                } catch (e) {
-                    if (sparxstarIntegration.isAvailable) {
-                        sparxstarIntegration.reportError("upload_response_parse_error", {
-                            error: e.message,
-                            response: xhr.responseText.substring(0, 200),
-                        });
-                    }
-                    reject(new Error("Invalid JSON response"));
+                    reject(error);
                 }
-            } else {
-                const error = new Error(`Upload failed: ${xhr.status} ${xhr.statusText}`);
+            };
 
-                // Report error to SPARXSTAR
+            xhr.onerror = () => {
+                const error = new Error("Network error on direct upload");
+
+                // Report network error to SPARXSTAR
                 if (sparxstarIntegration.isAvailable) {
-                    sparxstarIntegration.reportError("upload_direct_failed", {
+                    sparxstarIntegration.reportError("upload_network_error", {
                         error: error.message,
-                        status: xhr.status,
                         fileSize: blob.size,
                         tier: envData?.tier,
+                        network: envData?.network?.type,
                     });
                 }
 
                 reject(error);
-            }
+            };
+
+            xhr.send(fd);
         };
 
-        xhr.onerror = () => {
-            const error = new Error("Network error on direct upload");
+        send();
 
-            // Report network error to SPARXSTAR
-            if (sparxstarIntegration.isAvailable) {
-                sparxstarIntegration.reportError("upload_network_error", {
-                    error: error.message,
-                    fileSize: blob.size,
-                    tier: envData?.tier,
-                    network: envData?.network?.type,
-                });
-            }
+        controller?.attach({
+            resumable: false,
+            pause: () => {},
+            resume: () => {},
+            cancel: () => {
+                xhr.abort();
+                reject(cancelledError());
+            },
+        });
+    });
+}
 
-            reject(error);
-        };
+/**
+ * Resumable fallback for hosts without tusd: sends the audio in byte-range chunks
+ * through the WordPress REST API, resuming a session left by an earlier attempt.
+ *
+ * @async
+ * @function
+ * @exports uploadChunkedDirect
+ * @param {Blob} blob - Audio file blob to upload
+ * @param {string} fileName - Name for the uploaded file
+ * @param {Object} formFields - Form data fields
+ * @param {Object} metadata - Upload metadata (calibration, env, tier)
+ * @param {function} [onProgress] - Progress callback (bytesUploaded, bytesTotal)
+ * @param {Object} [controller] - Upload controller from createUploadController()
+ * @returns {Promise<Object>} Upload result in the uploadDirect() shape
+ * @throws {Error} `unsupported: true` when the server has no session endpoint
+ */
+export async function uploadChunkedDirect(
+    blob,
+    fileName,
+    formFields = {},
+    metadata = {},
+    onProgress,
+    controller,
+) {
+    const cfg = getConfig();
+    const envData = sparxstarIntegration.getEnvironmentData();
+    const startTime = Date.now();
 
-        const startTime = Date.now();
-        xhr.send(fd);
-    });
+    const fd = new FormData();
+    appendSubmissionFields(fd, normalizeFormFields(formFields), metadata);
+
+    try {
+        const result = await uploadChunked(blob, fileName, fd, {
+            endpoint:
+                cfg.endpoints?.uploadSession ||
+                "/wp-json/star-starmus-audio-recorder/v1/upload-session",
+            nonce: cfg.nonce || window.starmusConfig?.nonce || "",
+            chunkSize: cfg.chunkSize,
+            retryDelays: cfg.retryDelays,
+            onProgress,
+            controller,
+        });
+
+        if (sparxstarIntegration.isAvailable) {
+            sparxstarIntegration.reportError("upload_chunked_success", {
+                fileSize: blob.size,
+                duration: Date.now() - startTime,
+                tier: envData?.tier,
+                network: envData?.network?.type,
+            });
+        }
+        return result;
+    } catch (error) {
+        if (sparxstarIntegration.isAvailable && !error.cancelled && !error.unsupported) {
+            sparxstarIntegration.reportError("upload_chunked_failed", {
+                error: error.message,
+                fileSize: blob.size,
+                tier: envData?.tier,
+            });
+        }
+        throw error;
+    }
 }
 
 /**
- * Priority upload wrapper that tries TUS first, then falls back to direct upload.
+ * Priority upload wrapper that tries TUS first, then resumable chunks over the REST API,
+ * and a single-request direct upload only when the server has no chunked sessions.
  * Automatically selects the best upload method based on availability and blob size.
  * Supports both object parameter and individual arguments for backward compatibility.
  *
@@ -352,6 +742,9 @@ export async function uploadDirect(
  * @param {Object} arg1.metadata - Additional metadata
  * @param {string} arg1.instanceId - Instance identifier
  * @param {function} arg1.onProgress - Progress callback function
+ * @param {Object} [arg1.controller] - Upload controller from createUploadController()
+ * @param {string|null} [arg1.tusUploadUrl] - TUS upload URL to resume (see uploadWithTus)
+ * @param {function(Object): void} [arg1.onTusState] - Receives TUS resume state
  * @param {string} [fileName] - Legacy parameter: file name
  * @param {Object} [formFields] - Legacy parameter: form fields
  * @param {Object} [metadata] - Legacy parameter: metadata
@@ -378,12 +771,14 @@ export async function uploadDirect(
  */
 // 3. Priority Wrapper
 export async function uploadWithPriority(arg1) {
-    let blob, fileName, formFields, metadata, instanceId, onProgress;
+    let blob, fileName, formFields, metadata, instanceId, onProgress, controller;
+    let tusUploadUrl, onTusState;
 
     if (arg1 && arg1.blob) {
-        ({ blob, fileName, formFields, metadata, instanceId, onProgress } = arg1);
+        ({ blob, fileName, formFields, metadata, instanceId, onProgress, controller } = arg1);
+        ({ tusUploadUrl, onTusState } = arg1);
     } else {
-        [blob, fileName, formFields, metadata, instanceId, onProgress] = arguments;
+        [blob, fileName, formFields, metadata, instanceId, onProgress, controller] = arguments;
     }
 
     if (!blob) {
@@ -402,12 +797,44 @@ export async function uploadWithPriority(arg1) {
                     metadata,
                     instanceId,
                     onProgress,
+                    controller,
+                    { uploadUrl: tusUploadUrl, onState: onTusState },
                 );
             }
             throw new Error("TUS_UNAVAILABLE");
         } catch (e) {
-            console.warn("[Uploader] TUS failed, using Direct Fallback.", e.message);
-            return await uploadDirect(blob, fileName, formFields, metadata, instanceId, onProgress);
+            // The audio already reached tusd, or the user cancelled: don't send it again
+            if (e.tusUrl || e.cancelled) {
+                throw e;
+            }
+            console.warn("[Uploader] TUS failed, using chunked fallback.", e.message);
+        }
+
+        // Then resumable chunks over the REST API
+        try {
+            return await uploadChunkedDirect(
+                blob,
+                fileName,
+                formFields,
+                metadata,
+                onProgress,
+                controller,
+            );
+        } catch (e) {
+            // Only a server without the session endpoint gets a single-request upload
+            if (!e.unsupported) {
+                throw e;
+            }
+            console.warn("[Uploader] Chunked sessions unsupported, using Direct Fallback.");
+            return await uploadDirect(
+                blob,
+                fileName,
+                formFields,
+                metadata,
+                instanceId,
+                onProgress,
+                controller,
+            );
         }
     }, "upload");
 }
@@ -453,17 +880,22 @@ export function isTusAvailable(blobSize = 0) {
  * @param {function} onProgress - Progress callback function
  * @param {number} onProgress.bytesUploaded - Bytes uploaded so far
  * @param {number} onProgress.bytesTotal - Total bytes to upload
- * @returns {Promise<Object>} Upload result with TUS URL and status
+ * @param {Object} [controller] - Upload controller from createUploadController()
+ * @param {Object} [resume={}] - Resumable state kept by the caller (e.g. the offline queue)
+ * @param {string|null} [resume.uploadUrl] - TUS upload URL to continue from its server offset
+ * @param {function(Object): void} [resume.onState] - Receives `{ uploadUrl, fingerprint, offset }`
+ *   when the upload URL is known and after every accepted chunk
+ * @returns {Promise<Object>} Upload result in the uploadDirect() shape plus the TUS URL
  * @returns {boolean} returns.success - Whether upload completed successfully
+ * @returns {Object} returns.data - post_id, attachment_id, url and redirect_url
  * @returns {string} returns.tus_url - TUS upload URL for tracking
- * @returns {string} returns.message - Status message
  *
  * @description Process:
  * 1. Prepares metadata by flattening objects to strings
- * 2. Configures TUS upload with security headers
- * 3. Attempts to resume previous uploads if found
+ * 2. Requests a signed upload token and attaches it to every TUS request
+ * 3. Resumes from `resume.uploadUrl`, or from a previous upload of the same file
  * 4. Starts chunked upload with progress tracking
- * 5. Resolves when transfer completes (PHP hook processes asynchronously)
+ * 5. After the transfer, polls until the async PHP hook reports the created post
  *
  * @example
  * const result = await uploadWithTus(
@@ -475,10 +907,64 @@ export function isTusAvailable(blobSize = 0) {
  *   (uploaded, total) => console.log(`${uploaded}/${total}`)
  * );
  */
-export async function uploadWithTus(blob, fileName, formFields, metadata, instanceId, onProgress) {
+export async function uploadWithTus(
+    blob,
+    fileName,
+    formFields,
+    metadata,
+    instanceId,
+    onProgress,
+    controller,
+    resume = {},
+) {
     const cfg = getConfig();
     const envData = sparxstarIntegration.getEnvironmentData();
     const startTime = Date.now();
+    const fields = normalizeFormFields(formFields);
+    const tier = envData?.tier || "C";
+    const tuner = createChunkTuner(
+        learnedChunkSizes[tier] || cfg.chunkSize,
+        cfg.chunkBounds[tier] || cfg.chunkBounds.C,
+        cfg.chunkTargetSeconds,
+    );
+
+    // Signed per-upload token; the webhook secret never reaches the browser
+    let grant;
+    try {
+        grant = await requestUploadToken(fileName, blob.size, fields);
+    } catch (error) {
+        console.error("[TUS Security] Upload token unavailable:", error.message);
+        if (sparxstarIntegration.isAvailable) {
+            sparxstarIntegration.reportError("tus_token_failed", {
+                error: error.message,
+                endpoint: cfg.endpoint,
+                timestamp: Date.now(),
+            });
+        }
+        throw error;
+    }
+
+    /**
+     * Returns a token valid for at least `tokenRefreshMargin`, fetching a new one
+     * when the current token is about to expire. Concurrent callers share one request.
+     */
+    let refreshing = null;
+    const currentToken = () => {
+        if (grant.expires - Date.now() > cfg.tokenRefreshMargin) {
+            return Promise.resolve(grant.token);
+        }
+        if (!refreshing) {
+            refreshing = requestUploadToken(fileName, blob.size, fields)
+                .then((next) => {
+                    grant = next;
+                    return grant.token;
+                })
+                .finally(() => {
+                    refreshing = null;
+                });
+        }
+        return refreshing;
+    };
 
     return new Promise((resolve, reject) => {
         /**
@@ -494,7 +980,6 @@ export async function uploadWithTus(blob, fileName, formFields, metadata, instan
         };
 
         // Merge standard form fields (post_id, nonce, etc)
-        const fields = normalizeFormFields(formFields);
         Object.entries(fields).forEach(([key, val]) => {
             tusMetadata[key] = String(val);
         });
@@ -509,52 +994,103 @@ export async function uploadWithTus(blob, fileName, formFields, metadata, instan
         if (metadata?.tier) {
             tusMetadata["tier"] = sanitizeMetadata(metadata.tier);
         }
+        // Checked by the post-finish hook against the assembled file
+        const sha256 = isSha256Hex(metadata?.sha256) ? metadata.sha256 : null;
+        if (sha256) {
+            tusMetadata["audio_sha256"] = sha256;
+        }
+
+        /**
+         * Server offset from the last HEAD or PATCH reply, for the checksum header.
+         * @type {number}
+         */
+        let serverOffset = 0;
 
         /**
          * TUS Upload instance with complete configuration.
          */
         // 2. Configure TUS Upload
-
-        // CRITICAL: Secure webhook headers - never allow empty secrets
-        const webhookSecret = cfg.webhookSecret;
-        if (!webhookSecret || webhookSecret.trim() === "") {
-            const error = new Error(
-                "TUS webhook secret not configured - upload blocked for security",
-            );
-            console.error("[TUS Security] CRITICAL:", error.message);
-
-            // Report security issue to SPARXSTAR
-            if (sparxstarIntegration.isAvailable) {
-                sparxstarIntegration.reportError("tus_security_no_secret", {
-                    error: error.message,
-                    endpoint: cfg.endpoint,
-                    timestamp: Date.now(),
-                });
-            }
-
-            throw error;
-        }
-
-        // Generate secure headers with timestamp and signature
-        const timestamp = Date.now().toString();
-        const payload = `${fileName}-${timestamp}-${blob.size}`;
-
         const upload = new tus.Upload(blob, {
             endpoint: cfg.endpoint,
+            // A stale URL (expired on the server) makes tus-js-client create a new upload
+            uploadUrl: resume.uploadUrl || null,
             retryDelays: cfg.retryDelays,
-            chunkSize: cfg.chunkSize,
+            chunkSize: tuner.size,
             parallelUploads: 1,
             metadata: tusMetadata,
             removeFingerprintOnSuccess: cfg.removeFingerprintOnSuccess,
 
             headers: {
-                "x-starmus-secret": webhookSecret,
-                "x-starmus-timestamp": timestamp,
-                "x-starmus-payload-hash": btoa(payload), // Simple payload verification
                 "x-starmus-tier": envData?.tier || "C",
                 "x-starmus-network": envData?.network?.type || "unknown",
             },
 
+            /**
+             * Attaches the upload token to every request, refreshing it first when
+             * it is close to expiry so long resumable uploads keep a valid token.
+             * @param {Object} req - tus-js-client HttpRequest
+             */
+            onBeforeRequest: (req) =>
+                currentToken().then((token) => {
+                    req.setHeader("x-starmus-upload-token", token);
+                    if (req.getMethod() !== "PATCH") {
+                        return;
+                    }
+                    tuner.chunkStarted();
+                    // The TUS checksum extension covers one PATCH body, so the file's
+                    // checksum only applies when a single PATCH carries all of it
+                    if (sha256 && serverOffset === 0 && upload.options.chunkSize >= blob.size) {
+                        req.setHeader("Upload-Checksum", tusChecksumHeader(sha256));
+                    }
+                }),
+
+            /**
+             * Tracks the server offset for the checksum rule above.
+             * @param {Object} _req - tus-js-client HttpRequest
+             * @param {Object} res - tus-js-client HttpResponse
+             */
+            onAfterResponse: (_req, res) => {
+                const offset = parseInt(res.getHeader("Upload-Offset"), 10);
+                if (!Number.isNaN(offset)) {
+                    serverOffset = offset;
+                }
+            },
+
+            /**
+             * Sizes the next PATCH from the throughput of the one just accepted.
+             * tus-js-client reads `options.chunkSize` for every chunk it slices.
+             * @param {number} chunkSize - Bytes accepted in this chunk
+             * @param {number} bytesAccepted - Server offset after this chunk
+             */
+            onChunkComplete: (chunkSize, bytesAccepted) => {
+                tuner.chunkCompleted(chunkSize);
+                upload.options.chunkSize = tuner.size;
+                reportState(bytesAccepted);
+            },
+
+            /**
+             * Hands the new upload URL to the caller before any bytes are sent.
+             */
+            onUploadUrlAvailable: () => reportState(0),
+
+            /**
+             * Shrinks the chunk after a failed PATCH, then applies tus-js-client's
+             * default retry rule (retry unless a 4xx other than 409/423, and online).
+             * @param {Error} err - DetailedError with originalRequest/originalResponse
+             * @param {number} _retryAttempt - Attempt number
+             * @param {Object} options - The upload's live options
+             * @returns {boolean} Whether to retry
+             */
+            onShouldRetry: (err, _retryAttempt, options) => {
+                if (err.originalRequest?.getMethod() === "PATCH") {
+                    tuner.chunkFailed();
+                    options.chunkSize = tuner.size;
+                }
+                const status = err.originalResponse ? err.originalResponse.getStatus() : 0;
+                const clientError = status >= 400 && status < 500;
+                return (!clientError || status === 409 || status === 423) && navigator.onLine;
+            },
+
             /**
              * Error handler for upload failures.
              * @param {Error} error - TUS upload error
@@ -569,9 +1105,10 @@ export async function uploadWithTus(blob, fileName, formFields, metadata, instan
                         fileSize: blob.size,
                         tier: envData?.tier,
                         network: envData?.network?.type,
-                        chunkSize: cfg.chunkSize,
+                        ...tuner.summary(),
                     });
                 }
+                learnedChunkSizes[tier] = tuner.size;
 
                 reject(error);
             },
@@ -592,6 +1129,9 @@ export async function uploadWithTus(blob, fileName, formFields, metadata, instan
              * Note: PHP post-finish hook runs asynchronously.
              */
             onSuccess: () => {
+                // Nothing left to pause or cancel while the server processes the file
+                controller?.detach();
+
                 // Report successful TUS upload to SPARXSTAR
                 if (sparxstarIntegration.isAvailable) {
                     sparxstarIntegration.reportError("upload_tus_success", {
@@ -599,33 +1139,64 @@ export async function uploadWithTus(blob, fileName, formFields, metadata, instan
                         duration: Date.now() - startTime,
                         tier: envData?.tier,
                         network: envData?.network?.type,
-                        chunkSize: cfg.chunkSize,
+                        ...tuner.summary(),
                     });
                 }
+                learnedChunkSizes[tier] = tuner.size;
 
                 // Note: The `post-finish` hook in PHP is async.
-                // We won't get the Attachment ID back here immediately from tusd.
-                // We resolve indicating the transfer is complete.
-                resolve({
-                    success: true,
-                    tus_url: upload.url,
-                    message: "Upload transfer complete. Processing in background.",
-                });
+                // Poll for the post it creates so callers get the direct-upload shape.
+                awaitTusResult(upload.url).then(
+                    (result) => resolve({ ...result, tus_url: upload.url }),
+                    reject,
+                );
             },
         });
 
+        // tus-js-client's key for this file in its own URL storage
+        const fingerprint = Promise.resolve(
+            typeof upload.options.fingerprint === "function"
+                ? upload.options.fingerprint(blob, upload.options)
+                : null,
+        ).catch(() => null);
+
+        /**
+         * Reports the state needed to resume this upload later.
+         * @param {number} offset - Bytes the server has accepted
+         */
+        const reportState = (offset) => {
+            if (typeof resume.onState !== "function" || !upload.url) {
+                return;
+            }
+            const uploadUrl = upload.url;
+            fingerprint.then((fp) => resume.onState({ uploadUrl, fingerprint: fp, offset }));
+        };
+
         /**
          * Start upload with resume capability.
-         * Checks for previous incomplete uploads and resumes if found.
+         * A caller-supplied upload URL wins; otherwise previous uploads found in
+         * tus-js-client's URL storage are resumed.
          */
         // 3. Start Upload
         // Check for previous uploads to resume
-        upload.findPreviousUploads().then(function (previousUploads) {
+        const previous = resume.uploadUrl ? Promise.resolve([]) : upload.findPreviousUploads();
+        previous.then(function (previousUploads) {
             // If previous uploads found, pick the first one to resume
             if (previousUploads.length) {
                 upload.resumeFromPreviousUpload(previousUploads[0]);
             }
             upload.start();
+
+            // abort() keeps the upload on the server so start() resumes from its offset;
+            // abort(true) terminates it there as well
+            controller?.attach({
+                pause: () => upload.abort(),
+                resume: () => upload.start(),
+                cancel: () => {
+                    upload.abort(true).catch(() => {});
+                    reject(cancelledError());
+                },
+            });
         });
     });
 }
@@ -677,6 +1248,9 @@ export function formatUploadEstimate(s) {
  * @constant
  * @type {Object}
  * @property {function} uploadWithTus - TUS resumable upload
+ * @property {function} awaitTusResult - Post-finish result polling
+ * @property {function} createUploadController - Pause/resume/cancel handle for uploads
+ * @property {function} uploadChunkedDirect - Resumable chunked fallback
  * @property {function} uploadDirect - Direct upload fallback
  * @property {function} uploadWithPriority - Priority upload wrapper
  * @property {function} isTusAvailable - TUS availability check
@@ -685,6 +1259,9 @@ export function formatUploadEstimate(s) {
  */
 const StarmusTus = {
     uploadWithTus,
+    awaitTusResult,
+    createUploadController,
+    uploadChunkedDirect,
     uploadDirect,
     uploadWithPriority,
     isTusAvailable,
@@ -37,6 +37,204 @@ function formatTime(seconds) {
     return (m < 10 ? "0" + m : m) + "m " + (s < 10 ? "0" + s : s) + "s";
 }
 
+/**
+ * Maps a recorder limit warning to a display level.
+ *
+ * @function
+ * @param {Object|null} warning - recorder.limitWarning from state
+ * @returns {string} "" (none), "warning", "critical" or "reached"
+ */
+function limitWarningLevel(warning) {
+    if (!warning) {
+        return "";
+    }
+    if (warning.threshold >= 1) {
+        return "reached";
+    }
+    return warning.threshold >= 0.95 ? "critical" : "warning";
+}
+
+/**
+ * Builds the user-facing text for a recorder limit warning.
+ *
+ * @function
+ * @param {Object|null} warning - recorder.limitWarning from state
+ * @param {string} warning.kind - "duration" or "size"
+ * @param {number} warning.remaining - Seconds (duration) or bytes (size) left
+ * @returns {string} Message, or empty string when there is no warning
+ *
+ * @example
+ * formatLimitWarning({ kind: "duration", threshold: 0.8, remaining: 240 })
+ * // Returns "04m 00s of recording time left."
+ */
+function formatLimitWarning(warning) {
+    if (!warning) {
+        return "";
+    }
+    if (warning.threshold >= 1) {
+        return warning.kind === "size"
+            ? "Maximum file size reached. Recording stopped."
+            : "Maximum recording length reached. Recording stopped.";
+    }
+    if (warning.kind === "size") {
+        const mb = (warning.remaining || 0) / (1024 * 1024);
+        return "Recording is almost too large to upload (" + mb.toFixed(1) + " MB left).";
+    }
+    return formatTime(warning.remaining || 0) + " of recording time left.";
+}
+
+/**
+ * Formats a byte count as KB/MB for take summaries.
+ *
+ * @function
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size (e.g., "1.4 MB")
+ */
+function formatSize(bytes) {
+    const kb = (bytes || 0) / 1024;
+    return kb < 1024 ? Math.round(kb) + " KB" : (kb / 1024).toFixed(1) + " MB";
+}
+
+/**
+ * Creates a small take control button.
+ *
+ * @function
+ * @param {string} action - Value for data-starmus-take-action
+ * @param {string} text - Button text
+ * @returns {HTMLButtonElement} Button element
+ */
+function createTakeButton(action, text) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "starmus-btn starmus-btn--outline starmus-take-btn";
+    btn.setAttribute("data-starmus-take-action", action);
+    btn.textContent = text;
+    return btn;
+}
+
+/**
+ * Rebuilds the take list and comparison table.
+ * Skips DOM work when the takes, selection and comparison are unchanged, since
+ * render() also runs on every recorder tick.
+ *
+ * @function
+ * @param {Object} state - Current application state
+ * @param {Object} elements - DOM element references
+ * @param {HTMLElement} [elements.takesList] - List container for takes
+ * @param {HTMLElement} [elements.takesCompare] - Comparison table container
+ * @returns {void}
+ */
+function renderTakes(state, elements) {
+    const takes = state.takes || [];
+    const compareIds = state.compareTakeIds || [];
+    const key = takes
+        .map((t) => t.id + ":" + t.label + ":" + t.blob.size)
+        .concat(state.selectedTakeId, compareIds)
+        .join("|");
+    if (!elements.takesList || elements.takesList.dataset.renderKey === key) {
+        return;
+    }
+    elements.takesList.dataset.renderKey = key;
+    elements.takesList.textContent = "";
+    takes.forEach((take) => {
+        const item = document.createElement("li");
+        const selected = take.id === state.selectedTakeId;
+        item.className = "starmus-take" + (selected ? " is-selected" : "");
+        item.setAttribute("data-take-id", take.id);
+
+        const label = document.createElement("span");
+        label.className = "starmus-take-label";
+        label.textContent = take.label;
+        const info = document.createElement("span");
+        info.className = "starmus-take-meta";
+        info.textContent =
+            formatTime(take.metadata?.duration || 0) + " · " + formatSize(take.blob.size);
+
+        const select = createTakeButton("select", selected ? "Selected" : "Use This Take");
+        select.setAttribute("aria-pressed", selected ? "true" : "false");
+        const compare = createTakeButton("compare", "Compare");
+        compare.setAttribute("aria-pressed", compareIds.indexOf(take.id) !== -1 ? "true" : "false");
+
+        item.append(
+            label,
+            info,
+            createTakeButton("play", "Play"),
+            select,
+            compare,
+            createTakeButton("rename", "Rename"),
+            createTakeButton("delete", "Delete"),
+        );
+        elements.takesList.appendChild(item);
+    });
+
+    if (!elements.takesCompare) {
+        return;
+    }
+    const compared = compareIds.map((id) => takes.find((t) => t.id === id)).filter(Boolean);
+    elements.takesCompare.textContent = "";
+    elements.takesCompare.style.display = compared.length === 2 ? "block" : "none";
+    if (compared.length !== 2) {
+        return;
+    }
+    const rows = [
+        ["", (t) => t.label],
+        ["Length", (t) => formatTime(t.metadata?.duration || 0)],
+        ["Size", (t) => formatSize(t.blob.size)],
+        [
+            "Speech",
+            (t) => {
+                const ratio = t.metadata?.voiceActivity?.speechRatio;
+                return Number.isFinite(ratio) ? Math.round(ratio * 100) + "%" : "–";
+            },
+        ],
+        ["Edits", (t) => String((t.metadata?.edits || []).length)],
+    ];
+    const table = document.createElement("table");
+    rows.forEach(([heading, cell], i) => {
+        const tr = document.createElement("tr");
+        const th = document.createElement("th");
+        th.textContent = heading;
+        tr.appendChild(th);
+        compared.forEach((take) => {
+            const td = document.createElement(i === 0 ? "th" : "td");
+            td.textContent = cell(take);
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+    elements.takesCompare.appendChild(table);
+}
+
+/**
+ * Fills the microphone pickers with the available inputs.
+ * Options are only rebuilt when the input list changes.
+ *
+ * @function
+ * @param {Object} devices - state.devices
+ * @param {Array<HTMLSelectElement>} selects - Picker elements
+ * @returns {void}
+ */
+function renderDeviceSelects(devices, selects) {
+    const inputs = devices.inputs || [];
+    const key = inputs.map((d) => d.deviceId + ":" + d.label).join("|");
+    const value = devices.activeId || devices.selectedId || "";
+    selects.forEach((select) => {
+        if (select.dataset.renderKey !== key) {
+            select.dataset.renderKey = key;
+            select.textContent = "";
+            inputs.forEach((input) => {
+                const option = document.createElement("option");
+                option.value = input.deviceId;
+                option.textContent = input.label;
+                select.appendChild(option);
+            });
+        }
+        if (value && select.value !== value && document.activeElement !== select) {
+            select.value = value;
+        }
+    });
+}
+
 /**
  * Safely binds event handlers to DOM elements with duplicate prevention.
  * Prevents default behavior, stops propagation, and respects disabled state.
@@ -93,6 +291,7 @@ function safeBind(element, eventName, handler) {
  * @param {string} state.calibration.message - Current calibration message
  * @param {Object} state.submission - Upload progress state
  * @param {number} state.submission.progress - Upload progress (0.0 to 1.0)
+ * @param {boolean} [state.submission.resumable] - False hides Pause for single-request uploads
  * @param {Object} elements - DOM element references object
  * @param {HTMLElement} elements.step1 - Step 1 container element
  * @param {HTMLElement} elements.step2 - Step 2 container element
@@ -101,6 +300,17 @@ function safeBind(element, eventName, handler) {
  * @param {HTMLElement} elements.volumeMeter - Volume level meter element
  * @param {HTMLElement} elements.timerElapsed - Timer display element
  * @param {HTMLElement} elements.durationProgress - Recording progress indicator
+ * @param {HTMLElement} [elements.timerMax] - Maximum duration display element
+ * @param {HTMLElement} [elements.limitWarning] - Duration/size limit warning element
+ * @param {HTMLElement} [elements.silenceNotice] - Auto-pause on silence notice
+ * @param {HTMLElement} [elements.trimBtn] - Trim silence button
+ * @param {HTMLElement} [elements.appendBtn] - Continue recording (append) button
+ * @param {HTMLElement} [elements.devicePicker] - Microphone picker wrapper in the setup container
+ * @param {Array<HTMLSelectElement>} [elements.deviceSelects] - Microphone picker selects
+ * @param {HTMLElement} [elements.deviceNotice] - Microphone disconnected notice
+ * @param {HTMLElement} [elements.newTakeBtn] - Record another take button
+ * @param {HTMLElement} [elements.takesPanel] - Take management panel
+ * @param {HTMLElement} [elements.submitAllBtn] - Submit all takes button
  * @param {HTMLElement} elements.setupMicBtn - Setup microphone button
  * @param {HTMLElement} elements.recordBtn - Start recording button
  * @param {HTMLElement} elements.pauseBtn - Pause recording button
@@ -109,6 +319,9 @@ function safeBind(element, eventName, handler) {
  * @param {HTMLElement} elements.playBtn - Audio playback button
  * @param {HTMLElement} elements.resetBtn - Reset/discard button
  * @param {HTMLElement} elements.submitBtn - Submit recording button
+ * @param {HTMLElement} [elements.uploadControls] - Upload pause/resume/cancel wrapper
+ * @param {HTMLElement} [elements.uploadPauseBtn] - Pause upload button
+ * @param {HTMLElement} [elements.uploadResumeBtn] - Resume upload button
  * @param {HTMLElement} elements.reviewControls - Review controls container
  * @returns {void}
  *
@@ -119,6 +332,7 @@ function safeBind(element, eventName, handler) {
  * 4. Calibration UI - Manages setup button state and messages
  * 5. Recording controls - Shows/hides appropriate action buttons
  * 6. Submit button - Updates upload progress and success states
+ * 7. Upload controls - Pause/resume/cancel while uploading
  */
 function render(state, elements) {
     if (!elements) {
@@ -163,10 +377,38 @@ function render(state, elements) {
     if (elements.timerElapsed) {
         elements.timerElapsed.textContent = formatTime(recorder.duration || 0);
     }
+    // Budget resolved by the recorder for this take (defaults to 20 minutes)
+    const maxDuration = recorder.limits?.maxDuration || 1200;
+    if (elements.timerMax) {
+        elements.timerMax.textContent = formatTime(maxDuration);
+    }
     if (elements.durationProgress) {
-        const maxDuration = 1200; // 20 minutes max recording
         const pct = Math.min(100, ((recorder.duration || 0) / maxDuration) * 100);
         elements.durationProgress.style.setProperty("--starmus-recording-progress", pct + "%");
+        elements.durationProgress.setAttribute("aria-valuemax", String(Math.round(maxDuration)));
+        elements.durationProgress.setAttribute(
+            "aria-valuenow",
+            String(Math.round(recorder.duration || 0)),
+        );
+    }
+
+    // Limit warnings (80% / 95% / reached)
+    const warning = recorder.limitWarning;
+    const warningLevel = limitWarningLevel(warning);
+    if (elements.durationProgress) {
+        elements.durationProgress.classList.toggle(
+            "starmus-duration-progress--warning",
+            warningLevel === "warning",
+        );
+        elements.durationProgress.classList.toggle(
+            "starmus-duration-progress--critical",
+            warningLevel === "critical" || warningLevel === "reached",
+        );
+    }
+    if (elements.limitWarning) {
+        elements.limitWarning.textContent = formatLimitWarning(warning);
+        elements.limitWarning.style.display = warningLevel ? "block" : "none";
+        elements.limitWarning.dataset.level = warningLevel;
     }
 
     // --- 2. VISIBILITY ---
@@ -177,6 +419,7 @@ function render(state, elements) {
             "processing",
             "ready_to_submit",
             "submitting",
+            "upload_paused",
             "calibrating",
             "ready",
             "complete",
@@ -233,13 +476,67 @@ function render(state, elements) {
     if (elements.pauseBtn) {
         elements.pauseBtn.style.display = isRec ? "inline-flex" : "none";
     }
+    // Resuming on a vanished microphone would record silence; a new input comes first
+    const devices = state.devices || {};
     if (elements.resumeBtn) {
-        elements.resumeBtn.style.display = isPaused ? "inline-flex" : "none";
+        elements.resumeBtn.style.display = isPaused && !devices.lost ? "inline-flex" : "none";
     }
     if (elements.stopBtn) {
         elements.stopBtn.style.display = isRec || isPaused ? "inline-flex" : "none";
     }
 
+    if (elements.deviceSelects && elements.deviceSelects.length) {
+        renderDeviceSelects(devices, elements.deviceSelects);
+    }
+    if (elements.devicePicker) {
+        // A single input leaves nothing to choose
+        elements.devicePicker.style.display = (devices.inputs || []).length > 1 ? "block" : "none";
+    }
+    if (elements.deviceNotice) {
+        elements.deviceNotice.style.display = isPaused && devices.lost ? "block" : "none";
+    }
+
+    if (elements.silenceNotice) {
+        elements.silenceNotice.style.display = isPaused && recorder.autoPaused ? "block" : "none";
+    }
+
+    // Offered when voice activity found removable leading/trailing silence. Only the
+    // newest take still has its raw chunks, so older takes can't be trimmed this way.
+    const takes = state.takes || [];
+    const isNewestTake = !takes.length || takes[takes.length - 1].id === state.selectedTakeId;
+    if (elements.trimBtn) {
+        const trim = state.source?.metadata?.trimSuggestion;
+        elements.trimBtn.style.display = isDone && trim && isNewestTake ? "inline-flex" : "none";
+        if (trim) {
+            elements.trimBtn.title = "Removes " + Math.round(trim.saved) + "s of silence";
+        }
+    }
+
+    // Appending needs the recorded blob; uploaded files can't be continued
+    if (elements.appendBtn) {
+        elements.appendBtn.style.display =
+            isDone && state.source?.kind === "blob" ? "inline-flex" : "none";
+    }
+
+    if (elements.newTakeBtn) {
+        elements.newTakeBtn.style.display =
+            isDone && state.source?.kind === "blob" ? "inline-flex" : "none";
+    }
+
+    // Take management once there is more than one take to choose from
+    const showTakes = isDone && takes.length > 1;
+    if (elements.takesPanel) {
+        elements.takesPanel.style.display = showTakes ? "block" : "none";
+        if (showTakes) {
+            renderTakes(state, elements);
+        }
+    }
+    if (elements.submitAllBtn) {
+        elements.submitAllBtn.style.display = showTakes ? "inline-flex" : "none";
+        elements.submitAllBtn.textContent = "Submit All " + takes.length + " Takes";
+        elements.submitAllBtn.disabled = status !== "ready_to_submit";
+    }
+
     if (elements.reviewControls) {
         elements.reviewControls.style.display = isDone ? "flex" : "none";
     } else {
@@ -258,6 +555,17 @@ function render(state, elements) {
                 "Uploading... " + Math.round((submission.progress || 0) * 100) + "%";
             elements.submitBtn.disabled = true;
             elements.submitBtn.classList.add("is-busy"); // Keep spinner here
+        } else if (status === "upload_paused") {
+            elements.submitBtn.textContent =
+                "Upload paused at " + Math.round((submission.progress || 0) * 100) + "%";
+            elements.submitBtn.disabled = true;
+            elements.submitBtn.classList.remove("is-busy");
+        } else if (status === "complete" && submission.isQueued && submission.submitted) {
+            // Part of a batch went through; the queue uploads the rest
+            elements.submitBtn.textContent =
+                `${submission.submitted} of ${submission.total} takes submitted, the rest will upload when you are back online`;
+            elements.submitBtn.disabled = true;
+            elements.submitBtn.classList.remove("is-busy");
         } else if (status === "complete") {
             elements.submitBtn.innerHTML =
                 '<span class="dashicons dashicons-yes"></span> Success! Redirecting...';
@@ -270,6 +578,21 @@ function render(state, elements) {
             elements.submitBtn.classList.remove("is-busy");
         }
     }
+
+    // Upload controls while bytes are in flight (metered connections, mistaken submits)
+    const isUploadPaused = status === "upload_paused";
+    if (elements.uploadControls) {
+        elements.uploadControls.style.display =
+            status === "submitting" || isUploadPaused ? "flex" : "none";
+    }
+    if (elements.uploadPauseBtn) {
+        // Single-request uploads would have to start over, so they can only be cancelled
+        elements.uploadPauseBtn.style.display =
+            isUploadPaused || submission.resumable === false ? "none" : "inline-flex";
+    }
+    if (elements.uploadResumeBtn) {
+        elements.uploadResumeBtn.style.display = isUploadPaused ? "inline-flex" : "none";
+    }
 }
 
 // ... (initInstance and Exports remain exactly the same as 6.1.0) ...
@@ -326,6 +649,14 @@ function initInstance(store, incomingElements, forcedInstanceId) {
         setupContainer: root.querySelector("[data-starmus-setup-container]"),
         timer: root.querySelector("[data-starmus-timer]"),
         timerElapsed: root.querySelector(".starmus-timer-elapsed"),
+        timerMax: root.querySelector(".starmus-timer-max"),
+        limitWarning: root.querySelector("[data-starmus-limit-warning]"),
+        silenceNotice: root.querySelector("[data-starmus-silence-notice]"),
+        devicePicker: root.querySelector("[data-starmus-device-picker]"),
+        deviceSelects: Array.prototype.slice.call(
+            root.querySelectorAll("[data-starmus-device-select]"),
+        ),
+        deviceNotice: root.querySelector("[data-starmus-device-notice]"),
         volumeMeter: root.querySelector("[data-starmus-volume-meter]"),
         durationProgress: root.querySelector("[data-starmus-duration-progress]"),
         recorderContainer: root.querySelector("[data-starmus-recorder-container]"),
@@ -340,7 +671,18 @@ function initInstance(store, incomingElements, forcedInstanceId) {
         stopBtn: root.querySelector('[data-starmus-action="stop"]'),
         playBtn: root.querySelector('[data-starmus-action="play"]'),
         resetBtn: root.querySelector('[data-starmus-action="reset"]'),
+        trimBtn: root.querySelector('[data-starmus-action="trim-silence"]'),
+        appendBtn: root.querySelector('[data-starmus-action="continue-recording"]'),
+        newTakeBtn: root.querySelector('[data-starmus-action="new-take"]'),
+        takesPanel: root.querySelector("[data-starmus-takes]"),
+        takesList: root.querySelector("[data-starmus-takes-list]"),
+        takesCompare: root.querySelector("[data-starmus-takes-compare]"),
+        submitAllBtn: root.querySelector('[data-starmus-action="submit-all-takes"]'),
         submitBtn: root.querySelector('[data-starmus-action="submit"]'),
+        uploadControls: root.querySelector("[data-starmus-upload-controls]"),
+        uploadPauseBtn: root.querySelector('[data-starmus-action="upload-pause"]'),
+        uploadResumeBtn: root.querySelector('[data-starmus-action="upload-resume"]'),
+        uploadCancelBtn: root.querySelector('[data-starmus-action="upload-cancel"]'),
     };
 
     /**
@@ -403,6 +745,11 @@ function initInstance(store, incomingElements, forcedInstanceId) {
     safeBind(el.recordBtn, "click", function () {
         BUS.dispatch("start-recording", {}, { instanceId: instId });
     });
+    el.deviceSelects.forEach(function (select) {
+        safeBind(select, "change", function () {
+            BUS.dispatch("select-mic", { deviceId: select.value }, { instanceId: instId });
+        });
+    });
     safeBind(el.pauseBtn, "click", function () {
         BUS.dispatch("pause-mic", {}, { instanceId: instId });
     });
@@ -450,6 +797,145 @@ function initInstance(store, incomingElements, forcedInstanceId) {
         }
     });
 
+    /**
+     * Trim handler - removes leading/trailing silence from the recording.
+     * Stops playback first since the blob is replaced.
+     */
+    safeBind(el.trimBtn, "click", function () {
+        if (currentAudio) {
+            currentAudio.pause();
+            currentAudio = null;
+        }
+        BUS.dispatch("trim-silence", {}, { instanceId: instId });
+    });
+
+    /**
+     * Continue handler - records another take onto the end of the current one.
+     */
+    safeBind(el.appendBtn, "click", function () {
+        if (currentAudio) {
+            currentAudio.pause();
+            currentAudio = null;
+        }
+        BUS.dispatch("start-recording", { append: true }, { instanceId: instId });
+    });
+
+    /**
+     * Take audition button currently showing "Stop", if any.
+     * @type {HTMLElement|null}
+     */
+    let auditionButton = null;
+
+    /**
+     * Stops take audition (and any other playback).
+     */
+    function stopAudition() {
+        if (currentAudio) {
+            currentAudio.pause();
+            currentAudio = null;
+        }
+        if (auditionButton) {
+            auditionButton.textContent = "Play";
+            auditionButton = null;
+        }
+    }
+
+    /**
+     * Plays a take, or stops it when its button is pressed again.
+     *
+     * @param {Object} take - Take from state.takes
+     * @param {HTMLElement} button - The take's play button
+     */
+    function auditionTake(take, button) {
+        const wasPlaying = auditionButton === button;
+        stopAudition();
+        if (wasPlaying) {
+            return;
+        }
+        const url = URL.createObjectURL(take.blob);
+        const audio = new Audio(url);
+        audio.onended = function () {
+            URL.revokeObjectURL(url);
+            if (currentAudio === audio) {
+                stopAudition();
+            }
+        };
+        currentAudio = audio;
+        auditionButton = button;
+        button.textContent = "Stop";
+        audio.play().catch(function () {
+            alert("Playback error.");
+            stopAudition();
+        });
+    }
+
+    /**
+     * New take handler - keeps the current take and records another one.
+     */
+    safeBind(el.newTakeBtn, "click", function () {
+        stopAudition();
+        BUS.dispatch("start-recording", {}, { instanceId: instId });
+    });
+
+    /**
+     * Take list handler - audition, select, compare, rename and delete takes.
+     * Delegated because the list is rebuilt whenever the takes change.
+     */
+    if (el.takesList) {
+        el.takesList.addEventListener("click", function (e) {
+            const button = e.target.closest("[data-starmus-take-action]");
+            const item = button && button.closest("[data-take-id]");
+            if (!item || button.disabled) {
+                return;
+            }
+            e.preventDefault();
+            const id = item.getAttribute("data-take-id");
+            const state = store.getState();
+            const take = (state.takes || []).find((t) => t.id === id);
+            if (!take) {
+                return;
+            }
+            switch (button.getAttribute("data-starmus-take-action")) {
+            case "play":
+                auditionTake(take, button);
+                break;
+            case "select":
+                stopAudition();
+                store.dispatch({ type: "starmus/take-select", payload: { id } });
+                break;
+            case "compare": {
+                const ids = (state.compareTakeIds || []).slice();
+                const index = ids.indexOf(id);
+                if (index === -1) {
+                    ids.push(id);
+                } else {
+                    ids.splice(index, 1);
+                }
+                store.dispatch({
+                    type: "starmus/take-compare",
+                    payload: { ids: ids.slice(-2) },
+                });
+                break;
+            }
+            case "rename": {
+                const label = prompt("Name this take:", take.label);
+                if (label !== null) {
+                    store.dispatch({ type: "starmus/take-rename", payload: { id, label } });
+                }
+                break;
+            }
+            case "delete":
+                if (confirm('Delete "' + take.label + '"?')) {
+                    stopAudition();
+                    store.dispatch({ type: "starmus/take-delete", payload: { id } });
+                }
+                break;
+            default:
+                break;
+            }
+        });
+    }
+
     /**
      * Reset handler - confirms and discards current recording.
      * Stops any playing audio and dispatches reset command.
@@ -465,15 +951,13 @@ function initInstance(store, incomingElements, forcedInstanceId) {
     });
 
     /**
-     * Submit handler - collects form data and dispatches submission.
-     * Serializes form fields and stops any audio playback.
+     * Serializes the fields of the form containing an element.
+     *
+     * @param {HTMLElement} target - Element inside the form
+     * @returns {Object} Field name/value pairs
      */
-    safeBind(el.submitBtn, "click", function (e) {
-        if (currentAudio) {
-            currentAudio.pause();
-            currentAudio = null;
-        }
-        const form = e.target.closest("form");
+    function collectFormFields(target) {
+        const form = target.closest("form");
         const data = {};
         if (form) {
             const formData = new FormData(form);
@@ -481,7 +965,43 @@ function initInstance(store, incomingElements, forcedInstanceId) {
                 data[pair[0]] = pair[1];
             }
         }
-        BUS.dispatch("submit", { formFields: data }, { instanceId: instId });
+        return data;
+    }
+
+    /**
+     * Submit handler - collects form data and dispatches submission.
+     * Serializes form fields and stops any audio playback.
+     */
+    safeBind(el.submitBtn, "click", function (e) {
+        stopAudition();
+        BUS.dispatch("submit", { formFields: collectFormFields(e.target) }, { instanceId: instId });
+    });
+
+    /**
+     * Submit-all handler - uploads every take as one batch.
+     */
+    safeBind(el.submitAllBtn, "click", function (e) {
+        stopAudition();
+        BUS.dispatch(
+            "submit",
+            { formFields: collectFormFields(e.target), allTakes: true },
+            { instanceId: instId },
+        );
+    });
+
+    /**
+     * Upload control handlers - pause, resume or cancel the submission in flight.
+     */
+    safeBind(el.uploadPauseBtn, "click", function () {
+        BUS.dispatch("upload-pause", {}, { instanceId: instId });
+    });
+    safeBind(el.uploadResumeBtn, "click", function () {
+        BUS.dispatch("upload-resume", {}, { instanceId: instId });
+    });
+    safeBind(el.uploadCancelBtn, "click", function () {
+        if (confirm("Cancel this upload? Your recording stays here so you can submit it later.")) {
+            BUS.dispatch("upload-cancel", {}, { instanceId: instId });
+        }
     });
 
     /**
@@ -505,6 +1025,23 @@ function initInstance(store, incomingElements, forcedInstanceId) {
         BUS.subscribe("starmus/offline/queue_updated", function (payload) {
             console.log("[UI] Offline Queue:", payload);
         });
+
+        /**
+         * Offers to restore a recording interrupted by a crash or reload.
+         */
+        BUS.subscribe("starmus/recording-recovery-available", function (payload, meta) {
+            if (meta?.instanceId !== instId || !payload?.sessionId) {
+                return;
+            }
+            const when = payload.startedAt ? new Date(payload.startedAt).toLocaleString() : "";
+            const message =
+                "An unfinished recording (" +
+                formatTime(payload.duration || 0) +
+                (when ? ", started " + when : "") +
+                ") was found. Recover it?";
+            const command = confirm(message) ? "recover-recording" : "discard-recovered-recording";
+            BUS.dispatch(command, { sessionId: payload.sessionId }, { instanceId: instId });
+        });
     }
 
     /**
@@ -519,9 +1056,9 @@ function initInstance(store, incomingElements, forcedInstanceId) {
 
 /**
  * ES6 module exports for build system.
- * Exports render and initInstance functions.
+ * Exports render and initInstance, plus the time/size formatters shared with the queue panel.
  */
-export { render, initInstance };
+export { render, initInstance, formatTime, formatSize };
 
 /**
  * Global export for browser environments.
@@ -0,0 +1,353 @@
+/**
+ * @file starmus-voice-activity.js
+ * @version 1.0.0
+ * @description Voice activity detection for the recorder. Classifies the per-frame level
+ * already computed by the recorder's visual loop into speech/silence segments, can request
+ * an automatic pause after a run of silence, and plans leading/trailing silence trims
+ * that are applied to the recorded chunks without re-encoding.
+ */
+
+"use strict";
+
+/**
+ * Default detector tuning. Levels use the recorder's 0-100 amplitude scale.
+ * @type {Object}
+ * @property {number} fallbackThreshold - Speech threshold when no calibration is available
+ * @property {number} hysteresis - Level drop below threshold before speech is considered over
+ * @property {number} hangover - Seconds of sub-threshold level before speech ends
+ * @property {number} minSpeech - Speech runs shorter than this (seconds) count as silence
+ * @property {number} trimPadding - Silence kept around speech when trimming (seconds)
+ * @property {number} minTrim - Smallest leading/trailing silence worth trimming (seconds)
+ */
+const VAD_DEFAULTS = {
+    fallbackThreshold: 20,
+    hysteresis: 4,
+    hangover: 0.35,
+    minSpeech: 0.15,
+    trimPadding: 0.3,
+    minTrim: 1,
+};
+
+/**
+ * Derives the speech threshold from calibration results.
+ * Sits 30% of the way from the noise floor to the average speech level.
+ *
+ * @function
+ * @param {Object} [calibration={}] - Calibration result from the store
+ * @param {number} [calibration.noiseFloor] - Background level (0-100)
+ * @param {number} [calibration.speechLevel] - Average speech level (0-100)
+ * @returns {number} Threshold on the 0-100 amplitude scale
+ */
+function thresholdFromCalibration(calibration = {}) {
+    const noise = Number(calibration.noiseFloor);
+    const speech = Number(calibration.speechLevel);
+    if (!Number.isFinite(noise) || !Number.isFinite(speech) || speech <= noise) {
+        return VAD_DEFAULTS.fallbackThreshold;
+    }
+    return Math.max(noise + 5, noise + (speech - noise) * 0.3);
+}
+
+/**
+ * Creates a voice activity detector fed with one level sample per animation frame.
+ *
+ * @function
+ * @exports createVoiceActivityDetector
+ * @param {Object} [options={}] - Detector options
+ * @param {Object} [options.calibration] - Calibration result used to derive the threshold
+ * @param {number} [options.threshold] - Explicit threshold overriding calibration
+ * @param {number} [options.autoPauseAfter=0] - Seconds of silence before `onAutoPause`
+ *   fires; 0 disables auto-pause
+ * @param {function(Object): void} [options.onAutoPause] - Receives `{ time, silence }`
+ * @returns {{update: function(number, number): void, resume: function(number): void,
+ *   finish: function(number): Object}} Detector
+ *
+ * @example
+ * const vad = createVoiceActivityDetector({ calibration, autoPauseAfter: 8, onAutoPause });
+ * vad.update(amplitude, elapsedSeconds); // every frame
+ * const summary = vad.finish(totalSeconds);
+ */
+export function createVoiceActivityDetector(options = {}) {
+    const threshold = Number.isFinite(options.threshold)
+        ? options.threshold
+        : thresholdFromCalibration(options.calibration);
+    const autoPauseAfter = options.autoPauseAfter > 0 ? options.autoPauseAfter : 0;
+
+    // Raw speech runs; silence is everything in between
+    const speechRuns = [];
+    let speechStart = null;
+    let belowSince = null;
+    let silenceSince = 0;
+    let autoPaused = false;
+
+    function closeSpeech(end) {
+        if (speechStart !== null && end - speechStart >= VAD_DEFAULTS.minSpeech) {
+            speechRuns.push({ start: speechStart, end });
+        }
+        speechStart = null;
+        belowSince = null;
+        silenceSince = end;
+    }
+
+    return {
+        update(level, time) {
+            if (speechStart === null) {
+                if (level >= threshold) {
+                    speechStart = time;
+                    belowSince = null;
+                    autoPaused = false;
+                    return;
+                }
+                if (
+                    autoPauseAfter &&
+                    !autoPaused &&
+                    time - silenceSince >= autoPauseAfter &&
+                    options.onAutoPause
+                ) {
+                    autoPaused = true;
+                    options.onAutoPause({ time, silence: time - silenceSince });
+                }
+                return;
+            }
+            if (level >= threshold - VAD_DEFAULTS.hysteresis) {
+                belowSince = null;
+            } else if (belowSince === null) {
+                belowSince = time;
+            } else if (time - belowSince >= VAD_DEFAULTS.hangover) {
+                closeSpeech(belowSince);
+            }
+        },
+
+        // After a pause the silence clock restarts so auto-pause doesn't fire immediately
+        resume(time) {
+            if (speechStart === null) {
+                silenceSince = time;
+            }
+            autoPaused = false;
+        },
+
+        finish(totalDuration) {
+            if (speechStart !== null) {
+                closeSpeech(belowSince !== null ? belowSince : totalDuration);
+            }
+            return summarizeSegments(speechRuns, totalDuration, threshold);
+        },
+    };
+}
+
+/**
+ * Builds the voice activity summary stored in `source.metadata.voiceActivity`.
+ *
+ * @function
+ * @param {Array<{start: number, end: number}>} speechRuns - Detected speech runs
+ * @param {number} totalDuration - Recording length in seconds
+ * @param {number} threshold - Threshold used for detection
+ * @returns {Object} `{ threshold, segments, speechStart, speechEnd, speechRatio }`
+ */
+function summarizeSegments(speechRuns, totalDuration, threshold) {
+    const round = (v) => Math.round(v * 100) / 100;
+    const segments = [];
+    let cursor = 0;
+    let speechTotal = 0;
+    speechRuns.forEach((run) => {
+        const end = Math.min(run.end, totalDuration);
+        if (run.start > cursor) {
+            segments.push({ type: "silence", start: round(cursor), end: round(run.start) });
+        }
+        segments.push({ type: "speech", start: round(run.start), end: round(end) });
+        speechTotal += end - run.start;
+        cursor = end;
+    });
+    if (totalDuration > cursor) {
+        segments.push({ type: "silence", start: round(cursor), end: round(totalDuration) });
+    }
+    return {
+        threshold: round(threshold),
+        segments,
+        speechStart: speechRuns.length ? round(speechRuns[0].start) : null,
+        speechEnd: speechRuns.length ? round(Math.min(cursor, totalDuration)) : null,
+        speechRatio: totalDuration > 0 ? round(speechTotal / totalDuration) : 0,
+    };
+}
+
+/**
+ * Plans a leading/trailing silence trim from a voice activity summary.
+ *
+ * @function
+ * @exports planSilenceTrim
+ * @param {Object} summary - Result of detector.finish()
+ * @param {number} totalDuration - Recording length in seconds
+ * @returns {{start: number, end: number, saved: number}|null} Range to keep, or null when
+ *   there is no speech or too little silence to be worth trimming
+ */
+export function planSilenceTrim(summary, totalDuration) {
+    if (!summary || summary.speechStart === null || summary.speechEnd === null) {
+        return null;
+    }
+    const start = Math.max(0, summary.speechStart - VAD_DEFAULTS.trimPadding);
+    const end = Math.min(totalDuration, summary.speechEnd + VAD_DEFAULTS.trimPadding);
+    const leading = start >= VAD_DEFAULTS.minTrim ? start : 0;
+    const trailing = totalDuration - end >= VAD_DEFAULTS.minTrim ? end : totalDuration;
+    if (leading === 0 && trailing === totalDuration) {
+        return null;
+    }
+    return { start: leading, end: trailing, saved: leading + (totalDuration - trailing) };
+}
+
+/**
+ * Applies a trim to recorded chunks without decoding.
+ * PCM chunks are cut at exact sample offsets. Compressed chunks can only be dropped from
+ * the end (the first chunk carries the container header), so the leading trim is skipped
+ * for them and reported back as `start: 0`.
+ *
+ * @function
+ * @exports trimRecordedChunks
+ * @param {Object} take - Recorded take
+ * @param {Array<Blob>} take.chunks - Chunks in recording order
+ * @param {Array<number>} take.chunkEnds - Elapsed seconds at which each chunk was emitted
+ * @param {boolean} take.pcm - True for raw 16-bit mono PCM chunks
+ * @param {number} [take.sampleRate] - PCM sample rate in Hz
+ * @param {{start: number, end: number}} trim - Range to keep, from planSilenceTrim()
+ * @returns {{chunks: Array<Blob>, start: number, end: number, changed: boolean}} Kept
+ *   chunks, the range actually applied, and whether any audio was dropped
+ */
+export function trimRecordedChunks(take, trim) {
+    if (take.pcm) {
+        const bytesPerSecond = take.sampleRate * 2;
+        const startByte = Math.floor(trim.start * take.sampleRate) * 2;
+        const endByte = Math.floor(trim.end * take.sampleRate) * 2;
+        const kept = [];
+        let offset = 0;
+        take.chunks.forEach((chunk) => {
+            const chunkStart = offset;
+            const chunkEnd = offset + chunk.size;
+            offset = chunkEnd;
+            if (chunkEnd <= startByte || chunkStart >= endByte) {
+                return;
+            }
+            const from = Math.max(0, startByte - chunkStart);
+            const to = Math.min(chunk.size, endByte - chunkStart);
+            kept.push(from === 0 && to === chunk.size ? chunk : chunk.slice(from, to));
+        });
+        return {
+            chunks: kept,
+            start: startByte / bytesPerSecond,
+            end: Math.min(endByte, offset) / bytesPerSecond,
+            changed: startByte > 0 || endByte < offset,
+        };
+    }
+
+    // Keep every chunk that starts before the end of speech
+    const kept = [];
+    let end = 0;
+    take.chunks.forEach((chunk, i) => {
+        const chunkStart = i === 0 ? 0 : take.chunkEnds[i - 1];
+        if (i === 0 || chunkStart < trim.end) {
+            kept.push(chunk);
+            end = take.chunkEnds[i];
+        }
+    });
+    return { chunks: kept, start: 0, end, changed: kept.length < take.chunks.length };
+}
+
+/**
+ * Shifts and clips voice activity segments to a trimmed range.
+ *
+ * @function
+ * @exports clipSegments
+ * @param {Array<Object>} segments - Segments from the voice activity summary
+ * @param {number} start - Trimmed start (seconds in the original recording)
+ * @param {number} end - Trimmed end (seconds in the original recording)
+ * @returns {Array<Object>} Segments relative to the trimmed recording
+ */
+export function clipSegments(segments, start, end) {
+    const round = (v) => Math.round(v * 100) / 100;
+    return segments
+        .filter((seg) => seg.end > start && seg.start < end)
+        .map((seg) => ({
+            type: seg.type,
+            start: round(Math.max(seg.start, start) - start),
+            end: round(Math.min(seg.end, end) - start),
+        }));
+}
+
+/**
+ * Removes a cut region from voice activity segments, closing the gap.
+ *
+ * @function
+ * @exports removeSegmentRange
+ * @param {Array<Object>} segments - Segments from the voice activity summary
+ * @param {number} start - Cut start in seconds
+ * @param {number} end - Cut end in seconds
+ * @returns {Array<Object>} Segments relative to the edited recording
+ */
+export function removeSegmentRange(segments, start, end) {
+    const round = (v) => Math.round(v * 100) / 100;
+    const cut = end - start;
+    const out = [];
+    segments.forEach((seg) => {
+        if (seg.end <= start) {
+            out.push(seg);
+        } else if (seg.start >= end) {
+            out.push({ type: seg.type, start: round(seg.start - cut), end: round(seg.end - cut) });
+        } else {
+            const kept = Math.max(0, start - seg.start) + Math.max(0, seg.end - end);
+            if (kept > 0) {
+                const segStart = Math.min(seg.start, start);
+                out.push({ type: seg.type, start: round(segStart), end: round(segStart + kept) });
+            }
+        }
+    });
+    // Neighbours of the same type meet where the cut was made
+    return out.reduce((acc, seg) => {
+        const prev = acc[acc.length - 1];
+        if (prev && prev.type === seg.type && Math.abs(prev.end - seg.start) < 0.01) {
+            prev.end = seg.end;
+        } else {
+            acc.push({ ...seg });
+        }
+        return acc;
+    }, []);
+}
+
+/**
+ * Appends the voice activity of a continuation take to that of the existing take.
+ *
+ * @function
+ * @exports concatVoiceActivity
+ * @param {Object|null} base - Summary of the existing take (may be missing)
+ * @param {number} baseDuration - Length of the existing take in seconds
+ * @param {Object} addition - Summary of the new take
+ * @param {number} additionDuration - Length of the new take in seconds
+ * @returns {Object} Summary covering the combined recording
+ */
+export function concatVoiceActivity(base, baseDuration, addition, additionDuration) {
+    const round = (v) => Math.round(v * 100) / 100;
+    const head = base?.segments || [{ type: "silence", start: 0, end: round(baseDuration) }];
+    const tail = addition.segments.map((seg) => ({
+        type: seg.type,
+        start: round(seg.start + baseDuration),
+        end: round(seg.end + baseDuration),
+    }));
+    const total = baseDuration + additionDuration;
+    const baseSpeech = (base?.speechRatio || 0) * baseDuration;
+    const addedSpeech = (addition.speechRatio || 0) * additionDuration;
+    const hasBaseSpeech = !!base && base.speechStart !== null && base.speechStart !== undefined;
+    const hasNewSpeech = addition.speechStart !== null;
+    let speechStart = null;
+    let speechEnd = null;
+    if (hasBaseSpeech) {
+        speechStart = base.speechStart;
+        speechEnd = base.speechEnd;
+    }
+    if (hasNewSpeech) {
+        speechStart = hasBaseSpeech ? speechStart : round(addition.speechStart + baseDuration);
+        speechEnd = round(addition.speechEnd + baseDuration);
+    }
+    return {
+        threshold: addition.threshold,
+        segments: head.concat(tail),
+        speechStart,
+        speechEnd,
+        speechRatio: total > 0 ? round((baseSpeech + addedSpeech) / total) : 0,
+    };
+}
@@ -0,0 +1,460 @@
+/**
+ * @file starmus-service-worker.js
+ * @version 1.0.0
+ * @description Service worker that drains the offline submission queue after the tab is
+ * closed. It reads the same `StarmusSubmissions` IndexedDB store as starmus-offline.js,
+ * runs on Background Sync (and Periodic Sync where the browser allows it), and reports
+ * to open pages through postMessage.
+ *
+ * While a recorder page is open the page's own queue does the work: the worker asks it
+ * to flush and only uploads itself when no page answers, holding the same Web Lock as
+ * the pages' queue so it never uploads alongside a tab. Uploads go through the resumable
+ * chunked REST endpoint (tus-js-client is a page script), falling back to a single POST
+ * on servers without chunked sessions. Items encrypted under the device key are decrypted
+ * for upload and overwritten before deletion; PIN-encrypted items wait for a page. Audio
+ * that no longer matches the checksum stored with it is dead-lettered, not uploaded.
+ *
+ * Messages handled:
+ * - `starmus/sw/config` `{ config: { nonce, endpoints } }` from pages
+ *
+ * Messages sent:
+ * - `starmus/sw/flush-request` to pages (acknowledged on the transferred port)
+ * - `starmus/sw/uploaded` `{ id, postId }`, `starmus/sw/failed` `{ id, error, deadLetter }`
+ *   (`deadLetter` is the reason code when the item was dead-lettered, otherwise null)
+ * - `starmus/sw/queue-status` `{ count }` after every flush
+ */
+
+"use strict";
+
+import { uploadChunked, appendSubmissionFields } from "../starmus-chunked-upload.js";
+import { QUEUE_LOCK_NAME } from "../starmus-queue-lock.js";
+import { QUEUE_CONFIG } from "../starmus-queue-config.js";
+import { QUEUE_KEY_IDS, isSealed, openSubmission, wipedCopy } from "../starmus-queue-crypto.js";
+import { verifyChecksum } from "../starmus-checksum.js";
+import {
+    DEAD_LETTER_REASONS,
+    classifyUploadError,
+    deadLetterRecord,
+    fetchFreshNonce,
+    isNonceError,
+} from "../starmus-dead-letter.js";
+
+/**
+ * Worker settings. Queue names and limits come from QUEUE_CONFIG, shared with the page.
+ *
+ * @constant
+ * @type {Object}
+ * @property {number} clientAckTimeout - Wait (ms) for an open page to take over a flush
+ * @property {number} chunkSize - Bytes per chunked PUT
+ * @property {Array<number>} retryDelays - Per-chunk retry delays (ms)
+ */
+const SW_CONFIG = {
+    ...QUEUE_CONFIG,
+    clientAckTimeout: 3000,
+    chunkSize: 512 * 1024,
+    retryDelays: [0, 3000, 10000],
+};
+
+/**
+ * Worker-owned database for the upload config pages hand over.
+ * @constant
+ * @type {Object}
+ */
+const CONFIG_DB = { name: "StarmusServiceWorker", store: "config", key: "upload" };
+
+/**
+ * Flush in progress, so overlapping sync and periodic sync events share one run.
+ * @type {Promise<void>|null}
+ */
+let flushing = null;
+
+/**
+ * Opens an IndexedDB database, creating `store` when `version` is given.
+ *
+ * @function
+ * @param {string} name - Database name
+ * @param {number} [version] - Schema version; omitted to open whatever exists
+ * @param {string} [store] - Object store created on upgrade
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb(name, version, store) {
+    return new Promise((resolve, reject) => {
+        const req = version ? indexedDB.open(name, version) : indexedDB.open(name);
+        req.onupgradeneeded = () => {
+            if (store && !req.result.objectStoreNames.contains(store)) {
+                req.result.createObjectStore(store);
+            }
+        };
+        req.onsuccess = () => {
+            // Never block the page's schema upgrades
+            req.result.onversionchange = () => req.result.close();
+            resolve(req.result);
+        };
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Runs one request in a transaction and resolves when the transaction commits.
+ *
+ * @function
+ * @param {IDBDatabase} db - Open database
+ * @param {string} store - Object store name
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {function(IDBObjectStore): IDBRequest} run - Issues the request
+ * @returns {Promise<*>} Request result
+ */
+function tx(db, store, mode, run) {
+    return new Promise((resolve, reject) => {
+        const t = db.transaction([store], mode);
+        const req = run(t.objectStore(store));
+        t.oncomplete = () => resolve(req.result);
+        t.onerror = () => reject(t.error);
+    });
+}
+
+/**
+ * Stores the upload config sent by a page.
+ *
+ * @async
+ * @function
+ * @param {Object} config - `{ nonce, endpoints }`
+ * @returns {Promise<void>}
+ */
+async function saveConfig(config) {
+    const db = await openDb(CONFIG_DB.name, 1, CONFIG_DB.store);
+    try {
+        await tx(db, CONFIG_DB.store, "readwrite", (s) =>
+            s.put({ ...config, savedAt: Date.now() }, CONFIG_DB.key),
+        );
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Reads the last upload config a page sent.
+ *
+ * @async
+ * @function
+ * @returns {Promise<Object|null>}
+ */
+async function loadConfig() {
+    const db = await openDb(CONFIG_DB.name, 1, CONFIG_DB.store);
+    try {
+        return (await tx(db, CONFIG_DB.store, "readonly", (s) => s.get(CONFIG_DB.key))) || null;
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Posts a message to every open page in scope.
+ *
+ * @async
+ * @function
+ * @param {Object} message - Message with a `type`
+ * @returns {Promise<void>}
+ */
+async function broadcast(message) {
+    const pages = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    pages.forEach((page) => page.postMessage(message));
+}
+
+/**
+ * Asks open pages to flush their own queue. Pages without the recorder bundle
+ * never answer, so only an acknowledgement counts.
+ *
+ * @async
+ * @function
+ * @returns {Promise<boolean>} True when a page took over
+ */
+async function delegateToPage() {
+    const pages = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const answers = pages.map(
+        (page) =>
+            new Promise((resolve) => {
+                const channel = new MessageChannel();
+                channel.port1.onmessage = () => resolve(true);
+                setTimeout(() => resolve(false), SW_CONFIG.clientAckTimeout);
+                page.postMessage({ type: "starmus/sw/flush-request" }, [channel.port2]);
+            }),
+    );
+    return (await Promise.all(answers)).some(Boolean);
+}
+
+/**
+ * Sends a REST request with the page's nonce.
+ *
+ * @async
+ * @function
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() init
+ * @param {string} nonce - WordPress REST nonce
+ * @returns {Promise<{status: number, json: Object}>}
+ */
+async function rest(url, init, nonce) {
+    const res = await fetch(url, {
+        credentials: "same-origin",
+        ...init,
+        headers: { ...(init.headers || {}), "X-WP-Nonce": nonce },
+    });
+    return { status: res.status, json: await res.json().catch(() => ({})) };
+}
+
+/**
+ * Checks on a finished TUS upload the page queued by its URL.
+ *
+ * @async
+ * @function
+ * @param {Object} item - Queue item with `tusUrl` and `tusFinishedAt`
+ * @param {Object} config - Upload config
+ * @returns {Promise<Object|null>} Result when the post exists, null when it should be re-sent
+ * @throws {Error} While the server may still be processing it
+ */
+async function checkTusResult(item, config) {
+    const url = new URL(config.endpoints.uploadResult, self.location.origin);
+    url.searchParams.set("tus_url", item.tusUrl);
+    const { status, json } = await rest(url.toString(), { method: "GET" }, config.nonce);
+
+    if (status === 200 && json.success) {
+        return json;
+    }
+    const lost =
+        status === 422 ||
+        (status === 404 && Date.now() - item.tusFinishedAt > SW_CONFIG.tusResultGrace);
+    if (lost) {
+        return null;
+    }
+    throw new Error(json.message || "TUS_RESULT_PENDING");
+}
+
+/**
+ * Uploads one queue item: chunked session first, single POST when unsupported.
+ *
+ * @async
+ * @function
+ * @param {Object} item - Queue item
+ * @param {Object} config - Upload config
+ * @returns {Promise<Object>} Server result `{ success, data }`
+ */
+async function uploadItem(item, config) {
+    const { audioBlob, fileName, formFields, sha256 } = item;
+    const metadata = sha256 ? { ...item.metadata, sha256 } : item.metadata;
+    const fd = new FormData();
+    appendSubmissionFields(fd, formFields || {}, metadata);
+
+    try {
+        return await uploadChunked(audioBlob, fileName, fd, {
+            endpoint: config.endpoints.uploadSession,
+            nonce: config.nonce,
+            chunkSize: SW_CONFIG.chunkSize,
+            retryDelays: SW_CONFIG.retryDelays,
+        });
+    } catch (e) {
+        if (!e.unsupported) {
+            throw e;
+        }
+    }
+
+    fd.append("audio_file", audioBlob, fileName);
+    const { status, json } = await rest(
+        config.endpoints.directUpload,
+        { method: "POST", body: fd },
+        config.nonce,
+    );
+    if (status < 200 || status >= 300) {
+        const error = new Error(json.message || `Upload failed: ${status}`);
+        error.status = status;
+        error.code = json.code || null;
+        throw error;
+    }
+    return json;
+}
+
+/**
+ * Replaces the stored nonce after the REST API refused it. Works while the
+ * login cookie is still valid.
+ *
+ * @async
+ * @function
+ * @param {Object} config - Upload config; its `nonce` is updated in place
+ * @returns {Promise<boolean>} True when a new nonce is in place
+ */
+async function refreshNonce(config) {
+    const nonce = await fetchFreshNonce(config.endpoints?.nonceRefresh);
+    if (!nonce) {
+        return false;
+    }
+    config.nonce = nonce;
+    await saveConfig(config);
+    return true;
+}
+
+/**
+ * Hands the flush to an open page, or drains the queue here when none takes it
+ * and no tab holds the queue lock.
+ *
+ * @async
+ * @function
+ * @returns {Promise<void>}
+ * @throws {Error} When items are left over, so Background Sync retries later
+ */
+async function flushQueue() {
+    if (await delegateToPage()) {
+        return;
+    }
+    // A page can hold the queue lock without the recorder UI answering (e.g. a
+    // tab mid-pass): leave the work to it
+    if (self.navigator.locks?.request) {
+        await self.navigator.locks.request(QUEUE_LOCK_NAME, { ifAvailable: true }, (lock) =>
+            lock ? drainQueue() : null,
+        );
+        return;
+    }
+    await drainQueue();
+}
+
+/**
+ * Uploads every pending item the worker can handle, holding the queue lock.
+ *
+ * @async
+ * @function
+ * @returns {Promise<void>}
+ * @throws {Error} When items are left over, so Background Sync retries later
+ */
+async function drainQueue() {
+    const config = await loadConfig();
+    if (!config?.nonce || !config.endpoints?.uploadSession) {
+        console.warn("[StarmusSW] No upload config yet; waiting for a page");
+        return;
+    }
+
+    const db = await openDb(SW_CONFIG.dbName);
+    let failures = 0;
+    let nonceRefreshed = false;
+    try {
+        if (!db.objectStoreNames.contains(SW_CONFIG.storeName)) {
+            return;
+        }
+        const pending = await tx(db, SW_CONFIG.storeName, "readonly", (s) => s.getAll());
+        const keyRecord = db.objectStoreNames.contains(SW_CONFIG.keyStoreName)
+            ? await tx(db, SW_CONFIG.keyStoreName, "readonly", (s) => s.get(QUEUE_KEY_IDS.DEVICE))
+            : null;
+        const deviceKey = keyRecord?.key || null;
+
+        for (const item of pending) {
+            if (item.deadLetter || item.retryCount >= SW_CONFIG.maxRetries) {
+                continue;
+            }
+            // Only a page can ask for the PIN
+            if (isSealed(item) && (item.sealed.keyId !== QUEUE_KEY_IDS.DEVICE || !deviceKey)) {
+                continue;
+            }
+
+            try {
+                const plain = await openSubmission(deviceKey, item);
+                let result = plain.tusUrl ? await checkTusResult(plain, config) : null;
+                if (!result) {
+                    await verifyChecksum(plain.audioBlob, plain.sha256);
+                    try {
+                        result = await uploadItem(plain, config);
+                    } catch (err) {
+                        if (!isNonceError(err) || nonceRefreshed) {
+                            throw err;
+                        }
+                        nonceRefreshed = true;
+                        if (!(await refreshNonce(config))) {
+                            throw err;
+                        }
+                        result = await uploadItem(plain, config);
+                    }
+                }
+
+                if (isSealed(item)) {
+                    await tx(db, SW_CONFIG.storeName, "readwrite", (s) => s.put(wipedCopy(item)));
+                }
+                await tx(db, SW_CONFIG.storeName, "readwrite", (s) => s.delete(item.id));
+                await broadcast({
+                    type: "starmus/sw/uploaded",
+                    id: item.id,
+                    postId: result.data?.post_id || result.post_id || null,
+                });
+            } catch (err) {
+                const msg = err?.message || String(err);
+                const { retryable, reason } = classifyUploadError(err);
+                const retryCount = retryable ? item.retryCount + 1 : item.retryCount;
+                const dead =
+                    !retryable || retryCount >= SW_CONFIG.maxRetries
+                        ? deadLetterRecord(reason || DEAD_LETTER_REASONS.MAX_RETRIES, err)
+                        : null;
+                if (!dead) {
+                    failures++;
+                }
+                await tx(db, SW_CONFIG.storeName, "readwrite", (s) =>
+                    s.put({
+                        ...item,
+                        retryCount,
+                        lastAttempt: Date.now(),
+                        error: msg,
+                        deadLetter: dead,
+                    }),
+                );
+                await broadcast({
+                    type: "starmus/sw/failed",
+                    id: item.id,
+                    error: msg,
+                    deadLetter: dead?.reason || null,
+                });
+            }
+        }
+
+        const count = await tx(db, SW_CONFIG.storeName, "readonly", (s) => s.count());
+        await broadcast({ type: "starmus/sw/queue-status", count });
+    } finally {
+        db.close();
+    }
+
+    if (failures) {
+        throw new Error(`${failures} submission(s) still pending`);
+    }
+}
+
+/**
+ * Runs a flush, sharing one in progress.
+ *
+ * @function
+ * @returns {Promise<void>}
+ */
+function flush() {
+    if (!flushing) {
+        flushing = flushQueue().finally(() => {
+            flushing = null;
+        });
+    }
+    return flushing;
+}
+
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+// Rejecting tells the browser to retry the sync later with its own backoff
+self.addEventListener("sync", (event) => {
+    if (event.tag === SW_CONFIG.syncTag) {
+        event.waitUntil(flush());
+    }
+});
+
+self.addEventListener("periodicsync", (event) => {
+    if (event.tag === SW_CONFIG.syncTag) {
+        event.waitUntil(flush().catch(() => {}));
+    }
+});
+
+self.addEventListener("message", (event) => {
+    const data = event.data || {};
+    if (data.type === "starmus/sw/config" && data.config) {
+        event.waitUntil(saveConfig(data.config));
+    }
+});
@@ -36,6 +36,9 @@ $recording_types = get_terms(
 );
 $consent_message ??= __('By submitting this recording, you agree to our', 'starmus-audio-recorder');
 $data_policy_url ??= '';
+$max_duration = absint($max_duration ?? 0); // seconds, 0 = tier default
+$max_size = absint($max_size ?? 0); // megabytes, 0 = tier default
+$auto_pause = absint($auto_pause ?? 0); // seconds of silence before auto-pause, 0 = off
 
 ?>
 <div class="starmus-audio-recorder-wrapper" data-starmus="recorder" data-starmus-mode="create" data-starmus-instance="<?php echo esc_attr($instance_id); ?>">
@@ -74,7 +77,10 @@ $data_policy_url ??= '';
             enctype="multipart/form-data"
             novalidate
             data-starmus="recorder"
-            data-starmus-instance="<?php echo esc_attr($instance_id); ?>">
+            data-starmus-instance="<?php echo esc_attr($instance_id); ?>"
+            <?php if ($max_duration > 0) : ?>data-starmus-max-duration="<?php echo esc_attr((string) $max_duration); ?>"<?php endif; ?>
+            <?php if ($max_size > 0) : ?>data-starmus-max-size="<?php echo esc_attr((string) $max_size); ?>"<?php endif; ?>
+            <?php if ($auto_pause > 0) : ?>data-starmus-auto-pause="<?php echo esc_attr((string) $auto_pause); ?>"<?php endif; ?>>
 
             <!-- Step 1: Form Details -->
             <div
@@ -237,6 +243,12 @@ $data_policy_url ??= '';
                         <p class="starmus-setup-instruction">
                             <?php esc_html_e('Click the button above to test your microphone and adjust audio levels.', 'starmus-audio-recorder'); ?>
                         </p>
+                        <div class="starmus-device-picker" data-starmus-device-picker style="display:none;">
+                            <label for="starmus_device_select_<?php echo esc_attr($instance_id); ?>">
+                                <?php esc_html_e('Microphone', 'starmus-audio-recorder'); ?>
+                            </label>
+                            <select id="starmus_device_select_<?php echo esc_attr($instance_id); ?>" data-starmus-device-select></select>
+                        </div>
                     </div>
 
                     <!-- TIER C FALLBACK (Displayed if browser cannot record) -->
@@ -291,6 +303,25 @@ $data_policy_url ??= '';
                                     aria-label="Recording duration progress">
                                 </div>
                             </div>
+                            <div class="starmus-limit-warning"
+                                data-starmus-limit-warning
+                                role="status"
+                                aria-live="polite"
+                                style="display:none;"></div>
+                            <div class="starmus-silence-notice"
+                                data-starmus-silence-notice
+                                role="status"
+                                aria-live="polite"
+                                style="display:none;">
+                                <?php esc_html_e('Paused after a long silence. Press Resume to continue recording.', 'starmus-audio-recorder'); ?>
+                            </div>
+                            <div class="starmus-device-notice"
+                                data-starmus-device-notice
+                                role="alert"
+                                style="display:none;">
+                                <p><?php esc_html_e('Your microphone was disconnected. Choose a microphone to continue recording.', 'starmus-audio-recorder'); ?></p>
+                                <select aria-label="<?php esc_attr_e('Microphone', 'starmus-audio-recorder'); ?>" data-starmus-device-select></select>
+                            </div>
                         </div>
 
                         <!-- Waveform Container (Peaks.js) -->
@@ -369,6 +400,73 @@ $data_policy_url ??= '';
                                 <?php esc_html_e('START OVER', 'starmus-audio-recorder'); ?>
 
                             </button>
+
+                            <button
+                                type="button"
+                                id="starmus_continue_btn_<?php echo esc_attr($instance_id); ?>"
+                                class="starmus-btn starmus-btn--outline"
+                                data-starmus-action="continue-recording"
+                                style="display:none;">
+                                <span class="dashicons dashicons-microphone" aria-hidden="true"></span>
+                                <?php esc_html_e('CONTINUE RECORDING', 'starmus-audio-recorder'); ?>
+                            </button>
+
+                            <button
+                                type="button"
+                                id="starmus_new_take_btn_<?php echo esc_attr($instance_id); ?>"
+                                class="starmus-btn starmus-btn--outline"
+                                data-starmus-action="new-take"
+                                style="display:none;">
+                                <span class="dashicons dashicons-plus-alt2" aria-hidden="true"></span>
+                                <?php esc_html_e('NEW TAKE', 'starmus-audio-recorder'); ?>
+                            </button>
+
+                            <button
+                                type="button"
+                                id="starmus_trim_btn_<?php echo esc_attr($instance_id); ?>"
+                                class="starmus-btn starmus-btn--outline"
+                                data-starmus-action="trim-silence"
+                                style="display:none;">
+                                <span class="dashicons dashicons-editor-cut" aria-hidden="true"></span>
+                                <?php esc_html_e('TRIM SILENCE', 'starmus-audio-recorder'); ?>
+                            </button>
+
+                            <button
+                                type="button"
+                                id="starmus_edit_btn_<?php echo esc_attr($instance_id); ?>"
+                                class="starmus-btn starmus-btn--outline"
+                                data-starmus-action="edit"
+                                style="display:none;">
+                                <span class="dashicons dashicons-edit" aria-hidden="true"></span>
+                                <?php esc_html_e('EDIT', 'starmus-audio-recorder'); ?>
+                            </button>
+                        </div>
+
+                        <!-- Takes: audition, choose, compare -->
+                        <div id="starmus_takes_<?php echo esc_attr($instance_id); ?>" class="starmus-takes" data-starmus-takes style="display:none;">
+                            <h3 class="starmus-takes-title"><?php esc_html_e('TAKES', 'starmus-audio-recorder'); ?></h3>
+                            <ul class="starmus-takes-list" data-starmus-takes-list></ul>
+                            <div class="starmus-takes-compare" data-starmus-takes-compare style="display:none;"></div>
+                        </div>
+
+                        <!-- Review Editor: trim / cut before submitting -->
+                        <div id="starmus_review_editor_<?php echo esc_attr($instance_id); ?>" class="starmus-review-editor" data-starmus-review-editor style="display:none;">
+                            <canvas
+                                class="starmus-review-waveform"
+                                data-starmus-review-waveform
+                                width="600"
+                                height="96"
+                                tabindex="0"
+                                aria-label="<?php esc_attr_e('Recording waveform. Drag or use arrow keys to select a region.', 'starmus-audio-recorder'); ?>"></canvas>
+                            <p class="starmus-review-selection" data-starmus-review-selection aria-live="polite"></p>
+                            <div class="starmus-review-editor-actions">
+                                <button type="button" class="starmus-btn starmus-btn--secondary" data-starmus-editor-action="preview"><?php esc_html_e('Preview', 'starmus-audio-recorder'); ?></button>
+                                <button type="button" class="starmus-btn starmus-btn--outline" data-starmus-editor-action="trim" disabled><?php esc_html_e('Keep Selection', 'starmus-audio-recorder'); ?></button>
+                                <button type="button" class="starmus-btn starmus-btn--outline" data-starmus-editor-action="cut" disabled><?php esc_html_e('Cut Selection', 'starmus-audio-recorder'); ?></button>
+                                <button type="button" class="starmus-btn starmus-btn--outline" data-starmus-editor-action="undo" disabled><?php esc_html_e('Undo', 'starmus-audio-recorder'); ?></button>
+                                <button type="button" class="starmus-btn starmus-btn--primary" data-starmus-editor-action="save" disabled><?php esc_html_e('Save Edits', 'starmus-audio-recorder'); ?></button>
+                                <button type="button" class="starmus-btn starmus-btn--outline" data-starmus-editor-action="cancel"><?php esc_html_e('Cancel', 'starmus-audio-recorder'); ?></button>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -400,6 +498,15 @@ $data_policy_url ??= '';
                     data-starmus-progress></div>
             </div>
 
+            <button
+                type="button"
+                id="starmus_submit_all_btn_<?php echo esc_attr($instance_id); ?>"
+                class="starmus-btn starmus-btn--secondary starmus-btn--full"
+                data-starmus-action="submit-all-takes"
+                style="display:none;">
+                <?php esc_html_e('Submit All Takes', 'starmus-audio-recorder'); ?>
+            </button>
+
             <button
                 type="submit"
                 id="starmus_submit_btn_<?php echo esc_attr($instance_id); ?>"
@@ -409,6 +516,41 @@ $data_policy_url ??= '';
                 <?php esc_html_e('Submit Recording', 'starmus-audio-recorder'); ?>
             </button>
 
+            <div class="starmus-upload-controls" data-starmus-upload-controls style="display:none;">
+                <button type="button" class="starmus-btn starmus-btn--outline" data-starmus-action="upload-pause">
+                    <span class="dashicons dashicons-controls-pause" aria-hidden="true"></span>
+                    <?php esc_html_e('PAUSE UPLOAD', 'starmus-audio-recorder'); ?>
+                </button>
+                <button type="button" class="starmus-btn starmus-btn--outline" data-starmus-action="upload-resume" style="display:none;">
+                    <span class="dashicons dashicons-controls-play" aria-hidden="true"></span>
+                    <?php esc_html_e('RESUME UPLOAD', 'starmus-audio-recorder'); ?>
+                </button>
+                <button type="button" class="starmus-btn starmus-btn--outline" data-starmus-action="upload-cancel">
+                    <span class="dashicons dashicons-no-alt" aria-hidden="true"></span>
+                    <?php esc_html_e('CANCEL UPLOAD', 'starmus-audio-recorder'); ?>
+                </button>
+            </div>
+
+            <div class="starmus-queue-panel" data-starmus-queue-panel style="display:none;">
+                <h3 class="starmus-queue-heading"><?php esc_html_e('WAITING TO UPLOAD', 'starmus-audio-recorder'); ?></h3>
+                <p class="starmus-queue-help"><?php esc_html_e('These recordings are saved on this device and will upload when the connection allows.', 'starmus-audio-recorder'); ?></p>
+                <ul class="starmus-queue-list" data-starmus-queue-list></ul>
+                <button type="button" class="starmus-btn starmus-btn--outline" data-starmus-queue-export>
+                    <span class="dashicons dashicons-download" aria-hidden="true"></span>
+                    <?php esc_html_e('EXPORT ALL', 'starmus-audio-recorder'); ?>
+                </button>
+            </div>
+
+            <div class="starmus-queue-import">
+                <label class="starmus-btn starmus-btn--outline" for="starmus_queue_import_<?php echo esc_attr($instance_id); ?>">
+                    <span class="dashicons dashicons-upload" aria-hidden="true"></span>
+                    <?php esc_html_e('IMPORT RECORDINGS', 'starmus-audio-recorder'); ?>
+                </label>
+                <input type="file" id="starmus_queue_import_<?php echo esc_attr($instance_id); ?>" accept=".starmus" data-starmus-queue-import hidden>
+                <p class="starmus-queue-import-status" data-starmus-queue-import-status role="status"></p>
+                <p class="starmus-storage-usage" data-starmus-storage-usage hidden></p>
+            </div>
+
             <!-- Manual Upload Toggle (Admin/Editor Only) -->
             <?php if (current_user_can('upload_files')) { ?>
                 <div class="starmus-upload-audio-link" style="margin-top:24px;text-align:right;">
@@ -0,0 +1,225 @@
+<?php
+
+/**
+ * tusd hook handler: the hook secret and upload token checks, paths confined
+ * to the tusd upload directory, the configuration notice, and post-finish
+ * results kept for the uploading browser to poll.
+ *
+ * @package Starmus\Tests\Unit
+ */
+
+declare(strict_types=1);
+
+namespace Starmus\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use Starisian\Sparxstar\Starmus\core\StarmusSettings;
+use Starisian\Sparxstar\Starmus\core\StarmusSubmissionHandler;
+use Starisian\Sparxstar\Starmus\data\interfaces\IStarmusAudioDAL;
+use Starisian\Sparxstar\Starmus\helpers\StarmusUploadToken;
+use Starisian\Sparxstar\Starmus\includes\StarmusTusdHookHandler;
+use WP_Error;
+use WP_REST_Request;
+
+final class StarmusTusdHookHandlerTest extends TestCase
+{
+	private StarmusTusdHookHandler $hooks;
+
+	/** Files created by a test, removed afterwards. */
+	private array $files = [];
+
+	protected function setUp(): void
+	{
+		$GLOBALS['starmus_test_transients'] = [];
+
+		$dal = $this->createMock(IStarmusAudioDAL::class);
+		$this->hooks = new StarmusTusdHookHandler(new StarmusSubmissionHandler($dal, new StarmusSettings()));
+	}
+
+	protected function tearDown(): void
+	{
+		foreach ($this->files as $file) {
+			@unlink($file);
+		}
+	}
+
+	/**
+	 * Event.Upload as tusd reports it for a 10-byte take.
+	 */
+	private function upload(array $storage = []): array
+	{
+		return [
+			'ID' => 'abc123',
+			'Size' => 10,
+			'MetaData' => ['filename' => 'take.webm', 'post_id' => '0'],
+			'Storage' => $storage,
+		];
+	}
+
+	/**
+	 * A hook request carrying the given headers and upload.
+	 */
+	private function hook(array $headers, array $upload, string $type = 'pre-create'): WP_REST_Request
+	{
+		$request = new WP_REST_Request('POST', '/starmus/v1/hook');
+		foreach ($headers as $name => $value) {
+			$request->set_header($name, $value);
+		}
+		$request->set_body((string) json_encode(['Type' => $type, 'Event' => ['Upload' => $upload]]));
+
+		return $request;
+	}
+
+	private function token(): string
+	{
+		return StarmusUploadToken::issue('take.webm', 10, 0, 1)['token'];
+	}
+
+	/**
+	 * A file of the given name that post-finish may be pointed at.
+	 */
+	private function file(string $path): string
+	{
+		file_put_contents($path, 'abcdefghij');
+		$this->files[] = $path;
+
+		return $path;
+	}
+
+	private function assertError(mixed $result, string $code, int $status, string $message): void
+	{
+		$this->assertInstanceOf(WP_Error::class, $result);
+		$this->assertSame($code, $result->get_error_code());
+		$this->assertSame($status, $result->get_error_data()['status']);
+		$this->assertSame($message, $result->get_error_message());
+	}
+
+	public function testHookWithoutTheSecretIsRefused(): void
+	{
+		$headers = [StarmusUploadToken::HEADER => $this->token()];
+
+		$this->assertError(
+			$this->hooks->permissions_check($this->hook($headers, $this->upload())),
+			'unauthorized',
+			403,
+			'Invalid hook secret.'
+		);
+	}
+
+	public function testHookWithAWrongSecretIsRefused(): void
+	{
+		$headers = [
+			StarmusTusdHookHandler::HOOK_SECRET_HEADER => 'guessed',
+			StarmusUploadToken::HEADER => $this->token(),
+		];
+
+		$this->assertError(
+			$this->hooks->permissions_check($this->hook($headers, $this->upload())),
+			'unauthorized',
+			403,
+			'Invalid hook secret.'
+		);
+	}
+
+	public function testHookWithoutAnUploadTokenIsRefused(): void
+	{
+		$headers = [StarmusTusdHookHandler::HOOK_SECRET_HEADER => STARMUS_TUSD_HOOK_SECRET];
+
+		$this->assertError(
+			$this->hooks->permissions_check($this->hook($headers, $this->upload())),
+			'unauthorized',
+			403,
+			'Missing upload token.'
+		);
+	}
+
+	public function testHookWithTheSecretAndAMatchingTokenIsAllowed(): void
+	{
+		$headers = [
+			StarmusTusdHookHandler::HOOK_SECRET_HEADER => STARMUS_TUSD_HOOK_SECRET,
+			StarmusUploadToken::HEADER => $this->token(),
+		];
+
+		$this->assertTrue($this->hooks->permissions_check($this->hook($headers, $this->upload())));
+	}
+
+	public function testUploadOutsideTheTusdDirectoryIsNotImported(): void
+	{
+		$outside = $this->file((string) tempnam(sys_get_temp_dir(), 'starmus-outside-'));
+
+		$result = $this->hooks->handle_tusd_hook(
+			$this->hook([], $this->upload(['Path' => $outside]), 'post-finish')
+		);
+
+		$this->assertError($result, 'invalid_upload_path', 403, 'Upload path not allowed.');
+		$this->assertFileExists($outside);
+		$this->assertSame('failed', get_transient('starmus_tus_result_' . md5('abc123'))['status']);
+	}
+
+	public function testDotDotSegmentsCannotLeaveTheTusdDirectory(): void
+	{
+		$outside = $this->file(\dirname(STARMUS_TUSD_UPLOAD_DIR) . '/starmus-escaped.bin');
+
+		$result = $this->hooks->handle_tusd_hook(
+			$this->hook([], $this->upload(['Path' => STARMUS_TUSD_UPLOAD_DIR . '/../starmus-escaped.bin']), 'post-finish')
+		);
+
+		$this->assertError($result, 'invalid_upload_path', 403, 'Upload path not allowed.');
+		$this->assertFileExists($outside);
+	}
+
+	public function testMissingUploadFileIsReported(): void
+	{
+		$result = $this->hooks->handle_tusd_hook(
+			$this->hook([], $this->upload(['Path' => STARMUS_TUSD_UPLOAD_DIR . '/missing.bin']), 'post-finish')
+		);
+
+		$this->assertError($result, 'invalid_upload_path', 400, 'Upload file not found.');
+	}
+
+	/**
+	 * Stores a post-finish result the way the hook handler does.
+	 */
+	private function storeResult(string $upload_id, array $result): void
+	{
+		set_transient('starmus_tus_result_' . md5($upload_id), $result, DAY_IN_SECONDS);
+	}
+
+	public function testConfiguredSiteGetsNoNotice(): void
+	{
+		$this->assertSame([], StarmusTusdHookHandler::missing_constants());
+
+		$this->expectOutputString('');
+		$this->hooks->display_config_notice();
+	}
+
+	public function testResultIsReturnedToItsUploader(): void
+	{
+		$this->storeResult(
+			'abc123',
+			[
+				'status' => 'complete',
+				'data' => ['post_id' => 15, 'redirect_url' => '/thanks'],
+				'user_id' => 7,
+			]
+		);
+
+		$this->assertSame(
+			['status' => 'complete', 'data' => ['post_id' => 15, 'redirect_url' => '/thanks']],
+			StarmusTusdHookHandler::get_result('abc123', 7)
+		);
+	}
+
+	public function testResultIsHiddenFromOtherUsers(): void
+	{
+		$this->storeResult('abc123', ['status' => 'processing', 'user_id' => 7]);
+
+		$this->assertNull(StarmusTusdHookHandler::get_result('abc123', 8));
+		$this->assertNull(StarmusTusdHookHandler::get_result('abc123', 0));
+	}
+
+	public function testUnknownUploadHasNoResult(): void
+	{
+		$this->assertNull(StarmusTusdHookHandler::get_result('missing', 7));
+	}
+}
@@ -0,0 +1,217 @@
+<?php
+
+/**
+ * Resumable chunked upload sessions: Content-Range checks, offset realignment,
+ * sessions belonging to other users and the SHA-256 check before finalizing.
+ *
+ * @package Starmus\Tests\Unit
+ */
+
+declare(strict_types=1);
+
+namespace Starmus\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use Starisian\Sparxstar\Starmus\core\StarmusSettings;
+use Starisian\Sparxstar\Starmus\core\StarmusSubmissionHandler;
+use Starisian\Sparxstar\Starmus\data\interfaces\IStarmusAudioDAL;
+use WP_Error;
+use WP_REST_Request;
+
+final class StarmusUploadSessionTest extends TestCase
+{
+	private const SESSION_ID = '0123456789abcdef0123456789abcdef';
+
+	private StarmusSubmissionHandler $handler;
+
+	private string $path;
+
+	protected function setUp(): void
+	{
+		$GLOBALS['starmus_test_transients'] = [];
+
+		$dal = $this->createMock(IStarmusAudioDAL::class);
+		$this->handler = new StarmusSubmissionHandler($dal, new StarmusSettings());
+
+		$this->path = (string) tempnam(sys_get_temp_dir(), 'starmus-session-');
+		$this->storeSession(['offset' => 0]);
+	}
+
+	protected function tearDown(): void
+	{
+		@unlink($this->path);
+	}
+
+	/**
+	 * Stores a 10-byte session of the current user (ID 1 in the unit bootstrap).
+	 */
+	private function storeSession(array $fields): void
+	{
+		set_transient(
+			'starmus_upload_session_' . self::SESSION_ID,
+			array_merge(
+				[
+					'user_id' => 1,
+					'filename' => 'take.webm',
+					'mime' => 'audio/webm',
+					'size' => 10,
+					'offset' => 0,
+					'path' => $this->path,
+				],
+				$fields
+			),
+			DAY_IN_SECONDS
+		);
+	}
+
+	private function session(): array
+	{
+		return get_transient('starmus_upload_session_' . self::SESSION_ID);
+	}
+
+	private function chunk(string $range, string $body, string $session_id = self::SESSION_ID): array|WP_Error
+	{
+		$request = new WP_REST_Request('PUT', '/starmus/v1/upload-session/' . $session_id);
+		$request->set_param('id', $session_id);
+		$request->set_header('Content-Range', $range);
+		$request->set_body($body);
+
+		return $this->handler->handle_upload_session_chunk($request);
+	}
+
+	private function assertError(mixed $result, string $code, int $status): void
+	{
+		$this->assertInstanceOf(WP_Error::class, $result);
+		$this->assertSame($code, $result->get_error_code());
+		$this->assertSame($status, $result->get_error_data()['status']);
+	}
+
+	public function testChunksAreAppendedInOrder(): void
+	{
+		$this->assertSame(['success' => true, 'data' => ['offset' => 4]], $this->chunk('bytes 0-3/10', 'abcd'));
+		$this->assertSame(['success' => true, 'data' => ['offset' => 10]], $this->chunk('bytes 4-9/10', 'efghij'));
+
+		$this->assertSame('abcdefghij', file_get_contents($this->path));
+		$this->assertSame(10, $this->session()['offset']);
+	}
+
+	public function testStaleOffsetIsRefusedWithTheCurrentOffset(): void
+	{
+		$this->chunk('bytes 0-3/10', 'abcd');
+
+		// The response to the first PUT was lost and the client sends the chunk again
+		$result = $this->chunk('bytes 0-3/10', 'abcd');
+
+		$this->assertError($result, 'offset_mismatch', 409);
+		$this->assertSame(4, $result->get_error_data()['offset']);
+		$this->assertSame('abcd', file_get_contents($this->path));
+	}
+
+	public function testChunkAheadOfTheOffsetIsRefused(): void
+	{
+		$result = $this->chunk('bytes 4-7/10', 'efgh');
+
+		$this->assertError($result, 'offset_mismatch', 409);
+		$this->assertSame(0, $result->get_error_data()['offset']);
+		$this->assertSame('', file_get_contents($this->path));
+	}
+
+	public function testMalformedContentRangeIsRefused(): void
+	{
+		$this->assertError($this->chunk('', 'abcd'), 'invalid_range', 400);
+		$this->assertError($this->chunk('bytes=0-3', 'abcd'), 'invalid_range', 400);
+	}
+
+	public function testContentRangeOutsideTheSessionIsRefused(): void
+	{
+		$this->assertError($this->chunk('bytes 0-3/12', 'abcd'), 'invalid_range', 416);
+		$this->assertError($this->chunk('bytes 3-2/10', ''), 'invalid_range', 416);
+		$this->assertError($this->chunk('bytes 8-10/10', 'ijk'), 'invalid_range', 416);
+	}
+
+	public function testBodyMustMatchTheContentRangeLength(): void
+	{
+		$this->assertError($this->chunk('bytes 0-3/10', 'abc'), 'length_mismatch', 400);
+		$this->assertSame(0, $this->session()['offset']);
+	}
+
+	public function testSessionOfAnotherUserIsNotFound(): void
+	{
+		$this->storeSession(['user_id' => 2]);
+
+		$this->assertError($this->chunk('bytes 0-3/10', 'abcd'), 'session_not_found', 404);
+	}
+
+	public function testMalformedSessionIdIsNotFound(): void
+	{
+		$this->assertError($this->chunk('bytes 0-3/10', 'abcd', '../session'), 'session_not_found', 404);
+	}
+
+	public function testStatusReportsTheOffsetToResumeFrom(): void
+	{
+		$this->chunk('bytes 0-3/10', 'abcd');
+
+		$request = new WP_REST_Request('GET', '/starmus/v1/upload-session/' . self::SESSION_ID);
+		$request->set_param('id', self::SESSION_ID);
+
+		$this->assertSame(
+			['success' => true, 'data' => ['offset' => 4, 'size' => 10]],
+			$this->handler->handle_upload_session_status($request)
+		);
+	}
+
+	public function testIncompleteSessionCannotBeFinalized(): void
+	{
+		$this->chunk('bytes 0-3/10', 'abcd');
+
+		$result = $this->finalize();
+
+		$this->assertError($result, 'upload_incomplete', 409);
+		$this->assertSame(4, $result->get_error_data()['offset']);
+	}
+
+	private function finalize(array $params = []): array|WP_Error
+	{
+		$request = new WP_REST_Request('POST', '/starmus/v1/upload-session/' . self::SESSION_ID . '/finalize');
+		$request->set_param('id', self::SESSION_ID);
+		foreach ($params as $key => $value) {
+			$request->set_param($key, $value);
+		}
+
+		return $this->handler->handle_upload_session_finalize($request);
+	}
+
+	public function testDamagedUploadIsRefusedAndItsSessionDropped(): void
+	{
+		$this->chunk('bytes 0-9/10', 'abcdefghij');
+
+		$result = $this->finalize(['audio_sha256' => hash('sha256', 'abcdefghiX')]);
+
+		$this->assertError($result, 'checksum_mismatch', 422);
+		$this->assertFileDoesNotExist($this->path);
+		$this->assertFalse(get_transient('starmus_upload_session_' . self::SESSION_ID));
+	}
+
+	public function testMalformedChecksumIsRefused(): void
+	{
+		$this->chunk('bytes 0-9/10', 'abcdefghij');
+
+		$this->assertError($this->finalize(['audio_sha256' => 'not-a-hash']), 'invalid_checksum', 400);
+	}
+
+	public function testChecksumIsComparedWithTheReceivedFile(): void
+	{
+		file_put_contents($this->path, 'abcdefghij');
+		$sha256 = hash('sha256', 'abcdefghij');
+
+		$this->assertTrue($this->handler->verify_upload_checksum($this->path, ['audio_sha256' => $sha256]));
+		$this->assertTrue($this->handler->verify_upload_checksum($this->path, ['audio_sha256' => strtoupper($sha256)]));
+		// Older clients send no checksum
+		$this->assertTrue($this->handler->verify_upload_checksum($this->path, []));
+		$this->assertError(
+			$this->handler->verify_upload_checksum($this->path . '.missing', ['audio_sha256' => $sha256]),
+			'checksum_mismatch',
+			422
+		);
+	}
+}
@@ -0,0 +1,170 @@
+<?php
+
+/**
+ * Signed TUS upload tokens: signature, expiry, binding to one upload and
+ * replays for another upload.
+ *
+ * @package Starmus\Tests\Unit
+ */
+
+declare(strict_types=1);
+
+namespace Starmus\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use Starisian\Sparxstar\Starmus\helpers\StarmusUploadToken;
+use WP_Error;
+
+final class StarmusUploadTokenTest extends TestCase
+{
+	protected function setUp(): void
+	{
+		$GLOBALS['starmus_test_transients'] = [];
+	}
+
+	/**
+	 * `Event.Upload` as tusd reports it in a hook payload.
+	 */
+	private function upload(string $filename = 'take.webm', int $size = 2048, int $post_id = 0, string $id = ''): array
+	{
+		return [
+			'ID' => $id,
+			'Size' => $size,
+			'MetaData' => [
+				'filename' => $filename,
+				'post_id' => (string) $post_id,
+			],
+		];
+	}
+
+	/**
+	 * Signs arbitrary claims the way issue() does, for tokens it would never issue.
+	 */
+	private function sign(array $claims): string
+	{
+		$payload = rtrim(strtr(base64_encode((string) json_encode($claims)), '+/', '-_'), '=');
+
+		return $payload . '.' . hash_hmac('sha256', $payload, STARMUS_TUS_WEBHOOK_SECRET);
+	}
+
+	private function issue(string $filename = 'take.webm', int $size = 2048, int $post_id = 0): string
+	{
+		$grant = StarmusUploadToken::issue($filename, $size, $post_id, 7);
+		$this->assertIsArray($grant);
+
+		return $grant['token'];
+	}
+
+	private function assertRejected(mixed $result, string $message): void
+	{
+		$this->assertInstanceOf(WP_Error::class, $result);
+		$this->assertSame('unauthorized', $result->get_error_code());
+		$this->assertSame($message, $result->get_error_message());
+	}
+
+	public function testIssuedTokenVerifiesForItsUpload(): void
+	{
+		$grant = StarmusUploadToken::issue('take.webm', 2048, 15, 7);
+
+		$this->assertIsArray($grant);
+		$this->assertEqualsWithDelta(time() + StarmusUploadToken::TTL, $grant['expires'], 2);
+
+		$claims = StarmusUploadToken::verify($grant['token'], $this->upload('take.webm', 2048, 15));
+
+		$this->assertIsArray($claims);
+		$this->assertSame(['take.webm', 2048, 15, 7], [$claims['f'], $claims['s'], $claims['p'], $claims['u']]);
+	}
+
+	public function testTamperedTokenIsRejected(): void
+	{
+		[$payload, $signature] = explode('.', $this->issue());
+		$forged = rtrim(strtr(base64_encode('{"f":"take.webm","s":2048,"p":0,"e":9999999999}'), '+/', '-_'), '=');
+
+		$this->assertRejected(StarmusUploadToken::verify($forged . '.' . $signature, $this->upload()), 'Invalid upload token.');
+		$this->assertRejected(StarmusUploadToken::verify($payload . '.' . str_repeat('0', 64), $this->upload()), 'Invalid upload token.');
+		$this->assertRejected(StarmusUploadToken::verify($payload, $this->upload()), 'Invalid upload token.');
+	}
+
+	public function testSignedTokenWithoutExpiryIsRejected(): void
+	{
+		$token = $this->sign(['f' => 'take.webm', 's' => 2048, 'p' => 0]);
+
+		$this->assertRejected(StarmusUploadToken::verify($token, $this->upload()), 'Invalid upload token.');
+	}
+
+	public function testExpiredTokenIsRejected(): void
+	{
+		$token = $this->sign(['f' => 'take.webm', 's' => 2048, 'p' => 0, 'e' => time() - 60]);
+
+		$this->assertRejected(StarmusUploadToken::verify($token, $this->upload()), 'Upload token expired.');
+	}
+
+	public function testTokenWithinClockLeewayIsAccepted(): void
+	{
+		$token = $this->sign(['f' => 'take.webm', 's' => 2048, 'p' => 0, 'n' => 'a1b2', 'e' => time() - 10]);
+
+		$this->assertIsArray(StarmusUploadToken::verify($token, $this->upload()));
+	}
+
+	public function testTokenIsBoundToFilenameSizeAndPost(): void
+	{
+		$token = $this->issue('take.webm', 2048, 15);
+		$mismatch = 'Upload token does not match this upload.';
+
+		$this->assertRejected(StarmusUploadToken::verify($token, $this->upload('other.webm', 2048, 15)), $mismatch);
+		$this->assertRejected(StarmusUploadToken::verify($token, $this->upload('take.webm', 4096, 15)), $mismatch);
+		$this->assertRejected(StarmusUploadToken::verify($token, $this->upload('take.webm', 2048, 16)), $mismatch);
+		$this->assertRejected(StarmusUploadToken::verify($token, $this->upload('take.webm', 2048, 0)), $mismatch);
+	}
+
+	public function testDeferredLengthUploadIsCheckedOnceSizeIsKnown(): void
+	{
+		$token = $this->issue('take.webm', 2048);
+
+		$this->assertIsArray(StarmusUploadToken::verify($token, $this->upload('take.webm', 0)));
+	}
+
+	public function testFilenameIsComparedAfterSanitizing(): void
+	{
+		$token = $this->issue('my-take.webm');
+
+		$this->assertIsArray(StarmusUploadToken::verify($token, $this->upload('my take.webm')));
+	}
+
+	public function testSignedTokenWithoutNonceIsRejected(): void
+	{
+		$token = $this->sign(['f' => 'take.webm', 's' => 2048, 'p' => 0, 'e' => time() + 60]);
+
+		$this->assertRejected(StarmusUploadToken::verify($token, $this->upload()), 'Invalid upload token.');
+	}
+
+	public function testTokenKeepsPassingForTheHooksOfItsUpload(): void
+	{
+		$token = $this->issue();
+
+		// pre-create carries no upload ID yet
+		$this->assertIsArray(StarmusUploadToken::verify($token, $this->upload()));
+		$this->assertIsArray(StarmusUploadToken::verify($token, $this->upload(id: 'upload-1')));
+		$this->assertIsArray(StarmusUploadToken::verify($token, $this->upload(id: 'upload-1')));
+	}
+
+	public function testUsedTokenIsRejectedForAnotherUpload(): void
+	{
+		$token = $this->issue();
+		$replayed = 'Upload token was already used for another upload.';
+		StarmusUploadToken::verify($token, $this->upload(id: 'upload-1'));
+
+		$this->assertRejected(StarmusUploadToken::verify($token, $this->upload(id: 'upload-2')), $replayed);
+		// Creating a new upload with it is refused too
+		$this->assertRejected(StarmusUploadToken::verify($token, $this->upload()), $replayed);
+	}
+
+	public function testEachIssuedTokenIsBoundSeparately(): void
+	{
+		$first = $this->issue();
+		$second = $this->issue();
+		StarmusUploadToken::verify($first, $this->upload(id: 'upload-1'));
+
+		$this->assertIsArray(StarmusUploadToken::verify($second, $this->upload(id: 'upload-2')));
+	}
+}
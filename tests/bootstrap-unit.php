@@ -258,6 +258,35 @@ if (!function_exists('apply_filters')) {
     }
 }
 
+if (!function_exists('sanitize_file_name')) {
+    function sanitize_file_name($filename)
+    {
+        return preg_replace('/[^A-Za-z0-9._-]+/', '-', trim($filename));
+    }
+}
+
+if (!function_exists('get_transient')) {
+    // Transients live in memory for the duration of the test run
+    $GLOBALS['starmus_test_transients'] = [];
+
+    function get_transient($transient)
+    {
+        return $GLOBALS['starmus_test_transients'][$transient] ?? false;
+    }
+
+    function set_transient($transient, $value, $expiration = 0)
+    {
+        $GLOBALS['starmus_test_transients'][$transient] = $value;
+        return true;
+    }
+
+    function delete_transient($transient)
+    {
+        unset($GLOBALS['starmus_test_transients'][$transient]);
+        return true;
+    }
+}
+
 if (!function_exists('wp_json_encode')) {
     function wp_json_encode($data, $options = 0, $depth = 512)
     {
@@ -268,3 +297,45 @@ if (!function_exists('wp_json_encode')) {
 if (!defined('STARMUS_REST_NAMESPACE')) {
     define('STARMUS_REST_NAMESPACE', 'star-starmus-audio-recorder/v1');
 }
+
+if (!defined('DAY_IN_SECONDS')) {
+    define('DAY_IN_SECONDS', 86400);
+}
+
+if (!defined('STARMUS_TUS_WEBHOOK_SECRET')) {
+    define('STARMUS_TUS_WEBHOOK_SECRET', 'unit-test-secret');
+}
+
+if (!defined('STARMUS_TUSD_HOOK_SECRET')) {
+    define('STARMUS_TUSD_HOOK_SECRET', 'unit-hook-secret');
+}
+
+if (!defined('STARMUS_TUSD_UPLOAD_DIR')) {
+    // Hook payloads may only name files inside this directory
+    define('STARMUS_TUSD_UPLOAD_DIR', sys_get_temp_dir() . '/starmus-tusd-unit');
+}
+
+if (!is_dir(STARMUS_TUSD_UPLOAD_DIR)) {
+    mkdir(STARMUS_TUSD_UPLOAD_DIR, 0777, true);
+}
+
+if (!function_exists('is_wp_error')) {
+    function is_wp_error($thing)
+    {
+        return $thing instanceof WP_Error;
+    }
+}
+
+if (!function_exists('do_action')) {
+    function do_action($hook_name, ...$args)
+    {
+        // Mock implementation
+    }
+}
+
+if (!function_exists('wp_normalize_path')) {
+    function wp_normalize_path($path)
+    {
+        return (string) preg_replace('|(?<=.)/+|', '/', str_replace('\\', '/', (string) $path));
+    }
+}
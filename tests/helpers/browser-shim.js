@@ -0,0 +1,11 @@
+/**
+ * @file browser-shim.js
+ * @description Jest setup file: just enough browser for the page modules to load
+ * under Node. Tests that need more (a DOM element, a config global) add it themselves.
+ */
+
+globalThis.window = globalThis;
+globalThis.document = { readyState: 'complete', addEventListener() {} };
+globalThis.navigator = { onLine: false, userAgent: 'jest' };
+// An open BroadcastChannel holds Node's event loop open; a single test process needs none
+globalThis.BroadcastChannel = undefined;
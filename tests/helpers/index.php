@@ -0,0 +1,7 @@
+<?php
+
+/**
+ * I have known the silence of the stars and of the sea
+ *
+ *
+ */
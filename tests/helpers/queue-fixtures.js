@@ -0,0 +1,38 @@
+/**
+ * @file queue-fixtures.js
+ * @description A recorded oral history, shared by the offline queue tests: as a
+ * plain queue item and queued through OfflineQueue.add().
+ */
+
+export const STORY = {
+  audio: 'oral history audio',
+  fileName: 'story.webm',
+  title: 'Grandmother',
+  transcript: 'Once upon a time',
+};
+
+export const storyBlob = () => new Blob([STORY.audio], { type: 'audio/webm' });
+
+// The item before it is stored, as add() builds it
+export const plain = () => ({
+  id: 'starmus-offline-1',
+  fileName: STORY.fileName,
+  audioBlob: storyBlob(),
+  formFields: { starmus_title: STORY.title, agreement_to_terms: '1' },
+  metadata: { transcript: STORY.transcript },
+});
+
+/**
+ * Queues the story; `metadata` and `options` are merged into what add() receives.
+ */
+export const queueStory = (offlineQueue, metadata = {}, options = {}) => {
+  const item = plain();
+  return offlineQueue.add(
+    'rec-1',
+    item.audioBlob,
+    item.fileName,
+    item.formFields,
+    { ...item.metadata, ...metadata },
+    options,
+  );
+};
@@ -0,0 +1,175 @@
+/**
+ * @file starmus-audio-devices.test.js
+ * @description Microphone selection: listing inputs, the stored preference, the
+ * getUserMedia constraints built from it, hot-plug notices and the store's device state.
+ */
+
+import { jest } from '@jest/globals';
+
+const {
+  describeStreamInput,
+  getPreferredInput,
+  listAudioInputs,
+  setPreferredInput,
+  watchAudioInputs,
+  withPreferredInput,
+} = await import('../src/js/starmus-audio-devices.js');
+const { createStore } = await import('../src/js/starmus-state-store.js');
+
+/** A localStorage stand-in backed by a Map. */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+/** navigator.mediaDevices reporting the given devices. */
+function mediaDevices(devices) {
+  const listeners = new Set();
+  return {
+    enumerateDevices: async () => devices,
+    addEventListener: (type, fn) => listeners.add(fn),
+    removeEventListener: (type, fn) => listeners.delete(fn),
+    emit: () => listeners.forEach((fn) => fn()),
+    listeners,
+  };
+}
+
+const DEVICES = [
+  { kind: 'audioinput', deviceId: 'default', label: 'Built-in' },
+  { kind: 'videoinput', deviceId: 'cam', label: 'Camera' },
+  { kind: 'audioinput', deviceId: 'usb', label: '' },
+];
+
+beforeEach(() => {
+  window.localStorage = memoryStorage();
+});
+
+afterEach(() => {
+  delete navigator.mediaDevices;
+  delete window.localStorage;
+});
+
+describe('listAudioInputs', () => {
+  test('lists audio inputs only, numbering those without a label', async () => {
+    navigator.mediaDevices = mediaDevices(DEVICES);
+
+    expect(await listAudioInputs()).toEqual([
+      { deviceId: 'default', label: 'Built-in' },
+      { deviceId: 'usb', label: 'Microphone 2' },
+    ]);
+  });
+
+  test('is empty when devices cannot be listed', async () => {
+    expect(await listAudioInputs()).toEqual([]);
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    navigator.mediaDevices = {
+      enumerateDevices: async () => {
+        throw new Error('NotAllowedError');
+      },
+    };
+    expect(await listAudioInputs()).toEqual([]);
+    warn.mockRestore();
+  });
+});
+
+describe('preferred input', () => {
+  test('the choice is remembered for this browser', () => {
+    expect(getPreferredInput()).toBeNull();
+
+    setPreferredInput({ deviceId: 'usb', label: 'USB mic', extra: true });
+
+    expect(getPreferredInput()).toEqual({ deviceId: 'usb', label: 'USB mic' });
+  });
+
+  test('unavailable storage is not an error', () => {
+    window.localStorage = {
+      getItem() {
+        throw new Error('SecurityError');
+      },
+      setItem() {
+        throw new Error('QuotaExceededError');
+      },
+    };
+
+    expect(() => setPreferredInput({ deviceId: 'usb' })).not.toThrow();
+    expect(getPreferredInput()).toBeNull();
+  });
+
+  test('constraints prefer the stored input without requiring it', () => {
+    expect(withPreferredInput(true)).toBe(true);
+
+    setPreferredInput({ deviceId: 'usb', label: 'USB mic' });
+
+    expect(withPreferredInput(true)).toEqual({ deviceId: { ideal: 'usb' } });
+    expect(withPreferredInput({ channelCount: 1 })).toEqual({
+      channelCount: 1,
+      deviceId: { ideal: 'usb' },
+    });
+    expect(withPreferredInput(true, 'other')).toEqual({ deviceId: { ideal: 'other' } });
+  });
+});
+
+test('describeStreamInput reads the track backing a stream', () => {
+  const stream = {
+    getAudioTracks: () => [{ label: 'USB mic', getSettings: () => ({ deviceId: 'usb' }) }],
+  };
+
+  expect(describeStreamInput(stream)).toEqual({ deviceId: 'usb', label: 'USB mic' });
+  expect(describeStreamInput({ getAudioTracks: () => [] })).toBeNull();
+  expect(describeStreamInput(null)).toBeNull();
+});
+
+test('watchAudioInputs reports the new list on hot-plug until stopped', async () => {
+  const media = mediaDevices(DEVICES.slice(0, 1));
+  navigator.mediaDevices = media;
+  const handler = jest.fn();
+
+  const stop = watchAudioInputs(handler);
+  media.emit();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  expect(handler).toHaveBeenCalledWith([{ deviceId: 'default', label: 'Built-in' }]);
+
+  stop();
+  expect(media.listeners.size).toBe(0);
+});
+
+describe('store device state', () => {
+  test('the active input is recorded and survives an environment update', () => {
+    const store = createStore();
+
+    store.dispatch({ type: 'starmus/device-lost' });
+    store.dispatch({ type: 'starmus/device-active', payload: { deviceId: 'usb', label: 'USB' } });
+    store.dispatch({ type: 'starmus/env-update', payload: { device: { type: 'desktop' } } });
+
+    const state = store.getState();
+    expect(state.devices).toMatchObject({ activeId: 'usb', lost: false });
+    expect(state.env.device).toEqual({ type: 'desktop', audioInputLabel: 'USB' });
+  });
+
+  test('a new input list keeps the selection unless it names one', () => {
+    const store = createStore();
+    const inputs = [{ deviceId: 'usb', label: 'USB' }];
+
+    store.dispatch({ type: 'starmus/device-selected', payload: { deviceId: 'usb' } });
+    store.dispatch({ type: 'starmus/devices-updated', payload: { inputs } });
+    expect(store.getState().devices).toMatchObject({ inputs, selectedId: 'usb' });
+
+    store.dispatch({ type: 'starmus/devices-updated', payload: { inputs, selectedId: null } });
+    expect(store.getState().devices.selectedId).toBeNull();
+  });
+
+  test('a reset keeps the inputs but clears a lost microphone', () => {
+    const store = createStore();
+
+    store.dispatch({ type: 'starmus/device-selected', payload: { deviceId: 'usb' } });
+    store.dispatch({ type: 'starmus/device-lost' });
+    store.dispatch({ type: 'starmus/reset' });
+
+    expect(store.getState().devices).toMatchObject({ selectedId: 'usb', lost: false });
+  });
+});
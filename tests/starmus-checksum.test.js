@@ -0,0 +1,96 @@
+/**
+ * @file starmus-checksum.test.js
+ * @description Audio checksums: the hashing itself, and how the offline queue stores
+ * them and refuses to upload audio that no longer matches.
+ */
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { createHash } from 'node:crypto';
+import { STORY, queueStory } from './helpers/queue-fixtures.js';
+
+const { createSha256, sha256Hex, tusChecksumHeader, verifyChecksum } =
+  await import('../src/js/starmus-checksum.js');
+const { classifyUploadError } = await import('../src/js/starmus-dead-letter.js');
+const { default: offlineQueue } = await import('../src/js/starmus-offline.js');
+
+const nodeSha256 = (bytes) => createHash('sha256').update(bytes).digest('hex');
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+
+// Patterned bytes, so a shifted or dropped byte changes the digest
+const bytesOf = (length) => new Uint8Array(length).map((_, i) => (i * 31 + 7) & 255);
+
+test('the incremental hasher matches SHA-256 across block and padding boundaries', () => {
+  for (const length of [0, 1, 55, 56, 63, 64, 65, 119, 120, 128, 1000, 65537]) {
+    const data = bytesOf(length);
+    const hasher = createSha256();
+    // Uneven pieces exercise the partial-block buffer
+    for (let i = 0; i < length; i += 37) {
+      hasher.update(data.subarray(i, i + 37));
+    }
+    expect(hex(hasher.digest())).toBe(nodeSha256(data));
+  }
+});
+
+test('sha256Hex hashes a blob to lowercase hex', async () => {
+  const data = bytesOf(300000);
+  expect(await sha256Hex(new Blob([data]))).toBe(nodeSha256(data));
+});
+
+test('the TUS header carries the digest in base64', () => {
+  const digest = createHash('sha256').update('abc');
+  expect(tusChecksumHeader(digest.copy().digest('hex'))).toBe(`sha256 ${digest.digest('base64')}`);
+});
+
+test('verifyChecksum accepts the original and rejects a truncated copy', async () => {
+  const data = bytesOf(4096);
+  const sha256 = nodeSha256(data);
+
+  await expect(verifyChecksum(new Blob([data]), sha256.toUpperCase())).resolves.toBeUndefined();
+  await expect(verifyChecksum(new Blob([data.subarray(0, 4000)]), sha256)).rejects.toMatchObject({
+    code: 'CHECKSUM_MISMATCH',
+  });
+  // Items queued before checksums existed are not checked
+  await expect(verifyChecksum(new Blob([]), null)).resolves.toBeUndefined();
+});
+
+test('local corruption is dead-lettered; damage in transit is retried', () => {
+  expect(classifyUploadError(Object.assign(new Error('x'), { code: 'CHECKSUM_MISMATCH' }))).toEqual(
+    { retryable: false, reason: 'corrupted', nonce: false },
+  );
+  const server = Object.assign(new Error('mismatch'), { status: 422, code: 'checksum_mismatch' });
+  expect(classifyUploadError(server).retryable).toBe(true);
+});
+
+describe('offline queue', () => {
+  beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    offlineQueue.db?.close();
+    offlineQueue.db = null;
+    await offlineQueue.init();
+  });
+
+  test('queued items keep the checksum taken at recording time', async () => {
+    const id = await queueStory(offlineQueue, { sha256: 'a'.repeat(64) });
+
+    expect((await offlineQueue.get(id)).sha256).toBe('a'.repeat(64));
+  });
+
+  test('items queued without one are hashed on the way in', async () => {
+    const id = await queueStory(offlineQueue);
+
+    expect((await offlineQueue.get(id)).sha256).toBe(nodeSha256(STORY.audio));
+  });
+
+  test('audio that no longer matches is not uploaded', async () => {
+    const id = await queueStory(offlineQueue);
+    const item = await offlineQueue.get(id);
+
+    const error = await offlineQueue._upload(
+      { ...item, audioBlob: new Blob(['oral history'], { type: 'audio/webm' }) },
+      null,
+    );
+
+    expect(error.code).toBe('CHECKSUM_MISMATCH');
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * @file starmus-chunked-upload.test.js
+ * @description Chunked REST uploads against a fake session endpoint: chunking and
+ * finalize, resuming a stored session, realigning on 409 within the retries and giving up
+ * after retries or when the server's offset doesn't move forward.
+ */
+
+import 'fake-indexeddb/auto';
+import { jest } from '@jest/globals';
+
+const { uploadChunked } = await import('../src/js/starmus-chunked-upload.js');
+
+const ENDPOINT = 'https://example.test/wp-json/star/v1/upload-session';
+
+/**
+ * A session endpoint that stores chunks in order. `putReplies` overrides the next PUTs:
+ * each entry is null (handle normally) or a function given the normal handler.
+ */
+function createServer() {
+  const server = { sessions: new Map(), requests: [], ranges: [], putReplies: [] };
+  let nextId = 1;
+  const reply = (status, json) => ({ status, json: async () => json });
+
+  globalThis.fetch = jest.fn(async (url, init) => {
+    const [, id, action] = url.slice(ENDPOINT.length).split('/');
+    server.requests.push(`${init.method} ${[id, action].filter(Boolean).join('/')}`.trim());
+
+    if (!id) {
+      const sessionId = `s${nextId++}`;
+      server.sessions.set(sessionId, 0);
+      return reply(200, { data: { session_id: sessionId } });
+    }
+    if (!server.sessions.has(id)) {
+      return reply(404, { code: 'session_not_found' });
+    }
+    if (init.method === 'GET') {
+      return reply(200, { data: { offset: server.sessions.get(id) } });
+    }
+    if (action === 'finalize') {
+      return reply(200, { success: true, data: { post_id: 42 } });
+    }
+
+    const range = init.headers['Content-Range'];
+    server.ranges.push(range);
+    const put = async () => {
+      const [, start, end] = range.match(/bytes (\d+)-(\d+)/).map(Number);
+      if (start !== server.sessions.get(id)) {
+        return reply(409, { code: 'offset_mismatch', data: { offset: server.sessions.get(id) } });
+      }
+      server.sessions.set(id, end + 1);
+      return reply(200, { data: { offset: end + 1 } });
+    };
+    const override = server.putReplies.shift();
+    return override ? override(put) : put();
+  });
+  return server;
+}
+
+const networkError = () => {
+  throw new TypeError('Failed to fetch');
+};
+
+/** Uploads ten bytes in chunks of four. */
+function upload(fileName, options = {}) {
+  return uploadChunked(new Blob(['0123456789'], { type: 'audio/webm' }), fileName, null, {
+    endpoint: ENDPOINT,
+    nonce: 'nonce',
+    chunkSize: 4,
+    ...options,
+  });
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+test('sends the file in ranges and finalizes', async () => {
+  const server = createServer();
+  const progress = [];
+
+  const result = await upload('whole.webm', { onProgress: (sent) => progress.push(sent) });
+
+  expect(result.data.post_id).toBe(42);
+  expect(server.ranges).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+  expect(progress).toEqual([0, 4, 8, 10]);
+  expect(server.requests.at(-1)).toBe('POST s1/finalize');
+});
+
+test('a later attempt resumes the stored session where the server left off', async () => {
+  const server = createServer();
+  server.putReplies.push(null, networkError);
+
+  await expect(upload('resume.webm')).rejects.toThrow('Chunk upload failed after retries');
+  server.requests = [];
+  server.ranges = [];
+  const progress = [];
+  await upload('resume.webm', { onProgress: (sent) => progress.push(sent) });
+
+  expect(server.requests).toEqual(['GET s1', 'PUT s1', 'PUT s1', 'POST s1/finalize']);
+  expect(server.ranges).toEqual(['bytes 4-7/10', 'bytes 8-9/10']);
+  expect(progress[0]).toBe(4);
+});
+
+test('a session the server no longer has is replaced', async () => {
+  const server = createServer();
+  server.putReplies.push(networkError);
+  await expect(upload('expired.webm')).rejects.toThrow();
+  server.sessions.clear();
+  server.requests = [];
+
+  await upload('expired.webm');
+
+  expect(server.requests.slice(0, 3)).toEqual(['GET s1', 'POST', 'PUT s2']);
+});
+
+test('a lost reply is realigned to the offset the server reports', async () => {
+  const server = createServer();
+  server.putReplies.push(async (put) => {
+    await put();
+    throw new TypeError('Failed to fetch');
+  });
+
+  // One retry for the lost reply, one for the realignment
+  await upload('realign.webm', { retryDelays: [0, 0] });
+
+  expect(server.ranges).toEqual(['bytes 0-3/10', 'bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+});
+
+describe('realigning on 409', () => {
+  /** A PUT reply saying the server holds `offset`. */
+  const conflict = (offset) => async () => ({
+    status: 409,
+    json: async () => ({ code: 'offset_mismatch', data: { offset } }),
+  });
+
+  test('waits the next retry delay and reports the new offset', async () => {
+    const server = createServer();
+    server.putReplies.push(async (put) => {
+      await put();
+      return conflict(4)();
+    });
+    const timeout = jest.spyOn(globalThis, 'setTimeout');
+    const progress = [];
+
+    await upload('delayed.webm', { retryDelays: [5], onProgress: (sent) => progress.push(sent) });
+
+    expect(timeout).toHaveBeenCalledWith(expect.any(Function), 5);
+    expect(progress).toEqual([0, 4, 8, 10]);
+    timeout.mockRestore();
+  });
+
+  test('use up the retries like failures', async () => {
+    const server = createServer();
+    server.putReplies.push(conflict(4), conflict(8));
+
+    await expect(upload('conflicts.webm', { retryDelays: [0] })).rejects.toMatchObject({
+      status: 409,
+      message: 'Chunk upload failed after retries',
+    });
+    expect(server.ranges).toEqual(['bytes 0-3/10', 'bytes 4-7/10']);
+  });
+
+  test('an offset that does not move forward ends the upload and drops the session', async () => {
+    const server = createServer();
+    server.putReplies.push(null, conflict(4));
+
+    await expect(upload('stuck.webm', { retryDelays: [0, 0, 0] })).rejects.toMatchObject({
+      status: 409,
+      message: 'Upload offset did not advance',
+    });
+    expect(server.ranges).toEqual(['bytes 0-3/10', 'bytes 4-7/10']);
+    server.requests = [];
+    await upload('stuck.webm');
+
+    expect(server.requests[0]).toBe('POST');
+  });
+});
+
+test('a chunk that keeps failing gives up once the retries are used', async () => {
+  const server = createServer();
+  const unavailable = async () => ({ status: 503, json: async () => ({}) });
+  server.putReplies.push(unavailable, unavailable, unavailable);
+
+  await expect(upload('exhausted.webm', { retryDelays: [0, 0] })).rejects.toMatchObject({
+    status: 503,
+    message: 'Chunk upload failed after retries',
+  });
+  expect(server.ranges).toEqual(['bytes 0-3/10', 'bytes 0-3/10', 'bytes 0-3/10']);
+});
+
+test('a chunk the server refuses ends the upload and drops the session', async () => {
+  const server = createServer();
+  server.putReplies.push(async () => ({
+    status: 413,
+    json: async () => ({ code: 'too_large', message: 'Too large' }),
+  }));
+
+  await expect(upload('refused.webm', { retryDelays: [0] })).rejects.toMatchObject({
+    status: 413,
+    code: 'too_large',
+  });
+  server.requests = [];
+  await upload('refused.webm');
+
+  expect(server.requests[0]).toBe('POST');
+});
+
+test('a server without the session route is reported as unsupported', async () => {
+  globalThis.fetch = jest.fn(async () => ({
+    status: 404,
+    json: async () => ({ code: 'rest_no_route' }),
+  }));
+
+  await expect(upload('unsupported.webm')).rejects.toMatchObject({ unsupported: true });
+});
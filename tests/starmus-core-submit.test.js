@@ -0,0 +1,369 @@
+/**
+ * @file starmus-core-submit.test.js
+ * @description Submitting recordings through initCore: the selected take or a batch of
+ * every take, with failed uploads falling back to the offline queue, and the pause, resume
+ * and cancel commands for the upload in flight.
+ */
+
+import { jest } from '@jest/globals';
+
+// The SPARXSTAR bridge warns once at load when jQuery is absent
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+// initCore announces each instance with a starmus-ready event
+window.dispatchEvent = () => true;
+
+const uploadWithPriority = jest.fn();
+const queueSubmission = jest.fn();
+const controller = {};
+
+jest.unstable_mockModule('../src/js/starmus-tus.js', () => ({
+  uploadWithPriority,
+  createUploadController: () => controller,
+}));
+jest.unstable_mockModule('../src/js/starmus-offline.js', () => ({
+  queueSubmission,
+  getPendingCount: async () => queueSubmission.mock.calls.length,
+}));
+
+const { initCore } = await import('../src/js/starmus-core.js');
+
+/** Three takes, the second one selected. */
+const TAKES = ['one', 'two', 'three'].map((label, i) => ({
+  id: `take-${i + 1}`,
+  label,
+  blob: new Blob([label]),
+  fileName: `${label}.webm`,
+  metadata: { duration: i + 1 },
+}));
+
+/** A store stub holding the given state and recording what is dispatched. */
+function stubStore(state) {
+  const dispatched = [];
+  return {
+    dispatched,
+    getState: () => state,
+    dispatch: (action) => dispatched.push(action),
+    subscribe: () => () => {},
+    types: () => dispatched.map((action) => action.type),
+  };
+}
+
+/** Sets up a recorder instance; its submissions are recorded in `store.dispatched`. */
+async function setUp(state) {
+  const store = stubStore(state);
+  const { handleSubmit } = initCore(store, 'rec-1', {});
+  // Let the environment detection settle so only the submission is recorded
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  store.dispatched.length = 0;
+  return { store, handleSubmit };
+}
+
+/** Sets up a recorder instance and submits from it. */
+async function submit(state, options) {
+  const { store, handleSubmit } = await setUp(state);
+  await handleSubmit({ consent: 'yes' }, options);
+  return store;
+}
+
+/** Sends an upload command to the recorder, as its buttons do. */
+const command = (name) => window.StarmusHooks.dispatch(name, {}, { instanceId: 'rec-1' });
+
+const batchState = () => ({
+  source: { blob: TAKES[1].blob, fileName: TAKES[1].fileName },
+  takes: TAKES,
+  selectedTakeId: 'take-2',
+});
+
+beforeEach(() => {
+  let postId = 100;
+  uploadWithPriority.mockReset().mockImplementation(async () => ({
+    success: true,
+    data: { post_id: ++postId },
+  }));
+  queueSubmission.mockReset().mockResolvedValue('sub-1');
+  Object.assign(controller, {
+    pause: jest.fn(() => true),
+    resume: jest.fn(() => true),
+    cancel: jest.fn(() => true),
+  });
+  navigator.onLine = true;
+  window.alert = jest.fn();
+  window.location = { reload: jest.fn() };
+  window.CommandBus = { dispatch: jest.fn() };
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  navigator.onLine = false;
+  jest.restoreAllMocks();
+});
+
+test('without allTakes only the selected take is sent', async () => {
+  const store = await submit(batchState());
+
+  expect(uploadWithPriority).toHaveBeenCalledTimes(1);
+  expect(uploadWithPriority.mock.calls[0][0]).toMatchObject({
+    blob: TAKES[1].blob,
+    fileName: 'two.webm',
+    formFields: { consent: 'yes' },
+  });
+  expect(store.types()).toEqual(['starmus/submit-start', 'starmus/submit-complete']);
+});
+
+test('a batch uploads every take tagged with its place in the batch', async () => {
+  const store = await submit(batchState(), { allTakes: true });
+
+  const calls = uploadWithPriority.mock.calls.map(([arg]) => arg);
+  expect(calls.map((arg) => arg.fileName)).toEqual(['one.webm', 'two.webm', 'three.webm']);
+  expect(calls[2].formFields).toMatchObject({
+    consent: 'yes',
+    take_index: 3,
+    take_count: 3,
+    take_label: 'three',
+  });
+  expect(calls[1].metadata.take).toMatchObject({ index: 2, count: 3, selected: true });
+  expect(new Set(calls.map((arg) => arg.formFields.take_batch_id)).size).toBe(1);
+
+  // The selected take's result is the one reported
+  expect(store.dispatched.at(-1)).toEqual({
+    type: 'starmus/submit-complete',
+    payload: { success: true, data: { post_id: 102 } },
+  });
+  expect(window.location.reload).toHaveBeenCalled();
+});
+
+test('each upload carries its recording checksum', async () => {
+  const hex = async (text) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Buffer.from(digest).toString('hex');
+  };
+  // A checksum taken when the take was recorded is used as is
+  const takes = TAKES.map((take, i) =>
+    i === 0 ? { ...take, metadata: { ...take.metadata, sha256: 'a'.repeat(64) } } : take,
+  );
+
+  await submit({ ...batchState(), takes }, { allTakes: true });
+
+  expect(uploadWithPriority.mock.calls.map(([arg]) => arg.metadata.sha256)).toEqual([
+    'a'.repeat(64),
+    await hex('two'),
+    await hex('three'),
+  ]);
+});
+
+test('batch progress covers the whole batch', async () => {
+  uploadWithPriority.mockImplementation(async ({ onProgress }) => {
+    onProgress(1, 2);
+    return { success: true, data: { post_id: 1 } };
+  });
+
+  const store = await submit(batchState(), { allTakes: true });
+
+  expect(
+    store.dispatched.filter((a) => a.type === 'starmus/submit-progress').map((a) => a.progress),
+  ).toEqual([0.5 / 3, 1.5 / 3, 2.5 / 3]);
+});
+
+test('a take that fails to upload is queued with its batch fields', async () => {
+  uploadWithPriority.mockImplementation(async ({ fileName }) => {
+    if (fileName === 'three.webm') {
+      throw new Error('Network down');
+    }
+    return { success: true, data: { post_id: 1 } };
+  });
+
+  const store = await submit(batchState(), { allTakes: true });
+
+  expect(queueSubmission).toHaveBeenCalledTimes(1);
+  const [instanceId, blob, fileName, fields] = queueSubmission.mock.calls[0];
+  expect([instanceId, blob, fileName]).toEqual(['rec-1', TAKES[2].blob, 'three.webm']);
+  expect(fields).toMatchObject({ take_index: 3, take_count: 3 });
+  expect(store.dispatched).toContainEqual({
+    type: 'starmus/submit-queued',
+    submissionId: 'sub-1',
+    submitted: 2,
+    total: 3,
+  });
+  expect(window.CommandBus.dispatch).toHaveBeenCalledWith('starmus/offline/queue_updated', {
+    count: 1,
+  });
+});
+
+describe('a parent page hosting the recorder', () => {
+  let trigger;
+
+  beforeEach(() => {
+    trigger = jest.fn();
+    window.parent = {
+      location: { href: 'https://example.test/host' },
+      document: {},
+      jQuery: () => ({ trigger }),
+    };
+  });
+
+  afterEach(() => {
+    delete window.parent;
+  });
+
+  test('hears about the takes of a partly queued batch', async () => {
+    uploadWithPriority.mockImplementation(async ({ fileName }) => {
+      if (fileName === 'two.webm') {
+        throw new Error('Network down');
+      }
+      return { success: true, data: { post_id: fileName === 'one.webm' ? 201 : 203 } };
+    });
+
+    await submit(batchState(), { allTakes: true });
+
+    expect(trigger).toHaveBeenCalledWith('starmusRecordingComplete', [
+      { audioPostId: 201, audioPostIds: [201, 203], partial: true },
+    ]);
+  });
+
+  test('hears nothing when every take was queued', async () => {
+    navigator.onLine = false;
+
+    const store = await submit(batchState(), { allTakes: true });
+
+    expect(trigger).not.toHaveBeenCalled();
+    expect(store.dispatched.at(-1)).toMatchObject({ submitted: 0, total: 3 });
+  });
+
+  test('hears about a fully sent batch once', async () => {
+    await submit(batchState(), { allTakes: true });
+
+    expect(trigger).toHaveBeenCalledTimes(1);
+    expect(trigger).toHaveBeenCalledWith('starmusRecordingComplete', [
+      { audioPostId: 102, audioPostIds: [101, 102, 103] },
+    ]);
+  });
+});
+
+test('offline, every take goes straight to the queue', async () => {
+  navigator.onLine = false;
+
+  await submit(batchState(), { allTakes: true });
+
+  expect(uploadWithPriority).not.toHaveBeenCalled();
+  expect(queueSubmission).toHaveBeenCalledTimes(3);
+  // Each take keeps its length for the queue panel
+  expect(queueSubmission.mock.calls.map((call) => call[5].duration)).toEqual([1, 2, 3]);
+});
+
+test('a submission that can be neither sent nor queued is an error', async () => {
+  uploadWithPriority.mockRejectedValue(new Error('Network down'));
+  queueSubmission.mockRejectedValue(new Error('QuotaExceededError'));
+
+  const store = await submit(batchState(), { allTakes: true });
+
+  expect(queueSubmission).toHaveBeenCalledTimes(1);
+  expect(store.dispatched.at(-1)).toEqual({
+    type: 'starmus/error',
+    error: { message: 'Upload failed completely.' },
+  });
+});
+test('a full device says why the recording could not be kept', async () => {
+  uploadWithPriority.mockRejectedValue(new Error('Network down'));
+  queueSubmission.mockRejectedValue(
+    Object.assign(new Error('Not enough storage to keep this recording offline'), {
+      code: 'STORAGE_FULL',
+    }),
+  );
+
+  const store = await submit(batchState());
+
+  expect(store.dispatched.at(-1)).toEqual({
+    type: 'starmus/error',
+    error: { message: 'Not enough storage to keep this recording offline' },
+  });
+});
+
+test('nothing is sent without a recording', async () => {
+  const store = await submit({ source: {}, takes: [] });
+
+  expect(window.alert).toHaveBeenCalledWith('No audio recording found.');
+  expect(store.dispatched).toEqual([]);
+});
+
+describe('upload commands', () => {
+  /**
+   * Keeps the first upload in flight until it is cancelled.
+   * @returns {Promise<void>} Resolves once the upload has started
+   */
+  function holdUpload() {
+    return new Promise((started) => {
+      uploadWithPriority.mockImplementationOnce(
+        () =>
+          new Promise((resolve, reject) => {
+            controller.cancel.mockImplementation(() => {
+              reject(Object.assign(new Error('UPLOAD_CANCELLED'), { cancelled: true }));
+              return true;
+            });
+            started();
+          }),
+      );
+    });
+  }
+
+  test('pause and resume reach the upload in flight', async () => {
+    const started = holdUpload();
+    const { store, handleSubmit } = await setUp(batchState());
+
+    const done = handleSubmit({}, { allTakes: true });
+    await started;
+    command('upload-pause');
+    command('upload-resume');
+    command('upload-cancel');
+    await done;
+
+    expect(uploadWithPriority.mock.calls[0][0].controller).toBe(controller);
+    expect(controller.pause).toHaveBeenCalled();
+    expect(controller.resume).toHaveBeenCalled();
+    expect(store.types()).toEqual([
+      'starmus/submit-start',
+      'starmus/upload-paused',
+      'starmus/upload-resumed',
+      'starmus/upload-cancelled',
+    ]);
+  });
+
+  test('a cancelled batch stops without queueing the rest', async () => {
+    const started = holdUpload();
+    const { handleSubmit } = await setUp(batchState());
+
+    const done = handleSubmit({}, { allTakes: true });
+    await started;
+    command('upload-cancel');
+    await done;
+
+    expect(uploadWithPriority).toHaveBeenCalledTimes(1);
+    expect(queueSubmission).not.toHaveBeenCalled();
+  });
+
+  test('a pause the upload cannot take is not reported', async () => {
+    const started = holdUpload();
+    controller.pause.mockReturnValue(false);
+    const { store, handleSubmit } = await setUp(batchState());
+
+    const done = handleSubmit({}, { allTakes: true });
+    await started;
+    command('upload-pause');
+    command('upload-cancel');
+    await done;
+
+    expect(store.types()).not.toContain('starmus/upload-paused');
+  });
+
+  test('commands after the upload finished do nothing', async () => {
+    await submit(batchState());
+
+    command('upload-pause');
+    command('upload-cancel');
+
+    expect(controller.pause).not.toHaveBeenCalled();
+    expect(controller.cancel).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @file starmus-dead-letter.test.js
+ * @description Which upload failures are retried and which are dead-lettered, and the
+ * nonce refresh used to rescue expired nonces.
+ */
+
+import { jest } from '@jest/globals';
+
+const { DEAD_LETTER_REASONS, classifyUploadError, deadLetterRecord, fetchFreshNonce } =
+  await import('../src/js/starmus-dead-letter.js');
+
+const httpError = (status, code = null, message = `HTTP ${status}`) =>
+  Object.assign(new Error(message), { status, code });
+
+const retry = { retryable: true, reason: null, nonce: false };
+const parked = (reason) => ({ retryable: false, reason, nonce: false });
+
+describe('classifyUploadError', () => {
+  test('network errors, timeouts, 429 and 5xx replies are retried', () => {
+    expect(classifyUploadError(new TypeError('Failed to fetch'))).toEqual(retry);
+    expect(classifyUploadError(new Error('Upload timeout'))).toEqual(retry);
+    expect(classifyUploadError(httpError(429))).toEqual(retry);
+    expect(classifyUploadError(httpError(503))).toEqual(retry);
+  });
+
+  test('an expired nonce is flagged for a refresh', () => {
+    const flagged = { retryable: false, reason: DEAD_LETTER_REASONS.NONCE_EXPIRED, nonce: true };
+
+    expect(classifyUploadError(httpError(403, 'rest_cookie_invalid_nonce'))).toEqual(flagged);
+    expect(classifyUploadError(httpError(403, null, 'Nonce is invalid'))).toEqual(flagged);
+  });
+
+  test('replies the server will keep refusing are dead-lettered', () => {
+    expect(classifyUploadError(httpError(401))).toEqual(parked(DEAD_LETTER_REASONS.FORBIDDEN));
+    expect(classifyUploadError(httpError(403, 'rest_forbidden'))).toEqual(
+      parked(DEAD_LETTER_REASONS.FORBIDDEN),
+    );
+    expect(classifyUploadError(httpError(413))).toEqual(parked(DEAD_LETTER_REASONS.TOO_LARGE));
+    expect(classifyUploadError(httpError(400))).toEqual(parked(DEAD_LETTER_REASONS.BAD_REQUEST));
+    expect(classifyUploadError(httpError(422))).toEqual(parked(DEAD_LETTER_REASONS.BAD_REQUEST));
+  });
+
+  test('errors without a status are read from their message', () => {
+    expect(classifyUploadError(new Error('Upload failed: 400 Bad Request'))).toEqual(
+      parked(DEAD_LETTER_REASONS.BAD_REQUEST),
+    );
+    expect(classifyUploadError(new Error('Invalid JSON response'))).toEqual(
+      parked(DEAD_LETTER_REASONS.INVALID_RESPONSE),
+    );
+    expect(classifyUploadError('Upload failed')).toEqual(retry);
+  });
+
+  test('running out of browser storage is dead-lettered', () => {
+    const quota = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+
+    expect(classifyUploadError(quota)).toEqual(parked(DEAD_LETTER_REASONS.QUOTA_EXCEEDED));
+  });
+});
+
+test('deadLetterRecord keeps the reason, message and status of the last failure', () => {
+  jest.spyOn(Date, 'now').mockReturnValueOnce(1234);
+
+  expect(deadLetterRecord(DEAD_LETTER_REASONS.TOO_LARGE, httpError(413))).toEqual({
+    reason: 'too_large',
+    message: 'HTTP 413',
+    status: 413,
+    at: 1234,
+  });
+});
+
+describe('fetchFreshNonce', () => {
+  const reply = (ok, text) => jest.fn(async () => ({ ok, text: async () => text }));
+
+  test('returns the nonce WordPress hands out', async () => {
+    globalThis.fetch = reply(true, 'a1b2c3d4e5\n');
+
+    expect(await fetchFreshNonce('/wp-admin/admin-ajax.php?action=rest-nonce')).toBe('a1b2c3d4e5');
+  });
+
+  test('returns null when signed out, unreachable or unconfigured', async () => {
+    globalThis.fetch = reply(true, '0');
+    expect(await fetchFreshNonce('/ajax')).toBeNull();
+
+    globalThis.fetch = jest.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+    expect(await fetchFreshNonce('/ajax')).toBeNull();
+
+    expect(await fetchFreshNonce('')).toBeNull();
+  });
+});
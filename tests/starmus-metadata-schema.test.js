@@ -1,82 +1,98 @@
 /**
  * @file starmus-metadata-schema.test.js
- * @description Hard-fail test ensuring reducer + metadata map never drift.
- * If this test fails, metadata serialization must be updated.
+ * @description Hard-fail test ensuring the store state and the hidden fields
+ * initAutoMetadata() writes never drift. If this test fails, metadata
+ * serialization must be updated.
  */
 
-import { buildMetadataMap } from '../src/js/starmus-metadata-auto.js';
-import { DEFAULT_INITIAL_STATE } from '../src/js/starmus-state-store.js';
+import { initAutoMetadata } from '../src/js/starmus-metadata-auto.js';
+import { DEFAULT_INITIAL_STATE, createStore } from '../src/js/starmus-state-store.js';
 
-// --- CANONICAL SCHEMA
+// --- CANONICAL SCHEMA: hidden fields synced from state
 const EXPECTED_KEYS = [
-  'starmus_title',
-  'starmus_language',
-  'starmus_recording_type',
-  'audio_file_type',
-  'agreement_to_terms',
   '_starmus_calibration',
   '_starmus_env',
   'recording_metadata',
+  'transcription',
+  'transcription_json',
   'waveform_json',
-  'session_date',
-  'session_start_time',
-  'session_end_time',
-  'location',
-  'gps_coordinates',
-  'interviewers_recorders',
-  'recording_equipment',
-  'audio_files_originals',
-  'media_condition_notes',
-  'related_consent_agreement',
-  'usage_restrictions_rights',
-  'audio_quality_score',
-  'access_level',
-  'device'
 ];
 
+document.createElement = () => ({ type: '', name: '', value: '' });
+
+// A form that only keeps the hidden inputs written to it
+function fakeForm(existing = []) {
+  const inputs = existing.map((input) => ({ ...input }));
+  return {
+    inputs,
+    querySelector(selector) {
+      const name = /name="([^"]+)"/.exec(selector)[1];
+      return inputs.find((input) => input.name === name) || null;
+    },
+    appendChild(input) {
+      inputs.push(input);
+    },
+  };
+}
+
+const fieldsOf = (form) => Object.fromEntries(form.inputs.map((i) => [i.name, i.value]));
+
 test('metadata schema matches expected key list', () => {
-  const map = buildMetadataMap(DEFAULT_INITIAL_STATE);
-  const keys = Object.keys(map);
+  const store = createStore({
+    calibration: { complete: true, gain: 1.2, speechLevel: 40, message: 'Done' },
+    source: {
+      metadata: { duration: 12, mimeType: 'audio/webm', fileSize: 1024 },
+      transcript: 'Once upon a time',
+      transcriptJson: [{ word: 'Once', start: 0 }],
+      waveform: [0.1, 0.4],
+    },
+  });
+  const form = fakeForm();
+  initAutoMetadata(store, form);
+  const keys = Object.keys(fieldsOf(form));
 
-  const missing = EXPECTED_KEYS.filter(k => keys.indexOf(k) === -1);
-  const extras = keys.filter(k => EXPECTED_KEYS.indexOf(k) === -1);
+  const missing = EXPECTED_KEYS.filter((k) => keys.indexOf(k) === -1);
+  const extras = keys.filter((k) => EXPECTED_KEYS.indexOf(k) === -1);
 
   if (missing.length || extras.length) {
     throw new Error(
       [
         'METADATA SCHEMA DRIFT DETECTED',
         missing.length ? 'Missing keys: ' + missing.join(', ') : '',
-        extras.length ? 'Unexpected keys: ' + extras.join(', ') : ''
-      ].filter(Boolean).join('\n')
+        extras.length ? 'Unexpected keys: ' + extras.join(', ') : '',
+      ]
+        .filter(Boolean)
+        .join('\n'),
     );
   }
 });
 
-test('all metadata keys map to valid state paths', () => {
-  const map = buildMetadataMap(DEFAULT_INITIAL_STATE);
-  
-  for (const [key, value] of Object.entries(map)) {
-    if (value === null || value === undefined) {
-      throw new Error(`Metadata key '${key}' maps to null/undefined - check state path validity`);
-    }
-  }
+test('the default state syncs without wiping server-injected values', () => {
+  const form = fakeForm([{ name: '_starmus_calibration', value: '{"gain":0.8}' }]);
+  initAutoMetadata(createStore(), form);
+  const fields = fieldsOf(form);
+
+  expect(fields._starmus_calibration).toBe('{"gain":0.8}');
+  expect(JSON.parse(fields._starmus_env)).toEqual(DEFAULT_INITIAL_STATE.env);
+  expect(JSON.parse(fields.recording_metadata)).toEqual(DEFAULT_INITIAL_STATE.source.metadata);
 });
 
 test('state store provides all expected paths', () => {
-  // Verify critical state paths exist in DEFAULT_INITIAL_STATE
+  // Verify the state paths initAutoMetadata() reads exist in DEFAULT_INITIAL_STATE
   const requiredStatePaths = [
-    'source.title',
-    'source.language', 
-    'source.recording_type',
-    'calibration',
+    'source.transcript',
+    'source.metadata',
+    'calibration.complete',
+    'calibration.gain',
+    'calibration.speechLevel',
+    'calibration.message',
     'env',
-    'transcript'
   ];
 
   for (const path of requiredStatePaths) {
     const pathParts = path.split('.');
     let current = DEFAULT_INITIAL_STATE;
-    
+
     for (const part of pathParts) {
       if (!current || typeof current !== 'object' || !(part in current)) {
         throw new Error(`Required state path '${path}' not found in DEFAULT_INITIAL_STATE`);
@@ -84,4 +100,4 @@ test('state store provides all expected paths', () => {
       current = current[part];
     }
   }
-});
\ No newline at end of file
+});
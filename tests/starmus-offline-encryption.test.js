@@ -0,0 +1,178 @@
+/**
+ * @file starmus-offline-encryption.test.js
+ * @description Offline queue encryption at rest against a fake IndexedDB: what
+ * OfflineQueue.add() stores, what get() hands back, PIN locking, and items whose device
+ * key is gone.
+ */
+
+import { jest } from '@jest/globals';
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { STORY, queueStory as queue } from './helpers/queue-fixtures.js';
+
+const { default: offlineQueue } = await import('../src/js/starmus-offline.js');
+
+function rawRecord(id) {
+  return new Promise((resolve, reject) => {
+    const tx = offlineQueue.db.transaction(['pendingSubmissions'], 'readonly');
+    const req = tx.objectStore('pendingSubmissions').get(id);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+const queueStory = () => queue(offlineQueue);
+
+/** Deletes the stored device key, as when the browser clears part of the site's data. */
+function loseDeviceKey() {
+  offlineQueue.keys = {};
+  return new Promise((resolve, reject) => {
+    const tx = offlineQueue.db.transaction(['queueKeys'], 'readwrite');
+    tx.objectStore('queueKeys').delete('device');
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/** Runs one queue pass while online. */
+async function drain() {
+  navigator.onLine = true;
+  try {
+    await offlineQueue.processQueue();
+  } finally {
+    navigator.onLine = false;
+  }
+}
+
+beforeEach(async () => {
+  globalThis.indexedDB = new IDBFactory();
+  offlineQueue.db?.close();
+  offlineQueue.db = null;
+  offlineQueue.keys = {};
+  await offlineQueue.init();
+});
+
+afterEach(() => {
+  delete globalThis.starmusConfig;
+  jest.restoreAllMocks();
+});
+
+test('without encryption items are stored as given', async () => {
+  const id = await queueStory();
+
+  const record = await rawRecord(id);
+  expect(record.sealed).toBeUndefined();
+  expect(record.formFields.starmus_title).toBe(STORY.title);
+});
+
+test('device encryption stores ciphertext and opens transparently', async () => {
+  globalThis.starmusConfig = { offlineEncryption: 'device' };
+  const id = await queueStory();
+
+  const record = await rawRecord(id);
+  expect(record.audioBlob).toBeNull();
+  expect(record.formFields).toEqual({});
+  expect(record.sealed.keyId).toBe('device');
+  expect(record.bytesTotal).toBe(18);
+  expect(record.sha256).toBeNull();
+
+  // A fresh page load reads the stored device key
+  offlineQueue.keys = {};
+  const item = await offlineQueue.get(id);
+  expect(item.formFields.starmus_title).toBe(STORY.title);
+  expect(await item.audioBlob.text()).toBe(STORY.audio);
+  expect(item.sha256).toMatch(/^[a-f0-9]{64}$/);
+  const [listed] = await offlineQueue.getAll();
+  expect(listed.metadata.transcript).toBe(STORY.transcript);
+  expect(listed.audioBlob).toBeNull();
+});
+
+test('PIN encryption refuses to queue until unlocked, then locks again on reload', async () => {
+  globalThis.starmusConfig = { offlineEncryption: 'pin' };
+  jest.spyOn(offlineQueue, 'processQueue').mockResolvedValue();
+
+  expect(offlineQueue.isLocked()).toBe(true);
+  await expect(queueStory()).rejects.toMatchObject({ code: 'QUEUE_LOCKED' });
+
+  await offlineQueue.unlock('2468');
+  const id = await queueStory();
+  expect((await rawRecord(id)).sealed.keyId).toBe('pin');
+
+  offlineQueue.lock();
+  expect((await offlineQueue.get(id)).locked).toBe(true);
+  await expect(offlineQueue.unlock('1357')).rejects.toMatchObject({ code: 'WRONG_PIN' });
+  await offlineQueue.unlock('2468');
+  expect((await offlineQueue.get(id)).formFields.starmus_title).toBe(STORY.title);
+});
+
+test('repaired fields stay encrypted', async () => {
+  globalThis.starmusConfig = { offlineEncryption: 'device' };
+  jest.spyOn(offlineQueue, 'processQueue').mockResolvedValue();
+  const id = await queueStory();
+
+  await offlineQueue.resubmit(id, { formFields: { starmus_title: 'Grandfather' } });
+
+  expect((await rawRecord(id)).formFields).toEqual({});
+  expect((await offlineQueue.get(id)).formFields.starmus_title).toBe('Grandfather');
+});
+
+test('removing an encrypted item overwrites it before deleting it', async () => {
+  globalThis.starmusConfig = { offlineEncryption: 'device' };
+  const id = await queueStory();
+  const writes = [];
+  const put = IDBObjectStore.prototype.put;
+  const spy = jest.spyOn(IDBObjectStore.prototype, 'put').mockImplementation(function (value) {
+    writes.push(value);
+    return put.call(this, value);
+  });
+
+  await offlineQueue.remove(id);
+  spy.mockRestore();
+
+  expect(await rawRecord(id)).toBeNull();
+  expect(writes).toHaveLength(1);
+  expect(new Uint8Array(writes[0].sealed.fields.data).every((b) => b === 0)).toBe(true);
+});
+
+describe('when the sealing key is missing', () => {
+  let dispatch;
+
+  beforeEach(() => {
+    dispatch = jest.fn();
+    window.CommandBus = { dispatch };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete window.CommandBus;
+  });
+
+  test('items sealed with a lost device key are dead-lettered', async () => {
+    globalThis.starmusConfig = { offlineEncryption: 'device' };
+    const id = await queueStory();
+    await loseDeviceKey();
+
+    await drain();
+
+    expect((await rawRecord(id)).deadLetter).toMatchObject({
+      reason: 'key_missing',
+      message: 'Encryption key missing on this device',
+    });
+    expect(dispatch).toHaveBeenCalledWith(
+      'starmus/offline/dead_lettered',
+      expect.objectContaining({ id, reason: 'key_missing' }),
+    );
+  });
+
+  test('PIN-sealed items wait for the PIN instead', async () => {
+    globalThis.starmusConfig = { offlineEncryption: 'pin' };
+    jest.spyOn(offlineQueue, 'processQueue').mockResolvedValueOnce();
+    await offlineQueue.unlock('2468');
+    const id = await queueStory();
+    offlineQueue.lock();
+
+    await drain();
+
+    expect((await rawRecord(id)).deadLetter).toBeNull();
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * @file starmus-offline-migrations.test.js
+ * @description Offline queue schema migrations against a fake IndexedDB.
+ * Devices in the field hold recordings queued by every past version; an upgrade
+ * must keep each of them, in place, or leave the database untouched.
+ */
+
+import { jest } from '@jest/globals';
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+
+const {
+  MIGRATIONS,
+  upgradeDatabase,
+  default: offlineQueue,
+} = await import('../src/js/starmus-offline.js');
+
+const DB_NAME = 'StarmusSubmissions';
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Creates the database as an older build would have: schema up to `version`,
+ * records in the shape that build wrote.
+ */
+async function seed(version, records = []) {
+  const req = indexedDB.open(DB_NAME, version);
+  req.onupgradeneeded = (e) => {
+    upgradeDatabase(req.result, req.transaction, e.oldVersion, version);
+  };
+  const db = await request(req);
+  if (records.length) {
+    const tx = db.transaction(['pendingSubmissions'], 'readwrite');
+    records.forEach((record) => tx.objectStore('pendingSubmissions').put(record));
+    await new Promise((resolve) => (tx.oncomplete = resolve));
+  }
+  db.close();
+}
+
+async function readAll(db) {
+  const tx = db.transaction(['pendingSubmissions'], 'readonly');
+  return request(tx.objectStore('pendingSubmissions').getAll());
+}
+
+// A submission as queued by the 1.x offline queue
+const legacyItem = (id, extra = {}) => ({
+  id,
+  instanceId: 'rec-1',
+  fileName: `${id}.webm`,
+  timestamp: 1700000000000,
+  audioBlob: new Blob(['abcdef'], { type: 'audio/webm' }),
+  formFields: { starmus_title: 'Story' },
+  metadata: { tier: 'C' },
+  retryCount: 2,
+  lastAttempt: 1700000005000,
+  error: 'Network error',
+  ...extra,
+});
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  offlineQueue.db?.close();
+  offlineQueue.db = null;
+});
+
+test('migration versions are consecutive from 1', () => {
+  expect(MIGRATIONS.map((step) => step.version)).toEqual(MIGRATIONS.map((step, i) => i + 1));
+});
+
+test('a new database gets every store', async () => {
+  await offlineQueue.init();
+
+  const { db } = offlineQueue;
+  expect(db.version).toBe(LATEST);
+  expect([...db.objectStoreNames].sort()).toEqual([
+    'pendingSubmissions',
+    'queueKeys',
+    'recordingChunks',
+    'recordingSessions',
+  ]);
+  const store = db.transaction(['pendingSubmissions']).objectStore('pendingSubmissions');
+  expect([...store.indexNames].sort()).toEqual(['retryCount', 'timestamp']);
+});
+
+test('v1 records are kept and upgraded in place', async () => {
+  await seed(1, [
+    legacyItem('a'),
+    legacyItem('b', { tusUrl: 'https://example.test/files/b', retryCount: 0 }),
+  ]);
+
+  await offlineQueue.init();
+  const items = await readAll(offlineQueue.db);
+
+  expect(items).toHaveLength(2);
+  const a = items.find((item) => item.id === 'a');
+  expect(a).toMatchObject({
+    instanceId: 'rec-1',
+    fileName: 'a.webm',
+    timestamp: 1700000000000,
+    formFields: { starmus_title: 'Story' },
+    metadata: { tier: 'C' },
+    retryCount: 2,
+    lastAttempt: 1700000005000,
+    error: 'Network error',
+    tusUrl: null,
+    tusFinishedAt: null,
+    tusUpload: null,
+    bytesUploaded: 0,
+    bytesTotal: 6,
+    duration: 0,
+    deadLetter: null,
+    exportedAt: null,
+    sha256: null,
+  });
+  expect(a.audioBlob.size).toBe(6);
+  expect(items.find((item) => item.id === 'b').tusUrl).toBe('https://example.test/files/b');
+});
+
+test('v5 TUS uploads awaiting a result get a finish time from their last attempt', async () => {
+  await seed(5, [
+    legacyItem('f', { tusUrl: 'https://example.test/files/f', sha256: null }),
+    legacyItem('g', { tusUrl: 'https://example.test/files/g', lastAttempt: null }),
+  ]);
+
+  await offlineQueue.init();
+  const items = await readAll(offlineQueue.db);
+
+  expect(items.find((item) => item.id === 'f').tusFinishedAt).toBe(1700000005000);
+  expect(items.find((item) => item.id === 'g').tusFinishedAt).toBe(1700000000000);
+});
+
+test('v2 databases keep their recording chunks and resume offsets', async () => {
+  await seed(2, [
+    legacyItem('c', {
+      tusUpload: { uploadUrl: 'https://example.test/files/c', offset: 4 },
+      duration: 12,
+    }),
+  ]);
+  const setup = await request(indexedDB.open(DB_NAME, 2));
+  const tx = setup.transaction(['recordingChunks'], 'readwrite');
+  tx.objectStore('recordingChunks').put({ id: 's1-0', sessionId: 's1', index: 0 });
+  await new Promise((resolve) => (tx.oncomplete = resolve));
+  setup.close();
+
+  await offlineQueue.init();
+  const [item] = await readAll(offlineQueue.db);
+  const chunks = await request(
+    offlineQueue.db.transaction(['recordingChunks']).objectStore('recordingChunks').getAll(),
+  );
+
+  expect(item).toMatchObject({ bytesUploaded: 4, bytesTotal: 6, duration: 12 });
+  expect(item.tusUpload.uploadUrl).toBe('https://example.test/files/c');
+  expect(chunks).toEqual([{ id: 's1-0', sessionId: 's1', index: 0 }]);
+});
+
+test('an empty database created by the service worker gets the full schema', async () => {
+  (await request(indexedDB.open(DB_NAME))).close();
+
+  await offlineQueue.init();
+
+  expect(offlineQueue.db.objectStoreNames.contains('pendingSubmissions')).toBe(true);
+  expect(offlineQueue.db.objectStoreNames.contains('recordingChunks')).toBe(true);
+});
+
+test('a failing migration leaves the old database untouched', async () => {
+  await seed(2, [legacyItem('d')]);
+  const original = MIGRATIONS[2].migrate;
+  MIGRATIONS[2].migrate = () => {
+    throw new Error('boom');
+  };
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  try {
+    await expect(offlineQueue.init()).rejects.toBeTruthy();
+  } finally {
+    MIGRATIONS[2].migrate = original;
+    consoleError.mockRestore();
+  }
+
+  const db = await request(indexedDB.open(DB_NAME));
+  expect(db.version).toBe(2);
+  const [item] = await readAll(db);
+  expect(item.id).toBe('d');
+  expect(item.deadLetter).toBeUndefined();
+  db.close();
+});
+
+test('re-running the upgrade changes nothing', async () => {
+  await seed(LATEST, [legacyItem('e', { deadLetter: { reason: 'forbidden' }, exportedAt: 5 })]);
+
+  const req = indexedDB.open(DB_NAME, LATEST + 1);
+  req.onupgradeneeded = (e) => {
+    upgradeDatabase(req.result, req.transaction, 0, LATEST);
+  };
+  const db = await request(req);
+  const [item] = await readAll(db);
+  db.close();
+
+  expect(item.deadLetter).toEqual({ reason: 'forbidden' });
+  expect(item.exportedAt).toBe(5);
+  expect(item.retryCount).toBe(2);
+});
+
+test('an open connection steps aside for a newer version in another tab', async () => {
+  await offlineQueue.init();
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const other = await request(indexedDB.open(DB_NAME, LATEST + 1));
+
+  expect(offlineQueue.db).toBeNull();
+  expect(other.version).toBe(LATEST + 1);
+  other.close();
+  warn.mockRestore();
+  consoleError.mockRestore();
+});
@@ -0,0 +1,354 @@
+/**
+ * @file starmus-offline-queue.test.js
+ * @description Draining the offline queue against a fake IndexedDB, with uploads stubbed:
+ * queued items are sent and removed, finished TUS uploads are waited for instead of
+ * being sent twice, and partial ones are resumed from their stored upload URL while their
+ * progress is recorded. Failures that retrying can't fix are dead-lettered until repaired and
+ * resubmitted. Also the single-item lookup and immediate retry behind the queue panel.
+ */
+
+import { jest } from '@jest/globals';
+import 'fake-indexeddb/auto';
+
+// The SPARXSTAR bridge warns once at load when jQuery is absent
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const uploadWithPriority = jest.fn();
+const awaitTusResult = jest.fn();
+
+jest.unstable_mockModule('../src/js/starmus-tus.js', () => ({
+  uploadWithPriority,
+  awaitTusResult,
+}));
+
+const { default: offlineQueue, queueSubmission } = await import('../src/js/starmus-offline.js');
+
+const TUS_URL = 'https://tus.example/files/abc';
+const MINUTE = 60 * 1000;
+
+/** Queues one recording, as if queued `age` ms ago. */
+async function queue(options = {}, age = 0) {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() - age);
+  const id = await queueSubmission('rec-1', new Blob(['audio']), 'take.webm', {}, {}, options);
+  now.mockRestore();
+  return id;
+}
+
+/** Lets fire-and-forget store updates and queue notifications finish. */
+async function settle() {
+  for (let i = 0; i < 5; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+}
+
+/** A status error as awaitTusResult throws it. */
+const resultError = (status) =>
+  Object.assign(new Error(status === 422 ? 'Processing failed' : 'TUS_RESULT_TIMEOUT'), {
+    status,
+    tusUrl: TUS_URL,
+  });
+
+beforeAll(async () => {
+  // Opened here so getOfflineQueue() finds it ready and starts no network listeners
+  await offlineQueue.init();
+});
+
+beforeEach(() => {
+  uploadWithPriority.mockReset().mockResolvedValue({ success: true, data: { post_id: 9 } });
+  awaitTusResult.mockReset().mockResolvedValue({ success: true, data: { post_id: 9 } });
+  navigator.onLine = true;
+  window.CommandBus = { dispatch: jest.fn() };
+});
+
+afterEach(async () => {
+  navigator.onLine = false;
+  for (const item of await offlineQueue.getAll()) {
+    await offlineQueue.remove(item.id);
+  }
+  // Let queue-update notifications finish reading the store
+  await new Promise((resolve) => setTimeout(resolve, 0));
+});
+
+test('a queued recording is sent and removed', async () => {
+  await queue();
+
+  await offlineQueue.processQueue();
+
+  expect(uploadWithPriority).toHaveBeenCalledWith(
+    expect.objectContaining({ fileName: 'take.webm', instanceId: 'rec-1' }),
+  );
+  expect(awaitTusResult).not.toHaveBeenCalled();
+  expect(await offlineQueue.getAll()).toEqual([]);
+});
+
+test('nothing is sent while offline', async () => {
+  await queue();
+  navigator.onLine = false;
+
+  await offlineQueue.processQueue();
+
+  expect(uploadWithPriority).not.toHaveBeenCalled();
+  expect(await offlineQueue.getAll()).toHaveLength(1);
+});
+
+test('a failed send is retried later with the error recorded', async () => {
+  await queue();
+  uploadWithPriority.mockRejectedValue(
+    Object.assign(new Error('TUS_RESULT_TIMEOUT'), { tusUrl: TUS_URL }),
+  );
+
+  await offlineQueue.processQueue();
+
+  expect(await offlineQueue.getAll()).toMatchObject([
+    { retryCount: 1, error: 'TUS_RESULT_TIMEOUT', tusUrl: TUS_URL },
+  ]);
+});
+
+describe('across tabs', () => {
+  afterEach(() => {
+    delete navigator.locks;
+  });
+
+  test('nothing is sent while another tab holds the queue lock', async () => {
+    await queue();
+    navigator.locks = { request: async (name, options, callback) => callback(null) };
+
+    await offlineQueue.processQueue();
+
+    expect(uploadWithPriority).not.toHaveBeenCalled();
+    expect(await offlineQueue.getAll()).toHaveLength(1);
+  });
+
+  test('an item queued during a pass is sent by that pass', async () => {
+    await queue();
+    uploadWithPriority.mockImplementationOnce(async () => {
+      await queue();
+      // As the online listener or a resubmit would, while this pass runs
+      await offlineQueue.processQueue();
+      return { success: true, data: { post_id: 9 } };
+    });
+
+    await offlineQueue.processQueue();
+
+    expect(uploadWithPriority).toHaveBeenCalledTimes(2);
+    expect(await offlineQueue.getAll()).toEqual([]);
+  });
+});
+
+describe('finished TUS uploads', () => {
+  test('are removed once the server reports the post', async () => {
+    await queue({ tusUrl: TUS_URL });
+
+    await offlineQueue.processQueue();
+
+    expect(awaitTusResult).toHaveBeenCalledWith(TUS_URL, { timeout: 0 });
+    expect(uploadWithPriority).not.toHaveBeenCalled();
+    expect(await offlineQueue.getAll()).toEqual([]);
+  });
+
+  test('still processing are kept without counting a retry', async () => {
+    await queue({ tusUrl: TUS_URL });
+    awaitTusResult.mockRejectedValue(resultError(404));
+
+    await offlineQueue.processQueue();
+
+    expect(uploadWithPriority).not.toHaveBeenCalled();
+    expect(await offlineQueue.getAll()).toMatchObject([
+      { retryCount: 0, error: 'TUS_RESULT_TIMEOUT', tusUrl: TUS_URL },
+    ]);
+  });
+
+  test('the server lost track of are sent again', async () => {
+    await queue({ tusUrl: TUS_URL }, 11 * MINUTE);
+    await queue({ tusUrl: 'https://tus.example/files/def' });
+    awaitTusResult.mockRejectedValueOnce(resultError(404)).mockRejectedValue(resultError(422));
+
+    await offlineQueue.processQueue();
+
+    // Unknown after the grace period, and failed processing, both warrant a new upload
+    expect(uploadWithPriority).toHaveBeenCalledTimes(2);
+    expect(await offlineQueue.getAll()).toEqual([]);
+  });
+});
+
+describe('partial TUS uploads', () => {
+  const PARTIAL = { uploadUrl: TUS_URL, fingerprint: 'fp-1', offset: 2 };
+
+  /** The last queue state broadcast to listeners. */
+  const lastQueueUpdate = () =>
+    window.CommandBus.dispatch.mock.calls
+      .filter(([event]) => event === 'starmus/offline/queue_updated')
+      .at(-1)[1];
+
+  test('are queued with their offset and resumed from their upload URL', async () => {
+    await queue({ tusUpload: PARTIAL });
+    expect(await offlineQueue.getAll()).toMatchObject([{ bytesUploaded: 2, bytesTotal: 5 }]);
+
+    await offlineQueue.processQueue();
+
+    expect(uploadWithPriority).toHaveBeenCalledWith(
+      expect.objectContaining({ tusUploadUrl: TUS_URL }),
+    );
+    expect(await offlineQueue.getAll()).toEqual([]);
+  });
+
+  test('keep the state and progress reported before a failed send', async () => {
+    await queue();
+    uploadWithPriority.mockImplementation(async ({ onProgress, onTusState }) => {
+      onTusState(PARTIAL);
+      onProgress(2, 5);
+      throw new Error('Network error');
+    });
+
+    await offlineQueue.processQueue();
+    await settle();
+
+    expect(uploadWithPriority).toHaveBeenCalledWith(
+      expect.objectContaining({ tusUploadUrl: null }),
+    );
+    expect(await offlineQueue.getAll()).toMatchObject([
+      { retryCount: 1, bytesUploaded: 2, bytesTotal: 5, tusUpload: PARTIAL },
+    ]);
+    expect(lastQueueUpdate().queue).toEqual([
+      expect.objectContaining({ uploading: false, progress: 0.4, resumable: true }),
+    ]);
+  });
+
+  test('report the item being sent while the upload runs', async () => {
+    await queue();
+    let during;
+    uploadWithPriority.mockImplementation(async () => {
+      await settle();
+      during = lastQueueUpdate().queue;
+      return { success: true, data: { post_id: 9 } };
+    });
+
+    await offlineQueue.processQueue();
+
+    expect(during).toEqual([expect.objectContaining({ uploading: true, progress: 0 })]);
+  });
+
+  test('whose transfer finished start over once the server lost the result', async () => {
+    await queue({ tusUrl: TUS_URL, tusUpload: PARTIAL }, 11 * MINUTE);
+    awaitTusResult.mockRejectedValue(resultError(404));
+
+    await offlineQueue.processQueue();
+
+    // The stored URL would resume to "complete" again without creating a post
+    expect(uploadWithPriority).toHaveBeenCalledWith(
+      expect.objectContaining({ tusUploadUrl: null }),
+    );
+  });
+});
+
+describe('queue panel actions', () => {
+  test('an item is looked up by its ID', async () => {
+    const id = await queue({ duration: 12.5 });
+
+    expect(await offlineQueue.get(id)).toMatchObject({ id, fileName: 'take.webm', duration: 12.5 });
+    expect(await offlineQueue.get('missing')).toBeNull();
+  });
+
+  test('retrying now skips the backoff and revives an item out of attempts', async () => {
+    const id = await queue();
+    await offlineQueue._updateRetry(id, 10, 'Network error');
+
+    await offlineQueue.processQueue();
+    expect(uploadWithPriority).not.toHaveBeenCalled();
+
+    await offlineQueue.retryNow(id);
+
+    expect(uploadWithPriority).toHaveBeenCalledTimes(1);
+    expect(await offlineQueue.getAll()).toEqual([]);
+  });
+});
+
+describe('dead letters', () => {
+  const nonceError = () =>
+    Object.assign(new Error('Cookie check failed'), {
+      status: 403,
+      code: 'rest_cookie_invalid_nonce',
+    });
+
+  /** Events of one type dispatched through the command bus. */
+  const dispatched = (type) =>
+    window.CommandBus.dispatch.mock.calls
+      .filter(([event]) => event === type)
+      .map(([, payload]) => payload);
+
+  afterEach(() => {
+    delete window.fetch;
+    delete window.starmusConfig;
+  });
+
+  test('a refused submission is parked with its reason and skipped afterwards', async () => {
+    const id = await queue();
+    uploadWithPriority.mockRejectedValue(
+      Object.assign(new Error('Missing consent'), { status: 400 }),
+    );
+
+    await offlineQueue.processQueue();
+    await offlineQueue.processQueue();
+
+    expect(uploadWithPriority).toHaveBeenCalledTimes(1);
+    expect(await offlineQueue.getAll()).toMatchObject([
+      { retryCount: 0, deadLetter: { reason: 'bad_request', status: 400 } },
+    ]);
+    expect(dispatched('starmus/offline/dead_lettered')).toEqual([
+      expect.objectContaining({ id, reason: 'bad_request', message: 'Missing consent' }),
+    ]);
+  });
+
+  test('an item out of attempts is parked without another upload', async () => {
+    const id = await queue();
+    await offlineQueue._updateRetry(id, 10, 'Network error');
+
+    await offlineQueue.processQueue();
+
+    expect(uploadWithPriority).not.toHaveBeenCalled();
+    expect(await offlineQueue.getAll()).toMatchObject([
+      { deadLetter: { reason: 'max_retries', message: 'Network error' } },
+    ]);
+  });
+
+  test('an expired nonce is renewed and the upload sent again', async () => {
+    await queue();
+    window.starmusConfig = { nonce: 'old', endpoints: { nonceRefresh: '/ajax?action=rest-nonce' } };
+    window.fetch = jest.fn(async () => ({ ok: true, text: async () => 'abcdef0123' }));
+    uploadWithPriority.mockRejectedValueOnce(nonceError());
+
+    await offlineQueue.processQueue();
+
+    expect(uploadWithPriority).toHaveBeenCalledTimes(2);
+    expect(window.starmusConfig.nonce).toBe('abcdef0123');
+    expect(dispatched('starmus/offline/nonce_refreshed')).toEqual([{ nonce: 'abcdef0123' }]);
+    expect(await offlineQueue.getAll()).toEqual([]);
+  });
+
+  test('a nonce that cannot be renewed parks the item', async () => {
+    await queue();
+    window.starmusConfig = { nonce: 'old', endpoints: { nonceRefresh: '/ajax?action=rest-nonce' } };
+    window.fetch = jest.fn(async () => ({ ok: true, text: async () => '0' }));
+    uploadWithPriority.mockRejectedValue(nonceError());
+
+    await offlineQueue.processQueue();
+
+    expect(uploadWithPriority).toHaveBeenCalledTimes(1);
+    expect(await offlineQueue.getAll()).toMatchObject([
+      { deadLetter: { reason: 'nonce_expired' } },
+    ]);
+  });
+
+  test('a repaired submission is sent again from the start', async () => {
+    const id = await queue({ tusUpload: { uploadUrl: TUS_URL, offset: 2 } });
+    await offlineQueue._deadLetter(id, 'bad_request', 'Missing consent');
+
+    await offlineQueue.resubmit(id, { formFields: { consent: 'yes' } });
+
+    // The partial TUS upload carries the old fields, so it is not resumed
+    expect(uploadWithPriority).toHaveBeenCalledWith(
+      expect.objectContaining({ formFields: { consent: 'yes' }, tusUploadUrl: null }),
+    );
+    expect(await offlineQueue.getAll()).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * @file starmus-offline-storage.test.js
+ * @description Offline queue storage limits against a fake IndexedDB and StorageManager:
+ * which exported items are evicted, in what order, and when queueing is refused.
+ */
+
+import { jest } from '@jest/globals';
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { STORY, queueStory } from './helpers/queue-fixtures.js';
+
+const { default: offlineQueue } = await import('../src/js/starmus-offline.js');
+
+const MB = 1024 * 1024;
+// Matches CONFIG.storageReserve; the story needs another 1.5x its size on top
+const RESERVE = 5 * MB;
+const STORY_BYTES = STORY.audio.length;
+
+/** Queues stories recorded at the given times, returning their IDs in that order. */
+async function queueAt(...timestamps) {
+  const ids = [];
+  for (const timestamp of timestamps) {
+    ids.push(await queueStory(offlineQueue, {}, { timestamp }));
+  }
+  return ids;
+}
+
+const remaining = async () => (await offlineQueue._getAllRaw()).map((item) => item.id);
+
+/** Reports `available` bytes free out of a 1 GB quota. */
+const storageWith = (available) => {
+  navigator.storage = {
+    estimate: async () => ({ usage: 1024 * MB - available, quota: 1024 * MB }),
+  };
+};
+
+beforeEach(async () => {
+  globalThis.indexedDB = new IDBFactory();
+  offlineQueue.db?.close();
+  offlineQueue.db = null;
+  offlineQueue.activeId = null;
+  await offlineQueue.init();
+  window.CommandBus = { dispatch: jest.fn() };
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  // Let the storage warning check that follows each add() settle first
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  delete navigator.storage;
+});
+
+describe('evictExported', () => {
+  test('removes exported items oldest first, only as many as needed', async () => {
+    const [first, second, third] = await queueAt(1000, 2000, 3000);
+    await offlineQueue.markExported([third, first, second]);
+
+    expect(await offlineQueue.evictExported(1)).toBe(STORY_BYTES);
+    expect(await remaining()).toEqual(expect.not.arrayContaining([first]));
+    expect(await offlineQueue.evictExported(STORY_BYTES + 1)).toBe(STORY_BYTES * 2);
+    expect(await remaining()).toEqual([]);
+    expect(window.CommandBus.dispatch).toHaveBeenCalledWith('starmus/offline/evicted', {
+      ids: [second, third],
+      bytes: STORY_BYTES * 2,
+    });
+  });
+
+  test('keeps items that were never exported or are uploading', async () => {
+    const [exported, uploading, kept] = await queueAt(1000, 2000, 3000);
+    await offlineQueue.markExported([exported, uploading]);
+    offlineQueue.activeId = uploading;
+
+    expect(await offlineQueue.evictExported(100 * MB)).toBe(STORY_BYTES);
+    expect((await remaining()).sort()).toEqual([uploading, kept].sort());
+  });
+});
+
+describe('queueing when storage runs low', () => {
+  test('evicts exported items to make room', async () => {
+    const [oldest, newer] = await queueAt(1000, 2000);
+    await offlineQueue.markExported([oldest, newer]);
+    // A few bytes short of what the new story needs
+    storageWith(RESERVE + STORY_BYTES * 1.5 - 10);
+
+    const id = await queueStory(offlineQueue);
+
+    expect((await remaining()).sort()).toEqual([newer, id].sort());
+  });
+
+  test('refuses the recording when eviction cannot free enough', async () => {
+    const [waiting] = await queueAt(1000);
+    storageWith(RESERVE);
+
+    await expect(queueStory(offlineQueue)).rejects.toMatchObject({
+      code: 'STORAGE_FULL',
+      needed: RESERVE + STORY_BYTES * 1.5,
+      available: RESERVE,
+    });
+    expect(await remaining()).toEqual([waiting]);
+  });
+
+  test('queues normally when there is room', async () => {
+    storageWith(100 * MB);
+
+    await queueAt(1000);
+
+    expect(window.CommandBus.dispatch).not.toHaveBeenCalledWith(
+      'starmus/offline/evicted',
+      expect.anything(),
+    );
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @file starmus-pcm-capture.test.js
+ * @description WAV output of the PCM capture path: the header, WAV assembly, float to
+ * 16-bit conversion, and downsampling through the ScriptProcessor fallback.
+ */
+
+const { buildWavBlob, createPcmRecorder, createWavHeader, encodeWav } =
+  await import('../src/js/starmus-pcm-capture.js');
+
+const ascii = (view, at, length) => String.fromCharCode(...new Uint8Array(view.buffer, at, length));
+
+/**
+ * An AudioContext without AudioWorklet, so the recorder uses a ScriptProcessor whose
+ * `onaudioprocess` the test calls directly.
+ */
+function fakeContext(sampleRate) {
+  const ctx = {
+    sampleRate,
+    destination: {},
+    processor: null,
+    createScriptProcessor() {
+      ctx.processor = { connect() {}, disconnect() {} };
+      return ctx.processor;
+    },
+    createGain: () => ({ gain: {}, connect() {}, disconnect() {} }),
+  };
+  return ctx;
+}
+
+/**
+ * Records the given buffers and returns the captured samples as Int16.
+ */
+async function record(ctx, buffers, { sampleRate, between } = {}) {
+  const recorder = await createPcmRecorder(ctx, { connect() {}, disconnect() {} }, { sampleRate });
+  const chunks = [];
+  recorder.ondataavailable = (e) => chunks.push(e.data);
+  recorder.start(100000);
+  buffers.forEach((samples, i) => {
+    between?.(recorder, i);
+    ctx.processor.onaudioprocess({ inputBuffer: { getChannelData: () => samples } });
+  });
+  recorder.stop();
+  const bytes = await new Blob(chunks).arrayBuffer();
+  return { recorder, samples: new Int16Array(bytes) };
+}
+
+test('the WAV header describes 16-bit PCM', () => {
+  const view = new DataView(createWavHeader(32000, 16000, 2));
+
+  expect(view.byteLength).toBe(44);
+  expect(ascii(view, 0, 4)).toBe('RIFF');
+  expect(view.getUint32(4, true)).toBe(36 + 32000);
+  expect(ascii(view, 8, 8)).toBe('WAVEfmt ');
+  expect(view.getUint32(16, true)).toBe(16);
+  expect(view.getUint16(20, true)).toBe(1);
+  expect(view.getUint16(22, true)).toBe(2);
+  expect(view.getUint32(24, true)).toBe(16000);
+  expect(view.getUint32(28, true)).toBe(64000);
+  expect(view.getUint16(32, true)).toBe(4);
+  expect(view.getUint16(34, true)).toBe(16);
+  expect(ascii(view, 36, 4)).toBe('data');
+  expect(view.getUint32(40, true)).toBe(32000);
+});
+
+test('buildWavBlob puts one header in front of the PCM chunks', async () => {
+  const blob = buildWavBlob([new Blob([new Int16Array(10)]), new Blob([new Int16Array(6)])], 8000);
+  const view = new DataView(await blob.arrayBuffer());
+
+  expect(blob.type).toBe('audio/wav');
+  expect(blob.size).toBe(44 + 32);
+  expect(view.getUint32(40, true)).toBe(32);
+  expect(view.getUint32(24, true)).toBe(8000);
+});
+
+test('encodeWav clamps samples to the 16-bit range', async () => {
+  const blob = encodeWav(new Float32Array([-1, 1, 2, -2, 0, 0.5]), 16000);
+  const samples = new Int16Array((await blob.arrayBuffer()).slice(44));
+
+  expect(Array.from(samples)).toEqual([-32768, 32767, 32767, -32768, 0, 16383]);
+});
+
+describe('downsampling', () => {
+  test('48 kHz is averaged down to 16 kHz across buffer boundaries', async () => {
+    // Groups of three samples average to 0.25, 0.5 and 0.75; the second group spans buffers
+    const { recorder, samples } = await record(fakeContext(48000), [
+      new Float32Array([0.25, 0.25, 0.25, 0.5]),
+      new Float32Array([0.5, 0.5, 0.75, 0.75, 0.75]),
+    ]);
+
+    expect(recorder.sampleRate).toBe(16000);
+    expect(recorder.engine).toBe('scriptprocessor');
+    expect(Array.from(samples)).toEqual([8191, 16383, 24575]);
+  });
+
+  test('the output count follows the rate ratio', async () => {
+    const { samples } = await record(fakeContext(48000), [new Float32Array(4096)]);
+
+    expect(samples.length).toBe(Math.floor(4096 / 3));
+  });
+
+  test('the target rate never exceeds the context rate', async () => {
+    const { recorder, samples } = await record(
+      fakeContext(8000),
+      [new Float32Array([0.5, -0.5, 0.5])],
+      { sampleRate: 16000 },
+    );
+
+    expect(recorder.sampleRate).toBe(8000);
+    expect(samples.length).toBe(3);
+  });
+
+  test('audio arriving while paused is discarded', async () => {
+    const { samples } = await record(
+      fakeContext(16000),
+      [new Float32Array([0.5]), new Float32Array([1]), new Float32Array([-0.5])],
+      {
+        between(recorder, i) {
+          if (i === 1) recorder.pause();
+          if (i === 2) recorder.resume();
+        },
+      },
+    );
+
+    expect(Array.from(samples)).toEqual([16383, -16384]);
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * @file starmus-queue-bundle.test.js
+ * @description Portable queue bundles against a fake IndexedDB, with uploads stubbed: an
+ * exported bundle imports back into the queue unchanged, importing twice skips what is
+ * already queued, audio that no longer matches its checksum is left out, and files that are
+ * not readable bundles are refused with a code.
+ */
+
+import { jest } from '@jest/globals';
+import 'fake-indexeddb/auto';
+
+// The SPARXSTAR bridge warns once at load when jQuery is absent
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const uploadWithPriority = jest.fn();
+
+jest.unstable_mockModule('../src/js/starmus-tus.js', () => ({
+  uploadWithPriority,
+  awaitTusResult: jest.fn(),
+}));
+
+const { default: offlineQueue, queueSubmission } = await import('../src/js/starmus-offline.js');
+const { exportQueueBundle, importQueueBundle, readQueueBundle } =
+  await import('../src/js/starmus-queue-bundle.js');
+
+const MAGIC = 'STARMUS-BUNDLE\n';
+
+/** Queues two recordings and returns their IDs. */
+async function queueTwo() {
+  const first = await queueSubmission(
+    'rec-1',
+    new Blob(['first take'], { type: 'audio/webm' }),
+    'first.webm',
+    { dc_creator: 'Amina' },
+    { transcript: 'hello' },
+    { duration: 3.5 },
+  );
+  const second = await queueSubmission(
+    'rec-2',
+    new Blob(['second'], { type: 'audio/ogg' }),
+    'second.ogg',
+    {},
+    {},
+  );
+  return [first, second];
+}
+
+/** Empties the queue, as on a device that never saw the recordings. */
+async function clearQueue() {
+  for (const item of await offlineQueue.getAll()) {
+    await offlineQueue.remove(item.id);
+  }
+}
+
+/** Queued items in file-name order. */
+const queued = async () =>
+  (await offlineQueue.getAll()).sort((a, b) => a.fileName.localeCompare(b.fileName));
+
+/** A bundle file holding `manifest` followed by `data`. */
+function bundle(manifest, data = '') {
+  const json = new TextEncoder().encode(JSON.stringify(manifest));
+  const length = new DataView(new ArrayBuffer(4));
+  length.setUint32(0, json.byteLength, true);
+  return new Blob([MAGIC, length.buffer, json, data]);
+}
+
+const manifest = (fields = {}) => ({
+  format: 'starmus-queue-bundle',
+  version: 1,
+  items: [{ id: 'a', fileName: 'a.webm', size: 5, offset: 0 }],
+  ...fields,
+});
+
+beforeAll(async () => {
+  // Opened here so getOfflineQueue() finds it ready and starts no network listeners
+  await offlineQueue.init();
+});
+
+beforeEach(() => {
+  uploadWithPriority.mockReset().mockResolvedValue({ success: true, data: { post_id: 9 } });
+  // Offline, so imported items stay queued
+  navigator.onLine = false;
+});
+
+afterEach(async () => {
+  await clearQueue();
+  jest.restoreAllMocks();
+  // Let queue-update notifications finish reading the store
+  await new Promise((resolve) => setTimeout(resolve, 0));
+});
+
+test('an exported queue imports back unchanged', async () => {
+  await queueTwo();
+  const before = await queued();
+
+  const { blob, fileName, count } = await exportQueueBundle();
+  await clearQueue();
+  const summary = await importQueueBundle(blob);
+
+  expect(fileName).toMatch(/^starmus-queue-[\d-]+\.starmus$/);
+  expect(count).toBe(2);
+  expect(summary).toEqual({ imported: 2, skipped: 0, failed: [] });
+
+  const after = await queued();
+  const fields = ({ id, instanceId, fileName, timestamp, formFields, metadata, duration }) => ({
+    id,
+    instanceId,
+    fileName,
+    timestamp,
+    formFields,
+    metadata,
+    duration,
+  });
+  expect(after.map(fields)).toEqual(before.map(fields));
+  expect(await Promise.all(after.map((item) => item.audioBlob.text()))).toEqual([
+    'first take',
+    'second',
+  ]);
+  expect(after.map((item) => item.audioBlob.type)).toEqual(['audio/webm', 'audio/ogg']);
+});
+
+test('only the chosen items are exported', async () => {
+  const [, second] = await queueTwo();
+
+  const { blob, count, ids } = await exportQueueBundle([second]);
+  const { items } = await readQueueBundle(blob);
+
+  expect(count).toBe(1);
+  expect(ids).toEqual([second]);
+  expect(items.map((item) => item.fileName)).toEqual(['second.ogg']);
+});
+
+test('an empty queue has nothing to export', async () => {
+  await expect(exportQueueBundle()).rejects.toMatchObject({ code: 'EMPTY_BUNDLE' });
+});
+
+test('importing a bundle twice skips what is already queued', async () => {
+  await queueTwo();
+  const { blob } = await exportQueueBundle();
+
+  expect(await importQueueBundle(blob)).toEqual({ imported: 0, skipped: 2, failed: [] });
+  expect(await offlineQueue.getAll()).toHaveLength(2);
+});
+
+test('items this device cannot queue are reported and the rest imported', async () => {
+  await queueTwo();
+  const { blob } = await exportQueueBundle();
+  await clearQueue();
+  const add = offlineQueue.add.bind(offlineQueue);
+  jest.spyOn(offlineQueue, 'add').mockImplementation(async (...args) => {
+    if (args[2] === 'first.webm') {
+      throw new Error('Audio too large');
+    }
+    return add(...args);
+  });
+
+  const summary = await importQueueBundle(blob);
+
+  expect(summary).toEqual({
+    imported: 1,
+    skipped: 0,
+    failed: [{ fileName: 'first.webm', error: 'Audio too large' }],
+  });
+});
+
+test('audio damaged since export is reported and not queued', async () => {
+  await queueTwo();
+  const { blob } = await exportQueueBundle();
+  await clearQueue();
+  // Flip one bit in the last audio byte
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  bytes[bytes.length - 1] ^= 1;
+
+  const summary = await importQueueBundle(new Blob([bytes]));
+
+  expect(summary.imported).toBe(1);
+  expect(summary.failed).toEqual([{ fileName: expect.any(String), error: 'CHECKSUM_MISMATCH' }]);
+  expect(await offlineQueue.getAll()).toHaveLength(1);
+});
+
+test('imported items start uploading when online', async () => {
+  await queueTwo();
+  const { blob } = await exportQueueBundle();
+  await clearQueue();
+  navigator.onLine = true;
+  const sent = new Promise((resolve) =>
+    uploadWithPriority.mockImplementation(async () => {
+      resolve();
+      return { success: true, data: { post_id: 9 } };
+    }),
+  );
+
+  await importQueueBundle(blob);
+
+  // Times out if the import never starts the queue
+  await sent;
+});
+
+describe('unreadable files', () => {
+  test('without the signature are not bundles', async () => {
+    await expect(readQueueBundle(new Blob(['RIFF....WAVEfmt data']))).rejects.toMatchObject({
+      code: 'NOT_A_BUNDLE',
+    });
+    await expect(readQueueBundle(new Blob(['tiny']))).rejects.toMatchObject({
+      code: 'NOT_A_BUNDLE',
+    });
+    await expect(readQueueBundle(bundle({ format: 'other', items: [] }))).rejects.toMatchObject({
+      code: 'NOT_A_BUNDLE',
+    });
+  });
+
+  test('from a newer version are refused', async () => {
+    await expect(readQueueBundle(bundle(manifest({ version: 2 }), 'audio'))).rejects.toMatchObject({
+      code: 'UNSUPPORTED_VERSION',
+    });
+  });
+
+  test('that are truncated are corrupt', async () => {
+    const whole = bundle(manifest(), 'audio');
+
+    await expect(readQueueBundle(whole.slice(0, whole.size - 1))).rejects.toMatchObject({
+      code: 'CORRUPT_BUNDLE',
+    });
+    await expect(readQueueBundle(whole.slice(0, MAGIC.length + 10))).rejects.toMatchObject({
+      code: 'CORRUPT_BUNDLE',
+    });
+    expect(await importQueueBundle(whole)).toEqual({ imported: 1, skipped: 0, failed: [] });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * @file starmus-queue-crypto.test.js
+ * @description Sealing and opening offline queue items with WebCrypto.
+ * A sealed record must hold no plaintext, open back to the original, and refuse
+ * the wrong key or PIN.
+ */
+
+import {
+  QUEUE_KEY_IDS,
+  createDeviceKey,
+  createPinKey,
+  isSealed,
+  openSubmission,
+  sealSubmission,
+  unlockPinKey,
+  wipedCopy,
+} from '../src/js/starmus-queue-crypto.js';
+import { STORY, plain } from './helpers/queue-fixtures.js';
+
+async function seal(key, keyId = QUEUE_KEY_IDS.DEVICE) {
+  const item = plain();
+  return { ...item, ...(await sealSubmission(key, keyId, item)) };
+}
+
+test('a sealed record holds no plaintext and opens back to the original', async () => {
+  const { key } = await createDeviceKey();
+  const record = await seal(key);
+
+  expect(isSealed(record)).toBe(true);
+  expect(record.audioBlob).toBeNull();
+  expect(record.formFields).toEqual({});
+  expect(record.metadata).toEqual({});
+  expect(record.sealed).toMatchObject({ keyId: 'device', mimeType: 'audio/webm', size: 18 });
+  const stored = new Uint8Array(await record.sealed.audio.data.arrayBuffer());
+  expect(new TextDecoder().decode(stored)).not.toContain(STORY.audio);
+
+  const opened = await openSubmission(key, record);
+  expect(opened.formFields).toEqual(plain().formFields);
+  expect(opened.metadata).toEqual(plain().metadata);
+  expect(opened.audioBlob.type).toBe('audio/webm');
+  expect(await opened.audioBlob.text()).toBe(STORY.audio);
+});
+
+test('listings can open the fields without the audio', async () => {
+  const { key } = await createDeviceKey();
+  const opened = await openSubmission(key, await seal(key), { audio: false });
+
+  expect(opened.formFields.starmus_title).toBe(STORY.title);
+  expect(opened.audioBlob).toBeNull();
+});
+
+test('the audio checksum is sealed with the fields', async () => {
+  const { key } = await createDeviceKey();
+  const item = { ...plain(), sha256: 'ab'.repeat(32) };
+  const record = { ...item, ...(await sealSubmission(key, QUEUE_KEY_IDS.DEVICE, item)) };
+
+  expect(record.sha256).toBeNull();
+  expect((await openSubmission(key, record, { audio: false })).sha256).toBe('ab'.repeat(32));
+  // Sealed before the checksum moved into the envelope
+  const legacy = { ...(await seal(key)), sha256: 'cd'.repeat(32) };
+  expect((await openSubmission(key, legacy, { audio: false })).sha256).toBe('cd'.repeat(32));
+});
+
+test('plain records pass through unchanged', async () => {
+  const { key } = await createDeviceKey();
+  const item = plain();
+
+  expect(isSealed(item)).toBe(false);
+  expect(await openSubmission(key, item)).toBe(item);
+});
+
+test('the device key cannot be exported', async () => {
+  const { key } = await createDeviceKey();
+
+  expect(key.extractable).toBe(false);
+  await expect(crypto.subtle.exportKey('raw', key)).rejects.toBeTruthy();
+});
+
+test('another key cannot open a record', async () => {
+  const { key } = await createDeviceKey();
+  const other = await createDeviceKey();
+
+  await expect(openSubmission(other.key, await seal(key))).rejects.toMatchObject({
+    code: 'DECRYPT_FAILED',
+  });
+});
+
+test('the PIN key unlocks only with the same PIN', async () => {
+  const { record, key } = await createPinKey('2468');
+  const sealed = await seal(key, QUEUE_KEY_IDS.PIN);
+
+  const unlocked = await unlockPinKey(record, '2468');
+  expect((await openSubmission(unlocked, sealed)).formFields.starmus_title).toBe(STORY.title);
+  await expect(unlockPinKey(record, '1357')).rejects.toMatchObject({ code: 'WRONG_PIN' });
+});
+
+test('short PINs are refused', async () => {
+  await expect(createPinKey('12')).rejects.toMatchObject({ code: 'INVALID_PIN' });
+});
+
+test('a wiped copy keeps the sizes but none of the ciphertext', async () => {
+  const { key } = await createDeviceKey();
+  const record = await seal(key);
+  const wiped = wipedCopy(record);
+
+  expect(wiped.sealed.audio.data.size).toBe(record.sealed.audio.data.size);
+  expect(new Uint8Array(await wiped.sealed.audio.data.arrayBuffer()).every((b) => b === 0)).toBe(
+    true,
+  );
+  expect(new Uint8Array(wiped.sealed.fields.data).every((b) => b === 0)).toBe(true);
+  expect(wiped.sealed.audio.iv.every((b) => b === 0)).toBe(true);
+  await expect(openSubmission(key, wiped)).rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+});
@@ -0,0 +1,135 @@
+/**
+ * @file starmus-queue-lock.test.js
+ * @description Cross-tab queue locking: Web Locks where the browser has them, and the
+ * localStorage lease everywhere else.
+ */
+
+import { jest } from '@jest/globals';
+
+const { withQueueLock } = await import('../src/js/starmus-queue-lock.js');
+
+const LEASE_KEY = 'starmus-queue-lease';
+
+/** A localStorage backed by a Map. */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+const lease = () => JSON.parse(localStorage.getItem(LEASE_KEY));
+const otherTab = (expires) => JSON.stringify({ owner: 'tab-other', expires });
+
+beforeEach(() => {
+  globalThis.localStorage = createStorage();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete globalThis.localStorage;
+  delete navigator.locks;
+});
+
+describe('localStorage lease', () => {
+  test('is held while the pass runs and released after', async () => {
+    let held = null;
+
+    const ran = await withQueueLock(async () => {
+      held = lease();
+    });
+
+    expect(ran).toBe(true);
+    expect(held.owner).toMatch(/^tab-/);
+    expect(held.owner).not.toBe('tab-other');
+    expect(held.expires).toBeGreaterThan(Date.now());
+    expect(lease()).toBeNull();
+  });
+
+  test('another tab with a live lease keeps the queue', async () => {
+    localStorage.setItem(LEASE_KEY, otherTab(Date.now() + 10000));
+    const pass = jest.fn();
+
+    expect(await withQueueLock(pass)).toBe(false);
+    expect(pass).not.toHaveBeenCalled();
+    expect(lease().owner).toBe('tab-other');
+  });
+
+  test('an expired lease is taken over', async () => {
+    localStorage.setItem(LEASE_KEY, otherTab(Date.now() - 1));
+    const pass = jest.fn();
+
+    expect(await withQueueLock(pass)).toBe(true);
+    expect(pass).toHaveBeenCalled();
+  });
+
+  test('a tab that claimed the lease at the same time wins if it wrote last', async () => {
+    const pass = jest.fn();
+    setTimeout(() => localStorage.setItem(LEASE_KEY, otherTab(Date.now() + 30000)), 10);
+
+    expect(await withQueueLock(pass)).toBe(false);
+    expect(pass).not.toHaveBeenCalled();
+    expect(lease().owner).toBe('tab-other');
+  });
+
+  test('is renewed while a long pass runs', async () => {
+    jest.useFakeTimers();
+    let finish;
+    const running = withQueueLock(() => new Promise((resolve) => (finish = resolve)));
+
+    await jest.advanceTimersByTimeAsync(50);
+    const first = lease().expires;
+    await jest.advanceTimersByTimeAsync(10000);
+
+    // Renewed a third of the way into the 30 s lease
+    expect(lease().expires).toBeGreaterThan(first);
+    expect(lease().expires).toBe(Date.now() + 30000);
+    finish();
+    expect(await running).toBe(true);
+    expect(lease()).toBeNull();
+  });
+
+  test('is released when the pass fails', async () => {
+    const failing = withQueueLock(async () => {
+      throw new Error('upload failed');
+    });
+
+    await expect(failing).rejects.toThrow('upload failed');
+    expect(lease()).toBeNull();
+  });
+
+  test('without localStorage the pass runs as if this were the only tab', async () => {
+    delete globalThis.localStorage;
+    const pass = jest.fn();
+
+    expect(await withQueueLock(pass)).toBe(true);
+    expect(pass).toHaveBeenCalled();
+  });
+});
+
+describe('Web Locks', () => {
+  test('are preferred, without waiting for a busy lock', async () => {
+    const request = jest.fn(async (name, options, callback) => callback(null));
+    navigator.locks = { request };
+    const pass = jest.fn();
+
+    expect(await withQueueLock(pass)).toBe(false);
+    expect(request).toHaveBeenCalledWith(
+      'starmus-queue',
+      { ifAvailable: true },
+      expect.any(Function),
+    );
+    expect(pass).not.toHaveBeenCalled();
+    expect(lease()).toBeNull();
+  });
+
+  test('run the pass when the lock is free', async () => {
+    navigator.locks = { request: async (name, options, callback) => callback({ name }) };
+    const pass = jest.fn();
+
+    expect(await withQueueLock(pass)).toBe(true);
+    expect(pass).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @file starmus-recording-formats.test.js
+ * @description Recording format negotiation: which formats a browser is offered, in
+ * what order, and the file extension of what it produced.
+ */
+
+import { jest } from '@jest/globals';
+
+// The recorder's SPARXSTAR bridge warns once at load when jQuery is absent
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const { negotiateRecordingFormats, extensionForMimeType } =
+  await import('../src/js/starmus-recorder.js');
+
+/**
+ * Pretends to be a browser whose MediaRecorder accepts the given MIME types, with or
+ * without the Web Audio support PCM capture needs.
+ */
+function browser(mimeTypes, { pcm = true } = {}) {
+  globalThis.MediaRecorder = { isTypeSupported: (type) => mimeTypes.includes(type) };
+  globalThis.AudioContext = pcm ? function AudioContext() {} : undefined;
+  navigator.mediaDevices = { getUserMedia() {} };
+}
+
+const ids = (formats) => formats.map((format) => format.id);
+
+const CHROME = ['audio/webm;codecs=opus'];
+const FIREFOX = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus'];
+const SAFARI = ['audio/mp4;codecs=mp4a.40.2', 'audio/mp4'];
+
+afterEach(() => {
+  delete globalThis.MediaRecorder;
+  delete globalThis.AudioContext;
+  delete navigator.mediaDevices;
+});
+
+test('compressed formats come first, then WAV', () => {
+  browser(CHROME);
+  expect(ids(negotiateRecordingFormats('B'))).toEqual(['webm-opus', 'wav']);
+
+  browser(SAFARI);
+  expect(ids(negotiateRecordingFormats('B'))).toEqual(['mp4-aac', 'mp4', 'wav']);
+});
+
+test('preferred formats move ahead, by id or MIME type', () => {
+  browser(FIREFOX);
+
+  expect(ids(negotiateRecordingFormats('A', { preferredFormats: ['ogg-opus'] }))).toEqual([
+    'ogg-opus',
+    'webm-opus',
+    'wav',
+  ]);
+  expect(ids(negotiateRecordingFormats('A', { mimeType: 'audio/ogg;codecs=opus' }))).toEqual([
+    'ogg-opus',
+    'webm-opus',
+    'wav',
+  ]);
+});
+
+test('a preference the browser cannot record is skipped', () => {
+  browser(SAFARI);
+
+  expect(ids(negotiateRecordingFormats('A', { preferredFormats: ['webm-opus', 'mp4'] }))).toEqual([
+    'mp4',
+    'mp4-aac',
+    'wav',
+  ]);
+});
+
+test('lossless capture is tried first only on Tier A', () => {
+  browser(CHROME);
+
+  expect(ids(negotiateRecordingFormats('A', { preferLossless: true }))).toEqual([
+    'wav',
+    'webm-opus',
+  ]);
+  expect(ids(negotiateRecordingFormats('B', { preferLossless: true }))).toEqual([
+    'webm-opus',
+    'wav',
+  ]);
+});
+
+test('WAV is dropped without Web Audio, and is the only option without MediaRecorder', () => {
+  browser(CHROME, { pcm: false });
+  expect(ids(negotiateRecordingFormats('A'))).toEqual(['webm-opus']);
+
+  browser([]);
+  delete globalThis.MediaRecorder;
+  expect(ids(negotiateRecordingFormats('C'))).toEqual(['wav']);
+});
+
+test('the file extension follows the MIME type the recorder produced', () => {
+  expect(extensionForMimeType('audio/webm;codecs=opus')).toBe('webm');
+  expect(extensionForMimeType('audio/ogg; codecs=opus')).toBe('ogg');
+  expect(extensionForMimeType('Audio/MP4')).toBe('m4a');
+  expect(extensionForMimeType('audio/wav')).toBe('wav');
+  expect(extensionForMimeType('')).toBe('webm');
+});
@@ -0,0 +1,119 @@
+/**
+ * @file starmus-recording-limits.test.js
+ * @description Recording budgets: resolving the limits for a tier and form, and the
+ * warnings and auto-stop raised while a take grows.
+ */
+
+import { jest } from '@jest/globals';
+
+// The SPARXSTAR bridge warns once at load when jQuery is absent
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const { createLimitTracker, resolveRecordingLimits } =
+  await import('../src/js/starmus-recording-limits.js');
+const { createStore } = await import('../src/js/starmus-state-store.js');
+
+const MB = 1024 * 1024;
+
+/** A form carrying the given data attributes. */
+const form = (attributes) => ({ getAttribute: (name) => attributes[name] ?? null });
+
+describe('resolveRecordingLimits', () => {
+  test('tier defaults apply without settings or form limits', () => {
+    expect(resolveRecordingLimits({ tier: 'A' })).toEqual({ maxDuration: 1200, maxBytes: 20 * MB });
+    expect(resolveRecordingLimits({ tier: 'C' })).toEqual({ maxDuration: 600, maxBytes: 5 * MB });
+  });
+
+  test('the tightest of tier settings and form attributes wins', () => {
+    const limits = resolveRecordingLimits({
+      tier: 'A',
+      settings: { maxDuration: 900, maxFileSize: 15 * MB },
+      form: form({ 'data-starmus-max-duration': '300', 'data-starmus-max-size': '30' }),
+    });
+
+    expect(limits).toEqual({ maxDuration: 300, maxBytes: 15 * MB });
+  });
+
+  test('a form cannot raise the size above what the offline queue accepts', () => {
+    const limits = resolveRecordingLimits({
+      tier: 'B',
+      form: form({ 'data-starmus-max-size': '50', 'data-starmus-max-duration': 'soon' }),
+    });
+
+    expect(limits).toEqual({ maxDuration: 1200, maxBytes: 10 * MB });
+  });
+});
+
+describe('createLimitTracker', () => {
+  test('warns once at each threshold, then stops at the duration limit', () => {
+    const onWarning = jest.fn();
+    const onLimit = jest.fn();
+    const tracker = createLimitTracker({ maxDuration: 100, maxBytes: 0 }, { onWarning, onLimit });
+
+    [50, 80, 81, 96, 99, 100, 120].forEach((seconds) => tracker.setDuration(seconds));
+
+    expect(onWarning.mock.calls.map(([warning]) => warning)).toEqual([
+      { kind: 'duration', threshold: 0.8, remaining: 20 },
+      { kind: 'duration', threshold: 0.95, remaining: 4 },
+    ]);
+    expect(onLimit).toHaveBeenCalledTimes(1);
+    expect(onLimit).toHaveBeenCalledWith({ kind: 'duration' });
+  });
+
+  test('a jump past both thresholds raises both warnings', () => {
+    const onWarning = jest.fn();
+    const tracker = createLimitTracker({ maxDuration: 100, maxBytes: 0 }, { onWarning });
+
+    tracker.setDuration(97);
+
+    expect(onWarning.mock.calls.map(([w]) => w.threshold)).toEqual([0.8, 0.95]);
+  });
+
+  test('stops one average chunk before the size limit', () => {
+    const onLimit = jest.fn();
+    const tracker = createLimitTracker({ maxDuration: 0, maxBytes: 1000 }, { onLimit });
+
+    // 400 + 400 bytes plus another average chunk would reach 1200
+    tracker.addBytes(400);
+    expect(onLimit).not.toHaveBeenCalled();
+    tracker.addBytes(400);
+
+    expect(onLimit).toHaveBeenCalledWith({ kind: 'size' });
+    expect(tracker.getBytes()).toBe(800);
+  });
+
+  test('once stopped, neither budget fires again', () => {
+    const onWarning = jest.fn();
+    const onLimit = jest.fn();
+    const tracker = createLimitTracker(
+      { maxDuration: 100, maxBytes: 1000 },
+      { onWarning, onLimit },
+    );
+
+    tracker.setDuration(100);
+    tracker.addBytes(2000);
+    tracker.setDuration(200);
+
+    expect(onLimit).toHaveBeenCalledTimes(1);
+    expect(onWarning).not.toHaveBeenCalled();
+  });
+});
+
+test('the store shows a reached limit as a full warning', () => {
+  const store = createStore();
+
+  store.dispatch({
+    type: 'starmus/recording-limits',
+    payload: { maxDuration: 600, maxBytes: 5 * MB },
+  });
+  store.dispatch({
+    type: 'starmus/recording-limit-warning',
+    payload: { kind: 'duration', threshold: 0.95, remaining: 30 },
+  });
+  store.dispatch({ type: 'starmus/recording-limit-reached', payload: { kind: 'duration' } });
+
+  expect(store.getState().recorder).toMatchObject({
+    limits: { maxDuration: 600, maxBytes: 5 * MB },
+    limitWarning: { kind: 'duration', threshold: 1, remaining: 0 },
+  });
+});
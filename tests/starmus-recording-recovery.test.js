@@ -0,0 +1,204 @@
+/**
+ * @file starmus-recording-recovery.test.js
+ * @description Crash recovery against a fake IndexedDB: chunks persisted while
+ * recording, which leftover sessions are offered or purged, sessions still recording in
+ * another tab, and rebuilding the audio.
+ */
+
+import { jest } from '@jest/globals';
+import 'fake-indexeddb/auto';
+
+// The SPARXSTAR bridge warns once at load when jQuery is absent
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const { default: offlineQueue } = await import('../src/js/starmus-offline.js');
+const { createChunkPersister, discardSession, findRecoverableSession, restoreSession } =
+  await import('../src/js/starmus-recording-recovery.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** Web Locks held by open tabs; all tabs share the browser's lock manager. */
+const held = new Set();
+
+navigator.locks = {
+  request: async (name, options, callback = options) => {
+    if (held.has(name)) {
+      if (options.ifAvailable) {
+        return callback(null);
+      }
+      throw new Error(`${name} is held`);
+    }
+    held.add(name);
+    try {
+      return await callback({ name });
+    } finally {
+      held.delete(name);
+    }
+  },
+};
+
+/** Drops every lock, as the browser does when the tabs holding them crash. */
+const crash = () => held.clear();
+
+/** Records the given chunks into a new session, as the recorder does. */
+async function recordSession(chunks, session = {}) {
+  const persister = await createChunkPersister({
+    instanceId: 'rec-1',
+    mimeType: 'audio/webm',
+    fileName: 'take.webm',
+    container: 'webm',
+    codec: 'opus',
+    ...session,
+  });
+  chunks.forEach((chunk, i) => persister.append(new Blob([chunk]), { duration: i + 1 }));
+  await persister.flush();
+  return persister;
+}
+
+/** Stores a session record directly, as if written `age` ms ago. */
+async function storeSession(id, fields, age = 0) {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() - age);
+  await offlineQueue.saveRecordingSession({ id, mimeType: 'audio/webm', ...fields });
+  now.mockRestore();
+}
+
+const sessionIds = async () => (await offlineQueue.getRecordingSessions()).map((s) => s.id);
+
+beforeAll(async () => {
+  // Opened here so getOfflineQueue() finds it ready and starts no network listeners
+  await offlineQueue.init();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  crash();
+  for (const id of await sessionIds()) {
+    await offlineQueue.removeRecordingSession(id);
+  }
+});
+
+test('chunks written while recording are rebuilt into the recording', async () => {
+  await recordSession(['first ', 'second ', 'third']);
+  crash();
+
+  const session = await findRecoverableSession();
+  const restored = await restoreSession(session);
+
+  expect(session).toMatchObject({ status: 'recording', chunkCount: 3, duration: 3 });
+  expect(await restored.blob.text()).toBe('first second third');
+  expect(restored).toMatchObject({
+    fileName: 'take.webm',
+    mimeType: 'audio/webm',
+    metadata: { duration: 3, container: 'webm', codec: 'opus', recovered: true },
+  });
+});
+
+test('PCM sessions are rebuilt as WAV', async () => {
+  await recordSession([new Int16Array(8), new Int16Array(4)], {
+    pcm: true,
+    sampleRate: 16000,
+    mimeType: 'audio/wav',
+  });
+  crash();
+
+  const restored = await restoreSession(await findRecoverableSession());
+  const view = new DataView(await restored.blob.arrayBuffer());
+
+  expect(restored.blob.type).toBe('audio/wav');
+  expect(restored.blob.size).toBe(44 + 24);
+  expect(view.getUint32(24, true)).toBe(16000);
+});
+
+test('the most recently updated session is offered', async () => {
+  await storeSession('older', { chunkCount: 2 }, 60000);
+  await storeSession('newer', { chunkCount: 1 });
+
+  expect((await findRecoverableSession()).id).toBe('newer');
+  expect(await sessionIds()).toEqual(['newer', 'older']);
+});
+
+test('empty and week-old sessions are purged', async () => {
+  await storeSession('empty', { chunkCount: 0 });
+  await storeSession('stale', { chunkCount: 4 }, 8 * DAY);
+
+  expect(await findRecoverableSession()).toBeNull();
+  expect(await sessionIds()).toEqual([]);
+});
+
+test('sessions of recorders running on this page are left alone', async () => {
+  const live = await recordSession([]);
+
+  expect(await findRecoverableSession([live.id])).toBeNull();
+  expect(await sessionIds()).toEqual([live.id]);
+});
+
+test('a discarded session loses its chunks too', async () => {
+  const { id } = await recordSession(['audio']);
+
+  await discardSession(id);
+
+  expect(await sessionIds()).toEqual([]);
+  expect(await offlineQueue.getRecordingChunks(id)).toEqual([]);
+});
+
+test('a stopped recorder marks its session stopped', async () => {
+  const persister = await recordSession(['audio']);
+
+  await persister.markStopped({ duration: 9 });
+  crash();
+
+  expect(await findRecoverableSession()).toMatchObject({ status: 'stopped', duration: 9 });
+});
+
+describe('recorders open in other tabs', () => {
+  test('keep their sessions, each tab offering only what was left behind', async () => {
+    // Two tabs, each with a recorder and its own list of live sessions
+    const first = await recordSession(['first tab']);
+    const second = await recordSession([]);
+
+    expect(await findRecoverableSession([first.id])).toBeNull();
+    expect(await findRecoverableSession([second.id])).toBeNull();
+    // The second tab's session has no chunks yet, but is not purged while it records
+    expect((await sessionIds()).sort()).toEqual([first.id, second.id].sort());
+
+    await second.discard();
+    crash();
+
+    expect((await findRecoverableSession()).id).toBe(first.id);
+  });
+
+  test('release their claim when the session is discarded', async () => {
+    const persister = await recordSession(['audio']);
+
+    await persister.discard();
+
+    expect(held.size).toBe(0);
+  });
+
+  describe('without Web Locks', () => {
+    let locks;
+
+    beforeEach(() => {
+      locks = navigator.locks;
+      delete navigator.locks;
+    });
+
+    afterEach(() => {
+      navigator.locks = locks;
+    });
+
+    test('keep their sessions while the heartbeat is fresh', async () => {
+      const persister = await recordSession(['audio']);
+
+      expect(await findRecoverableSession()).toBeNull();
+
+      // The tab crashed and its heartbeat stopped a minute ago
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 1000);
+      expect((await findRecoverableSession()).id).toBe(persister.id);
+      Date.now.mockRestore();
+
+      await persister.discard();
+    });
+  });
+});
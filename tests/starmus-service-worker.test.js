@@ -0,0 +1,332 @@
+/**
+ * @file starmus-service-worker.test.js
+ * @description The service worker draining the offline queue on Background Sync, against a
+ * fake IndexedDB with the chunked upload stubbed: an open recorder page, or a tab holding
+ * the queue lock, is left to do the work; otherwise items are uploaded and removed, finished
+ * TUS uploads are checked instead of being sent again, and failures stay queued so the
+ * browser retries the sync, unless they can't succeed by retrying and are dead-lettered. An expired nonce is renewed once per flush.
+ */
+
+import { jest } from '@jest/globals';
+import 'fake-indexeddb/auto';
+
+const uploadChunked = jest.fn();
+
+jest.unstable_mockModule('../src/js/starmus-chunked-upload.js', () => ({
+  uploadChunked,
+  appendSubmissionFields: (fd, fields) =>
+    Object.entries(fields).forEach(([key, value]) => fd.append(key, value)),
+}));
+
+const CONFIG = {
+  nonce: 'nonce-1',
+  endpoints: {
+    uploadSession: '/wp-json/starmus/v1/upload-session',
+    uploadResult: '/wp-json/starmus/v1/upload-result',
+    directUpload: '/wp-json/starmus/v1/upload-fallback',
+    nonceRefresh: '/wp-admin/admin-ajax.php?action=rest-nonce',
+  },
+};
+const TUS_URL = 'https://tus.example/files/abc';
+
+/** Listeners the worker registers, by event type. */
+const listeners = {};
+/** Messages posted to open pages. */
+let messages;
+/** Open pages; each answers flush requests when `answers` is set. */
+let pages;
+/** Whether a tab holds the queue's Web Lock. */
+let lockHeld;
+
+globalThis.self = {
+  location: { origin: 'https://example.test' },
+  addEventListener: (type, listener) => (listeners[type] = listener),
+  skipWaiting: () => {},
+  clients: { matchAll: async () => pages, claim: async () => {} },
+  navigator: {
+    locks: {
+      request: async (name, options, callback) => callback(lockHeld ? null : { name }),
+    },
+  },
+};
+
+// Node's MessageChannel keeps the process alive while a port listens
+globalThis.MessageChannel = class {
+  constructor() {
+    this.port1 = {};
+    this.port2 = { postMessage: (data) => this.port1.onmessage?.({ data }) };
+  }
+};
+
+await import('../src/js/sw/starmus-service-worker.js');
+
+/** A window client that records what it is sent. */
+const page = (answers = false) => ({
+  postMessage: (message, ports = []) => {
+    messages.push(message);
+    if (answers && message.type === 'starmus/sw/flush-request') {
+      ports[0].postMessage('ok');
+    }
+  },
+});
+
+/** Fires a worker event and resolves with what it passed to waitUntil(). */
+function fire(type, fields) {
+  let done = Promise.resolve();
+  listeners[type]({ ...fields, waitUntil: (promise) => (done = promise) });
+  return done;
+}
+
+const sync = () => fire('sync', { tag: 'starmus-queue' });
+
+/** Opens the page's queue database as starmus-offline.js creates it. */
+function openQueue() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open('StarmusSubmissions', 1);
+    req.onupgradeneeded = () =>
+      req.result.createObjectStore('pendingSubmissions', { keyPath: 'id' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Runs one request on the queue store and resolves once its transaction commits. */
+async function onQueue(mode, run) {
+  const db = await openQueue();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(['pendingSubmissions'], mode);
+    const req = run(t.objectStore('pendingSubmissions'));
+    t.oncomplete = () => {
+      db.close();
+      resolve(req.result);
+    };
+    t.onerror = () => reject(t.error);
+  });
+}
+
+/** Queues an item the way the page's queue stores it. */
+const queue = (id, fields = {}) =>
+  onQueue('readwrite', (s) =>
+    s.put({
+      id,
+      instanceId: 'rec-1',
+      audioBlob: new Blob(['audio']),
+      fileName: 'take.webm',
+      formFields: { post_id: '42' },
+      metadata: {},
+      timestamp: Date.now(),
+      retryCount: 0,
+      error: null,
+      tusUrl: null,
+      ...fields,
+    }),
+  );
+
+const stored = () => onQueue('readonly', (s) => s.getAll());
+
+const sent = (type) => messages.filter((message) => message.type === type);
+
+/** A refused REST request as the upload modules report it. */
+const httpError = (status, message, code = null) =>
+  Object.assign(new Error(message), { status, code });
+
+/** A fetch reply with the given status and JSON body. */
+const reply = (status, body) => ({ status, json: async () => body });
+
+beforeAll(async () => {
+  await fire('message', { data: { type: 'starmus/sw/config', config: CONFIG } });
+});
+
+beforeEach(() => {
+  messages = [];
+  pages = [page()];
+  lockHeld = false;
+  uploadChunked.mockReset().mockResolvedValue({ success: true, data: { post_id: 9 } });
+  window.fetch = jest.fn();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await onQueue('readwrite', (s) => s.clear());
+  delete window.fetch;
+  jest.restoreAllMocks();
+});
+
+test('queued items are uploaded, removed and reported to open pages', async () => {
+  await queue('a');
+  await queue('b');
+
+  await sync();
+
+  expect(uploadChunked).toHaveBeenCalledTimes(2);
+  const [blob, fileName, fd, options] = uploadChunked.mock.calls[0];
+  expect([blob.size, fileName, fd.get('post_id')]).toEqual([5, 'take.webm', '42']);
+  expect(options).toMatchObject({ endpoint: CONFIG.endpoints.uploadSession, nonce: 'nonce-1' });
+  expect(await stored()).toEqual([]);
+  expect(sent('starmus/sw/uploaded')).toEqual([
+    { type: 'starmus/sw/uploaded', id: 'a', postId: 9 },
+    { type: 'starmus/sw/uploaded', id: 'b', postId: 9 },
+  ]);
+  expect(sent('starmus/sw/queue-status')).toEqual([{ type: 'starmus/sw/queue-status', count: 0 }]);
+});
+
+test('an open recorder page drains its own queue', async () => {
+  pages = [page(true)];
+  await queue('a');
+
+  await sync();
+
+  expect(sent('starmus/sw/flush-request')).toHaveLength(1);
+  expect(uploadChunked).not.toHaveBeenCalled();
+  expect(await stored()).toHaveLength(1);
+});
+
+test('a tab holding the queue lock is left to drain it', async () => {
+  lockHeld = true;
+  await queue('a');
+
+  await sync();
+
+  expect(uploadChunked).not.toHaveBeenCalled();
+  expect(await stored()).toHaveLength(1);
+});
+
+test('a failed upload stays queued and the sync is retried', async () => {
+  await queue('a');
+  uploadChunked.mockRejectedValue(new Error('Network error'));
+
+  await expect(sync()).rejects.toThrow('1 submission(s) still pending');
+
+  expect(await stored()).toMatchObject([{ id: 'a', retryCount: 1, error: 'Network error' }]);
+  expect(sent('starmus/sw/failed')).toEqual([
+    { type: 'starmus/sw/failed', id: 'a', error: 'Network error', deadLetter: null },
+  ]);
+});
+
+test('a rejected upload is dead-lettered with its retry count kept', async () => {
+  await queue('a', { retryCount: 2 });
+  uploadChunked.mockRejectedValue(httpError(400, 'Missing consent'));
+
+  // Nothing is left to retry, so the sync succeeds
+  await sync();
+
+  expect(await stored()).toMatchObject([
+    {
+      retryCount: 2,
+      error: 'Missing consent',
+      deadLetter: { reason: 'bad_request', message: 'Missing consent', status: 400 },
+    },
+  ]);
+  expect(sent('starmus/sw/failed')).toEqual([
+    { type: 'starmus/sw/failed', id: 'a', error: 'Missing consent', deadLetter: 'bad_request' },
+  ]);
+});
+
+test('the last allowed attempt dead-letters the item', async () => {
+  await queue('a', { retryCount: 9 });
+  uploadChunked.mockRejectedValue(new Error('Network error'));
+
+  await sync();
+
+  expect(await stored()).toMatchObject([{ retryCount: 10, deadLetter: { reason: 'max_retries' } }]);
+});
+
+test('dead letters and items out of retries are left for the page', async () => {
+  await queue('a', { retryCount: 10 });
+  await queue('b', { deadLetter: { reason: 'forbidden' } });
+
+  await sync();
+
+  expect(uploadChunked).not.toHaveBeenCalled();
+  expect(await stored()).toHaveLength(2);
+});
+
+test('an expired nonce is renewed once and the upload sent again', async () => {
+  await queue('a');
+  await queue('b');
+  uploadChunked
+    .mockRejectedValueOnce(httpError(403, 'Cookie check failed', 'rest_cookie_invalid_nonce'))
+    .mockResolvedValue({ success: true, data: { post_id: 9 } });
+  window.fetch.mockResolvedValue({ ok: true, text: async () => 'abcdef0123' });
+
+  await sync();
+
+  expect(window.fetch).toHaveBeenCalledTimes(1);
+  expect(uploadChunked.mock.calls.map((call) => call[3].nonce)).toEqual([
+    'nonce-1',
+    'abcdef0123',
+    'abcdef0123',
+  ]);
+  expect(await stored()).toEqual([]);
+
+  await fire('message', { data: { type: 'starmus/sw/config', config: CONFIG } });
+});
+
+test('a nonce that cannot be renewed dead-letters the item', async () => {
+  await queue('a');
+  uploadChunked.mockRejectedValue(
+    httpError(403, 'Cookie check failed', 'rest_cookie_invalid_nonce'),
+  );
+  // Signed out: WordPress answers "0"
+  window.fetch.mockResolvedValue({ ok: true, text: async () => '0' });
+
+  await sync();
+
+  expect(await stored()).toMatchObject([{ deadLetter: { reason: 'nonce_expired' } }]);
+});
+
+test('without chunked sessions the audio is posted in one request', async () => {
+  await queue('a');
+  uploadChunked.mockRejectedValue(Object.assign(new Error('Unsupported'), { unsupported: true }));
+  window.fetch.mockResolvedValue(reply(200, { success: true, data: { post_id: 11 } }));
+
+  await sync();
+
+  const [url, init] = window.fetch.mock.calls[0];
+  expect(url).toBe(CONFIG.endpoints.directUpload);
+  expect(init.headers).toEqual({ 'X-WP-Nonce': 'nonce-1' });
+  expect(init.body.get('audio_file').name).toBe('take.webm');
+  expect(sent('starmus/sw/uploaded')).toEqual([
+    { type: 'starmus/sw/uploaded', id: 'a', postId: 11 },
+  ]);
+});
+
+describe('finished TUS uploads', () => {
+  test('are removed once the server reports the post', async () => {
+    await queue('a', { tusUrl: TUS_URL });
+    window.fetch.mockResolvedValue(reply(200, { success: true, data: { post_id: 12 } }));
+
+    await sync();
+
+    const url = new URL(window.fetch.mock.calls[0][0]);
+    expect(url.pathname).toBe(CONFIG.endpoints.uploadResult);
+    expect(url.searchParams.get('tus_url')).toBe(TUS_URL);
+    expect(uploadChunked).not.toHaveBeenCalled();
+    expect(await stored()).toEqual([]);
+  });
+
+  test('still processing are kept and checked again later', async () => {
+    // Queued long ago, but the upload only just finished
+    await queue('a', {
+      tusUrl: TUS_URL,
+      timestamp: Date.now() - 60 * 60 * 1000,
+      tusFinishedAt: Date.now(),
+    });
+    window.fetch.mockResolvedValue(reply(404, {}));
+
+    await expect(sync()).rejects.toThrow();
+
+    expect(uploadChunked).not.toHaveBeenCalled();
+    expect(await stored()).toMatchObject([{ retryCount: 1, error: 'TUS_RESULT_PENDING' }]);
+  });
+
+  test('the server lost track of are uploaded again', async () => {
+    await queue('a', { tusUrl: TUS_URL, tusFinishedAt: Date.now() - 11 * 60 * 1000 });
+    window.fetch.mockResolvedValue(reply(404, {}));
+
+    await sync();
+
+    expect(uploadChunked).toHaveBeenCalledTimes(1);
+    expect(await stored()).toEqual([]);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * @file starmus-stream-manager.test.js
+ * @description One microphone stream per recorder: opened once with the calibration
+ * constraints, reused across takes, switched to another input and released.
+ */
+
+import { jest } from '@jest/globals';
+
+const { buildAudioConstraints, getStreamManager } =
+  await import('../src/js/starmus-stream-manager.js');
+
+/** A stream with one audio track that can be stopped. */
+function fakeStream(name) {
+  const track = {
+    readyState: 'live',
+    stop: jest.fn(() => {
+      track.readyState = 'ended';
+    }),
+  };
+  return { name, track, getAudioTracks: () => [track], getTracks: () => [track] };
+}
+
+let opened;
+let instance = 0;
+const manager = () => getStreamManager(`rec-${++instance}`);
+
+beforeEach(() => {
+  opened = [];
+  navigator.mediaDevices = {
+    getUserMedia: jest.fn(async (constraints) => {
+      const stream = fakeStream(`stream-${opened.length + 1}`);
+      opened.push({ stream, constraints });
+      return stream;
+    }),
+  };
+});
+
+afterEach(() => {
+  delete navigator.mediaDevices;
+});
+
+test('recording constraints follow the tier settings', () => {
+  expect(buildAudioConstraints()).toEqual({
+    sampleRate: 16000,
+    channelCount: 1,
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true,
+  });
+  expect(
+    buildAudioConstraints({ sampleRate: 48000, channels: 2, enableAutoGainControl: false }),
+  ).toMatchObject({ sampleRate: 48000, channelCount: 2, autoGainControl: false });
+});
+
+test('each instance keeps its own manager', () => {
+  expect(getStreamManager('same')).toBe(getStreamManager('same'));
+  expect(getStreamManager('same')).not.toBe(getStreamManager('other'));
+});
+
+test('the calibration stream is the one every take records from', async () => {
+  const streams = manager();
+
+  const first = await streams.acquire({ sampleRate: 16000 });
+  const second = await streams.acquire({ sampleRate: 48000 });
+
+  expect(second).toBe(first);
+  expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+  expect(opened[0].constraints).toEqual({ audio: { sampleRate: 16000 } });
+  expect(streams.current()).toBe(first);
+});
+
+test('concurrent requests share one microphone prompt', async () => {
+  const streams = manager();
+
+  const [a, b] = await Promise.all([streams.acquire(true), streams.acquire(true)]);
+
+  expect(a).toBe(b);
+  expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+});
+
+test('an ended stream is reopened', async () => {
+  const streams = manager();
+  const first = await streams.acquire(true);
+
+  first.track.readyState = 'ended';
+
+  expect(streams.current()).toBeNull();
+  expect(await streams.acquire(true)).not.toBe(first);
+});
+
+test('switching input keeps the constraints and closes the old stream', async () => {
+  const streams = manager();
+  const first = await streams.acquire({ sampleRate: 16000, deviceId: { ideal: 'default' } });
+
+  const next = await streams.replace('usb');
+
+  expect(opened[1].constraints).toEqual({
+    audio: { sampleRate: 16000, deviceId: { exact: 'usb' } },
+  });
+  expect(first.track.stop).toHaveBeenCalled();
+  expect(streams.current()).toBe(next);
+});
+
+test('a failed switch leaves the current stream open', async () => {
+  const streams = manager();
+  const first = await streams.acquire(true);
+  navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(new Error('NotFoundError'));
+
+  await expect(streams.replace('gone')).rejects.toThrow('NotFoundError');
+
+  expect(first.track.stop).not.toHaveBeenCalled();
+  expect(streams.current()).toBe(first);
+});
+
+test('release turns the microphone off', async () => {
+  const streams = manager();
+  const stream = await streams.acquire(true);
+
+  streams.release();
+
+  expect(stream.track.stop).toHaveBeenCalled();
+  expect(streams.current()).toBeNull();
+});
@@ -0,0 +1,466 @@
+/**
+ * @file starmus-tus.test.js
+ * @description TUS uploads against a stand-in tus-js-client: the signed upload token is
+ * requested before the upload starts, sent with every request and refreshed before expiry;
+ * after the transfer, the result of the asynchronous server processing is polled for, and
+ * a stored upload URL is resumed with its state reported back to the caller. Also
+ * the controller that pauses, resumes and cancels an upload, and chunk sizing: how the
+ * tuner follows measured throughput and failures while staying inside the tier's bounds.
+ */
+
+import { jest } from '@jest/globals';
+
+// The SPARXSTAR bridge warns once at load when jQuery is absent
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const {
+  awaitTusResult,
+  createChunkTuner,
+  createUploadController,
+  uploadWithPriority,
+  uploadWithTus,
+} = await import('../src/js/starmus-tus.js');
+
+/** The tus.Upload instances created by the code under test. */
+let uploads;
+
+/**
+ * tus.Upload stand-in that sends `requests` PATCH requests and then succeeds, or with
+ * `FakeUpload.hold` stays in flight until aborted.
+ */
+class FakeUpload {
+  constructor(blob, options) {
+    this.blob = blob;
+    this.options = options;
+    this.requests = [];
+    this.starts = 0;
+    this.initialChunkSize = options.chunkSize;
+    this.offset = 0;
+    this.url = 'https://tus.example/files/abc';
+    this.abort = jest.fn(async () => {});
+    uploads.push(this);
+  }
+
+  findPreviousUploads() {
+    return Promise.resolve(FakeUpload.previous);
+  }
+
+  resumeFromPreviousUpload(previous) {
+    this.resumedFrom = previous;
+  }
+
+  async start() {
+    this.starts++;
+    if (FakeUpload.hold) {
+      return;
+    }
+    await Promise.all(
+      Array.from({ length: FakeUpload.requests }, async () => {
+        const headers = {};
+        await this.options.onBeforeRequest({
+          getMethod: () => 'PATCH',
+          setHeader: (name, value) => (headers[name] = value),
+        });
+        this.requests.push(headers);
+        this.offset += this.options.chunkSize;
+        this.options.onChunkComplete(this.options.chunkSize, this.offset);
+      }),
+    );
+    this.options.onSuccess();
+  }
+}
+
+/** A fetch reply with the given status and JSON body. */
+const reply = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+const PROCESSED = reply(200, { success: true, data: { post_id: 9, redirect_url: '/thanks' } });
+
+/**
+ * fetch stand-in for WordPress: the upload-token endpoint issues tokens valid for `ttl` ms
+ * and the upload-result endpoint answers with `results` in turn, repeating the last.
+ */
+function server({ ttl = 600000, results = [PROCESSED] } = {}) {
+  let issued = 0;
+  let polled = 0;
+  return jest.fn(async (url) => {
+    if (url.includes('upload-token')) {
+      return reply(200, {
+        data: { token: `token-${++issued}`, expires: (Date.now() + ttl) / 1000 },
+      });
+    }
+    const result = results[Math.min(polled++, results.length - 1)];
+    if (result instanceof Error) {
+      throw result;
+    }
+    return result;
+  });
+}
+
+const calls = (endpoint) => window.fetch.mock.calls.filter(([url]) => url.includes(endpoint));
+
+const upload = () =>
+  uploadWithTus(new Blob(['audio']), 'take.webm', { post_id: '42' }, {}, 'rec-1');
+
+beforeEach(() => {
+  uploads = [];
+  FakeUpload.requests = 1;
+  FakeUpload.hold = false;
+  FakeUpload.previous = [];
+  window.tus = { Upload: FakeUpload };
+  window.starmusConfig = { nonce: 'nonce-1' };
+  navigator.onLine = true;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete window.tus;
+  delete window.starmusConfig;
+  delete window.fetch;
+  navigator.onLine = false;
+  jest.restoreAllMocks();
+});
+
+describe('upload tokens', () => {
+  test('a token bound to the upload is sent with each request', async () => {
+    window.fetch = server();
+
+    const result = await upload();
+
+    const [url, request] = window.fetch.mock.calls[0];
+    expect(url).toBe('/wp-json/star-starmus-audio-recorder/v1/upload-token');
+    expect(request.headers['X-WP-Nonce']).toBe('nonce-1');
+    expect(JSON.parse(request.body)).toEqual({ filename: 'take.webm', size: 5, post_id: 42 });
+    expect(uploads[0].requests).toEqual([{ 'x-starmus-upload-token': 'token-1' }]);
+    expect(uploads[0].options.headers).not.toHaveProperty('x-starmus-secret');
+    expect(result).toMatchObject({ success: true, tus_url: 'https://tus.example/files/abc' });
+  });
+
+  test('a token close to expiry is refreshed once for concurrent requests', async () => {
+    // Valid for a minute, inside the two-minute refresh margin
+    window.fetch = server({ ttl: 60000 });
+    FakeUpload.requests = 3;
+
+    await upload();
+
+    expect(calls('upload-token')).toHaveLength(2);
+    expect(uploads[0].requests.map((h) => h['x-starmus-upload-token'])).toEqual([
+      'token-2',
+      'token-2',
+      'token-2',
+    ]);
+  });
+
+  test('no upload starts when the server refuses a token', async () => {
+    window.fetch = jest.fn(async () => ({
+      ok: false,
+      status: 403,
+      json: async () => ({ message: 'Sorry, you are not allowed to do that.' }),
+    }));
+
+    await expect(upload()).rejects.toThrow('Sorry, you are not allowed to do that.');
+    expect(uploads).toEqual([]);
+  });
+});
+
+describe('upload results', () => {
+  const TUS_URL = 'https://tus.example/files/abc';
+  const poll = (options) => awaitTusResult(TUS_URL, { interval: 0, ...options });
+
+  test('a finished upload resolves with the post the server created', async () => {
+    window.fetch = server();
+
+    expect(await upload()).toEqual({
+      success: true,
+      data: { post_id: 9, redirect_url: '/thanks' },
+      tus_url: TUS_URL,
+    });
+    const [url, request] = calls('upload-result')[0];
+    expect(url).toBe(
+      `/wp-json/star-starmus-audio-recorder/v1/upload-result?tus_url=${encodeURIComponent(TUS_URL)}`,
+    );
+    expect(request.headers['X-WP-Nonce']).toBe('nonce-1');
+  });
+
+  test('an upload the server does not know yet is polled again', async () => {
+    window.fetch = server({
+      results: [reply(404, {}), new TypeError('Failed to fetch'), PROCESSED],
+    });
+
+    expect(await poll()).toEqual({ success: true, data: { post_id: 9, redirect_url: '/thanks' } });
+    expect(calls('upload-result')).toHaveLength(3);
+  });
+
+  test('failed processing is reported at once', async () => {
+    window.fetch = server({ results: [reply(422, { message: 'Audio could not be stored.' })] });
+
+    await expect(poll()).rejects.toMatchObject({
+      message: 'Audio could not be stored.',
+      status: 422,
+    });
+    expect(calls('upload-result')).toHaveLength(1);
+  });
+
+  test('a wait that runs out hands back the upload URL', async () => {
+    window.fetch = server({ results: [reply(404, {})] });
+
+    await expect(poll({ timeout: 0 })).rejects.toMatchObject({
+      message: 'TUS_RESULT_TIMEOUT',
+      tusUrl: TUS_URL,
+      status: 404,
+    });
+  });
+
+  test('offline, the wait ends without asking the server', async () => {
+    window.fetch = server();
+    navigator.onLine = false;
+
+    await expect(poll()).rejects.toMatchObject({ message: 'TUS_RESULT_OFFLINE', tusUrl: TUS_URL });
+    expect(window.fetch).not.toHaveBeenCalled();
+  });
+
+  test('a transfer that is still processing is not sent again directly', async () => {
+    window.fetch = server({ results: [reply(404, {})] });
+    window.starmusConfig.resultTimeout = 0;
+
+    await expect(
+      uploadWithPriority({ blob: new Blob(['audio']), fileName: 'take.webm', formFields: {} }),
+    ).rejects.toMatchObject({ message: 'TUS_RESULT_TIMEOUT', tusUrl: TUS_URL });
+    expect(uploads).toHaveLength(1);
+  });
+});
+
+describe('createUploadController', () => {
+  const transport = () => ({ pause: jest.fn(), resume: jest.fn(), cancel: jest.fn() });
+
+  test('each request reaches the transport and reports whether it applied', () => {
+    const controller = createUploadController();
+    const sender = transport();
+    controller.attach(sender);
+
+    expect(controller.resume()).toBe(false);
+    expect(controller.pause()).toBe(true);
+    expect(controller.pause()).toBe(false);
+    expect(controller.state).toBe('paused');
+    expect(controller.resume()).toBe(true);
+    expect(controller.cancel()).toBe(true);
+    expect(controller.cancel()).toBe(false);
+
+    expect(controller.state).toBe('cancelled');
+    expect(sender.pause).toHaveBeenCalledTimes(1);
+    expect(sender.resume).toHaveBeenCalledTimes(1);
+    expect(sender.cancel).toHaveBeenCalledTimes(1);
+  });
+
+  test('requests made before the upload starts apply once it does', () => {
+    const paused = createUploadController();
+    const cancelled = createUploadController();
+    const first = transport();
+    const second = transport();
+
+    paused.pause();
+    cancelled.cancel();
+    paused.attach(first);
+    cancelled.attach(second);
+
+    expect(first.pause).toHaveBeenCalled();
+    expect(second.cancel).toHaveBeenCalled();
+  });
+
+  test('between the takes of a batch there is nothing to pause', () => {
+    const controller = createUploadController();
+    controller.attach(transport());
+    controller.detach();
+
+    expect(controller.state).toBe('idle');
+    expect(controller.pause()).toBe(false);
+    expect(controller.cancel()).toBe(false);
+
+    controller.attach(transport());
+    expect(controller.state).toBe('uploading');
+  });
+
+  test('a paused TUS upload continues from where it stopped', async () => {
+    window.fetch = server();
+    FakeUpload.hold = true;
+    const controller = createUploadController();
+
+    const done = uploadWithTus(new Blob(['audio']), 'take.webm', {}, {}, 'rec-1', null, controller);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    controller.pause();
+    controller.resume();
+
+    // abort() without terminating keeps the upload on the server for start() to resume
+    expect(uploads[0].abort).toHaveBeenCalledWith();
+    expect(uploads[0].starts).toBe(2);
+
+    controller.cancel();
+    await expect(done).rejects.toMatchObject({ message: 'UPLOAD_CANCELLED', cancelled: true });
+    expect(uploads[0].abort).toHaveBeenLastCalledWith(true);
+  });
+
+  test('a cancelled upload is not retried directly', async () => {
+    window.fetch = server();
+    FakeUpload.hold = true;
+    const controller = createUploadController();
+    const directUpload = jest.fn();
+    window.XMLHttpRequest = directUpload;
+
+    const done = uploadWithPriority({
+      blob: new Blob(['audio']),
+      fileName: 'take.webm',
+      controller,
+    });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    controller.cancel();
+
+    await expect(done).rejects.toMatchObject({ cancelled: true });
+    expect(directUpload).not.toHaveBeenCalled();
+    delete window.XMLHttpRequest;
+  });
+});
+
+const KB = 1024;
+const BOUNDS = { min: 64 * KB, max: 1024 * KB };
+
+/** Sends one chunk of the tuner's current size, taking `ms` milliseconds. */
+function sendChunk(tuner, ms) {
+  const bytes = tuner.size;
+  const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+  tuner.chunkStarted();
+  now.mockReturnValue(1000 + ms);
+  tuner.chunkCompleted(bytes);
+  now.mockRestore();
+  return bytes;
+}
+
+test('each accepted chunk resizes the next one on the live upload', async () => {
+  window.fetch = server();
+  const now = jest.spyOn(Date, 'now');
+  // Each clock reading is 10 s later, so every chunk looks far slower than the target
+  let clock = Date.now();
+  now.mockImplementation(() => (clock += 10000));
+
+  await upload();
+  const next = uploads[0].options.chunkSize;
+  now.mockRestore();
+
+  expect(uploads[0].requests).toHaveLength(1);
+  expect(next).toBeLessThan(uploads[0].initialChunkSize);
+});
+
+describe('resuming', () => {
+  const resumeUpload = (resume) =>
+    uploadWithTus(new Blob(['audio']), 'take.webm', {}, {}, 'rec-1', undefined, undefined, resume);
+
+  test('a stored upload URL is continued instead of looking for previous uploads', async () => {
+    window.fetch = server();
+    FakeUpload.previous = [{ uploadUrl: 'https://tus.example/files/old' }];
+
+    await resumeUpload({ uploadUrl: 'https://tus.example/files/abc' });
+
+    expect(uploads[0].options.uploadUrl).toBe('https://tus.example/files/abc');
+    expect(uploads[0].resumedFrom).toBeUndefined();
+  });
+
+  test('without a stored URL a previous upload of the file is resumed', async () => {
+    window.fetch = server();
+    FakeUpload.previous = [{ uploadUrl: 'https://tus.example/files/old' }];
+
+    await resumeUpload();
+
+    expect(uploads[0].options.uploadUrl).toBeNull();
+    expect(uploads[0].resumedFrom).toEqual({ uploadUrl: 'https://tus.example/files/old' });
+  });
+
+  test('the resume state is reported when the URL is known and after each chunk', async () => {
+    window.fetch = server();
+    FakeUpload.requests = 2;
+    const onState = jest.fn();
+
+    await uploadWithPriority({
+      blob: new Blob(['audio']),
+      fileName: 'take.webm',
+      formFields: {},
+      metadata: {},
+      instanceId: 'rec-1',
+      onTusState: onState,
+    });
+    uploads[0].options.onUploadUrlAvailable();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const size = uploads[0].initialChunkSize;
+    expect(onState.mock.calls.map(([state]) => state.offset)).toEqual([
+      size,
+      size + uploads[0].options.chunkSize,
+      0,
+    ]);
+    expect(onState).toHaveBeenCalledWith({
+      uploadUrl: 'https://tus.example/files/abc',
+      fingerprint: null,
+      offset: 0,
+    });
+  });
+});
+
+describe('createChunkTuner', () => {
+  test('the first size is rounded to 16 KB and kept within bounds', () => {
+    expect(createChunkTuner(250 * KB, BOUNDS, 2).size).toBe(256 * KB);
+    expect(createChunkTuner(10 * 1024 * KB, BOUNDS, 2).size).toBe(BOUNDS.max);
+    expect(createChunkTuner(KB, BOUNDS, 2).size).toBe(BOUNDS.min);
+  });
+
+  test('a chunk sent in the target time keeps its size', () => {
+    const tuner = createChunkTuner(256 * KB, BOUNDS, 2);
+    sendChunk(tuner, 2000);
+
+    expect(tuner.size).toBe(256 * KB);
+    expect(tuner.summary().chunkSizes).toEqual([]);
+  });
+
+  test('a fast connection grows the size by at most 2x per chunk, up to the maximum', () => {
+    const tuner = createChunkTuner(256 * KB, BOUNDS, 2);
+
+    sendChunk(tuner, 100);
+    expect(tuner.size).toBe(512 * KB);
+    sendChunk(tuner, 100);
+    sendChunk(tuner, 100);
+    expect(tuner.size).toBe(BOUNDS.max);
+  });
+
+  test('a slow connection shrinks the size by at most half per chunk', () => {
+    const tuner = createChunkTuner(256 * KB, BOUNDS, 2);
+
+    sendChunk(tuner, 20000);
+    expect(tuner.size).toBe(128 * KB);
+  });
+
+  test('each failure halves the size, down to the minimum', () => {
+    const tuner = createChunkTuner(256 * KB, BOUNDS, 2);
+
+    tuner.chunkFailed();
+    expect(tuner.size).toBe(128 * KB);
+    tuner.chunkFailed();
+    tuner.chunkFailed();
+    expect(tuner.size).toBe(BOUNDS.min);
+  });
+
+  test('the summary reports sizes, counts and throughput', () => {
+    const tuner = createChunkTuner(256 * KB, BOUNDS, 2);
+    const sent = sendChunk(tuner, 100) + sendChunk(tuner, 1000);
+    tuner.chunkFailed();
+
+    expect(tuner.summary()).toEqual({
+      chunkSize: 512 * KB,
+      chunkSizes: [512 * KB, 1024 * KB, 512 * KB],
+      chunks: 2,
+      chunkFailures: 1,
+      throughputKbps: Math.round((sent * 8) / 1100),
+    });
+  });
+});
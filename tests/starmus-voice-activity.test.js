@@ -0,0 +1,263 @@
+/**
+ * @file starmus-voice-activity.test.js
+ * @description Voice activity detection and silence trimming: classifying frame levels
+ * into speech and silence, auto-pause, planning the range to keep and applying it to
+ * recorded chunks and voice activity segments; keeping segments in step with a manual
+ * cut and with a continued take.
+ */
+
+import { jest } from '@jest/globals';
+
+const {
+  clipSegments,
+  concatVoiceActivity,
+  createVoiceActivityDetector,
+  planSilenceTrim,
+  removeSegmentRange,
+  trimRecordedChunks,
+} = await import('../src/js/starmus-voice-activity.js');
+
+const summary = (speechStart, speechEnd) => ({ speechStart, speechEnd, segments: [] });
+
+/** One-second PCM chunks at 10 Hz, each byte numbered by its position in the take. */
+function pcmTake(seconds) {
+  const chunks = [];
+  for (let i = 0; i < seconds; i++) {
+    chunks.push(new Blob([new Uint8Array(20).map((_, j) => i * 20 + j)]));
+  }
+  return { pcm: true, sampleRate: 10, chunks };
+}
+
+const bytes = async (chunks) => Array.from(new Uint8Array(await new Blob(chunks).arrayBuffer()));
+
+/** Feeds one level per 0.1 s frame, for `seconds` from `from`. */
+function feed(detector, level, from, seconds) {
+  for (let i = Math.round(from * 10); i < Math.round((from + seconds) * 10); i++) {
+    detector.update(level, i / 10);
+  }
+}
+
+describe('createVoiceActivityDetector', () => {
+  test('splits the take into speech and silence', () => {
+    const detector = createVoiceActivityDetector({
+      calibration: { noiseFloor: 10, speechLevel: 50 },
+    });
+
+    feed(detector, 5, 0, 1);
+    feed(detector, 40, 1, 1);
+    // A dip that stays within the hysteresis does not end speech
+    feed(detector, 20, 2, 0.5);
+    feed(detector, 40, 2.5, 0.5);
+    feed(detector, 5, 3, 2);
+
+    expect(detector.finish(5)).toEqual({
+      threshold: 22,
+      segments: [
+        { type: 'silence', start: 0, end: 1 },
+        { type: 'speech', start: 1, end: 3 },
+        { type: 'silence', start: 3, end: 5 },
+      ],
+      speechStart: 1,
+      speechEnd: 3,
+      speechRatio: 0.4,
+    });
+  });
+
+  test('ignores clicks shorter than a syllable', () => {
+    const detector = createVoiceActivityDetector({ threshold: 30 });
+
+    feed(detector, 5, 0, 1);
+    feed(detector, 60, 1, 0.1);
+    feed(detector, 5, 1.1, 1.9);
+
+    expect(detector.finish(3)).toMatchObject({
+      segments: [{ type: 'silence', start: 0, end: 3 }],
+      speechStart: null,
+      speechRatio: 0,
+    });
+  });
+
+  test('requests an auto-pause once per run of silence', () => {
+    const onAutoPause = jest.fn();
+    const detector = createVoiceActivityDetector({ threshold: 30, autoPauseAfter: 2, onAutoPause });
+
+    feed(detector, 5, 0, 3);
+    expect(onAutoPause).toHaveBeenCalledTimes(1);
+    expect(onAutoPause).toHaveBeenCalledWith({ time: 2, silence: 2 });
+
+    // After resuming, the silence clock starts again
+    detector.resume(3);
+    feed(detector, 5, 3, 1.5);
+    expect(onAutoPause).toHaveBeenCalledTimes(1);
+    feed(detector, 5, 4.5, 1);
+    expect(onAutoPause).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('planSilenceTrim', () => {
+  test('keeps padding around the speech and reports what is saved', () => {
+    const plan = planSilenceTrim(summary(3, 6), 10);
+
+    expect(plan.start).toBeCloseTo(2.7);
+    expect(plan.end).toBeCloseTo(6.3);
+    expect(plan.saved).toBeCloseTo(6.4);
+  });
+
+  test('leaves an end alone when its silence is too short to trim', () => {
+    const plan = planSilenceTrim(summary(3, 9.5), 10);
+
+    expect(plan.start).toBeCloseTo(2.7);
+    expect(plan.end).toBe(10);
+    expect(plan.saved).toBeCloseTo(2.7);
+  });
+
+  test('plans nothing without speech or without enough silence', () => {
+    expect(planSilenceTrim(null, 10)).toBeNull();
+    expect(planSilenceTrim(summary(null, null), 10)).toBeNull();
+    expect(planSilenceTrim(summary(0.5, 9.8), 10)).toBeNull();
+  });
+});
+
+describe('trimRecordedChunks', () => {
+  test('cuts PCM at exact sample offsets', async () => {
+    const result = trimRecordedChunks(pcmTake(5), { start: 1.5, end: 3.5 });
+
+    expect(result).toMatchObject({ start: 1.5, end: 3.5, changed: true });
+    expect(await bytes(result.chunks)).toEqual(Array.from({ length: 40 }, (_, i) => 30 + i));
+  });
+
+  test('a PCM range covering the whole take changes nothing', () => {
+    const take = pcmTake(5);
+    const result = trimRecordedChunks(take, { start: 0, end: 5 });
+
+    expect(result).toMatchObject({ start: 0, end: 5, changed: false });
+    expect(result.chunks).toEqual(take.chunks);
+  });
+
+  test('compressed chunks keep their header and are only dropped from the end', () => {
+    const take = { pcm: false, chunks: ['a', 'b', 'c', 'd'], chunkEnds: [1, 2, 3, 4] };
+
+    expect(trimRecordedChunks(take, { start: 1.5, end: 2.5 })).toEqual({
+      chunks: ['a', 'b', 'c'],
+      start: 0,
+      end: 3,
+      changed: true,
+    });
+    // Only a leading trim was planned, which compressed audio cannot apply
+    expect(trimRecordedChunks(take, { start: 1.5, end: 4 })).toMatchObject({
+      chunks: take.chunks,
+      changed: false,
+    });
+  });
+});
+
+test('clipSegments shifts segments into the trimmed range', () => {
+  const segments = [
+    { type: 'silence', start: 0, end: 2 },
+    { type: 'speech', start: 2, end: 5 },
+    { type: 'silence', start: 5, end: 8 },
+  ];
+
+  expect(clipSegments(segments, 1.5, 6)).toEqual([
+    { type: 'silence', start: 0, end: 0.5 },
+    { type: 'speech', start: 0.5, end: 3.5 },
+    { type: 'silence', start: 3.5, end: 4.5 },
+  ]);
+});
+
+describe('removeSegmentRange', () => {
+  const segments = [
+    { type: 'speech', start: 0, end: 2 },
+    { type: 'silence', start: 2, end: 4 },
+    { type: 'speech', start: 4, end: 7 },
+  ];
+
+  test('later segments move back by the length of the cut', () => {
+    expect(removeSegmentRange(segments, 0.5, 1)).toEqual([
+      { type: 'speech', start: 0, end: 1.5 },
+      { type: 'silence', start: 1.5, end: 3.5 },
+      { type: 'speech', start: 3.5, end: 6.5 },
+    ]);
+  });
+
+  test('segments the cut overlaps keep only their uncut part', () => {
+    expect(removeSegmentRange(segments, 6, 7)).toEqual([
+      { type: 'speech', start: 0, end: 2 },
+      { type: 'silence', start: 2, end: 4 },
+      { type: 'speech', start: 4, end: 6 },
+    ]);
+  });
+
+  test('speech on both sides of a cut becomes one segment', () => {
+    expect(removeSegmentRange(segments, 2, 4)).toEqual([{ type: 'speech', start: 0, end: 5 }]);
+    expect(removeSegmentRange(segments, 1, 5)).toEqual([{ type: 'speech', start: 0, end: 3 }]);
+  });
+
+  test('the input segments are left untouched', () => {
+    const copy = structuredClone(segments);
+    removeSegmentRange(segments, 2, 4);
+
+    expect(segments).toEqual(copy);
+  });
+});
+
+describe('concatVoiceActivity', () => {
+  const base = {
+    threshold: 20,
+    segments: [
+      { type: 'silence', start: 0, end: 1 },
+      { type: 'speech', start: 1, end: 4 },
+      { type: 'silence', start: 4, end: 5 },
+    ],
+    speechStart: 1,
+    speechEnd: 4,
+    speechRatio: 0.6,
+  };
+  const addition = {
+    threshold: 22,
+    segments: [
+      { type: 'speech', start: 0, end: 2 },
+      { type: 'silence', start: 2, end: 3 },
+    ],
+    speechStart: 0,
+    speechEnd: 2,
+    speechRatio: 0.67,
+  };
+
+  test('the continuation is appended after the existing take', () => {
+    expect(concatVoiceActivity(base, 5, addition, 3)).toEqual({
+      threshold: 22,
+      segments: [
+        ...base.segments,
+        { type: 'speech', start: 5, end: 7 },
+        { type: 'silence', start: 7, end: 8 },
+      ],
+      speechStart: 1,
+      speechEnd: 7,
+      speechRatio: 0.63,
+    });
+  });
+
+  test('silence in the continuation keeps the existing speech bounds', () => {
+    const quiet = {
+      ...addition,
+      segments: [{ type: 'silence', start: 0, end: 3 }],
+      speechStart: null,
+      speechEnd: null,
+      speechRatio: 0,
+    };
+
+    expect(concatVoiceActivity(base, 5, quiet, 3)).toMatchObject({
+      speechStart: 1,
+      speechEnd: 4,
+      speechRatio: 0.38,
+    });
+  });
+
+  test('a take recorded without detection counts as silence', () => {
+    const result = concatVoiceActivity(null, 5, addition, 3);
+
+    expect(result.segments[0]).toEqual({ type: 'silence', start: 0, end: 5 });
+    expect(result).toMatchObject({ speechStart: 5, speechEnd: 7, speechRatio: 0.25 });
+  });
+});
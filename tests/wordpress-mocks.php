@@ -29,11 +29,74 @@ if (!defined('WP_DEBUG')) {
 
 // Mock WordPress classes for unit testing
 if (!class_exists('WP_REST_Request')) {
-    class WP_REST_Request
+    class WP_REST_Request implements ArrayAccess
     {
+        private $params = [];
+        private $headers = [];
+        private $body = '';
+
+        public function __construct($method = '', $route = '', $attributes = [])
+        {
+        }
+
         public function get_header($key)
         {
-            return 'mock_header_value';
+            return $this->headers[strtolower(str_replace('-', '_', $key))] ?? null;
+        }
+
+        public function set_header($key, $value)
+        {
+            $this->headers[strtolower(str_replace('-', '_', $key))] = $value;
+        }
+
+        public function get_param($key)
+        {
+            return $this->params[$key] ?? null;
+        }
+
+        public function set_param($key, $value)
+        {
+            $this->params[$key] = $value;
+        }
+
+        public function get_params()
+        {
+            return $this->params;
+        }
+
+        public function get_body()
+        {
+            return $this->body;
+        }
+
+        public function set_body($data)
+        {
+            $this->body = $data;
+        }
+
+        public function get_json_params()
+        {
+            return json_decode((string) $this->body, true);
+        }
+
+        public function offsetExists($offset): bool
+        {
+            return isset($this->params[$offset]);
+        }
+
+        public function offsetGet($offset): mixed
+        {
+            return $this->get_param($offset);
+        }
+
+        public function offsetSet($offset, $value): void
+        {
+            $this->set_param($offset, $value);
+        }
+
+        public function offsetUnset($offset): void
+        {
+            unset($this->params[$offset]);
         }
     }
 }
@@ -72,6 +135,38 @@ if (!class_exists('WP_Error')) {
             }
             return $this->errors[$code][0] ?? '';
         }
+
+        public function get_error_data($code = '')
+        {
+            if (empty($code)) {
+                $code = $this->get_error_code();
+            }
+            return $this->error_data[$code] ?? null;
+        }
+    }
+}
+
+if (!class_exists('WP_REST_Response')) {
+    class WP_REST_Response
+    {
+        public $data;
+        public $status;
+
+        public function __construct($data = null, $status = 200)
+        {
+            $this->data = $data;
+            $this->status = $status;
+        }
+
+        public function get_data()
+        {
+            return $this->data;
+        }
+
+        public function get_status()
+        {
+            return $this->status;
+        }
     }
 }
 